@@ -3,6 +3,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const { ethers } = require('ethers');
 const profiler = require('../profiler');
+const { ForkManager } = require('../lib/fork-manager');
 
 /**
  * Batch gasless profiling for multiple contracts
@@ -12,13 +13,22 @@ async function batchGaslessProfile(options) {
   const {
     config: configPath,
     rpc = 'https://dream-rpc.somnia.network',
-    parallel = 3,
     outputDir = './batch-results',
     continueOnError = true,
+    impersonate,
     verbose = false
   } = options;
+  let { parallel = 3 } = options;
+  let fork = null;
 
   try {
+    // One shared fork; runs snapshot/revert it, so contracts must be processed sequentially
+    fork = await ForkManager.fromOptions(options);
+    if (fork && parallel > 1) {
+      console.log(chalk.yellow(`⚠️  Fork mode shares one node, reducing parallel workers from ${parallel} to 1`));
+      parallel = 1;
+    }
+
     // Load and validate configuration
     console.log(chalk.blue('📄 Loading batch configuration...'));
     const config = await loadBatchConfig(configPath);
@@ -32,6 +42,7 @@ async function batchGaslessProfile(options) {
     const results = {
       started: new Date().toISOString(),
       rpc,
+      ...(fork && { fork: fork.describe() }),
       configuration: {
         parallel,
         continueOnError,
@@ -63,6 +74,8 @@ async function batchGaslessProfile(options) {
         return processContract(contractConfig, contractIndex, config, results, outputDir, {
           rpc,
           continueOnError,
+          fork,
+          sender: impersonate,
           verbose
         });
       });
@@ -102,6 +115,10 @@ async function batchGaslessProfile(options) {
 
   } catch (error) {
     throw new Error(`Batch gasless profiling failed: ${error.message}`);
+  } finally {
+    if (fork) {
+      await fork.stop();
+    }
   }
 }
 
@@ -164,7 +181,7 @@ async function loadBatchConfig(configPath) {
  * @param {Object} options - Processing options
  */
 async function processContract(contractConfig, index, globalConfig, results, outputDir, options) {
-  const { rpc, continueOnError, verbose } = options;
+  const { rpc, continueOnError, fork, sender, verbose } = options;
   const startTime = Date.now();
   
   const contractResult = {
@@ -186,6 +203,8 @@ async function processContract(contractConfig, index, globalConfig, results, out
       runs: contractConfig.runs,
       gasless: contractConfig.gasless,
       paymaster: contractConfig.paymaster,
+      fork,
+      sender,
       verbose: verbose
     };
     
@@ -0,0 +1,29 @@
+const chalk = require('chalk');
+const fs = require('fs').promises;
+
+const { GasBudget } = require('../lib/gas-budget');
+
+/**
+ * Check profiling results against a gas budget file
+ * Exits non-zero (via the thrown error) when any limit is exceeded
+ */
+async function checkBudget(options) {
+  try {
+    console.log(chalk.blue(`🎯 Checking ${options.in} against ${options.budget}...`));
+
+    const results = JSON.parse(await fs.readFile(options.in, 'utf8'));
+    const budget = await GasBudget.load(options.budget);
+
+    return await budget.enforce(results, {
+      baseline: options.baseline,
+      junit: options.junit
+    });
+
+  } catch (error) {
+    throw new Error(`Budget check failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  checkBudget
+};
@@ -5,11 +5,14 @@ const { ethers } = require('ethers');
 const { ContractCompiler } = require('../lib/contract-compiler');
 const { BytecodeProcessor } = require('../lib/bytecode-processor');
 const { DeveloperAnalyzer } = require('../lib/developer-analyzer');
+const { CompilerMatrix } = require('../lib/compiler-matrix');
+const { MetadataResolver } = require('../lib/metadata-resolver');
 const profiler = require('../profiler');
 
 /**
  * Compile Solidity contract and immediately profile
  * Workflow: Solidity → Compile → Deploy → Profile → Analyze
+ * @returns {Promise<string>} Results file
  */
 async function compileAndProfile(options) {
   try {
@@ -26,6 +29,21 @@ async function compileAndProfile(options) {
     // Check available compilation tools
     await compiler.displayAvailableTools();
 
+    // Rebuild with the compiler settings of a deployed contract
+    let deployed = null;
+    if (options.metadataFrom) {
+      deployed = await resolveDeployedMetadata(options.metadataFrom, provider);
+      const { compiler: settings } = deployed;
+      options = {
+        ...options,
+        solcVersion: settings.solcVersion,
+        optimizer: settings.optimizer ?? true,
+        optimizationRuns: settings.optimizationRuns ?? options.optimizationRuns,
+        viaIR: settings.viaIR ?? options.viaIR,
+        evmVersion: settings.evmVersion || undefined
+      };
+    }
+
     // Determine source input
     let sourceCode, contractName;
     if (options.source) {
@@ -39,18 +57,27 @@ async function compileAndProfile(options) {
       console.log(chalk.blue('📝 Using inline source code'));
       sourceCode = options.code;
       contractName = options.contractName || compiler.extractContractName(sourceCode) || 'InlineContract';
+    } else if (deployed) {
+      // Source recovered from the deployed contract's metadata
+      ({ sourceCode, contractName } = recoveredSource(deployed, options.contractName));
     } else {
       throw new Error('No source provided. Use --source <file> or --code <inline>');
     }
 
     console.log(chalk.gray(`   Contract name: ${contractName}`));
 
+    if (options.matrix) {
+      return await profileMatrix(options, compiler, sourceCode, contractName);
+    }
+
     // Compile contract
     console.log(chalk.blue('\n🔨 Compiling contract...'));
     const compilationOptions = {
-      optimizationRuns: options.optimizationRuns || 200,
+      optimizationRuns: options.optimizationRuns ?? 200,
       solcVersion: options.solcVersion || '0.8.19',
-      viaIR: options.viaIR || false
+      viaIR: options.viaIR || false,
+      optimizer: options.optimizer !== false,
+      evmVersion: options.evmVersion
     };
 
     const compilation = await compiler.compileSource(sourceCode, contractName, compilationOptions);
@@ -81,11 +108,26 @@ async function compileAndProfile(options) {
       fn: contractData.functions,
       args: contractData.functions.map(func => JSON.stringify(testArgs[func] || [])),
       runs: options.runs || 3,
-      out: options.output || `${contractName}_profiling_${timestamp}.json`,
+      out: options.out || `${contractName}_profiling_${timestamp}.json`,
       gasless: options.gasless || false,
+      deployment: contractData.deployment || null,
+      continueOnError: options.continueOnError || false,
       verbose: options.verbose || false
     };
 
+    // Trace runs against the runtime source map for the source-line heatmap
+    if (options.sourceMap) {
+      if (compilation.sourceMap && compilation.deployedBytecode && compilation.sources) {
+        profilingConfig.sourceMap = {
+          deployedBytecode: compilation.deployedBytecode,
+          sourceMap: compilation.sourceMap,
+          sources: compilation.sources
+        };
+      } else {
+        console.log(chalk.gray('   No runtime source map from compiler, skipping source-line attribution'));
+      }
+    }
+
     // Run profiling
     console.log(chalk.blue('\n⚡ Running gas profiling...\n'));
     await profiler.analyze(profilingConfig);
@@ -106,13 +148,107 @@ async function compileAndProfile(options) {
     }
 
     // Display completion summary
-    displayCompletionSummary(contractName, contractData.address, profilingConfig.out, contractType, compilation);
+    displayCompletionSummary(contractName, contractData.address, profilingConfig.out, contractType, compilation, Boolean(profilingConfig.sourceMap));
+
+    return profilingConfig.out;
 
   } catch (error) {
     throw new Error(`Compile-and-profile failed: ${error.message}`);
   }
 }
 
+/**
+ * Resolve the compiler metadata of a deployed contract; without the full
+ * metadata, the solc version in its CBOR section still pins the compiler
+ */
+async function resolveDeployedMetadata(address, provider) {
+  console.log(chalk.blue(`🧾 Resolving compiler metadata of ${address}...`));
+
+  const code = await provider.getCode(address);
+  if (!code || code === '0x') {
+    throw new Error(`No contract deployed at ${address}`);
+  }
+
+  const resolved = await new MetadataResolver().resolve(code, { address, provider });
+  if (!resolved || !resolved.compiler.solcVersion) {
+    throw new Error(`No compiler version in the metadata of ${address}`);
+  }
+
+  const { compiler } = resolved;
+  if (resolved.metadata) {
+    const match = resolved.match === 'partial' ? ', partial match' : '';
+    console.log(chalk.green(`✅ Metadata from ${resolved.origin}${match}: ${compiler.contractName} (${compiler.version})`));
+    console.log(chalk.gray(`   Optimizer runs: ${compiler.optimizationRuns}, viaIR: ${compiler.viaIR}, EVM: ${compiler.evmVersion || 'default'}`));
+    if (!compiler.optimizer) {
+      console.log(chalk.yellow('⚠️  Deployed without the optimizer; rebuilding with it disabled'));
+    }
+  } else {
+    console.log(chalk.yellow(`⚠️  Full metadata not found (${resolved.cbor.hash || 'no hash'}), pinning solc ${compiler.solcVersion} only`));
+  }
+
+  return resolved;
+}
+
+/**
+ * Compilation target source from resolved metadata
+ * The compiler wrapper builds a single file, so sources with imports need a
+ * flattened copy passed with --source.
+ */
+function recoveredSource(deployed, contractName) {
+  const { sourcePath, contractName: targetName } = deployed.compiler;
+  const sourceCode = sourcePath && deployed.sources[sourcePath];
+
+  if (!sourceCode) {
+    throw new Error('No source recovered from metadata. Use --source <file> or --code <inline>');
+  }
+  if (/^\s*import\s/m.test(sourceCode)) {
+    throw new Error(`${sourcePath} imports other files; pass a flattened copy with --source`);
+  }
+
+  console.log(chalk.blue(`📂 Using source recovered from metadata: ${sourcePath}`));
+  return { sourceCode, contractName: contractName || targetName };
+}
+
+/**
+ * Compile the source under every combination of compiler settings, deploy and
+ * profile each variant, and report the cheapest configuration for the call mix
+ */
+async function profileMatrix(options, compiler, sourceCode, contractName) {
+  const axes = {
+    optimizationRuns: CompilerMatrix.parseList(options.matrixRuns || '1,200,10000', 'number'),
+    viaIR: CompilerMatrix.parseList(options.matrixViaIr || 'false,true', 'boolean'),
+    solcVersions: CompilerMatrix.parseList(options.matrixSolc || options.solcVersion || '0.8.19')
+  };
+
+  const matrix = new CompilerMatrix({
+    compiler,
+    runs: options.runs || 3,
+    callMix: CompilerMatrix.parseCallMix(options.callMix),
+    settings: {
+      optimizer: options.optimizer !== false,
+      evmVersion: options.evmVersion
+    }
+  });
+  const grid = matrix.buildGrid(axes);
+  console.log(chalk.blue(`\n🧮 Compiler matrix: ${grid.length} configuration(s)`));
+
+  const gasProfiler = new profiler.SomniaGasProfiler();
+  await gasProfiler.initialize(options.rpc || process.env.RPC_URL, process.env.PRIVATE_KEY);
+  const deployer = new BytecodeProcessor(gasProfiler.provider, gasProfiler.wallet);
+
+  const results = await matrix.run(gasProfiler, deployer, sourceCode, contractName, grid, {
+    gasless: options.gasless || false
+  });
+
+  console.log(matrix.generateReport(results));
+
+  const out = options.out || `${contractName}_matrix_${Date.now()}.json`;
+  await matrix.save(results, out);
+  console.log(chalk.gray(`   Results: ${out}`));
+
+  return out;
+}
+
 /**
  * Generate CSV and JSON reports
  */
@@ -177,7 +313,7 @@ async function generateCompilationAnalysis(jsonFile, developerAnalyzer, contract
 /**
  * Display comprehensive completion summary
  */
-function displayCompletionSummary(contractName, address, outputFile, contractType, compilation) {
+function displayCompletionSummary(contractName, address, outputFile, contractType, compilation, traced) {
   console.log(chalk.green('\n🎉 Compile-and-profile workflow complete!'));
   console.log(chalk.cyan('\n📋 Summary'));
   console.log(chalk.gray('─'.repeat(50)));
@@ -189,6 +325,10 @@ function displayCompletionSummary(contractName, address, outputFile, contractTyp
   console.log(chalk.white(`Functions: ${compilation.abi.filter(e => e.type === 'function').length}`));
   console.log(chalk.white(`Results: ${outputFile}`));
   
+  if (traced) {
+    console.log(chalk.white(`Heatmap: somnia-gas-profiler report --in ${outputFile} --format heatmap`));
+  }
+  
   // Performance tips
   console.log(chalk.yellow('\n💡 Optimization Tips:'));
   console.log(chalk.gray('   - Review functions with highest gas usage'));
@@ -0,0 +1,80 @@
+const chalk = require('chalk');
+
+// Load environment variables
+require('dotenv').config();
+
+const { GasFuzzer } = require('../lib/gas-fuzzer');
+const { ForkManager } = require('../lib/fork-manager');
+const { SomniaGasProfiler } = require('../profiler');
+
+/**
+ * Fuzz a deployed contract's functions with boundary and random arguments and
+ * save worst-case gas, inputs and distributions
+ */
+async function fuzz(options) {
+  let fork = null;
+
+  try {
+    console.log(chalk.blue('🎲 Starting fuzz gas profiling...\n'));
+
+    fork = await ForkManager.fromOptions(options);
+
+    const profiler = new SomniaGasProfiler();
+    const rpc = options.rpc || process.env.RPC_URL;
+    await profiler.initialize(rpc, process.env.PRIVATE_KEY, {
+      fork,
+      sender: options.impersonate
+    });
+
+    // Every case sends a transaction; without a fork or snapshots they would all land on chain
+    if (!fork && !options.gasless && !(await profiler.supportsSnapshots())) {
+      if (!options.allowLive) {
+        throw new Error('Every fuzz case sends a real transaction and this node cannot revert them; use --fork or --gasless, or pass --allow-live to send them anyway');
+      }
+      console.log(chalk.yellow(`⚠️  --allow-live: sending up to ${options.cases} transactions per function to ${rpc}`));
+    }
+
+    const abi = await profiler.loadABI(options.abi);
+    const contract = await profiler.validateContract(options.address, abi);
+    const functions = profiler.parseFunctionSignatures(options.functions && options.functions.length > 0
+      ? options.functions
+      : abi
+        .filter(item => item.type === 'function' && !['view', 'pure'].includes(item.stateMutability))
+        .map(item => `${item.name}(${item.inputs.map(input => input.type).join(',')})`), abi);
+
+    if (functions.length === 0) {
+      throw new Error('No state-changing functions to fuzz (pass --functions)');
+    }
+
+    const fuzzer = new GasFuzzer({
+      cases: options.cases,
+      seed: options.seed,
+      arrayMax: options.arrayMax,
+      addresses: [profiler.wallet.address, options.address]
+    });
+
+    const results = await fuzzer.run(profiler, contract, functions, {
+      rpc,
+      gasless: options.gasless
+    });
+
+    console.log(fuzzer.generateReport(results));
+
+    const out = options.out || './fuzz_results.json';
+    await fuzzer.save(results, out);
+    console.log(chalk.gray(`   Report: somnia-gas-profiler report --in ${out}`));
+
+    return results;
+
+  } catch (error) {
+    throw new Error(`Fuzz command failed: ${error.message}`);
+  } finally {
+    if (fork) {
+      await fork.stop();
+    }
+  }
+}
+
+module.exports = {
+  fuzz
+};
@@ -5,9 +5,15 @@ const { hideBin } = require('yargs/helpers');
 const { analyze } = require('./profile');
 const { compileAndProfile } = require('./compile-and-profile');
 const { quickAnalyze } = require('./quick-analyze');
-const { generate } = require('../reporter');
-const { batchProfile } = require('./batch-profiling');
+const { generate, snapshot } = require('../reporter');
+const { batchGaslessProfile: batchProfile } = require('./batch-profiling');
 const { paymasterDiscovery } = require('./paymaster-discovery');
+const { runScenario } = require('./scenario');
+const { checkBudget } = require('./check');
+const { replay } = require('./replay');
+const { fuzz } = require('./fuzz');
+const { signatures } = require('./signatures');
+const { metadata } = require('./metadata');
 const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
@@ -23,11 +29,80 @@ if (!process.env.RPC_URL) {
   process.exit(1);
 }
 
+/**
+ * Local fork options shared by commands that send transactions
+ */
+function withForkOptions(yargs) {
+  return yargs
+    .option('fork', {
+      describe: 'Profile against a local anvil/hardhat fork instead of the live network',
+      type: 'boolean',
+      default: false
+    })
+    .option('fork-block', {
+      describe: 'Block number to pin the fork to (default: current head)',
+      type: 'number'
+    })
+    .option('fork-rpc', {
+      describe: 'Attach to an already running fork node instead of spawning one',
+      type: 'string'
+    })
+    .option('fork-port', {
+      describe: 'Port for the spawned fork node',
+      type: 'number',
+      default: parseInt(process.env.FORK_PORT) || 8545
+    })
+    .option('impersonate', {
+      describe: 'Sender address to impersonate on the fork',
+      type: 'string'
+    });
+}
+
+/**
+ * On-chain usage options shared by commands that analyze deployed contracts
+ */
+function withUsageOptions(yargs) {
+  return yargs
+    .option('usage', {
+      describe: 'Rank optimization targets by on-chain call frequency × gas of the deployed contract',
+      type: 'boolean',
+      default: false
+    })
+    .option('usage-blocks', {
+      describe: 'Blocks to scan back from the head for --usage',
+      type: 'number',
+      default: 1000
+    })
+    .option('harvest', {
+      describe: 'Generate arguments from the contract\'s event history, scanning this many blocks back (default 5000)',
+      coerce: value => (value === true ? 5000 : Number(value))
+    });
+}
+
+/**
+ * Gas budget options shared by commands that can gate on gas regressions
+ */
+function withBudgetOptions(yargs) {
+  return yargs
+    .option('budget', {
+      describe: 'Gas budget file (JSON or YAML); exits non-zero when a limit is exceeded',
+      type: 'string'
+    })
+    .option('baseline', {
+      describe: 'Baseline results file for relative limits (overrides the budget file)',
+      type: 'string'
+    })
+    .option('junit', {
+      describe: 'Write budget check results as JUnit XML',
+      type: 'string'
+    });
+}
+
 // CLI configuration
 const argv = yargs(hideBin(process.argv))
   .usage('Usage: $0 <command> [options]')
   .command('profile', 'Profile a smart contract', (yargs) => {
-    return yargs
+    return withUsageOptions(withBudgetOptions(withForkOptions(yargs)))
       .option('address', {
         describe: 'Contract address',
         type: 'string'
@@ -63,6 +138,39 @@ const argv = yargs(hideBin(process.argv))
         describe: 'Paymaster address for sponsored transactions',
         type: 'string'
       })
+      .option('opcodes', {
+        describe: 'Attribute gas to opcode classes via debug_trace structLogs',
+        type: 'boolean',
+        default: false
+      })
+      .option('call-tree', {
+        describe: 'Record the internal call tree of each run via callTracer',
+        type: 'boolean',
+        default: false
+      })
+      .option('access-list', {
+        describe: 'Build an EIP-2930 access list per call, re-run with it attached and report the gas delta',
+        type: 'boolean',
+        default: false
+      })
+      .option('continue-on-error', {
+        describe: 'Record reverted runs (decoded reason, gas until revert) and keep profiling other functions',
+        type: 'boolean',
+        default: false
+      })
+      .option('sweep', {
+        describe: 'Vary one argument and model gas vs. input size, e.g. "batchProcess(uint256[]):0=1..64"',
+        type: 'string'
+      })
+      .option('sweep-points', {
+        describe: 'Number of sizes to profile in the sweep range',
+        type: 'number',
+        default: 8
+      })
+      .option('sweep-target', {
+        describe: 'Input size to predict gas for from the fitted model',
+        type: 'number'
+      })
       .option('export-redis', {
         describe: 'Export results to Redis',
         type: 'boolean',
@@ -92,6 +200,11 @@ const argv = yargs(hideBin(process.argv))
           await exporter.disconnect();
         }
       }
+
+      // The budget is checked against the results just written to --out
+      if (argv.budget) {
+        await checkBudget({ ...argv, in: argv.out });
+      }
       
       console.log(chalk.green('\n✅ Profiling completed successfully!'));
     } catch (error) {
@@ -128,21 +241,34 @@ const argv = yargs(hideBin(process.argv))
         type: 'boolean',
         default: false
       })
+      .option('metadata-from', {
+        describe: 'Deployed contract whose bytecode metadata pins solc version, optimizer runs and viaIR (and supplies the source when none is given)',
+        type: 'string'
+      })
       .option('runs', {
         describe: 'Number of profiling runs per function',
         type: 'number',
         default: parseInt(process.env.DEFAULT_PROFILING_RUNS) || 3
       })
       .option('out', {
-        describe: 'Output file path',
-        type: 'string',
-        default: './profiling_results.json'
+        describe: 'Output file path (default: <contract>_profiling_<timestamp>.json, <contract>_matrix_<timestamp>.json with --matrix)',
+        type: 'string'
       })
       .option('gasless', {
         describe: 'Enable gasless simulation mode',
         type: 'boolean',
         default: false
       })
+      .option('source-map', {
+        describe: 'Trace each run via debug_traceTransaction and attribute gas to source lines (for --format heatmap)',
+        type: 'boolean',
+        default: false
+      })
+      .option('continue-on-error', {
+        describe: 'Record reverted runs (decoded reason, gas until revert) and keep profiling other functions',
+        type: 'boolean',
+        default: false
+      })
       .option('export-redis', {
         describe: 'Export results to Redis',
         type: 'boolean',
@@ -152,23 +278,46 @@ const argv = yargs(hideBin(process.argv))
         describe: 'Redis connection URL',
         type: 'string'
       })
+      .option('matrix', {
+        describe: 'Compare gas across a grid of compiler settings instead of a single build',
+        type: 'boolean',
+        default: false
+      })
+      .option('matrix-runs', {
+        describe: 'Optimizer runs values for --matrix (comma separated)',
+        type: 'string',
+        default: '1,200,10000'
+      })
+      .option('matrix-via-ir', {
+        describe: 'viaIR values for --matrix (comma separated)',
+        type: 'string',
+        default: 'false,true'
+      })
+      .option('matrix-solc', {
+        describe: 'Solidity versions for --matrix (comma separated, default: --solc-version)',
+        type: 'string'
+      })
+      .option('call-mix', {
+        describe: 'Call frequency weights for --matrix, e.g. "transfer=70,approve=30"',
+        type: 'string'
+      })
       .check((argv) => {
-        if (!argv.source && !argv.code) {
-          throw new Error('Either --source or --code is required');
+        if (!argv.source && !argv.code && !argv.metadataFrom) {
+          throw new Error('Either --source, --code or --metadata-from is required');
         }
         return true;
       });
   }, async (argv) => {
     try {
-      await compileAndProfile(argv);
+      const out = await compileAndProfile(argv);
       
-      // Export to Redis if requested
-      if (argv.exportRedis || argv['export-redis']) {
+      // Export to Redis if requested (matrix output is not a profiling result)
+      if ((argv.exportRedis || argv['export-redis']) && !argv.matrix) {
         console.log(chalk.blue('\n📤 Exporting results to Redis...'));
         const exporter = new RedisExporter(argv.redisUrl || argv['redis-url']);
         const connected = await exporter.connect();
         if (connected) {
-          await exporter.exportResults(argv.out);
+          await exporter.exportResults(out);
           await exporter.disconnect();
         }
       }
@@ -180,7 +329,7 @@ const argv = yargs(hideBin(process.argv))
     }
   })
   .command('quick-analyze', 'Quick analysis of a deployed contract', (yargs) => {
-    return yargs
+    return withUsageOptions(withForkOptions(yargs))
       .option('address', {
         describe: 'Contract address',
         demandOption: true,
@@ -233,6 +382,11 @@ const argv = yargs(hideBin(process.argv))
         type: 'boolean',
         default: false
       })
+      .option('continue-on-error', {
+        describe: 'Record reverted runs (decoded reason, gas until revert) and keep profiling other functions',
+        type: 'boolean',
+        default: false
+      })
       .option('out', {
         describe: 'Output file path',
         type: 'string',
@@ -269,14 +423,14 @@ const argv = yargs(hideBin(process.argv))
     }
   })
   .command('report', 'Generate reports from profiling results', (yargs) => {
-    return yargs
+    return withBudgetOptions(yargs)
       .option('in', {
         describe: 'Input results file',
         demandOption: true,
         type: 'string'
       })
       .option('format', {
-        describe: 'Output format (table, csv, json)',
+        describe: 'Output format (table, csv, json, heatmap, snapshot)',
         type: 'string',
         default: 'table'
       })
@@ -312,8 +466,69 @@ const argv = yargs(hideBin(process.argv))
       process.exit(1);
     }
   })
-  .command('batch-profile', 'Batch profile multiple contracts', (yargs) => {
+  .command('snapshot', 'Write, diff or check a forge-compatible .gas-snapshot file', (yargs) => {
     return yargs
+      .option('in', {
+        describe: 'Input results file',
+        demandOption: true,
+        type: 'string'
+      })
+      .option('snap', {
+        describe: 'Snapshot file path',
+        type: 'string',
+        default: '.gas-snapshot'
+      })
+      .option('contract', {
+        describe: 'Contract name used as the entry prefix (default: contract address)',
+        type: 'string'
+      })
+      .option('diff', {
+        describe: 'Show gas changes against the existing snapshot',
+        type: 'boolean',
+        default: false
+      })
+      .option('check', {
+        describe: 'Exit non-zero when gas differs from the existing snapshot or entries were added or removed',
+        type: 'boolean',
+        default: false
+      })
+      .option('tolerance', {
+        describe: 'Allowed change in percent for --check',
+        type: 'number',
+        default: 0
+      })
+      .option('update', {
+        describe: 'Accept changes and rewrite the snapshot after --diff/--check',
+        type: 'boolean',
+        default: false
+      });
+  }, async (argv) => {
+    try {
+      await snapshot(argv);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}`));
+      process.exit(1);
+    }
+  })
+  .command('check', 'Check profiling results against a gas budget (CI gate)', (yargs) => {
+    return withBudgetOptions(yargs)
+      .option('in', {
+        describe: 'Results file to check',
+        demandOption: true,
+        type: 'string'
+      })
+      .demandOption('budget');
+  }, async (argv) => {
+    try {
+      await checkBudget(argv);
+      console.log(chalk.green('\n✅ Gas budget check passed!'));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}`));
+      process.exit(1);
+    }
+  })
+  .command('batch-profile', 'Batch profile multiple contracts', (yargs) => {
+    return withForkOptions(yargs)
       .option('config', {
         describe: 'Configuration file path',
         demandOption: true,
@@ -352,6 +567,219 @@ const argv = yargs(hideBin(process.argv))
       process.exit(1);
     }
   })
+  .command('scenario', 'Profile a multi-step scenario file (deploy, approve, transferFrom, ...)', (yargs) => {
+    return withForkOptions(yargs)
+      .option('file', {
+        describe: 'Scenario file (JSON or YAML)',
+        demandOption: true,
+        type: 'string'
+      })
+      .option('runs', {
+        describe: 'Number of times to run the whole scenario',
+        type: 'number',
+        default: 1
+      })
+      .option('out', {
+        describe: 'Output file for results',
+        type: 'string',
+        default: './scenario_results.json'
+      });
+  }, async (argv) => {
+    try {
+      await runScenario(argv);
+      console.log(chalk.green('\n✅ Scenario completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Scenario failed: ${error.message}`));
+      process.exit(1);
+    }
+  })
+  .command('replay', 'Profile historical transactions with their real-world arguments', (yargs) => {
+    return yargs
+      .option('abi', {
+        describe: 'ABI file path or inline JSON used to decode the transactions',
+        demandOption: true,
+        type: 'string'
+      })
+      .option('tx', {
+        describe: 'Transaction hash(es) to replay',
+        type: 'array',
+        string: true
+      })
+      .option('address', {
+        describe: 'Only replay calls to this contract',
+        type: 'string'
+      })
+      .option('from-block', {
+        describe: 'First block to scan',
+        type: 'number'
+      })
+      .option('to-block', {
+        describe: 'Last block to scan (default: latest)',
+        type: 'number'
+      })
+      .option('blocks', {
+        describe: 'Blocks to scan back from the head when only --address is given',
+        type: 'number',
+        default: 1000
+      })
+      .option('limit', {
+        describe: 'Maximum number of transactions to replay (most recent first)',
+        type: 'number',
+        default: 100
+      })
+      .option('opcodes', {
+        describe: 'Re-execute each transaction with debug_traceTransaction and attribute gas to opcode classes',
+        type: 'boolean',
+        default: false
+      })
+      .option('call-tree', {
+        describe: 'Record the internal call tree of each transaction via callTracer',
+        type: 'boolean',
+        default: false
+      })
+      .option('include-reverted', {
+        describe: 'Include reverted transactions instead of skipping them',
+        type: 'boolean',
+        default: false
+      })
+      .option('out', {
+        describe: 'Output file for results',
+        type: 'string',
+        default: './replay_results.json'
+      })
+      .check((argv) => {
+        if (!(argv.tx && argv.tx.length > 0) && !argv.address && argv.fromBlock === undefined) {
+          throw new Error('Provide --tx, --address or --from-block');
+        }
+        return true;
+      });
+  }, async (argv) => {
+    try {
+      await replay(argv);
+      console.log(chalk.green('\n✅ Replay completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Replay failed: ${error.message}`));
+      process.exit(1);
+    }
+  })
+  .command('fuzz', 'Fuzz function arguments to find worst-case gas', (yargs) => {
+    return withForkOptions(yargs)
+      .option('address', {
+        describe: 'Contract address',
+        demandOption: true,
+        type: 'string'
+      })
+      .option('abi', {
+        describe: 'ABI file path or inline JSON',
+        demandOption: true,
+        type: 'string'
+      })
+      .option('functions', {
+        describe: 'Functions to fuzz (default: every state-changing function)',
+        type: 'array',
+        string: true
+      })
+      .option('cases', {
+        describe: 'Argument sets per function, including the minimum and maximum boundary cases',
+        type: 'number',
+        default: 50
+      })
+      .option('seed', {
+        describe: 'RNG seed to reproduce a previous fuzz run (default: random)',
+        type: 'number'
+      })
+      .option('array-max', {
+        describe: 'Maximum length of generated dynamic arrays, bytes and strings',
+        type: 'number',
+        default: 16
+      })
+      .option('gasless', {
+        describe: 'Estimate each case instead of sending transactions',
+        type: 'boolean',
+        default: false
+      })
+      .option('allow-live', {
+        describe: 'Send the cases as real transactions when neither --fork, --gasless nor evm_snapshot is available',
+        type: 'boolean',
+        default: false
+      })
+      .option('out', {
+        describe: 'Output file for results',
+        type: 'string',
+        default: './fuzz_results.json'
+      });
+  }, async (argv) => {
+    try {
+      await fuzz(argv);
+      console.log(chalk.green('\n✅ Fuzzing completed successfully!'));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Fuzzing failed: ${error.message}`));
+      process.exit(1);
+    }
+  })
+  .command('signatures', 'Import and look up function, event and error signatures offline', (yargs) => {
+    return yargs
+      .option('import', {
+        describe: '4byte/openchain dumps, ABIs or signature lists to add to the database',
+        type: 'array',
+        string: true
+      })
+      .option('lookup', {
+        describe: 'Selectors or event topics to resolve',
+        type: 'array',
+        string: true
+      })
+      .option('db', {
+        describe: 'Signature database file (default: SIGNATURE_DB or ~/.somnia-gas-profiler/signatures.json)',
+        type: 'string'
+      });
+  }, async (argv) => {
+    try {
+      await signatures(argv);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}`));
+      process.exit(1);
+    }
+  })
+  .command('metadata', 'Decode bytecode metadata and resolve it to ABI, compiler settings and sources', (yargs) => {
+    return yargs
+      .option('address', {
+        describe: 'Deployed contract to resolve',
+        type: 'string'
+      })
+      .option('bytecode', {
+        describe: 'Creation or runtime bytecode to resolve',
+        type: 'string'
+      })
+      .option('import', {
+        describe: 'metadata.json files or Foundry/solc artifacts to add to the metadata store',
+        type: 'array',
+        string: true
+      })
+      .option('store', {
+        describe: 'Metadata store directory (default: METADATA_STORE or ~/.somnia-gas-profiler/metadata)',
+        type: 'string'
+      })
+      .option('sourcify', {
+        describe: 'Sourcify-compatible server (default: SOURCIFY_URL)',
+        type: 'string'
+      })
+      .option('ipfs-gateway', {
+        describe: 'IPFS gateway for metadata and sources (default: IPFS_GATEWAY)',
+        type: 'string'
+      })
+      .option('out', {
+        describe: 'Write the resolved metadata and sources to this file',
+        type: 'string'
+      });
+  }, async (argv) => {
+    try {
+      await metadata(argv);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ ${error.message}`));
+      process.exit(1);
+    }
+  })
   .command('discover-paymasters', 'Discover and validate paymasters on Somnia', (yargs) => {
     return yargs
       .option('limit', {
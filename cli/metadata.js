@@ -0,0 +1,82 @@
+const chalk = require('chalk');
+const fs = require('fs').promises;
+const { ethers } = require('ethers');
+
+const { MetadataResolver } = require('../lib/metadata-resolver');
+
+/**
+ * Import compiler metadata into the local store and resolve the CBOR metadata
+ * of a deployed contract or raw bytecode to its ABI, compiler settings and sources
+ */
+async function metadata(options) {
+  try {
+    const resolver = new MetadataResolver({
+      storePath: options.store,
+      endpoint: options.sourcify,
+      ipfsGateway: options.ipfsGateway
+    });
+
+    for (const file of options.import || []) {
+      const { hash, compiler } = await resolver.importFile(file);
+      console.log(chalk.green(`✅ ${file}: ${compiler.contractName || 'metadata'} (${compiler.version}) stored as ${hash}`));
+    }
+
+    if (!options.address && !options.bytecode) {
+      return null;
+    }
+
+    let bytecode = options.bytecode;
+    let provider = null;
+    if (!bytecode) {
+      provider = new ethers.JsonRpcProvider(options.rpc || 'https://dream-rpc.somnia.network');
+      bytecode = await provider.getCode(options.address);
+    }
+
+    const resolved = await resolver.resolve(bytecode, { address: options.address, provider });
+    if (!resolved) {
+      throw new Error('No CBOR metadata section in the bytecode');
+    }
+
+    const { cbor, compiler } = resolved;
+    console.log(chalk.cyan('\n🧾 Bytecode Metadata'));
+    console.log(chalk.gray('─'.repeat(50)));
+    if (cbor.ipfs) console.log(`IPFS:         ${cbor.ipfs}`);
+    if (cbor.bzzr1) console.log(`Swarm bzzr1:  ${cbor.bzzr1}`);
+    if (cbor.bzzr0) console.log(`Swarm bzzr0:  ${cbor.bzzr0}`);
+    console.log(`solc:         ${cbor.solcVersion || 'not recorded'}`);
+    if (cbor.experimental) console.log(chalk.yellow('Experimental features enabled'));
+
+    if (!resolved.metadata) {
+      console.log(chalk.yellow(`\n⚠️  Metadata not found in ${resolver.storePath}${resolver.endpoint ? ` or ${resolver.endpoint}` : ''}${resolver.ipfsGateway ? ` or ${resolver.ipfsGateway}` : ''}`));
+    } else {
+      const match = resolved.match === 'partial' ? ' (partial match)' : '';
+      console.log(chalk.green(`\n✅ Resolved from ${resolved.origin}${match}`));
+      console.log(`Contract:     ${compiler.contractName} (${compiler.sourcePath})`);
+      console.log(`Compiler:     ${compiler.version}`);
+      console.log(`Optimizer:    ${compiler.optimizer ? `${compiler.optimizationRuns} runs` : 'disabled'}, viaIR: ${compiler.viaIR}, EVM: ${compiler.evmVersion || 'default'}`);
+      console.log(`ABI entries:  ${(resolved.abi || []).length}`);
+      console.log(`Sources:      ${Object.keys(resolved.sources).length}/${Object.keys(resolved.metadata.sources || {}).length} recovered`);
+    }
+
+    if (options.out) {
+      await fs.writeFile(options.out, JSON.stringify({
+        cbor,
+        origin: resolved.origin,
+        match: resolved.match,
+        compiler,
+        metadata: resolved.metadata,
+        sources: resolved.sources
+      }, null, 2));
+      console.log(chalk.gray(`   Saved to ${options.out}`));
+    }
+
+    return resolved;
+
+  } catch (error) {
+    throw new Error(`Metadata command failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  metadata
+};
@@ -6,10 +6,12 @@ const { ethers } = require('ethers');
 require('dotenv').config();
 
 const { BytecodeProcessor } = require('../lib/bytecode-processor');
+const { DispatcherAnalyzer } = require('../lib/dispatcher-analyzer');
 const { ContractCompiler } = require('../lib/contract-compiler');
 const { ABIExtractor } = require('../lib/abi-extractor');
 const { DeveloperAnalyzer } = require('../lib/developer-analyzer');
 const { SomniaABIFetcher } = require('../lib/somnia-abi-fetcher');
+const { ForkManager } = require('../lib/fork-manager');
 const profiler = require('../profiler');
 
 /**
@@ -17,18 +19,25 @@ const profiler = require('../profiler');
  * Handles bytecode, deployed addresses, and source files
  */
 async function profile(options) {
+  let fork = null;
+  
   try {
     console.log(chalk.blue('🚀 Starting enhanced gas profiling...\n'));
 
+    // Start the local fork first so deployments and runs never touch the real network
+    fork = await ForkManager.fromOptions(options);
+
     // Initialize components
-    const provider = new ethers.JsonRpcProvider(options.rpc || 'https://dream-rpc.somnia.network');
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY || ethers.Wallet.createRandom().privateKey, provider);
+    const provider = new ethers.JsonRpcProvider(fork ? fork.rpcUrl : (options.rpc || 'https://dream-rpc.somnia.network'));
+    const wallet = fork
+      ? await fork.getSigner(options.impersonate, provider)
+      : new ethers.Wallet(process.env.PRIVATE_KEY || ethers.Wallet.createRandom().privateKey, provider);
     
     const bytecodeProcessor = new BytecodeProcessor(provider, wallet);
     const compiler = new ContractCompiler();
     const abiExtractor = new ABIExtractor();
     const developerAnalyzer = new DeveloperAnalyzer();
-    const abiFetcher = new SomniaABIFetcher();
+    const abiFetcher = new SomniaABIFetcher({ provider });
 
     // Auto-detect input type and load contract
     const contractData = await autoDetectAndLoad(options, {
@@ -65,6 +74,19 @@ async function profile(options) {
       runs: options.runs || 3,
       out: options.out || `output/profiling_${Date.now()}.json`,
       gasless: shouldUseGasless,
+      deployment: contractData.deployment || null,
+      opcodes: options.opcodes || false,
+      callTree: options.callTree || false,
+      accessList: options.accessList || false,
+      harvest: options.harvest,
+      continueOnError: options.continueOnError || false,
+      fork,
+      sender: options.impersonate,
+      sweep: options.sweep ? {
+        spec: options.sweep,
+        points: options.sweepPoints,
+        target: options.sweepTarget
+      } : null,
       verbose: options.verbose || false
     };
 
@@ -76,8 +98,13 @@ async function profile(options) {
     const csvFile = profilingConfig.out.replace('.json', '.csv');
     await generateCSVReport(profilingConfig.out, csvFile);
 
+    // Weight optimization priorities by how often the deployed contract is actually called
+    const usage = options.usage && contractData.source === 'deployed'
+      ? await developerAnalyzer.collectCallUsage(provider, contractData.address, { blocks: options.usageBlocks })
+      : null;
+
     // Generate developer-focused analysis
-    await generateDeveloperAnalysis(profilingConfig.out, developerAnalyzer, contractData.address);
+    await generateDeveloperAnalysis(profilingConfig.out, developerAnalyzer, contractData.address, usage);
 
     // Display success summary
     console.log(chalk.green('\n🎉 Enhanced profiling complete!'));
@@ -87,6 +114,10 @@ async function profile(options) {
 
   } catch (error) {
     throw new Error(`Profile command failed: ${error.message}`);
+  } finally {
+    if (fork) {
+      await fork.stop();
+    }
   }
 }
 
@@ -117,7 +148,7 @@ async function autoDetectAndLoad(options, components) {
       } catch (fetchError) {
         console.log(chalk.yellow(`⚠️  Explorer ABI fetch failed: ${fetchError.message}`));
         // Fall back to existing auto-detection
-        abi = await abiExtractor.autoDetectABI({ address: options.address });
+        abi = await abiExtractor.autoDetectABI({ address: options.address, provider: bytecodeProcessor.provider });
       }
     }
 
@@ -128,14 +159,13 @@ async function autoDetectAndLoad(options, components) {
       // Try to fetch contract bytecode and extract ABI
       try {
         console.log(chalk.blue('🔍 Fetching contract bytecode...'));
-        const provider = new ethers.JsonRpcProvider(options.rpc || 'https://dream-rpc.somnia.network');
-        const bytecode = await provider.getCode(options.address);
+        const bytecode = await bytecodeProcessor.provider.getCode(options.address);
         
         if (bytecode && bytecode !== '0x') {
           console.log(chalk.gray(`   Bytecode length: ${bytecode.length} characters`));
           
           // Try to extract ABI from bytecode metadata
-          abi = await abiExtractor.extractFromBytecode(bytecode);
+          abi = await abiExtractor.extractFromBytecode(bytecode, { address: options.address, provider: bytecodeProcessor.provider });
           
           if (!abi) {
             // Generate minimal ABI from bytecode analysis
@@ -165,7 +195,7 @@ async function autoDetectAndLoad(options, components) {
       }
     }
 
-    const contract = new ethers.Contract(options.address, abi, bytecodeProcessor.provider);
+    const contract = new ethers.Contract(options.address, DispatcherAnalyzer.toFragments(abi), bytecodeProcessor.provider);
     
     return {
       contract: contract,
@@ -231,12 +261,12 @@ async function generateCSVReport(jsonFile, csvFile) {
 /**
  * Generate developer-focused analysis
  */
-async function generateDeveloperAnalysis(jsonFile, developerAnalyzer, contractAddress) {
+async function generateDeveloperAnalysis(jsonFile, developerAnalyzer, contractAddress, usage = null) {
   try {
     const fs = require('fs').promises;
     const profilingData = JSON.parse(await fs.readFile(jsonFile, 'utf8'));
     
-    const analysis = developerAnalyzer.analyzeGasProfile(profilingData, contractAddress);
+    const analysis = developerAnalyzer.analyzeGasProfile(profilingData, contractAddress, undefined, usage);
     developerAnalyzer.displayAnalysis(analysis);
 
   } catch (error) {
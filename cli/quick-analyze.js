@@ -5,6 +5,8 @@ const { ABIExtractor } = require('../lib/abi-extractor');
 const { SomniaABIFetcher } = require('../lib/somnia-abi-fetcher');
 const { BytecodeProcessor } = require('../lib/bytecode-processor');
 const { DeveloperAnalyzer } = require('../lib/developer-analyzer');
+const { ForkManager } = require('../lib/fork-manager');
+const { ProxyResolver } = require('../lib/proxy-resolver');
 const profiler = require('../profiler');
 
 /**
@@ -12,6 +14,8 @@ const profiler = require('../profiler');
  * Features: Auto-ABI detection, immediate profiling, NL summary
  */
 async function quickAnalyze(options) {
+  let fork = null;
+  
   try {
     console.log(chalk.blue('⚡ Starting quick contract analysis...\n'));
 
@@ -20,16 +24,21 @@ async function quickAnalyze(options) {
       throw new Error('Valid contract address is required (--address 0x...)');
     }
 
+    // Start the local fork first so runs can send real transactions for free
+    fork = await ForkManager.fromOptions(options);
+
     // Initialize components
-    const provider = new ethers.JsonRpcProvider(options.rpc || 'https://dream-rpc.somnia.network');
-    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY || ethers.Wallet.createRandom().privateKey, provider);
+    const provider = new ethers.JsonRpcProvider(fork ? fork.rpcUrl : (options.rpc || 'https://dream-rpc.somnia.network'));
+    const wallet = fork
+      ? await fork.getSigner(options.impersonate, provider)
+      : new ethers.Wallet(process.env.PRIVATE_KEY || ethers.Wallet.createRandom().privateKey, provider);
     
     const abiExtractor = new ABIExtractor();
-    const bytecodeProcessor = new BytecodeProcessor(provider, wallet);
+    const bytecodeProcessor = new BytecodeProcessor(provider, wallet, { historyBlocks: options.harvest });
     const developerAnalyzer = new DeveloperAnalyzer();
 
     // Display connection info
-    console.log(chalk.gray(`🌐 Connected to: ${options.rpc || 'https://dream-rpc.somnia.network'}`));
+    console.log(chalk.gray(`🌐 Connected to: ${fork ? `fork at ${fork.rpcUrl}` : (options.rpc || 'https://dream-rpc.somnia.network')}`));
     console.log(chalk.gray(`📍 Analyzing contract: ${options.address}\n`));
 
     // Check if contract exists
@@ -41,8 +50,12 @@ async function quickAnalyze(options) {
     console.log(chalk.green('✅ Contract found on network'));
     console.log(chalk.gray(`   Bytecode length: ${code.length} characters\n`));
 
+    // A proxy's own bytecode only forwards calls, so its implementation ABI is profiled through it
+    const proxy = await detectProxy(provider, options.address, code);
+
     // Load and detect ABI
-    const abi = await loadContractABI(options, abiExtractor, code);
+    const abi = (proxy && !options.abi && await resolveProxyABI(proxy, provider, abiExtractor, options))
+      || await loadContractABI(options, abiExtractor, code, bytecodeProcessor);
     
     if (!abi || abi.length === 0) {
       throw new Error('Could not load or detect contract ABI. Please provide --abi option.');
@@ -81,7 +94,12 @@ async function quickAnalyze(options) {
       args: testArgs.map(args => JSON.stringify(args)),
       runs: options.runs || (options.quick ? 2 : 3),
       out: options.out || `quick_analysis_${timestamp}.json`,
-      gasless: options.gasless || true, // Default to gasless for quick analysis
+      gasless: fork ? Boolean(options.gasless) : (options.gasless || true), // Default to gasless unless forked
+      fork,
+      sender: options.impersonate,
+      harvest: options.harvest,
+      continueOnError: options.continueOnError || false,
+      proxy,
       verbose: options.verbose || false
     };
 
@@ -103,7 +121,11 @@ async function quickAnalyze(options) {
         bytecodeSize: contractAnalysis.bytecodeSize
       };
       
-      await generateQuickAnalysis(profilingConfig.out, developerAnalyzer, options.address, simplifiedContractAnalysis);
+      const usage = options.usage
+        ? await developerAnalyzer.collectCallUsage(provider, options.address, { blocks: options.usageBlocks })
+        : null;
+      
+      await generateQuickAnalysis(profilingConfig.out, developerAnalyzer, options.address, simplifiedContractAnalysis, usage);
     } else if (!options.skipAnalysis) {
       console.log(chalk.yellow('\n⚠️  Developer analysis not available.'));
     }
@@ -113,13 +135,65 @@ async function quickAnalyze(options) {
 
   } catch (error) {
     throw new Error(`Quick analyze failed: ${error.message}`);
+  } finally {
+    if (fork) {
+      await fork.stop();
+    }
+  }
+}
+
+/**
+ * Detect a proxy at the address, or null when it is not one
+ */
+async function detectProxy(provider, address, code) {
+  try {
+    const proxy = await new ProxyResolver(provider).detect(address, code);
+    if (proxy) {
+      console.log(chalk.cyan(`🔀 ${proxy.type} proxy detected`));
+      const facets = proxy.facets ? ` (${proxy.facets.length} facets)` : '';
+      console.log(chalk.gray(`   Implementation${proxy.implementations.length > 1 ? 's' : ''}: ${proxy.implementations.join(', ')}${facets}\n`));
+    }
+    return proxy;
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  ${error.message}, treating the contract as a regular contract`));
+    return null;
   }
 }
 
+/**
+ * Combine the ABIs of a proxy's implementations (or diamond facets)
+ * @returns {Promise<Array|null>} Combined ABI, or null when no implementation ABI was found
+ */
+async function resolveProxyABI(proxy, provider, abiExtractor, options) {
+  console.log(chalk.blue('🔍 Resolving implementation ABI...'));
+
+  const abi = await new ProxyResolver(provider).resolveABI(proxy, async (implementation) => {
+    try {
+      return await new SomniaABIFetcher({ provider }).fetchABI(implementation);
+    } catch (error) {
+      console.log(chalk.gray(`   Explorer has no ABI for ${implementation}: ${error.message}`));
+      return await abiExtractor.autoDetectABI({
+        address: implementation,
+        bytecode: await provider.getCode(implementation),
+        standard: options.standard,
+        provider
+      });
+    }
+  });
+
+  if (abi.length === 0) {
+    console.log(chalk.yellow('⚠️  No implementation ABI found, falling back to the proxy itself'));
+    return null;
+  }
+
+  console.log(chalk.green(`✅ Implementation ABI resolved (${abi.filter(item => item.type === 'function').length} functions)`));
+  return abi;
+}
+
 /**
  * Load contract ABI from various sources
  */
-async function loadContractABI(options, abiExtractor, bytecode) {
+async function loadContractABI(options, abiExtractor, bytecode, bytecodeProcessor) {
   console.log(chalk.blue('🔍 Loading contract ABI...'));
 
   let abi = null;
@@ -139,7 +213,7 @@ async function loadContractABI(options, abiExtractor, bytecode) {
     console.log(chalk.blue('🕵️  Attempting ABI auto-detection...'));
     
     try {
-      const abiReader = new SomniaABIFetcher();
+      const abiReader = new SomniaABIFetcher({ provider: bytecodeProcessor.provider });
       const result = await abiReader.fetchAndValidateABI(options.address, {
         allowMinimal: options.allowMinimal !== false,
         requireVerified: options.requireVerified || false
@@ -157,7 +231,8 @@ async function loadContractABI(options, abiExtractor, bytecode) {
       abi = await abiExtractor.autoDetectABI({
         address: options.address,
         bytecode: bytecode,
-        standard: options.standard
+        standard: options.standard,
+        provider: bytecodeProcessor.provider
       });
 
       if (abi) {
@@ -177,8 +252,7 @@ async function loadContractABI(options, abiExtractor, bytecode) {
   // Generate minimal ABI from bytecode if all else fails
   if (!abi && options.allowMinimal !== false) {
     console.log(chalk.yellow('⚠️  Generating minimal ABI from bytecode analysis...'));
-    const selectors = bytecodeProcessor.extractFunctionSelectors(bytecode);
-    abi = abiExtractor.generateMinimalABI(selectors.map(s => `function_${s}()`));
+    abi = bytecodeProcessor.generateMinimalABI(bytecode);
     
     if (abi.length > 0) {
       console.log(chalk.yellow(`⚠️  Created minimal ABI with ${abi.length} functions`));
@@ -313,14 +387,14 @@ async function generateQuickReports(profilingConfig, contractAnalysis) {
 /**
  * Generate quick developer analysis
  */
-async function generateQuickAnalysis(jsonFile, developerAnalyzer, contractAddress, contractAnalysis) {
+async function generateQuickAnalysis(jsonFile, developerAnalyzer, contractAddress, contractAnalysis, usage = null) {
   try {
     console.log(chalk.blue('\n🔍 Generating quick developer insights...'));
     
     const fs = require('fs').promises;
     const profilingData = JSON.parse(await fs.readFile(jsonFile, 'utf8'));
     
-    const analysis = developerAnalyzer.analyzeGasProfile(profilingData, contractAddress, contractAnalysis);
+    const analysis = developerAnalyzer.analyzeGasProfile(profilingData, contractAddress, contractAnalysis, usage);
     
     // Automatically save full analysis when called from API or with --export-redis
     const outputFileName = `${contractAddress.replace('0x', '')}-analysis.txt`;
@@ -0,0 +1,63 @@
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+
+// Load environment variables
+require('dotenv').config();
+
+const { TransactionReplayer } = require('../lib/transaction-replayer');
+const { SomniaGasProfiler } = require('../profiler');
+
+/**
+ * Profile historical transactions (by hash, block range or address) and save
+ * them in the standard results format
+ */
+async function replay(options) {
+  try {
+    console.log(chalk.blue('⏪ Starting transaction replay profiling...\n'));
+
+    const rpc = options.rpc || process.env.RPC_URL;
+    const provider = new ethers.JsonRpcProvider(rpc);
+    const abi = await new SomniaGasProfiler().loadABI(options.abi);
+
+    const replayer = new TransactionReplayer(provider, {
+      limit: options.limit,
+      blocks: options.blocks
+    });
+
+    const transactions = await replayer.collect({
+      txHashes: options.tx,
+      address: options.address,
+      fromBlock: options.fromBlock,
+      toBlock: options.toBlock
+    });
+
+    if (transactions.length === 0) {
+      throw new Error('No transactions found to replay');
+    }
+
+    const results = await replayer.replay(transactions, abi, {
+      rpc,
+      address: options.address,
+      opcodes: options.opcodes,
+      callTree: options.callTree,
+      includeReverted: options.includeReverted
+    });
+
+    if (Object.keys(results.results).length === 0) {
+      throw new Error('None of the transactions could be decoded with the given ABI');
+    }
+
+    const out = options.out || './replay_results.json';
+    await replayer.save(results, out);
+    console.log(chalk.gray(`   Report: somnia-gas-profiler report --in ${out}`));
+
+    return results;
+
+  } catch (error) {
+    throw new Error(`Replay command failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  replay
+};
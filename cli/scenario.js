@@ -0,0 +1,74 @@
+const chalk = require('chalk');
+
+// Load environment variables
+require('dotenv').config();
+
+const { ScenarioRunner } = require('../lib/scenario-runner');
+const { ForkManager } = require('../lib/fork-manager');
+const { SomniaGasProfiler } = require('../profiler');
+
+/**
+ * Run a multi-step scenario file and save per-step gas results
+ * Fails when any step exceeds its expected gas bounds
+ */
+async function runScenario(options) {
+  let fork = null;
+
+  try {
+    console.log(chalk.blue('🎬 Starting scenario profiling...\n'));
+
+    fork = await ForkManager.fromOptions(options);
+
+    const profiler = new SomniaGasProfiler();
+    await profiler.initialize(options.rpc || process.env.RPC_URL, process.env.PRIVATE_KEY, {
+      fork,
+      sender: options.impersonate
+    });
+
+    const runner = new ScenarioRunner(profiler, { fork });
+    const scenario = await runner.loadScenario(options.file);
+    const results = await runner.run(scenario, { runs: options.runs || 1 });
+
+    const out = options.out || './scenario_results.json';
+    await profiler.saveResults(out);
+
+    printSummary(results);
+    console.log(chalk.gray(`\n   Results: ${out}`));
+    console.log(chalk.gray(`   Report: somnia-gas-profiler report --in ${out}`));
+
+    const failed = results.assertions.filter(assertion => !assertion.passed);
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} gas expectation(s) failed`);
+    }
+
+    return results;
+
+  } catch (error) {
+    throw new Error(`Scenario command failed: ${error.message}`);
+  } finally {
+    if (fork) {
+      await fork.stop();
+    }
+  }
+}
+
+/**
+ * Print per-step gas and assertion outcomes
+ */
+function printSummary(results) {
+  console.log(chalk.blue('\n📊 Scenario Summary:'));
+
+  for (const [step, data] of Object.entries(results.results)) {
+    console.log(chalk.gray(`   ${step}: avg ${data.aggregated.avg.toLocaleString()} gas over ${data.aggregated.callCount} run(s)`));
+  }
+
+  if (results.assertions.length > 0) {
+    const passed = results.assertions.filter(assertion => assertion.passed).length;
+    const color = passed === results.assertions.length ? chalk.green : chalk.red;
+    console.log(color(`\n   Gas expectations: ${passed}/${results.assertions.length} passed`));
+  }
+}
+
+module.exports = {
+  runScenario
+};
@@ -0,0 +1,50 @@
+const chalk = require('chalk');
+
+const { SignatureDatabase } = require('../lib/signature-database');
+
+/**
+ * Import into and query the offline signature database
+ * Imports accept 4byte/openchain dumps, ABIs, database files and plain
+ * signature lists; lookups take selectors (functions, errors) or topics (events).
+ */
+async function signatures(options) {
+  try {
+    const database = options.db ? new SignatureDatabase({ dataPath: options.db }) : SignatureDatabase.getDefault();
+
+    for (const file of options.import || []) {
+      const counts = await database.importFile(file);
+      console.log(chalk.green(`✅ ${file}: ${counts.functions} functions, ${counts.events} events, ${counts.errors} errors added`)
+        + (counts.skipped > 0 ? chalk.gray(` (${counts.skipped} skipped)`) : ''));
+    }
+
+    if (await database.save()) {
+      console.log(chalk.gray(`   Saved to ${database.dataPath}`));
+    }
+
+    const found = {};
+    for (const hex of options.lookup || []) {
+      const kind = hex.length === 66 ? 'events' : 'functions';
+      const candidates = [...new Set([
+        ...(kind === 'functions' ? database.candidates('errors', hex) : []),
+        ...database.candidates(kind, hex)
+      ])];
+      found[hex] = candidates;
+
+      console.log(candidates.length > 0
+        ? `${chalk.cyan(hex)} ${candidates.join(chalk.gray(' | '))}`
+        : `${chalk.cyan(hex)} ${chalk.yellow('unknown')}`);
+    }
+
+    const stats = database.stats();
+    console.log(chalk.blue(`📚 ${stats.functions} functions, ${stats.events} events, ${stats.errors} errors in ${database.dataPath}`));
+
+    return { stats, found };
+
+  } catch (error) {
+    throw new Error(`Signatures command failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  signatures
+};
@@ -2,12 +2,16 @@ const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
 
+const { MetadataResolver } = require('./metadata-resolver');
+const { SomniaABIFetcher } = require('./somnia-abi-fetcher');
+
 /**
  * ABI Extractor for Somnia Gas Profiler
  * Handles ABI extraction from various sources
  */
 class ABIExtractor {
-  constructor() {
+  constructor(metadataResolver = new MetadataResolver()) {
+    this.metadataResolver = metadataResolver;
     this.commonABIs = new Map();
     this.loadCommonABIs();
   }
@@ -190,10 +194,13 @@ class ABIExtractor {
 
   /**
    * Extract ABI from bytecode metadata
+   * Resolves the metadata hash through the local store, IPFS gateway or
+   * Sourcify server configured on the metadata resolver.
    * @param {string} bytecode - Contract bytecode
+   * @param {Object} context - { address, chainId, provider } for Sourcify lookups
    * @returns {Promise<Array|null>} ABI array or null if extraction fails
    */
-  async extractFromBytecode(bytecode) {
+  async extractFromBytecode(bytecode, context = {}) {
     try {
       console.log(chalk.blue('🔍 Attempting to extract ABI from bytecode metadata...'));
 
@@ -203,23 +210,18 @@ class ABIExtractor {
         return null;
       }
 
-      // Extract metadata hash
-      const metadataHash = this.extractMetadataHash(bytecode);
-      if (!metadataHash) {
-        console.log(chalk.gray('   Could not extract metadata hash'));
+      const resolved = await this.metadataResolver.resolve(bytecode, context);
+      const { cbor } = resolved;
+      console.log(chalk.gray(`   Metadata hash: ${cbor.hash || 'none'}${cbor.solcVersion ? `, solc ${cbor.solcVersion}` : ''}${cbor.experimental ? ' (experimental)' : ''}`));
+
+      if (!resolved.abi) {
+        console.log(chalk.yellow('⚠️  Metadata not found in the local store or configured endpoints'));
         return null;
       }
 
-      console.log(chalk.gray(`   Metadata hash: ${metadataHash}`));
-      
-      // In a real implementation, you would:
-      // 1. Fetch metadata from IPFS using the hash
-      // 2. Parse the metadata JSON
-      // 3. Extract the ABI
-      
-      // For now, return null as IPFS access requires additional setup
-      console.log(chalk.yellow('⚠️  IPFS metadata fetching not implemented'));
-      return null;
+      const match = resolved.match === 'partial' ? ' (partial match)' : '';
+      console.log(chalk.green(`✅ ABI recovered from ${resolved.origin} metadata${match}: ${resolved.compiler.contractName || 'contract'} (${resolved.compiler.version})`));
+      return resolved.abi;
 
     } catch (error) {
       console.log(chalk.gray(`   Metadata extraction failed: ${error.message}`));
@@ -247,7 +249,7 @@ class ABIExtractor {
    * @returns {Promise<Array|null>} ABI array or null if detection fails
    */
   async autoDetectABI(options = {}) {
-    const { bytecode, address, filePath, standard } = options;
+    const { bytecode, address, filePath, standard, provider } = options;
 
     try {
       console.log(chalk.blue('🕵️  Auto-detecting ABI...'));
@@ -269,13 +271,13 @@ class ABIExtractor {
 
       // Try bytecode metadata
       if (bytecode) {
-        const abi = await this.extractFromBytecode(bytecode);
+        const abi = await this.extractFromBytecode(bytecode, { address, provider });
         if (abi) return abi;
       }
 
       // Try contract verification services (if address provided)
       if (address) {
-        const abi = await this.fetchFromVerificationService(address);
+        const abi = await this.fetchFromVerificationService(address, provider);
         if (abi) return abi;
       }
 
@@ -290,23 +292,15 @@ class ABIExtractor {
 
   /**
    * Fetch ABI from contract verification services
+   * Queries the explorers configured for the provider's chain (see SomniaABIFetcher).
    * @param {string} address - Contract address
+   * @param {Object} provider - Provider used to determine the chain
    * @returns {Promise<Array|null>} ABI array or null if not found
    */
-  async fetchFromVerificationService(address) {
+  async fetchFromVerificationService(address, provider = null) {
     try {
       console.log(chalk.blue(`🌐 Checking verification services for ${address}...`));
-
-      // Note: Somnia testnet may not have verification services yet
-      // This is a placeholder for when they become available
-      
-      // For Ethereum mainnet, you would use:
-      // - Etherscan API
-      // - Sourcify
-      // - Other verification services
-
-      console.log(chalk.gray('   No verification services configured for Somnia testnet'));
-      return null;
+      return await new SomniaABIFetcher({ provider }).fetchABI(address);
 
     } catch (error) {
       console.log(chalk.gray(`   Verification service lookup failed: ${error.message}`));
@@ -374,25 +368,18 @@ class ABIExtractor {
    * @returns {boolean} True if metadata is present
    */
   hasMetadata(bytecode) {
-    // Solidity metadata is usually at the end of bytecode
-    // It ends with the metadata length (2 bytes) and 0xa264
-    return bytecode.length > 100 && bytecode.endsWith('64736f6c63430008130033');
+    // solc appends a CBOR map followed by its 2-byte length
+    return MetadataResolver.decode(bytecode) !== null;
   }
 
   /**
    * Extract metadata hash from bytecode
    * @param {string} bytecode - Contract bytecode
-   * @returns {string|null} Metadata hash or null if not found
+   * @returns {string|null} IPFS CID or Swarm hash, or null if not found
    */
   extractMetadataHash(bytecode) {
-    try {
-      // Look for IPFS hash in metadata
-      // This is a simplified approach - real implementation would be more robust
-      const metadataMatch = bytecode.match(/1220([a-f0-9]{64})/);
-      return metadataMatch ? metadataMatch[1] : null;
-    } catch (error) {
-      return null;
-    }
+    const cbor = MetadataResolver.decode(bytecode);
+    return cbor ? cbor.hash : null;
   }
 
   /**
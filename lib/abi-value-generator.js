@@ -0,0 +1,163 @@
+const { ethers } = require('ethers');
+
+const TEST_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+/**
+ * ABI Value Generator for Somnia Gas Profiler
+ * Generates encodable test values for any ABI parameter: elementary types with
+ * their size limits (uintN/intN ranges, bytesN, function), structs with named
+ * components, fixed-size and dynamic arrays nested to any depth
+ */
+class AbiValueGenerator {
+  /**
+   * @param {Object} options - Generator options
+   * @param {number} options.arrayLength - Elements generated for dynamic arrays (default 1)
+   */
+  constructor(options = {}) {
+    this.arrayLength = options.arrayLength ?? 1;
+  }
+
+  /**
+   * Whether a parameter needs structural generation (tuple or array)
+   * @param {Object|string} param - ABI parameter or type string
+   * @returns {boolean}
+   */
+  static isComposite(param) {
+    const type = typeof param === 'string' ? param : param.type;
+    return type.endsWith(']') || type.startsWith('tuple');
+  }
+
+  /**
+   * Split the outermost array dimension off a type
+   * @param {string} type - e.g. "uint256[3][]"
+   * @returns {Object|null} { base: "uint256[3]", length: null } or null when not an array
+   */
+  static splitArray(type) {
+    const match = type.match(/^(.*)\[(\d*)\]$/);
+    if (!match) {
+      return null;
+    }
+    return { base: match[1], length: match[2] === '' ? null : parseInt(match[2]) };
+  }
+
+  /**
+   * Inclusive value range of an integer type
+   * @param {string} type - uintN or intN
+   * @returns {Object|null} { min, max } as BigInt, null for invalid sizes
+   */
+  static integerRange(type) {
+    const match = type.match(/^(u?)int(\d*)$/);
+    if (!match) {
+      return null;
+    }
+
+    const bits = match[2] === '' ? 256 : parseInt(match[2]);
+    if (bits < 8 || bits > 256 || bits % 8 !== 0) {
+      return null;
+    }
+
+    return match[1] === 'u'
+      ? { min: 0n, max: (1n << BigInt(bits)) - 1n }
+      : { min: -(1n << BigInt(bits - 1)), max: (1n << BigInt(bits - 1)) - 1n };
+  }
+
+  /**
+   * Generate arguments for a list of ABI inputs
+   * @param {Array<Object>} inputs - Function ABI inputs
+   * @param {string} contractType - Contract type for context
+   * @returns {Array} Generated arguments
+   */
+  generateArgs(inputs, contractType = 'Custom') {
+    return inputs.map(input => this.generate(input, contractType));
+  }
+
+  /**
+   * Generate a value for one ABI parameter
+   * @param {Object|string} param - ABI parameter { type, name, components } or type string
+   * @param {string} contractType - Contract type for context
+   * @returns {any} Value accepted by the ethers ABI coder
+   */
+  generate(param, contractType = 'Custom') {
+    const { type, name = '', components } = typeof param === 'string' ? { type: param } : param;
+
+    const array = AbiValueGenerator.splitArray(type);
+    if (array) {
+      const element = { type: array.base, name, components };
+      const length = array.length ?? this.arrayLength;
+      return Array.from({ length }, () => this.generate(element, contractType));
+    }
+
+    if (type === 'tuple') {
+      return this.generateTuple(components || [], contractType);
+    }
+
+    return this.generateElementary(type, name, contractType);
+  }
+
+  /**
+   * Struct value: an object keyed by component name when every component is named
+   */
+  generateTuple(components, contractType) {
+    const values = components.map(component => this.generate(component, contractType));
+
+    if (components.length > 0 && components.every(component => component.name)) {
+      return Object.fromEntries(components.map((component, index) => [component.name, values[index]]));
+    }
+    return values;
+  }
+
+  generateElementary(type, name, contractType) {
+    const lowerName = name.toLowerCase();
+
+    if (type === 'address') {
+      if (lowerName.includes('to') || lowerName.includes('recipient')) {
+        return TEST_ADDRESS;
+      }
+      return ethers.ZeroAddress;
+    }
+
+    if (type === 'bool') {
+      return true;
+    }
+
+    if (type === 'string') {
+      if (contractType === 'ERC721' && lowerName.includes('uri')) {
+        return 'https://example.com/token/1';
+      }
+      return 'test string';
+    }
+
+    if (type === 'bytes') {
+      return '0x1234';
+    }
+
+    // External function pointer: 20-byte address followed by a 4-byte selector
+    if (type === 'function') {
+      return TEST_ADDRESS + '12345678';
+    }
+
+    const fixedBytes = type.match(/^bytes(\d+)$/);
+    if (fixedBytes) {
+      const size = parseInt(fixedBytes[1]);
+      return size >= 1 && size <= 32 ? '0x' + '12'.repeat(size) : '0';
+    }
+
+    const range = AbiValueGenerator.integerRange(type);
+    if (range) {
+      let value = 100n;
+      if (type.startsWith('uint') && contractType === 'ERC20' && (lowerName.includes('amount') || lowerName.includes('value'))) {
+        value = 10n ** 18n; // 1 token (18 decimals)
+      } else if (type.startsWith('uint') && lowerName.includes('id')) {
+        value = 1n;
+      }
+      return (value > range.max ? range.max : value).toString();
+    }
+
+    // Unknown or malformed type
+    return '0';
+  }
+}
+
+module.exports = {
+  AbiValueGenerator
+};
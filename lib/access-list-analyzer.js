@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+
+// EIP-2930 intrinsic cost of each access list entry
+const ADDRESS_COST = 2400;
+const STORAGE_KEY_COST = 1900;
+
+// Precompiles are always warm (EIP-2929), so listing them only adds cost
+const PRECOMPILES = new Set(Array.from({ length: 10 }, (_, i) => ethers.toBeHex(i + 1, 20)));
+
+/**
+ * Access List Analyzer for Somnia Gas Profiler
+ * Builds EIP-2930 access lists for calls and measures whether attaching them saves gas
+ */
+class AccessListAnalyzer {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Build an access list for a call, via eth_createAccessList or, when the node
+   * lacks it, from a prestateTracer trace of the call
+   * @param {Object} txData - Call data ({ from, to, data, value })
+   * @param {string} blockTag - Block to execute against
+   * @returns {Promise<Object|null>} { accessList, source } or null if neither is supported
+   */
+  async createAccessList(txData, blockTag = 'latest') {
+    try {
+      const result = await this.provider.send('eth_createAccessList', [txData, blockTag]);
+      if (!result || !Array.isArray(result.accessList)) {
+        throw new Error('Node returned no access list');
+      }
+      return { accessList: this.normalize(result.accessList), source: 'eth_createAccessList' };
+    } catch (error) {
+      try {
+        const prestate = await this.provider.send('debug_traceCall', [txData, blockTag, { tracer: 'prestateTracer' }]);
+        return { accessList: this.deriveFromPrestate(prestate, txData), source: 'prestateTracer' };
+      } catch (traceError) {
+        console.log(chalk.yellow(`    ⚠️  Access list unavailable: ${error.message.substring(0, 80)}`));
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Derive an access list from the accounts and slots a prestateTracer touched
+   * The sender and precompiles are warm anyway; the target is only kept for its storage keys.
+   * @param {Object} prestate - prestateTracer result keyed by address
+   * @param {Object} txData - Traced call ({ from, to })
+   * @returns {Array<Object>} Access list
+   */
+  deriveFromPrestate(prestate, txData) {
+    const from = txData.from ? txData.from.toLowerCase() : null;
+    const to = txData.to ? txData.to.toLowerCase() : null;
+
+    const accessList = Object.entries(prestate || {})
+      .filter(([address]) => address.toLowerCase() !== from && !PRECOMPILES.has(address.toLowerCase()))
+      .map(([address, account]) => ({ address, storageKeys: Object.keys((account && account.storage) || {}) }))
+      .filter(entry => entry.address.toLowerCase() !== to || entry.storageKeys.length > 0);
+
+    return this.normalize(accessList);
+  }
+
+  /**
+   * Checksum addresses and pad storage keys to 32 bytes
+   * @param {Array<Object>} accessList - Raw access list
+   * @returns {Array<Object>} Normalized access list
+   */
+  normalize(accessList) {
+    return accessList.map(entry => ({
+      address: ethers.getAddress(entry.address),
+      storageKeys: (entry.storageKeys || []).map(key => ethers.zeroPadValue(key, 32))
+    }));
+  }
+
+  /**
+   * Estimate a call's gas with and without an access list against the same state
+   * Used when the call cannot be re-run from a snapshot.
+   * @param {Object} txData - Call data ({ from, to, data, value })
+   * @param {Array<Object>} accessList - Access list to attach
+   * @returns {Promise<Object>} { gasWithout, gasWith }
+   */
+  async estimate(txData, accessList) {
+    const gasWithout = await this.provider.estimateGas(txData);
+    const gasWith = await this.provider.estimateGas({ ...txData, type: 1, accessList });
+    return { gasWithout: Number(gasWithout), gasWith: Number(gasWith) };
+  }
+
+  /**
+   * Describe the gas delta of attaching an access list
+   * @param {Object} list - Result of createAccessList
+   * @param {number} gasWithout - Gas without the access list
+   * @param {number} gasWith - Gas with the access list attached
+   * @param {string} method - 'mined' (re-run from a snapshot) or 'estimate'
+   * @returns {Object} Access list, its intrinsic cost and the measured savings
+   */
+  compare(list, gasWithout, gasWith, method) {
+    const storageKeys = list.accessList.reduce((sum, entry) => sum + entry.storageKeys.length, 0);
+    const savings = gasWithout - gasWith;
+
+    return {
+      source: list.source,
+      method,
+      addresses: list.accessList.length,
+      storageKeys,
+      listCost: list.accessList.length * ADDRESS_COST + storageKeys * STORAGE_KEY_COST,
+      gasWithout,
+      gasWith,
+      savings,
+      savingsPercent: gasWithout > 0 ? Math.round(savings / gasWithout * 10000) / 100 : 0,
+      accessList: list.accessList
+    };
+  }
+
+  /**
+   * Average the access list measurements of a function's runs
+   * @param {Array<Object>} measurements - compare() results
+   * @returns {Object|null} Averages, or null when no run was measured
+   */
+  aggregate(measurements) {
+    const measured = measurements.filter(Boolean);
+    if (measured.length === 0) {
+      return null;
+    }
+
+    const average = key => Math.round(measured.reduce((sum, m) => sum + m[key], 0) / measured.length);
+    const gasWithout = average('gasWithout');
+    const savings = average('savings');
+    const last = measured[measured.length - 1];
+
+    return {
+      source: last.source,
+      method: last.method,
+      runs: measured.length,
+      addresses: last.addresses,
+      storageKeys: last.storageKeys,
+      listCost: last.listCost,
+      gasWithout,
+      gasWith: average('gasWith'),
+      savings,
+      savingsPercent: gasWithout > 0 ? Math.round(savings / gasWithout * 10000) / 100 : 0,
+      worthIt: savings > 0,
+      accessList: last.accessList
+    };
+  }
+}
+
+module.exports = {
+  AccessListAnalyzer,
+  ADDRESS_COST,
+  STORAGE_KEY_COST
+};
@@ -3,16 +3,38 @@ const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
 const { ContractStateAnalyzer } = require('./contract-state-analyzer');
+const { AbiValueGenerator } = require('./abi-value-generator');
+const { SignatureDatabase } = require('./signature-database');
+const { DispatcherAnalyzer } = require('./dispatcher-analyzer');
+const { MetadataResolver } = require('./metadata-resolver');
+
+// EIP-170 runtime code and EIP-3860 initcode size limits
+const MAX_RUNTIME_SIZE = 24576;
+const MAX_INITCODE_SIZE = 49152;
+
+const TX_BASE_GAS = 21000;
+const CREATE_GAS = 32000;
+const CODE_DEPOSIT_GAS_PER_BYTE = 200;
+const INITCODE_WORD_GAS = 2;
+const CALLDATA_ZERO_BYTE_GAS = 4;
+const CALLDATA_NONZERO_BYTE_GAS = 16;
 
 /**
  * Bytecode Processor for Somnia Gas Profiler
  * Handles bytecode loading, validation, and deployment
  */
 class BytecodeProcessor {
-  constructor(provider, wallet) {
+  /**
+   * @param {Provider} provider - Provider for deployments and state reads
+   * @param {Wallet} wallet - Deployer and default sender
+   * @param {Object} options - { historyBlocks: blocks of events to harvest arguments from }
+   */
+  constructor(provider, wallet, options = {}) {
     this.provider = provider;
     this.wallet = wallet;
-    this.stateAnalyzer = new ContractStateAnalyzer(provider, wallet);
+    this.stateAnalyzer = new ContractStateAnalyzer(provider, wallet, { historyBlocks: options.historyBlocks });
+    this.valueGenerator = new AbiValueGenerator();
+    this.metadataResolver = new MetadataResolver();
   }
 
   /**
@@ -35,7 +57,7 @@ class BytecodeProcessor {
       // Try to extract ABI from bytecode metadata if not provided
       if (!abi) {
         console.log(chalk.yellow('⚠️  No ABI provided, attempting to extract from bytecode metadata...'));
-        abi = this.extractABIFromBytecode(bytecode);
+        abi = await this.extractABIFromBytecode(bytecode);
         
         if (!abi || abi.length === 0) {
           console.log(chalk.yellow('⚠️  Could not extract ABI from bytecode. Using minimal interface.'));
@@ -52,7 +74,8 @@ class BytecodeProcessor {
         abi: abi,
         bytecode: bytecode,
         source: 'bytecode',
-        functions: this.extractFunctionSignatures(abi)
+        functions: this.extractFunctionSignatures(abi),
+        deployment: deployedContract.deployment
       };
 
     } catch (error) {
@@ -110,7 +133,7 @@ class BytecodeProcessor {
       console.log(chalk.blue('🚀 Deploying contract to Somnia testnet...'));
 
       // Create contract factory
-      const factory = new ethers.ContractFactory(abi, bytecode, this.wallet);
+      const factory = new ethers.ContractFactory(DispatcherAnalyzer.toFragments(abi), bytecode, this.wallet);
 
       // Deploy contract
       const contract = await factory.deploy(...constructorArgs);
@@ -119,10 +142,23 @@ class BytecodeProcessor {
       const address = await contract.getAddress();
       console.log(chalk.green(`✅ Contract deployed at: ${address}`));
 
+      const deploymentTx = contract.deploymentTransaction();
+      const receipt = await deploymentTx.wait();
+      const runtimeCode = await this.provider.getCode(address);
+      const deployment = this.analyzeDeployment(deploymentTx, receipt, runtimeCode);
+
+      console.log(chalk.gray(`   Deployment gas: ${deployment.gasUsed.toLocaleString()} (constructor ${deployment.constructorExecution.toLocaleString()}, code deposit ${deployment.codeDeposit.toLocaleString()})`));
+      for (const [name, limit] of Object.entries(deployment.limits)) {
+        if (limit.exceeds) {
+          console.log(chalk.red(`   ⚠️  ${name} size ${limit.size} bytes exceeds the ${limit.eip} limit of ${limit.limit} bytes`));
+        }
+      }
+
       return {
         contract: contract,
         address: address,
-        deploymentTx: contract.deploymentTransaction()
+        deploymentTx,
+        deployment
       };
 
     } catch (error) {
@@ -130,6 +166,107 @@ class BytecodeProcessor {
     }
   }
 
+  /**
+   * Split deployment gas into intrinsic, constructor execution and code deposit cost
+   * @param {Object} deploymentTx - Contract creation transaction ({ data, hash })
+   * @param {Object} receipt - Its receipt ({ gasUsed, blockNumber })
+   * @param {string} runtimeCode - Deployed runtime code (eth_getCode)
+   * @returns {Object} Deployment gas breakdown and size limits
+   */
+  analyzeDeployment(deploymentTx, receipt, runtimeCode) {
+    const initcodeSize = this.byteLength(deploymentTx.data);
+    const runtimeSize = this.byteLength(runtimeCode);
+    const gasUsed = Number(receipt.gasUsed);
+
+    const intrinsic = {
+      base: TX_BASE_GAS,
+      create: CREATE_GAS,
+      calldata: this.calldataGas(deploymentTx.data),
+      initcodeWords: INITCODE_WORD_GAS * Math.ceil(initcodeSize / 32)
+    };
+    intrinsic.total = intrinsic.base + intrinsic.create + intrinsic.calldata + intrinsic.initcodeWords;
+
+    const codeDeposit = CODE_DEPOSIT_GAS_PER_BYTE * runtimeSize;
+
+    return {
+      txHash: deploymentTx.hash || null,
+      blockNumber: receipt.blockNumber || null,
+      gasUsed,
+      intrinsic,
+      // Whatever is left after the fixed costs was spent running the constructor
+      constructorExecution: Math.max(gasUsed - intrinsic.total - codeDeposit, 0),
+      codeDeposit,
+      runtimeSize,
+      initcodeSize,
+      limits: {
+        runtime: this.sizeLimit(runtimeSize, MAX_RUNTIME_SIZE, 'EIP-170'),
+        initcode: this.sizeLimit(initcodeSize, MAX_INITCODE_SIZE, 'EIP-3860')
+      }
+    };
+  }
+
+  /**
+   * Intrinsic calldata gas (4 per zero byte, 16 per non-zero byte)
+   * @param {string} data - Hex data
+   * @returns {number} Gas
+   */
+  calldataGas(data) {
+    return BytecodeProcessor.analyzeCalldata(data).calldataGas;
+  }
+
+  /**
+   * Intrinsic gas of a call: base transaction cost plus zero and non-zero calldata bytes
+   * @param {string} data - Calldata hex
+   * @param {number} gasUsed - Gas the call used, to express the shares (optional)
+   * @returns {Object} Byte counts, their gas and, with gasUsed, the share of total gas
+   */
+  static analyzeCalldata(data, gasUsed = null) {
+    const hex = (data || '').replace(/^0x/, '');
+    let zeroBytes = 0;
+
+    for (let i = 0; i < hex.length; i += 2) {
+      if (hex.slice(i, i + 2) === '00') {
+        zeroBytes++;
+      }
+    }
+
+    const bytes = Math.floor(hex.length / 2);
+    const nonZeroBytes = bytes - zeroBytes;
+    const zeroByteGas = zeroBytes * CALLDATA_ZERO_BYTE_GAS;
+    const nonZeroByteGas = nonZeroBytes * CALLDATA_NONZERO_BYTE_GAS;
+    const calldataGas = zeroByteGas + nonZeroByteGas;
+    const share = value => (gasUsed > 0 ? Math.round(value / gasUsed * 10000) / 100 : null);
+
+    return {
+      base: TX_BASE_GAS,
+      bytes,
+      zeroBytes,
+      nonZeroBytes,
+      zeroByteGas,
+      nonZeroByteGas,
+      calldataGas,
+      total: TX_BASE_GAS + calldataGas,
+      ...(gasUsed > 0 && {
+        calldataShare: share(calldataGas),
+        intrinsicShare: share(TX_BASE_GAS + calldataGas)
+      })
+    };
+  }
+
+  byteLength(hex) {
+    return Math.floor((hex || '').replace(/^0x/, '').length / 2);
+  }
+
+  sizeLimit(size, limit, eip) {
+    return {
+      size,
+      limit,
+      eip,
+      percent: Math.round(size / limit * 10000) / 100,
+      exceeds: size > limit
+    };
+  }
+
   /**
    * Validate bytecode format
    * @param {string} bytecode - Bytecode to validate
@@ -147,55 +284,53 @@ class BytecodeProcessor {
 
   /**
    * Extract ABI from bytecode metadata (if available)
+   * Looks the CBOR metadata hash up in the local metadata store and IPFS gateway.
    * @param {string} bytecode - Contract bytecode
-   * @returns {Array|null} Extracted ABI or null
+   * @returns {Promise<Array|null>} Extracted ABI or null
    */
-  extractABIFromBytecode(bytecode) {
+  async extractABIFromBytecode(bytecode) {
     try {
-      // Look for metadata hash at the end of bytecode
-      // Solidity embeds metadata hash in last 53 bytes
-      if (bytecode.length < 106) { // 53 bytes * 2 + 2 for 0x
+      const resolved = await this.metadataResolver.resolve(bytecode);
+      if (!resolved) {
+        console.log(chalk.gray('   No extractable metadata found'));
         return null;
       }
 
-      // Extract potential metadata hash
-      const metadataLength = parseInt(bytecode.slice(-4), 16) * 2;
-      if (metadataLength > bytecode.length - 4) {
+      if (!resolved.abi) {
+        console.log(chalk.gray(`   Metadata ${resolved.cbor.hash || '(no hash)'} not found in the metadata store`));
         return null;
       }
 
-      // For now, return null as full metadata extraction requires IPFS
-      // In a real implementation, you would fetch metadata from IPFS
-      console.log(chalk.gray('   Metadata hash detected but ABI extraction requires IPFS access'));
-      return null;
+      console.log(chalk.green(`✅ ABI recovered from ${resolved.origin} metadata (${resolved.compiler.contractName || 'contract'}, solc ${resolved.compiler.solcVersion})`));
+      return resolved.abi;
 
     } catch (error) {
-      console.log(chalk.gray('   No extractable metadata found'));
+      console.log(chalk.gray(`   Metadata extraction failed: ${error.message}`));
       return null;
     }
   }
 
   /**
    * Generate minimal ABI from bytecode analysis
+   * Walks the runtime dispatcher for selectors with inferred parameter types and
+   * state mutability; falls back to scanning PUSH4 constants when no dispatcher
+   * is found (e.g. creation bytecode).
    * @param {string} bytecode - Contract bytecode
    * @returns {Array} Minimal ABI with detected functions
    */
   generateMinimalABI(bytecode) {
     console.log(chalk.gray('   Generating minimal ABI from bytecode analysis...'));
     
-    // Extract function selectors from bytecode
-    const selectors = this.extractFunctionSelectors(bytecode);
-    
-    // Generate basic ABI entries for detected selectors
-    const abi = selectors.map(selector => ({
-      type: 'function',
-      name: `function_${selector}`,
-      inputs: [], // Cannot determine inputs from bytecode alone
-      outputs: [],
-      stateMutability: 'nonpayable'
-    }));
-
-    console.log(chalk.gray(`   Generated minimal ABI with ${abi.length} function entries`));
+    let abi = new DispatcherAnalyzer().recoverABI(bytecode);
+    if (abi.length > 0) {
+      console.log(chalk.gray(`   Recovered ${abi.length} functions from the dispatcher`));
+    } else {
+      // Name the selectors the signature database knows; the rest stay function_<selector>
+      abi = SignatureDatabase.getDefault().nameSelectors(this.extractFunctionSelectors(bytecode));
+    }
+
+    const named = abi.filter(entry => !entry.name.startsWith('function_')).length;
+    console.log(chalk.gray(`   Generated minimal ABI with ${abi.length} function entries (${named} named from the signature database)`));
     return abi;
   }
 
@@ -361,13 +496,7 @@ class BytecodeProcessor {
    * @returns {Array} Generated arguments
    */
   generateArgsForFunction(funcABI, contractType) {
-    const args = [];
-
-    for (const input of funcABI.inputs) {
-      args.push(this.generateValueForType(input.type, input.name, contractType));
-    }
-
-    return args;
+    return this.valueGenerator.generateArgs(funcABI.inputs, contractType);
   }
 
   /**
@@ -375,63 +504,11 @@ class BytecodeProcessor {
    * @param {string} type - Solidity type
    * @param {string} name - Parameter name
    * @param {string} contractType - Contract type for context
+   * @param {Array} components - Tuple components, for struct types
    * @returns {any} Generated value
    */
-  generateValueForType(type, name, contractType) {
-    // Address types
-    if (type === 'address') {
-      if (name.includes('to') || name.includes('recipient')) {
-        return '0x742d35Cc6634C0532925a3b8D6c6C0c1f528d15'; // Test address
-      }
-      return ethers.ZeroAddress;
-    }
-
-    // Boolean types
-    if (type === 'bool') {
-      return true;
-    }
-
-    // String types
-    if (type === 'string') {
-      if (contractType === 'ERC721' && name.includes('uri')) {
-        return 'https://example.com/token/1';
-      }
-      return 'test string';
-    }
-
-    // Bytes types
-    if (type.startsWith('bytes')) {
-      if (type === 'bytes') {
-        return '0x1234';
-      }
-      const size = parseInt(type.replace('bytes', ''));
-      return '0x' + '12'.repeat(size);
-    }
-
-    // Uint types
-    if (type.startsWith('uint')) {
-      if (contractType === 'ERC20' && (name.includes('amount') || name.includes('value'))) {
-        return '1000000000000000000'; // 1 token (18 decimals)
-      }
-      if (name.includes('id') || name.includes('tokenId')) {
-        return '1';
-      }
-      return '100';
-    }
-
-    // Int types
-    if (type.startsWith('int')) {
-      return '100';
-    }
-
-    // Array types
-    if (type.endsWith('[]')) {
-      const baseType = type.slice(0, -2);
-      return [this.generateValueForType(baseType, name, contractType)];
-    }
-
-    // Default fallback
-    return '0';
+  generateValueForType(type, name, contractType, components = undefined) {
+    return this.valueGenerator.generate({ type, name, components }, contractType);
   }
 }
 
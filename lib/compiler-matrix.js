@@ -0,0 +1,346 @@
+const fs = require('fs').promises;
+const chalk = require('chalk');
+const { table } = require('table');
+const { ContractCompiler } = require('./contract-compiler');
+
+/**
+ * Compiler Matrix for Somnia Gas Profiler
+ * Compiles one source under a grid of compiler settings (optimizer runs, viaIR,
+ * solc version), deploys every variant, profiles the same calls against each and
+ * picks the cheapest configuration for a weighted call mix
+ *
+ * Call mix: "transfer=70,approve=25,mint=5" weights calls by expected frequency.
+ * Without one, every state-changing function is weighted equally.
+ */
+class CompilerMatrix {
+  /**
+   * @param {Object} options - Matrix options
+   * @param {ContractCompiler} options.compiler - Compiler used for every variant
+   * @param {number} options.runs - Profiling runs per function and variant (default 3)
+   * @param {Object} options.callMix - { <function name or signature>: weight }
+   * @param {Object} options.settings - Compiler settings shared by every variant ({ optimizer, evmVersion })
+   */
+  constructor(options = {}) {
+    this.compiler = options.compiler || new ContractCompiler();
+    this.runs = options.runs || 3;
+    this.callMix = options.callMix || null;
+    this.settings = options.settings || {};
+  }
+
+  /**
+   * Parse a comma separated list of settings values
+   * @param {string|Array} value - "1,200,10000" or an array
+   * @param {string} type - 'number', 'boolean' or 'string'
+   * @returns {Array} Parsed values
+   */
+  static parseList(value, type = 'string') {
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(item => item.length > 0);
+
+    return items.map(item => {
+      if (type === 'number') {
+        const number = Number(item);
+        if (!Number.isInteger(number) || number < 0) {
+          throw new Error(`Invalid optimizer runs value "${item}"`);
+        }
+        return number;
+      }
+      if (type === 'boolean') {
+        if (!['true', 'false'].includes(item.toLowerCase())) {
+          throw new Error(`Invalid viaIR value "${item}" (expected true or false)`);
+        }
+        return item.toLowerCase() === 'true';
+      }
+      return item;
+    });
+  }
+
+  /**
+   * Parse a call mix string
+   * @param {string} value - "transfer=70,approve=30"
+   * @returns {Object|null} { <function>: weight } or null when empty
+   */
+  static parseCallMix(value) {
+    if (!value) {
+      return null;
+    }
+
+    const mix = {};
+    for (const entry of String(value).split(/,(?![^(]*\))/)) {
+      const match = entry.trim().match(/^(.+)=(\d+(?:\.\d+)?)$/);
+      if (!match || Number(match[2]) <= 0) {
+        throw new Error(`Invalid call mix entry "${entry.trim()}" (expected <function>=<weight>)`);
+      }
+      mix[match[1].trim()] = Number(match[2]);
+    }
+    return mix;
+  }
+
+  /**
+   * Every combination of the given settings
+   * @param {Object} axes - { optimizationRuns: [], viaIR: [], solcVersions: [] }
+   * @returns {Array<Object>} [{ label, solcVersion, optimizationRuns, viaIR }]
+   */
+  buildGrid(axes) {
+    const grid = [];
+
+    for (const solcVersion of axes.solcVersions) {
+      for (const viaIR of axes.viaIR) {
+        for (const optimizationRuns of axes.optimizationRuns) {
+          grid.push({
+            label: `${solcVersion} runs=${optimizationRuns}${viaIR ? ' viaIR' : ''}`,
+            solcVersion,
+            optimizationRuns,
+            viaIR
+          });
+        }
+      }
+    }
+
+    if (grid.length === 0) {
+      throw new Error('Compiler matrix is empty');
+    }
+    return grid;
+  }
+
+  /**
+   * Functions to profile and their call mix weights
+   * @param {Array} abi - Contract ABI
+   * @returns {Array<Object>} [{ signature, fullSignature, fragment, weight }]
+   */
+  resolveFunctions(abi) {
+    const functions = abi.filter(item => item.type === 'function');
+    const signatureOf = fragment => `${fragment.name}(${fragment.inputs.map(input => input.type).join(',')})`;
+
+    if (!this.callMix) {
+      const mutating = functions.filter(fragment => !['view', 'pure'].includes(fragment.stateMutability));
+      if (mutating.length === 0) {
+        throw new Error('Contract has no state-changing functions to profile (pass a call mix)');
+      }
+      return mutating.map(fragment => ({
+        signature: signatureOf(fragment),
+        fullSignature: signatureOf(fragment),
+        fragment,
+        weight: 1
+      }));
+    }
+
+    return Object.entries(this.callMix).map(([key, weight]) => {
+      const fragment = functions.find(item => signatureOf(item) === key || item.name === key);
+      if (!fragment) {
+        throw new Error(`Call mix function '${key}' not found in ABI`);
+      }
+      return { signature: key, fullSignature: signatureOf(fragment), fragment, weight };
+    });
+  }
+
+  /**
+   * Compile, deploy and profile every variant of the grid
+   * @param {SomniaGasProfiler} profiler - Initialized profiler
+   * @param {BytecodeProcessor} deployer - Deploys variants and generates call arguments
+   * @param {string} sourceCode - Solidity source
+   * @param {string} contractName - Contract to compile
+   * @param {Array<Object>} grid - Settings from buildGrid
+   * @param {Object} options - { constructorArgs, gasless }
+   * @returns {Promise<Object>} Matrix results
+   */
+  async run(profiler, deployer, sourceCode, contractName, grid, options = {}) {
+    const { constructorArgs = [], gasless = false } = options;
+    const variants = [];
+    let functions = null;
+    let callArgs = null;
+
+    for (const [index, settings] of grid.entries()) {
+      console.log(chalk.blue(`\n🧮 Variant ${index + 1}/${grid.length}: ${settings.label}`));
+      const variant = {
+        label: settings.label,
+        settings: {
+          ...this.settings,
+          solcVersion: settings.solcVersion,
+          optimizationRuns: settings.optimizationRuns,
+          viaIR: settings.viaIR
+        },
+        functions: {}
+      };
+      variants.push(variant);
+
+      let compilation;
+      try {
+        compilation = await this.compiler.compileSource(sourceCode, contractName, variant.settings);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Skipping ${settings.label}: ${error.message}`));
+        variant.error = `Compilation failed: ${error.message}`;
+        continue;
+      }
+
+      // Every variant has the same ABI, so the calls and their arguments are fixed once
+      if (!functions) {
+        functions = this.resolveFunctions(compilation.abi);
+        const contractType = deployer.detectContractType(compilation.abi);
+        callArgs = functions.map(func => deployer.generateArgsForFunction(func.fragment, contractType));
+      }
+
+      variant.compiler = compilation.compiler;
+      variant.initcodeSize = this.byteLength(compilation.bytecode);
+      variant.bytecodeSize = this.byteLength(compilation.deployedBytecode);
+
+      let deployment;
+      try {
+        deployment = await deployer.deployBytecode(compilation.bytecode, compilation.abi, constructorArgs);
+        variant.address = deployment.address;
+        variant.deploymentGas = deployment.deployment.gasUsed;
+        variant.codeDeposit = deployment.deployment.codeDeposit;
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Skipping ${settings.label}: ${error.message}`));
+        variant.error = `Deployment failed: ${error.message}`;
+        continue;
+      }
+
+      for (const [i, func] of functions.entries()) {
+        try {
+          const result = await profiler.profileFunction(deployment.contract, func, callArgs[i], this.runs, gasless);
+          variant.functions[func.fullSignature] = {
+            avg: result.aggregated.avg,
+            min: result.aggregated.min,
+            max: result.aggregated.max
+          };
+        } catch (error) {
+          console.log(chalk.yellow(`⚠️  ${func.fullSignature} failed: ${error.message}`));
+          variant.functions[func.fullSignature] = { error: error.message };
+        }
+      }
+
+      variant.weightedGas = this.weightedGas(variant, functions);
+    }
+
+    if (!functions) {
+      throw new Error('No compiler configuration compiled successfully');
+    }
+
+    return {
+      contractName,
+      runs: this.runs,
+      callMix: Object.fromEntries(functions.map(func => [func.fullSignature, func.weight])),
+      variants,
+      ...this.pickCheapest(variants)
+    };
+  }
+
+  /**
+   * Expected gas per call under the call mix
+   * @param {Object} variant - Profiled variant
+   * @param {Array<Object>} functions - Functions with weights
+   * @returns {number|null} Weighted average, null if any mixed call failed
+   */
+  weightedGas(variant, functions) {
+    let weighted = 0;
+    let totalWeight = 0;
+
+    for (const func of functions) {
+      const gas = variant.functions[func.fullSignature];
+      if (!gas || gas.avg === undefined) {
+        return null;
+      }
+      weighted += gas.avg * func.weight;
+      totalWeight += func.weight;
+    }
+
+    return totalWeight > 0 ? Math.round(weighted / totalWeight) : null;
+  }
+
+  /**
+   * Cheapest variant for the call mix and cheapest to deploy
+   * @param {Array<Object>} variants - Profiled variants
+   * @returns {Object} { cheapest, cheapestDeployment } labels (null when none qualify)
+   */
+  pickCheapest(variants) {
+    const lowest = (key) => variants
+      .filter(variant => typeof variant[key] === 'number')
+      .reduce((best, variant) => (!best || variant[key] < best[key] ? variant : best), null);
+
+    const cheapest = lowest('weightedGas');
+    const cheapestDeployment = lowest('deploymentGas');
+
+    return {
+      cheapest: cheapest ? cheapest.label : null,
+      cheapestDeployment: cheapestDeployment ? cheapestDeployment.label : null
+    };
+  }
+
+  byteLength(hex) {
+    if (!hex || typeof hex !== 'string') return null;
+    return (hex.length - (hex.startsWith('0x') ? 2 : 0)) / 2;
+  }
+
+  /**
+   * Render the matrix as a table with the cheapest configuration highlighted
+   * @param {Object} matrix - Results from run()
+   * @returns {string} Rendered report
+   */
+  generateReport(matrix) {
+    const signatures = Object.keys(matrix.callMix);
+    const format = value => (typeof value === 'number' ? value.toLocaleString() : '—');
+
+    const rows = [[
+      'Settings', 'Deploy Gas', 'Runtime Size', ...signatures, 'Weighted Gas/Call'
+    ].map(header => chalk.bold(header))];
+
+    for (const variant of matrix.variants) {
+      const row = [
+        variant.label,
+        format(variant.deploymentGas),
+        typeof variant.bytecodeSize === 'number' ? `${variant.bytecodeSize.toLocaleString()} B` : '—',
+        ...signatures.map(signature => {
+          const gas = variant.functions[signature];
+          return gas && gas.avg !== undefined ? format(gas.avg) : chalk.red(variant.error ? 'n/a' : 'failed');
+        }),
+        format(variant.weightedGas)
+      ];
+
+      if (variant.label === matrix.cheapest) {
+        rows.push(row.map(cell => chalk.green.bold(cell)));
+      } else if (variant.error) {
+        rows.push(row.map(cell => chalk.gray(cell)));
+      } else {
+        rows.push(row);
+      }
+    }
+
+    const weights = Object.entries(matrix.callMix).map(([signature, weight]) => `${signature}=${weight}`).join(', ');
+    let output = chalk.cyan('\n🧮 Compiler Settings Matrix\n');
+    output += chalk.gray(`Call mix: ${weights}\n`);
+    output += table(rows);
+
+    if (matrix.cheapest) {
+      const best = matrix.variants.find(variant => variant.label === matrix.cheapest);
+      output += chalk.green(`🏆 Cheapest for this call mix: ${best.label} (${format(best.weightedGas)} gas/call)\n`);
+    }
+    if (matrix.cheapestDeployment && matrix.cheapestDeployment !== matrix.cheapest) {
+      const best = matrix.variants.find(variant => variant.label === matrix.cheapestDeployment);
+      output += chalk.gray(`   Cheapest to deploy: ${best.label} (${format(best.deploymentGas)} gas)\n`);
+    }
+
+    for (const variant of matrix.variants.filter(item => item.error)) {
+      output += chalk.yellow(`⚠️  ${variant.label}: ${variant.error}\n`);
+    }
+
+    return output;
+  }
+
+  /**
+   * Save matrix results as JSON
+   * @param {Object} matrix - Results from run()
+   * @param {string} outputPath - Output file path
+   */
+  async save(matrix, outputPath) {
+    await fs.writeFile(outputPath, JSON.stringify({
+      timestamp: new Date().toISOString(),
+      matrix
+    }, null, 2));
+  }
+}
+
+module.exports = {
+  CompilerMatrix
+};
@@ -0,0 +1,17 @@
+const fs = require('fs').promises;
+const yaml = require('js-yaml');
+
+/**
+ * Read a JSON or YAML file (YAML for .yml and .yaml extensions)
+ * Used for gas budgets and scenarios.
+ * @param {string} filePath - File path
+ * @returns {Promise<*>} Parsed content
+ */
+async function readConfigFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  return /\.ya?ml$/i.test(filePath) ? yaml.load(content) : JSON.parse(content);
+}
+
+module.exports = {
+  readConfigFile
+};
@@ -18,7 +18,7 @@ class ContractCompiler {
    * Compile Solidity source code
    * @param {string} sourceCode - Solidity source code
    * @param {string} contractName - Name of the contract to compile
-   * @param {Object} options - Compilation options
+   * @param {Object} options - { solcVersion, optimizer (default true), optimizationRuns, viaIR, evmVersion }
    * @returns {Promise<Object>} Compilation result with bytecode and ABI
    */
   async compileSource(sourceCode, contractName, options = {}) {
@@ -48,6 +48,13 @@ class ContractCompiler {
         throw new Error('All compilation methods failed');
       }
 
+      // Keep the source alongside the runtime source map for line-level attribution
+      if (result.sourceMap && result.sourceId !== null && result.sourceId !== undefined) {
+        result.sources = {
+          [result.sourceId]: { path: `${contractName}.sol`, content: sourceCode }
+        };
+      }
+
       console.log(chalk.green(`✅ Successfully compiled ${contractName}`));
       return result;
 
@@ -93,10 +100,10 @@ class ContractCompiler {
 src = "."
 out = "out"
 libs = []
-optimizer = true
-optimizer_runs = ${options.optimizationRuns || this.optimizationRuns}
+optimizer = ${options.optimizer !== false}
+optimizer_runs = ${options.optimizationRuns ?? this.optimizationRuns}
 solc_version = "${options.solcVersion || '0.8.19'}"
-`;
+${options.evmVersion ? `evm_version = "${options.evmVersion}"\n` : ''}`;
       
       await fs.writeFile(path.join(projectDir, 'foundry.toml'), foundryConfig);
 
@@ -120,6 +127,9 @@ solc_version = "${options.solcVersion || '0.8.19'}"
 
       return {
         bytecode: artifact.bytecode?.object || artifact.bytecode,
+        deployedBytecode: artifact.deployedBytecode?.object || null,
+        sourceMap: artifact.deployedBytecode?.sourceMap || null,
+        sourceId: artifact.id ?? null,
         abi: artifact.abi,
         compiler: 'foundry',
         metadata: artifact.metadata
@@ -148,9 +158,11 @@ module.exports = {
     version: "${options.solcVersion || '0.8.19'}",
     settings: {
       optimizer: {
-        enabled: true,
-        runs: ${options.optimizationRuns || this.optimizationRuns}
-      }
+        enabled: ${options.optimizer !== false},
+        runs: ${options.optimizationRuns ?? this.optimizationRuns}
+      },
+      viaIR: ${Boolean(options.viaIR)}${options.evmVersion ? `,
+      evmVersion: "${options.evmVersion}"` : ''}
     }
   },
   paths: {
@@ -185,9 +197,13 @@ module.exports = {
       const artifactPath = path.join(projectDir, 'artifacts', `${contractName}.sol`, `${contractName}.json`);
       const artifactContent = await fs.readFile(artifactPath, 'utf8');
       const artifact = JSON.parse(artifactContent);
+      const sourceMapping = await this.readHardhatSourceMap(artifactPath, artifact);
 
       return {
         bytecode: artifact.bytecode,
+        deployedBytecode: artifact.deployedBytecode,
+        sourceMap: sourceMapping.sourceMap,
+        sourceId: sourceMapping.sourceId,
         abi: artifact.abi,
         compiler: 'hardhat',
         metadata: artifact.metadata
@@ -199,6 +215,32 @@ module.exports = {
     }
   }
 
+  /**
+   * Read the runtime source map from Hardhat's build info
+   * Hardhat artifacts omit source maps; the adjacent .dbg.json points at the build info that has them.
+   * @param {string} artifactPath - Path to the contract artifact
+   * @param {Object} artifact - Parsed contract artifact
+   * @returns {Promise<Object>} { sourceMap, sourceId } (nulls if unavailable)
+   */
+  async readHardhatSourceMap(artifactPath, artifact) {
+    try {
+      const dbgPath = artifactPath.replace(/\.json$/, '.dbg.json');
+      const dbg = JSON.parse(await fs.readFile(dbgPath, 'utf8'));
+      const buildInfoPath = path.resolve(path.dirname(dbgPath), dbg.buildInfo);
+      const buildInfo = JSON.parse(await fs.readFile(buildInfoPath, 'utf8'));
+
+      const contractOutput = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+      return {
+        sourceMap: contractOutput.evm.deployedBytecode.sourceMap || null,
+        sourceId: buildInfo.output.sources[artifact.sourceName].id
+      };
+
+    } catch (error) {
+      console.log(chalk.gray(`   Hardhat source map unavailable: ${error.message}`));
+      return { sourceMap: null, sourceId: null };
+    }
+  }
+
   /**
    * Try compiling with direct Solc
    * @param {string} sourceFile - Path to source file
@@ -208,12 +250,24 @@ module.exports = {
    */
   async trySolcCompile(sourceFile, contractName, options) {
     try {
-      const solcArgs = [
-        '--combined-json', 'abi,bin',
-        '--optimize',
-        '--optimize-runs', (options.optimizationRuns || this.optimizationRuns).toString(),
-        sourceFile
-      ];
+      // The solc on the PATH is a single version; output from any other would be mislabelled
+      const solcVersion = await this.getSolcVersion();
+      if (options.solcVersion && solcVersion !== ContractCompiler.normalizeVersion(options.solcVersion)) {
+        console.log(chalk.gray(`   Skipping solc: ${solcVersion ? `installed version is ${solcVersion}` : 'version unknown'}, ${options.solcVersion} requested`));
+        return null;
+      }
+
+      const solcArgs = ['--combined-json', 'abi,bin,bin-runtime,srcmap-runtime'];
+      if (options.optimizer !== false) {
+        solcArgs.push('--optimize', '--optimize-runs', (options.optimizationRuns ?? this.optimizationRuns).toString());
+      }
+      if (options.viaIR) {
+        solcArgs.push('--via-ir');
+      }
+      if (options.evmVersion) {
+        solcArgs.push('--evm-version', options.evmVersion);
+      }
+      solcArgs.push(sourceFile);
 
       const result = await this.runCommand('solc', solcArgs);
 
@@ -231,10 +285,16 @@ module.exports = {
 
       const contract = output.contracts[contractKey];
 
+      const sourceIndex = (output.sourceList || []).indexOf(sourceFile);
+
       return {
         bytecode: '0x' + contract.bin,
+        deployedBytecode: contract['bin-runtime'] ? '0x' + contract['bin-runtime'] : null,
+        sourceMap: contract['srcmap-runtime'] || null,
+        sourceId: sourceIndex >= 0 ? sourceIndex : null,
         abi: JSON.parse(contract.abi),
         compiler: 'solc',
+        solcVersion,
         metadata: null
       };
 
@@ -244,6 +304,26 @@ module.exports = {
     }
   }
 
+  /**
+   * Version of the solc binary on the PATH
+   * @returns {Promise<string|null>} e.g. "0.8.24", or null if solc is missing
+   */
+  async getSolcVersion() {
+    const result = await this.runCommand('solc', ['--version']);
+    const match = result.code === 0 && result.stdout.match(/Version:\s*v?(\d+\.\d+\.\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Strip the "v" prefix and commit/platform suffix from a solc version
+   * @param {string} version - e.g. "v0.8.20+commit.a1b79de6"
+   * @returns {string} e.g. "0.8.20"
+   */
+  static normalizeVersion(version) {
+    const match = String(version).match(/(\d+\.\d+\.\d+)/);
+    return match ? match[1] : String(version);
+  }
+
   /**
    * Extract contract name from source code
    * @param {string} sourceCode - Solidity source code
@@ -1,4 +1,6 @@
 const chalk = require('chalk');
+const { ethers } = require('ethers');
+const { TransactionReplayer } = require('./transaction-replayer');
 
 /**
  * Developer-Focused Gas Analyzer for Somnia Gas Profiler
@@ -12,6 +14,8 @@ class DeveloperAnalyzer {
       moderate: 500000,
       high: 1000000
     };
+    // Share of a function's gas (%) above which calldata is considered to dominate
+    this.calldataShareThreshold = 40;
   }
 
   /**
@@ -19,16 +23,21 @@ class DeveloperAnalyzer {
    * @param {Object} profilingData - Gas profiling results
    * @param {string} contractAddress - Contract address being analyzed
    * @param {Object} contractAnalysis - Contract structure analysis from quick-analyze
+   * @param {Object} usage - On-chain call frequency from collectUsage (optional)
    * @returns {Object} Structured analysis with categories and insights
    */
-  analyzeGasProfile(profilingData, contractAddress, contractAnalysis) {
+  analyzeGasProfile(profilingData, contractAddress, contractAnalysis, usage = null) {
+    // Replayed results are real calls, so they carry their own usage
+    const callUsage = usage || this.usageFromResults(profilingData);
+    const priorities = callUsage ? this.rankByUsage(profilingData, callUsage) : null;
+
     const analysisResult = {
       contract: contractAddress,
       network: profilingData.network || 'Somnia Testnet',
       functionsAnalyzed: Object.keys(profilingData.results || {}).length,
       categories: this.categorizeAndAnalyzeFunctions(profilingData),
       insights: this.generateInsights(profilingData),
-      recommendations: this.generateRecommendations(profilingData),
+      recommendations: this.generateRecommendations(profilingData, priorities),
       summary: this.generateSummary(profilingData)
     };
 
@@ -37,6 +46,10 @@ class DeveloperAnalyzer {
       analysisResult.contractAnalysis = contractAnalysis;
     }
 
+    if (priorities) {
+      analysisResult.usagePriorities = priorities;
+    }
+
     return analysisResult;
   }
 
@@ -201,15 +214,168 @@ class DeveloperAnalyzer {
     };
   }
 
+  /**
+   * Count how often each selector of a deployed contract was called and the gas it consumed
+   * @param {Provider} provider - Provider for the contract's network
+   * @param {string} address - Contract address
+   * @param {Object} options - { blocks, fromBlock, toBlock, limit }
+   * @returns {Promise<Object>} { source, transactions, fromBlock, toBlock, selectors: { <selector>: { calls, totalGas } } }
+   */
+  async collectUsage(provider, address, options = {}) {
+    const { blocks = 1000, fromBlock, toBlock, limit = 1000 } = options;
+
+    try {
+      const replayer = new TransactionReplayer(provider, { limit, blocks });
+      const transactions = await replayer.collect({ address, fromBlock, toBlock });
+      const selectors = {};
+
+      for (const tx of transactions) {
+        const receipt = await provider.getTransactionReceipt(tx.hash);
+        if (!receipt) continue;
+
+        // Plain value transfers hit receive/fallback
+        const selector = tx.data && tx.data.length >= 10 ? tx.data.slice(0, 10).toLowerCase() : '0x';
+        selectors[selector] = selectors[selector] || { calls: 0, totalGas: 0 };
+        selectors[selector].calls++;
+        selectors[selector].totalGas += Number(receipt.gasUsed);
+      }
+
+      const blockNumbers = transactions.map(tx => tx.blockNumber).filter(number => number !== null && number !== undefined);
+      return {
+        source: 'transactions',
+        transactions: transactions.length,
+        fromBlock: blockNumbers.length > 0 ? Math.min(...blockNumbers) : null,
+        toBlock: blockNumbers.length > 0 ? Math.max(...blockNumbers) : null,
+        selectors
+      };
+
+    } catch (error) {
+      throw new Error(`Usage collection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * collectUsage for the CLIs: logs progress and returns null instead of throwing,
+   * so a node that cannot be scanned only drops the call-frequency weighting
+   * @param {Provider} provider - Provider for the contract's network
+   * @param {string} address - Contract address
+   * @param {Object} options - Options for collectUsage
+   * @returns {Promise<Object|null>} Usage, or null when the contract cannot be scanned
+   */
+  async collectCallUsage(provider, address, options = {}) {
+    try {
+      console.log(chalk.blue(`\n📡 Counting on-chain calls over the last ${options.blocks || 1000} blocks...`));
+      const usage = await this.collectUsage(provider, address, options);
+      console.log(chalk.gray(`   ${usage.transactions} transaction(s) to ${address}`));
+      return usage;
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  ${error.message}, ranking by gas per call only`));
+      return null;
+    }
+  }
+
+  /**
+   * Usage carried by replayed results (every run is a real on-chain call)
+   * @param {Object} profilingData - Gas profiling results
+   * @returns {Object|null} Usage in the collectUsage format, null for synthetic runs
+   */
+  usageFromResults(profilingData) {
+    if (!profilingData.replay) {
+      return null;
+    }
+
+    const selectors = {};
+    for (const [func, result] of Object.entries(profilingData.results || {})) {
+      selectors[this.selectorOf(func)] = {
+        calls: result.aggregated.callCount,
+        totalGas: result.aggregated.total
+      };
+    }
+
+    return { source: 'replay', transactions: profilingData.replay.replayed, selectors };
+  }
+
+  /**
+   * Rank functions by aggregate on-chain spend (calls × gas per call)
+   * @param {Object} profilingData - Gas profiling results
+   * @param {Object} usage - Usage from collectUsage or usageFromResults
+   * @returns {Array<Object>} [{ function, selector, calls, gasPerCall, profiledGas, spend, share }], highest spend first
+   */
+  rankByUsage(profilingData, usage) {
+    const rows = [];
+    const seen = new Set();
+
+    for (const [func, result] of Object.entries(profilingData.results || {})) {
+      const selector = this.selectorOf(func);
+      const observed = usage.selectors[selector];
+      seen.add(selector);
+
+      rows.push({
+        function: func,
+        selector,
+        calls: observed ? observed.calls : 0,
+        gasPerCall: observed ? Math.round(observed.totalGas / observed.calls) : result.aggregated.avg,
+        profiledGas: result.aggregated.avg,
+        spend: observed ? observed.totalGas : 0
+      });
+    }
+
+    // Called on chain but not profiled: still part of what users pay for
+    for (const [selector, observed] of Object.entries(usage.selectors)) {
+      if (seen.has(selector)) continue;
+      rows.push({
+        function: selector === '0x' ? 'receive/fallback' : `unprofiled ${selector}`,
+        selector,
+        calls: observed.calls,
+        gasPerCall: Math.round(observed.totalGas / observed.calls),
+        profiledGas: null,
+        spend: observed.totalGas
+      });
+    }
+
+    const totalSpend = rows.reduce((sum, row) => sum + row.spend, 0);
+    rows.forEach(row => {
+      row.share = totalSpend > 0 ? Math.round(row.spend / totalSpend * 1000) / 10 : 0;
+    });
+
+    return rows.sort((a, b) => b.spend - a.spend || b.profiledGas - a.profiledGas);
+  }
+
+  /**
+   * Function selector of a results key ("transfer(address,uint256)" or scenario "step: transfer(...)")
+   * @param {string} func - Function signature
+   * @returns {string} 4-byte selector
+   */
+  selectorOf(func) {
+    const signature = func.includes(': ') ? func.split(': ').pop() : func;
+    return ethers.id(signature.replace(/\s+/g, '')).slice(0, 10);
+  }
+
   /**
    * Generate optimization recommendations
    * @param {Object} profilingData - Gas profiling results
+   * @param {Array<Object>} priorities - Usage-weighted ranking from rankByUsage (optional)
    * @returns {Array} List of recommendations
    */
-  generateRecommendations(profilingData) {
+  generateRecommendations(profilingData, priorities = null) {
     const recommendations = [];
     const functions = Object.entries(profilingData.results || {});
     
+    // What users actually pay for comes first when call frequency is known
+    const spending = (priorities || []).filter(row => row.spend > 0);
+    if (spending.length > 0) {
+      const [top] = spending;
+      const totalCalls = spending.reduce((sum, row) => sum + row.calls, 0);
+      recommendations.push({
+        type: 'optimization',
+        priority: 'high',
+        title: 'Optimization Priority by On-Chain Spend',
+        description: `${top.function} accounts for ${top.share}% of the gas spent across ${totalCalls.toLocaleString()} observed call(s)`,
+        functions: spending.slice(0, 3).map(row => row.function),
+        suggestion: 'Optimize in this order: gas saved per call is multiplied by how often users call it'
+      });
+    }
+    
     // Find high gas functions
     const expensiveFunctions = functions.filter(([, result]) => 
       result.aggregated.avg > this.gasThresholds.high
@@ -242,6 +408,24 @@ class DeveloperAnalyzer {
       });
     }
 
+    // Calldata is paid per byte before any code runs, so large arguments can outweigh execution
+    const calldataHeavy = functions
+      .filter(([, result]) => result.aggregated.intrinsic && result.aggregated.intrinsic.calldataShare >= this.calldataShareThreshold)
+      .sort(([, a], [, b]) => b.aggregated.intrinsic.calldataShare - a.aggregated.intrinsic.calldataShare);
+    
+    if (calldataHeavy.length > 0) {
+      const [topFunction, topResult] = calldataHeavy[0];
+      const intrinsic = topResult.aggregated.intrinsic;
+      recommendations.push({
+        type: 'optimization',
+        priority: 'medium',
+        title: 'Calldata-Dominated Functions',
+        description: `${calldataHeavy.length} function(s) spend over ${this.calldataShareThreshold}% of their gas on calldata; ${topFunction} sends ${intrinsic.bytes} bytes (${intrinsic.zeroBytes} zero) for ${intrinsic.calldataGas.toLocaleString()} gas (${intrinsic.calldataShare}%)`,
+        functions: calldataHeavy.map(([func]) => func),
+        suggestion: this.suggestCalldataEncoding(topFunction, intrinsic)
+      });
+    }
+
     // Find most efficient patterns
     const efficientFunctions = functions.filter(([, result]) => 
       result.aggregated.avg < this.gasThresholds.excellent
@@ -261,6 +445,23 @@ class DeveloperAnalyzer {
     return recommendations;
   }
 
+  /**
+   * Suggest an argument encoding for a function whose gas is dominated by calldata
+   * @param {string} signature - Function signature
+   * @param {Object} intrinsic - Calldata breakdown from BytecodeProcessor.analyzeCalldata
+   * @returns {string} Suggestion
+   */
+  suggestCalldataEncoding(signature, intrinsic) {
+    const params = signature.slice(signature.indexOf('(') + 1, -1);
+    const prefix = params.includes('[]') ? 'ABI encoding pads every array element to 32 bytes. ' : '';
+
+    // Zero padding costs 4 gas per byte, non-zero bytes 16
+    if (intrinsic.zeroBytes >= intrinsic.nonZeroBytes) {
+      return `${prefix}Most calldata bytes are zero padding: narrow the types (e.g. uint256 → uint96, address and amount in one word) and pass them packed in a bytes argument decoded with shifts`;
+    }
+    return `${prefix}Most calldata bytes are non-zero: send smaller values (indexes instead of addresses, deltas instead of absolute amounts) and pack them into fewer words`;
+  }
+
   /**
    * Generate summary statistics
    * @param {Object} profilingData - Gas profiling results
@@ -390,6 +591,19 @@ class DeveloperAnalyzer {
       }
     }
 
+    // Usage-weighted priorities
+    if (analysisResult.usagePriorities && analysisResult.usagePriorities.some(row => row.spend > 0)) {
+      const lines = ['\nOptimization Priority (on-chain calls × gas)', '--------------------------------------------'];
+      analysisResult.usagePriorities.filter(row => row.spend > 0).slice(0, 5).forEach((row, index) => {
+        lines.push(`  ${index + 1}. ${row.function} - ${row.calls.toLocaleString()} calls × ${row.gasPerCall.toLocaleString()} gas = ${row.spend.toLocaleString()} gas (${row.share}%)`);
+      });
+
+      outputLines.push(...lines);
+      if (!verbose) {
+        lines.forEach(line => console.log(line));
+      }
+    }
+
     // Key insights
     outputLines.push('\nKey Developer Insights');
     outputLines.push('----------------------');
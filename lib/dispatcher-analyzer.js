@@ -0,0 +1,499 @@
+const { ethers } = require('ethers');
+const { SignatureDatabase } = require('./signature-database');
+
+// name, stack inputs, stack outputs (PUSH0-PUSH32, DUP, SWAP and LOG are handled separately)
+const OPCODES = {
+  0x00: ['STOP', 0, 0], 0x01: ['ADD', 2, 1], 0x02: ['MUL', 2, 1], 0x03: ['SUB', 2, 1],
+  0x04: ['DIV', 2, 1], 0x05: ['SDIV', 2, 1], 0x06: ['MOD', 2, 1], 0x07: ['SMOD', 2, 1],
+  0x08: ['ADDMOD', 3, 1], 0x09: ['MULMOD', 3, 1], 0x0a: ['EXP', 2, 1], 0x0b: ['SIGNEXTEND', 2, 1],
+  0x10: ['LT', 2, 1], 0x11: ['GT', 2, 1], 0x12: ['SLT', 2, 1], 0x13: ['SGT', 2, 1],
+  0x14: ['EQ', 2, 1], 0x15: ['ISZERO', 1, 1], 0x16: ['AND', 2, 1], 0x17: ['OR', 2, 1],
+  0x18: ['XOR', 2, 1], 0x19: ['NOT', 1, 1], 0x1a: ['BYTE', 2, 1], 0x1b: ['SHL', 2, 1],
+  0x1c: ['SHR', 2, 1], 0x1d: ['SAR', 2, 1], 0x20: ['KECCAK256', 2, 1],
+  0x30: ['ADDRESS', 0, 1], 0x31: ['BALANCE', 1, 1], 0x32: ['ORIGIN', 0, 1], 0x33: ['CALLER', 0, 1],
+  0x34: ['CALLVALUE', 0, 1], 0x35: ['CALLDATALOAD', 1, 1], 0x36: ['CALLDATASIZE', 0, 1],
+  0x37: ['CALLDATACOPY', 3, 0], 0x38: ['CODESIZE', 0, 1], 0x39: ['CODECOPY', 3, 0],
+  0x3a: ['GASPRICE', 0, 1], 0x3b: ['EXTCODESIZE', 1, 1], 0x3c: ['EXTCODECOPY', 4, 0],
+  0x3d: ['RETURNDATASIZE', 0, 1], 0x3e: ['RETURNDATACOPY', 3, 0], 0x3f: ['EXTCODEHASH', 1, 1],
+  0x40: ['BLOCKHASH', 1, 1], 0x41: ['COINBASE', 0, 1], 0x42: ['TIMESTAMP', 0, 1], 0x43: ['NUMBER', 0, 1],
+  0x44: ['PREVRANDAO', 0, 1], 0x45: ['GASLIMIT', 0, 1], 0x46: ['CHAINID', 0, 1], 0x47: ['SELFBALANCE', 0, 1],
+  0x48: ['BASEFEE', 0, 1], 0x49: ['BLOBHASH', 1, 1], 0x4a: ['BLOBBASEFEE', 0, 1],
+  0x50: ['POP', 1, 0], 0x51: ['MLOAD', 1, 1], 0x52: ['MSTORE', 2, 0], 0x53: ['MSTORE8', 2, 0],
+  0x54: ['SLOAD', 1, 1], 0x55: ['SSTORE', 2, 0], 0x56: ['JUMP', 1, 0], 0x57: ['JUMPI', 2, 0],
+  0x58: ['PC', 0, 1], 0x59: ['MSIZE', 0, 1], 0x5a: ['GAS', 0, 1], 0x5b: ['JUMPDEST', 0, 0],
+  0x5c: ['TLOAD', 1, 1], 0x5d: ['TSTORE', 2, 0], 0x5e: ['MCOPY', 3, 0],
+  0xf0: ['CREATE', 3, 1], 0xf1: ['CALL', 7, 1], 0xf2: ['CALLCODE', 7, 1], 0xf3: ['RETURN', 2, 0],
+  0xf4: ['DELEGATECALL', 6, 1], 0xf5: ['CREATE2', 4, 1], 0xfa: ['STATICCALL', 6, 1],
+  0xfd: ['REVERT', 2, 0], 0xfe: ['INVALID', 0, 0], 0xff: ['SELFDESTRUCT', 1, 0]
+};
+
+const TERMINATING = new Set(['STOP', 'RETURN', 'REVERT', 'INVALID', 'SELFDESTRUCT']);
+
+// Any of these reachable from a function's entry means it can modify state
+const STATE_CHANGING = new Set(['SSTORE', 'TSTORE', 'CALL', 'CALLCODE', 'DELEGATECALL', 'CREATE', 'CREATE2', 'SELFDESTRUCT', 'LOG']);
+
+const WORD = (1n << 256n) - 1n;
+const SELECTOR_SHIFT = 224n;
+const UNKNOWN = Object.freeze({ kind: 'unknown' });
+const MAX_VISITS = 16;
+
+/**
+ * Dispatcher Analyzer for Somnia Gas Profiler
+ * Recovers an ABI from runtime bytecode by symbolically walking the selector
+ * jump table, then each function body: argument types come from the
+ * CALLDATALOAD masking and validation the compiler emits, state mutability
+ * from the opcodes reachable from the function's entry.
+ */
+class DispatcherAnalyzer {
+  /**
+   * @param {Object} options - { maxSteps } execution budget for the dispatcher and each function
+   */
+  constructor(options = {}) {
+    this.maxSteps = options.maxSteps || 50000;
+  }
+
+  /**
+   * Recover the functions of a contract from its runtime bytecode
+   * @param {string} bytecode - Runtime bytecode
+   * @returns {Object} { functions: [{ selector, entry, inputs, stateMutability, complete }], complete }
+   */
+  analyze(bytecode) {
+    const code = ethers.getBytes(bytecode);
+    const jumpdests = this._jumpdests(code);
+
+    const dispatcher = this._explore(code, jumpdests, [{ pc: 0, stack: [] }], 'dispatcher');
+    const guardedByDispatcher = dispatcher.ops.has('CALLVALUE');
+
+    const functions = dispatcher.entries.map(({ selector, pc, stack }) => {
+      const body = this._explore(code, jumpdests, [{ pc, stack }], 'function');
+      const writes = [...body.ops].some(op => STATE_CHANGING.has(op));
+
+      let stateMutability = 'nonpayable';
+      if (!writes && body.complete) {
+        stateMutability = 'view';
+      } else if (!guardedByDispatcher && !body.ops.has('CALLVALUE')) {
+        // Non-payable functions start by reverting on msg.value
+        stateMutability = 'payable';
+      }
+
+      return {
+        selector,
+        entry: pc,
+        inputs: this.inferInputs(body.evidence),
+        stateMutability,
+        complete: body.complete
+      };
+    });
+
+    return { functions, complete: dispatcher.complete };
+  }
+
+  /**
+   * Recover an ABI from runtime bytecode, naming selectors the signature
+   * database knows. Entries keep their real selector in a `selector` field:
+   * placeholder names (function_<selector>) do not hash to it, so contracts
+   * must be built with DispatcherAnalyzer.toFragments to call them.
+   * @param {string} bytecode - Runtime bytecode
+   * @param {SignatureDatabase} signatureDatabase - Known signatures
+   * @returns {Array} ABI entries
+   */
+  recoverABI(bytecode, signatureDatabase = SignatureDatabase.getDefault()) {
+    return this.analyze(bytecode).functions.map(fn => {
+      const known = signatureDatabase ? signatureDatabase.fragment('functions', fn.selector) : null;
+      const inputs = known
+        ? JSON.parse(known.format('json')).inputs
+        : fn.inputs.map((type, index) => ({ name: `arg${index}`, type }));
+
+      return {
+        type: 'function',
+        name: known ? known.name : `function_${fn.selector.slice(2)}`,
+        inputs,
+        outputs: [],
+        stateMutability: fn.stateMutability,
+        selector: fn.selector
+      };
+    });
+  }
+
+  /**
+   * Build ethers fragments from an ABI, pinning the selector of recovered
+   * entries whose placeholder name does not hash to it
+   * @param {Array} abi - ABI, possibly containing recovered entries
+   * @returns {Array} ABI with pinned fragments in place of recovered entries
+   */
+  static toFragments(abi) {
+    return abi.map(item => {
+      if (!item || item.type !== 'function' || !item.selector) {
+        return item;
+      }
+
+      const fragment = ethers.FunctionFragment.from(item);
+      if (fragment.selector !== item.selector) {
+        Object.defineProperty(fragment, 'selector', { value: item.selector, enumerable: true });
+      }
+      return fragment;
+    });
+  }
+
+  /**
+   * Turn the evidence gathered for each calldata word into ABI types
+   * @param {Object} evidence - Collected by _explore
+   * @returns {Array<string>} Parameter types, one per head word
+   */
+  inferInputs(evidence) {
+    const count = Math.max(evidence.words.size > 0 ? Math.max(...evidence.words) + 1 : 0, Math.ceil(evidence.headSize / 32));
+    const types = [];
+
+    for (let index = 0; index < count; index++) {
+      const masks = evidence.masks.get(index) || [];
+
+      if (evidence.dynamic.has(index)) {
+        types.push(evidence.arrays.has(index) ? 'uint256[]' : 'bytes');
+      } else if (masks.some(mask => mask.type === 'uint' && mask.bits === 160)) {
+        types.push('address');
+      } else if (masks.some(mask => mask.type === 'bytes')) {
+        types.push(`bytes${Math.min(...masks.filter(mask => mask.type === 'bytes').map(mask => mask.bits / 8))}`);
+      } else if (evidence.signed.has(index)) {
+        types.push(`int${Math.min(...evidence.signed.get(index))}`);
+      } else if (evidence.bools.has(index)) {
+        types.push('bool');
+      } else if (masks.some(mask => mask.type === 'uint')) {
+        types.push(`uint${Math.min(...masks.filter(mask => mask.type === 'uint').map(mask => mask.bits))}`);
+      } else {
+        types.push('uint256');
+      }
+    }
+
+    return types;
+  }
+
+  /**
+   * Symbolically execute from the given states, following both sides of
+   * every branch until each path stops or the step budget runs out
+   * In dispatcher mode, comparisons of the selector against a constant
+   * record a function entry instead of being followed.
+   * @returns {Object} { entries, ops, evidence, complete }
+   */
+  _explore(code, jumpdests, initial, mode) {
+    const entries = [];
+    const ops = new Set();
+    const evidence = { words: new Set(), masks: new Map(), signed: new Map(), bools: new Set(), dynamic: new Set(), arrays: new Set(), headSize: 0 };
+    const visited = new Set();
+    const visits = new Map();
+    const queue = initial.map(state => ({ pc: state.pc, stack: state.stack.slice() }));
+    let steps = 0;
+
+    while (queue.length > 0) {
+      let { pc, stack } = queue.pop();
+      const key = `${pc}|${stack.map(value => this._key(value)).join(',')}`;
+      // Loop counters fold to a new constant every iteration; stop unrolling after a few
+      if (visited.has(key) || (visits.get(pc) || 0) >= MAX_VISITS) {
+        continue;
+      }
+      visited.add(key);
+      visits.set(pc, (visits.get(pc) || 0) + 1);
+
+      while (pc < code.length) {
+        if (++steps > this.maxSteps) {
+          return { entries, ops, evidence, complete: false };
+        }
+
+        const opcode = code[pc];
+
+        if (opcode === 0x5f) {
+          stack.push(this._const(0n));
+          pc++;
+          continue;
+        }
+        if (opcode >= 0x60 && opcode <= 0x7f) {
+          const size = opcode - 0x5f;
+          stack.push({ kind: 'const', value: BigInt(ethers.hexlify(code.slice(pc + 1, pc + 1 + size)) || 0) });
+          pc += size + 1;
+          continue;
+        }
+        if (opcode >= 0x80 && opcode <= 0x8f) {
+          const depth = opcode - 0x7f;
+          if (stack.length < depth) break;
+          stack.push(stack[stack.length - depth]);
+          pc++;
+          continue;
+        }
+        if (opcode >= 0x90 && opcode <= 0x9f) {
+          const depth = opcode - 0x8f;
+          if (stack.length <= depth) break;
+          const top = stack.length - 1;
+          [stack[top], stack[top - depth]] = [stack[top - depth], stack[top]];
+          pc++;
+          continue;
+        }
+        if (opcode >= 0xa0 && opcode <= 0xa4) {
+          ops.add('LOG');
+          if (stack.length < opcode - 0x9e) break;
+          stack.length -= opcode - 0x9e;
+          pc++;
+          continue;
+        }
+
+        const definition = OPCODES[opcode];
+        if (!definition) {
+          break;
+        }
+        const [name, inputs, outputs] = definition;
+        ops.add(name);
+
+        if (TERMINATING.has(name) || stack.length < inputs) {
+          break;
+        }
+
+        const args = [];
+        for (let i = 0; i < inputs; i++) {
+          args.push(stack.pop());
+        }
+
+        if (name === 'JUMP') {
+          const target = this._target(args[0], jumpdests);
+          if (target !== null) {
+            queue.push({ pc: target, stack });
+          }
+          break;
+        }
+
+        if (name === 'JUMPI') {
+          const target = this._target(args[0], jumpdests);
+          const condition = args[1];
+
+          if (mode === 'dispatcher' && condition.kind === 'selectorEq' && target !== null) {
+            entries.push({ selector: this._selectorHex(condition.value), pc: target, stack: stack.slice() });
+          } else if (mode === 'dispatcher' && condition.kind === 'selectorNe') {
+            // Vyper-style: jump away on mismatch, fall through into the function
+            entries.push({ selector: this._selectorHex(condition.value), pc: pc + 1, stack: stack.slice() });
+            if (target !== null) {
+              queue.push({ pc: target, stack });
+            }
+            break;
+          } else if (target !== null) {
+            queue.push({ pc: target, stack: stack.slice() });
+          }
+          pc++;
+          continue;
+        }
+
+        if (outputs > 0) {
+          stack.push(this._evaluate(name, args, evidence));
+        } else if (name === 'CALLDATACOPY' && args[1].kind === 'offset') {
+          evidence.dynamic.add(args[1].index);
+        }
+        if (stack.length > 1024) break;
+        pc++;
+      }
+    }
+
+    // Selectors compared more than once (binary search pivots) keep their first entry
+    const unique = entries.filter((entry, index) => entries.findIndex(other => other.selector === entry.selector) === index);
+    return { entries: unique, ops, evidence, complete: true };
+  }
+
+  /**
+   * Abstract value of an operation: constants are folded, calldata words and
+   * the selector are tracked, and type hints are recorded as evidence
+   */
+  _evaluate(name, args, evidence) {
+    const [a, b] = args;
+    const constant = value => value.kind === 'const';
+
+    // The ABI decoder validates bools with eq(x, iszero(iszero(x))); the optimizer may turn eq into sub or xor
+    if ((name === 'EQ' || name === 'SUB' || name === 'XOR') && a.index === b.index
+      && [a.kind, b.kind].includes('word') && [a.kind, b.kind].includes('boolCleanup')) {
+      evidence.bools.add(a.index);
+    }
+
+    switch (name) {
+      case 'CALLDATALOAD':
+        if (constant(a)) {
+          if (a.value === 0n) return { kind: 'selectorWord' };
+          if (a.value >= 4n && (a.value - 4n) % 32n === 0n) {
+            const index = Number((a.value - 4n) / 32n);
+            evidence.words.add(index);
+            return { kind: 'word', index };
+          }
+          return UNKNOWN;
+        }
+        if (a.kind === 'offset') {
+          // Reading at an offset taken from a head word: a dynamic parameter's length or elements
+          evidence.dynamic.add(a.index);
+          return { kind: 'length', index: a.index };
+        }
+        return UNKNOWN;
+
+      case 'CALLDATASIZE':
+        return { kind: 'calldatasize' };
+
+      case 'SHR':
+        if (constant(a) && a.value === SELECTOR_SHIFT && b.kind === 'selectorWord') return { kind: 'selector' };
+        if (constant(a) && constant(b)) return this._const(b.value >> a.value);
+        return UNKNOWN;
+
+      case 'SHL':
+        if (constant(a) && a.value === 5n && b.kind === 'length') {
+          evidence.arrays.add(b.index);
+        }
+        if (constant(a) && constant(b)) return this._const(b.value << a.value);
+        return UNKNOWN;
+
+      case 'DIV':
+        if (a.kind === 'selectorWord' && constant(b) && b.value === 1n << SELECTOR_SHIFT) return { kind: 'selector' };
+        if (constant(a) && constant(b)) return b.value === 0n ? this._const(0n) : this._const(a.value / b.value);
+        return UNKNOWN;
+
+      case 'MUL':
+        if ([a, b].some(value => value.kind === 'length') && [a, b].some(value => constant(value) && value.value === 32n)) {
+          evidence.arrays.add((a.kind === 'length' ? a : b).index);
+        }
+        if (constant(a) && constant(b)) return this._const(a.value * b.value);
+        return UNKNOWN;
+
+      case 'AND': {
+        const value = constant(a) ? b : a;
+        const mask = constant(a) ? a : b;
+        if (!constant(mask) || constant(value)) {
+          return constant(a) && constant(b) ? this._const(a.value & b.value) : UNKNOWN;
+        }
+        if (value.kind === 'selector' && mask.value === 0xffffffffn) return value;
+        if (value.kind === 'word') {
+          const hint = this._mask(mask.value);
+          if (hint) {
+            const masks = evidence.masks.get(value.index) || [];
+            masks.push(hint);
+            evidence.masks.set(value.index, masks);
+          }
+          return value;
+        }
+        return UNKNOWN;
+      }
+
+      case 'SIGNEXTEND':
+        if (constant(a) && b.kind === 'word' && a.value < 31n) {
+          const sizes = evidence.signed.get(b.index) || [];
+          sizes.push(Number(a.value + 1n) * 8);
+          evidence.signed.set(b.index, sizes);
+          return b;
+        }
+        return UNKNOWN;
+
+      case 'ISZERO':
+        if (constant(a)) return this._const(a.value === 0n ? 1n : 0n);
+        if (a.kind === 'word') return { kind: 'isZero', index: a.index };
+        if (a.kind === 'isZero') return { kind: 'boolCleanup', index: a.index };
+        if (a.kind === 'selectorEq') return { kind: 'selectorNe', value: a.value };
+        if (a.kind === 'selectorNe') return { kind: 'selectorEq', value: a.value };
+        return UNKNOWN;
+
+      case 'EQ':
+        if (a.kind === 'selector' && constant(b)) return { kind: 'selectorEq', value: b.value };
+        if (b.kind === 'selector' && constant(a)) return { kind: 'selectorEq', value: a.value };
+        if (constant(a) && constant(b)) return this._const(a.value === b.value ? 1n : 0n);
+        return UNKNOWN;
+
+      case 'XOR':
+      case 'SUB':
+        if (name === 'SUB' && a.kind === 'calldatasize' && constant(b) && b.value === 4n) return { kind: 'headSize' };
+        if (a.kind === 'selector' && constant(b)) return { kind: 'selectorNe', value: b.value };
+        if (b.kind === 'selector' && constant(a)) return { kind: 'selectorNe', value: a.value };
+        if (constant(a) && constant(b)) return this._const(name === 'XOR' ? a.value ^ b.value : a.value - b.value);
+        return UNKNOWN;
+
+      case 'ADD': {
+        // add(calldatasize(), not(3)) is calldatasize() - 4
+        if ([a, b].some(value => value.kind === 'calldatasize') && [a, b].some(value => constant(value) && value.value === WORD - 3n)) {
+          return { kind: 'headSize' };
+        }
+        const word = [a, b].find(value => value.kind === 'word' || value.kind === 'offset');
+        if (word) return { kind: 'offset', index: word.index };
+        if (constant(a) && constant(b)) return this._const(a.value + b.value);
+        return UNKNOWN;
+      }
+
+      case 'LT':
+      case 'GT':
+      case 'SLT':
+      case 'SGT':
+        // Minimum calldata size checks: slt(sub(calldatasize(), 4), headSize)
+        for (const [size, bound] of [[a, b], [b, a]]) {
+          if (constant(bound) && bound.value <= 32n * 256n) {
+            if (size.kind === 'headSize') evidence.headSize = Math.max(evidence.headSize, Number(bound.value));
+            if (size.kind === 'calldatasize') evidence.headSize = Math.max(evidence.headSize, Number(bound.value) - 4);
+          }
+        }
+        return UNKNOWN;
+
+      case 'NOT':
+        return constant(a) ? this._const(~a.value) : UNKNOWN;
+
+      case 'EXP':
+        return constant(a) && constant(b) && b.value <= 256n ? this._const(a.value ** b.value) : UNKNOWN;
+
+      default:
+        return UNKNOWN;
+    }
+  }
+
+  /**
+   * Classify an AND mask: low-order ones clean uintN/address, high-order ones bytesN
+   * @param {bigint} mask - Mask constant
+   * @returns {Object|null} { type: 'uint'|'bytes', bits }
+   */
+  _mask(mask) {
+    for (let bytes = 1; bytes < 32; bytes++) {
+      const bits = BigInt(bytes * 8);
+      if (mask === (1n << bits) - 1n) {
+        return { type: 'uint', bits: bytes * 8 };
+      }
+      if (mask === (WORD >> (256n - bits)) << (256n - bits)) {
+        return { type: 'bytes', bits: bytes * 8 };
+      }
+    }
+    return null;
+  }
+
+  _const(value) {
+    return { kind: 'const', value: BigInt.asUintN(256, value) };
+  }
+
+  _target(value, jumpdests) {
+    if (value.kind !== 'const' || value.value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      return null;
+    }
+    const target = Number(value.value);
+    return jumpdests.has(target) ? target : null;
+  }
+
+  _selectorHex(value) {
+    return '0x' + value.toString(16).padStart(8, '0');
+  }
+
+  _key(value) {
+    if (value.kind === 'const') return value.value.toString(16);
+    return value.index !== undefined ? `${value.kind}${value.index}` : value.kind;
+  }
+
+  /**
+   * Valid jump destinations: JUMPDEST opcodes outside PUSH immediates
+   * @param {Uint8Array} code - Runtime bytecode
+   * @returns {Set<number>} Program counters
+   */
+  _jumpdests(code) {
+    const jumpdests = new Set();
+    for (let pc = 0; pc < code.length; pc++) {
+      if (code[pc] === 0x5b) {
+        jumpdests.add(pc);
+      } else if (code[pc] >= 0x60 && code[pc] <= 0x7f) {
+        pc += code[pc] - 0x5f;
+      }
+    }
+    return jumpdests;
+  }
+}
+
+module.exports = {
+  DispatcherAnalyzer
+};
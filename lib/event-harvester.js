@@ -0,0 +1,181 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+
+const AMOUNT_NAMES = /^(value|amount|wad|amt|_value|_amount|quantity|shares|assets)$/i;
+const ID_NAMES = /(^|_)(token)?id$/i;
+
+/**
+ * Event Harvester for Somnia Gas Profiler
+ * Mines a contract's decoded event history (Transfer, Approval, ApprovalForAll
+ * and any other ABI event) for real holders, spender/operator pairs, token IDs
+ * with their current owners and typical amounts, so generated arguments hit
+ * storage slots that are actually in use
+ */
+class EventHarvester {
+  /**
+   * @param {Provider} provider - Provider for the contract's network
+   * @param {Object} options - Harvest options
+   * @param {number} options.blocks - Blocks to scan back from head (default 5000)
+   * @param {number} options.chunkSize - Blocks per eth_getLogs request (default 1000)
+   * @param {number} options.maxLogs - Stop after this many logs (default 2000)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.blocks = options.blocks || 5000;
+    this.chunkSize = options.chunkSize || 1000;
+    this.maxLogs = options.maxLogs || 2000;
+  }
+
+  /**
+   * Collect and summarize a contract's recent events
+   * @param {string} address - Contract address
+   * @param {Array} abi - Contract ABI
+   * @returns {Promise<Object>} Harvested history
+   */
+  async harvest(address, abi) {
+    try {
+      const iface = new ethers.Interface(abi);
+      const head = await this.provider.getBlockNumber();
+      const start = Math.max(head - this.blocks + 1, 0);
+      const logs = [];
+
+      // Newest chunks first, so a capped scan keeps the most recent activity
+      for (let to = head; to >= start && logs.length < this.maxLogs; to -= this.chunkSize) {
+        const from = Math.max(to - this.chunkSize + 1, start);
+        const chunk = await this.provider.getLogs({ address, fromBlock: from, toBlock: to });
+        logs.unshift(...chunk);
+      }
+
+      const decoded = [];
+      for (const log of logs.slice(-this.maxLogs)) {
+        try {
+          const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+          if (parsed) decoded.push(parsed);
+        } catch (error) {
+          // Events from other ABIs (proxies, libraries) are not ours to decode
+        }
+      }
+
+      const history = this.summarize(decoded);
+      history.fromBlock = start;
+      history.toBlock = head;
+      history.logs = logs.length;
+
+      console.log(chalk.gray(`   Harvested ${decoded.length} event(s): ${history.holders.length} holder(s), ${history.spenders.length} approval(s), ${history.tokenIds.length} token ID(s)`));
+      return history;
+
+    } catch (error) {
+      throw new Error(`Event harvesting failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summarize decoded events into argument candidates
+   * @param {Array<LogDescription>} events - Decoded events in chain order
+   * @returns {Object} { events, holders, spenders, operators, tokenIds, tokenOwners, amounts, addresses }
+   */
+  summarize(events) {
+    const counts = {};
+    const holderScores = new Map();
+    const approvals = new Map();
+    const operators = new Map();
+    const tokenOwners = new Map();
+    const amounts = [];
+    const addresses = new Map();
+
+    const bump = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+
+    for (const event of events) {
+      const name = event.name;
+      counts[name] = (counts[name] || 0) + 1;
+      const inputs = event.fragment.inputs;
+      const args = event.args;
+
+      // Addresses and amounts from any event, by parameter name and type
+      inputs.forEach((input, index) => {
+        const value = args[index];
+        if (input.type === 'address' && value !== ethers.ZeroAddress) {
+          bump(addresses, value);
+        }
+        if (input.type.startsWith('uint') && AMOUNT_NAMES.test(input.name) && value > 0n) {
+          amounts.push(value);
+        }
+      });
+
+      if (name === 'Transfer' && inputs.length === 3) {
+        const [from, to, third] = [args[0], args[1], args[2]];
+
+        // ERC721 indexes the token ID, ERC20 leaves the amount in data
+        if (inputs[2].indexed && to === ethers.ZeroAddress) {
+          tokenOwners.delete(third.toString());
+        } else if (inputs[2].indexed) {
+          tokenOwners.set(third.toString(), to);
+        }
+        if (to !== ethers.ZeroAddress) bump(holderScores, to);
+        if (from !== ethers.ZeroAddress) bump(holderScores, from, 0);
+      } else if (name === 'Approval' && inputs.length === 3 && !inputs[2].indexed) {
+        const [owner, spender, value] = [args[0], args[1], args[2]];
+        const key = `${owner}:${spender}`;
+        if (value > 0n) {
+          approvals.set(key, { owner, spender, allowance: value.toString() });
+        } else {
+          approvals.delete(key);
+        }
+      } else if (name === 'ApprovalForAll') {
+        const [owner, operator, approved] = [args[0], args[1], args[2]];
+        const key = `${owner}:${operator}`;
+        if (approved) {
+          operators.set(key, { owner, operator });
+        } else {
+          operators.delete(key);
+        }
+      }
+
+      // IDs seen in other events (ERC721 Approval, ERC1155 transfers) with unknown owners
+      const nftTransfer = name === 'Transfer' && inputs.length === 3 && inputs[2].indexed;
+      for (const [index, input] of inputs.entries()) {
+        if (!nftTransfer && input.type.startsWith('uint') && ID_NAMES.test(input.name) && !tokenOwners.has(args[index].toString())) {
+          tokenOwners.set(args[index].toString(), null);
+        }
+      }
+    }
+
+    const ranked = map => [...map.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+
+    return {
+      events: counts,
+      holders: ranked(holderScores),
+      spenders: [...approvals.values()],
+      operators: [...operators.values()],
+      tokenIds: [...tokenOwners.keys()],
+      tokenOwners: Object.fromEntries(tokenOwners),
+      amounts: this.amountStats(amounts),
+      addresses: ranked(addresses)
+    };
+  }
+
+  /**
+   * Quartiles of observed amounts
+   * @param {Array<bigint>} values - Amounts
+   * @returns {Object|null} { samples, median, p25, p75 } as decimal strings
+   */
+  amountStats(values) {
+    if (values.length === 0) {
+      return null;
+    }
+
+    const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const at = fraction => sorted[Math.min(Math.floor(fraction * sorted.length), sorted.length - 1)].toString();
+
+    return {
+      samples: sorted.length,
+      median: at(0.5),
+      p25: at(0.25),
+      p75: at(0.75)
+    };
+  }
+}
+
+module.exports = {
+  EventHarvester
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const axios = require('axios');
+const { ethers } = require('ethers');
+
+const USER_AGENT = 'Somnia-Gas-Profiler/2.0';
+
+// Explorers used when no configuration names one for the chain
+const DEFAULT_EXPLORERS = {
+  50312: [
+    { type: 'blockscout', url: 'https://shannon-explorer.somnia.network' }
+  ]
+};
+
+/**
+ * Blockscout v2 REST API (/api/v2/smart-contracts/:address)
+ */
+class BlockscoutProvider {
+  constructor(config) {
+    this.type = 'blockscout';
+    this.url = config.url.replace(/\/$/, '');
+    this.apiKey = config.apiKey || null;
+    this.timeout = config.timeout || 30000;
+  }
+
+  /**
+   * @param {string} address - Contract address
+   * @returns {Promise<Object|null>} { abi, name, compilerVersion }, or null when not verified
+   */
+  async fetchABI(address) {
+    const data = await request(`${this.url}/api/v2/smart-contracts/${address}`, this.timeout, this.apiKey ? { apikey: this.apiKey } : {});
+    const abi = data && parseABI(data.abi);
+    if (!abi) {
+      return null;
+    }
+    return { abi, name: data.name || null, compilerVersion: data.compiler_version || null };
+  }
+}
+
+/**
+ * Etherscan-compatible API (module=contract&action=getsourcecode), also served
+ * by Blockscout under /api and by Routescan
+ */
+class EtherscanProvider {
+  constructor(config) {
+    this.type = 'etherscan';
+    this.url = config.url.replace(/\/$/, '');
+    this.apiKey = config.apiKey || null;
+    this.chainId = config.chainId || null;
+    this.timeout = config.timeout || 30000;
+  }
+
+  async fetchABI(address) {
+    const params = { module: 'contract', action: 'getsourcecode', address };
+    if (this.chainId) params.chainid = this.chainId;
+    if (this.apiKey) params.apikey = this.apiKey;
+
+    const data = await request(this.url, this.timeout, params);
+    if (!data) {
+      return null;
+    }
+    // Errors (bad key, rate limit) come back as status 0 with a message in result
+    if (data.status === '0' && !Array.isArray(data.result)) {
+      throw new Error(`${data.message || 'NOTOK'}: ${data.result}`);
+    }
+
+    const [contract] = Array.isArray(data.result) ? data.result : [];
+    const abi = contract && parseABI(contract.ABI);
+    if (!abi) {
+      return null;
+    }
+    return { abi, name: contract.ContractName || null, compilerVersion: contract.CompilerVersion || null };
+  }
+}
+
+/**
+ * Sourcify server (/files/any/:chainId/:address)
+ */
+class SourcifyProvider {
+  constructor(config) {
+    this.type = 'sourcify';
+    this.url = config.url.replace(/\/$/, '');
+    this.timeout = config.timeout || 30000;
+  }
+
+  async fetchABI(address, chainId) {
+    const data = await request(`${this.url}/files/any/${chainId}/${ethers.getAddress(address)}`, this.timeout);
+    const file = data && (data.files || []).find(entry => entry.name === 'metadata.json');
+    if (!file) {
+      return null;
+    }
+
+    const metadata = JSON.parse(file.content);
+    const abi = metadata.output && parseABI(metadata.output.abi);
+    if (!abi) {
+      return null;
+    }
+    const [name] = Object.values((metadata.settings && metadata.settings.compilationTarget) || {});
+    return { abi, name: name || null, compilerVersion: (metadata.compiler && metadata.compiler.version) || null, match: data.status || null };
+  }
+}
+
+const PROVIDERS = {
+  blockscout: BlockscoutProvider,
+  etherscan: EtherscanProvider,
+  sourcify: SourcifyProvider
+};
+
+/**
+ * Build a provider from its configuration
+ * @param {Object} config - { type, url, apiKey, apiKeyEnv, chainId, timeout }
+ * @returns {Object} Provider with fetchABI(address, chainId)
+ */
+function createProvider(config) {
+  const Provider = PROVIDERS[config.type];
+  if (!Provider) {
+    throw new Error(`Unknown explorer type "${config.type}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  if (!config.url) {
+    throw new Error(`Explorer of type ${config.type} needs a url`);
+  }
+
+  // Keys can be read from the environment so config files stay shareable
+  const apiKey = config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : null);
+  return new Provider({ ...config, apiKey });
+}
+
+/**
+ * Explorer configurations per chain id
+ * The JSON file maps chain ids to ordered provider lists and replaces the
+ * defaults for the chains it lists.
+ * @param {string} configPath - Config file (default: EXPLORERS_CONFIG)
+ * @returns {Object} { [chainId]: Array<config> }
+ */
+function loadExplorerConfig(configPath = process.env.EXPLORERS_CONFIG) {
+  if (!configPath) {
+    return { ...DEFAULT_EXPLORERS };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    for (const [chainId, explorers] of Object.entries(config)) {
+      if (!/^\d+$/.test(chainId) || !Array.isArray(explorers)) {
+        throw new Error(`expected { "<chainId>": [{ "type", "url" }] }, got key "${chainId}"`);
+      }
+    }
+    return { ...DEFAULT_EXPLORERS, ...config };
+  } catch (error) {
+    throw new Error(`Explorer config ${configPath} is invalid: ${error.message}`);
+  }
+}
+
+async function request(url, timeout, params = {}) {
+  try {
+    const response = await axios.get(url, {
+      params,
+      timeout,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json'
+      }
+    });
+    return response.data;
+  } catch (error) {
+    // Unknown or unverified contracts
+    if (error.response && (error.response.status === 404 || error.response.status === 400)) {
+      return null;
+    }
+    throw new Error(error.response ? `HTTP ${error.response.status}` : error.message);
+  }
+}
+
+function parseABI(value) {
+  let abi = value;
+  if (typeof value === 'string') {
+    try {
+      abi = JSON.parse(value);
+    } catch (error) {
+      // "Contract source code not verified" and similar
+      return null;
+    }
+  }
+  return Array.isArray(abi) && abi.length > 0 ? abi : null;
+}
+
+module.exports = {
+  BlockscoutProvider,
+  EtherscanProvider,
+  SourcifyProvider,
+  DEFAULT_EXPLORERS,
+  createProvider,
+  loadExplorerConfig
+};
@@ -0,0 +1,279 @@
+const { spawn } = require('child_process');
+const path = require('path');
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+
+// anvil's first default dev account; any address can be impersonated on a fork
+const DEFAULT_FORK_SENDER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const DEFAULT_FORK_BALANCE = ethers.parseEther('1000');
+
+// Bytes of the spawned node's stderr kept for startup errors
+const STDERR_LIMIT = 4096;
+
+/**
+ * Fork Manager for Somnia Gas Profiler
+ * Spawns or attaches to a local anvil/hardhat fork of a remote RPC, pinned to a
+ * block, so profiling runs send real transactions without spending real STT
+ */
+class ForkManager {
+  /**
+   * @param {Object} options - Fork options
+   * @param {string} options.forkUrl - Remote RPC to fork from
+   * @param {number} options.blockNumber - Block to pin the fork to (defaults to the current head)
+   * @param {string} options.attachUrl - RPC of an already running fork node (skips spawning)
+   * @param {number} options.port - Port for the spawned node
+   * @param {string} options.backend - 'anvil' or 'hardhat' (defaults to anvil, then hardhat)
+   * @param {number} options.startupTimeout - Milliseconds to wait for the node RPC
+   */
+  constructor(options = {}) {
+    this.forkUrl = options.forkUrl || process.env.RPC_URL || 'https://dream-rpc.somnia.network';
+    this.blockNumber = options.blockNumber || null;
+    this.attachUrl = options.attachUrl || null;
+    this.port = options.port || parseInt(process.env.FORK_PORT) || 8545;
+    this.backend = options.backend || null;
+    this.startupTimeout = options.startupTimeout || 60000;
+    this.anvilPath = process.env.ANVIL_PATH || 'anvil';
+    // The project's own hardhat, spawned directly so stop() signals the node itself rather than npx
+    this.hardhatPath = path.resolve('node_modules', '.bin', 'hardhat');
+
+    this.rpcUrl = null;
+    this.provider = null;
+    this.process = null;
+    this.exitStatus = null;
+    this.stderr = '';
+    this.methodPrefix = 'anvil';
+  }
+
+  /**
+   * Build a fork manager from CLI options
+   * @param {Object} options - CLI options (fork, forkRpc, forkBlock, forkPort, rpc)
+   * @returns {Promise<ForkManager|null>} Started fork manager or null if fork mode is off
+   */
+  static async fromOptions(options) {
+    if (!options.fork) {
+      return null;
+    }
+
+    const fork = new ForkManager({
+      forkUrl: options.rpc,
+      blockNumber: options.forkBlock,
+      attachUrl: options.forkRpc,
+      port: options.forkPort
+    });
+    await fork.start();
+    return fork;
+  }
+
+  /**
+   * Start (or attach to) the fork node and wait until it answers
+   * @returns {Promise<string>} Local RPC URL
+   */
+  async start() {
+    try {
+      if (!this.blockNumber && !this.attachUrl) {
+        // Pin to the current head so every run of this session sees the same state
+        const remote = new ethers.JsonRpcProvider(this.forkUrl);
+        this.blockNumber = await remote.getBlockNumber();
+        remote.destroy();
+      }
+
+      if (this.attachUrl) {
+        this.rpcUrl = this.attachUrl;
+        console.log(chalk.blue(`🍴 Attaching to fork node at ${this.rpcUrl}`));
+        this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+        await this.waitForRpc();
+      } else {
+        this.rpcUrl = `http://127.0.0.1:${this.port}`;
+        this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+        await this.spawnNode();
+      }
+
+      await this.detectBackend();
+
+      // Re-pin an attached node only when a block was requested explicitly
+      if (this.attachUrl && this.blockNumber) {
+        await this.provider.send(`${this.methodPrefix}_reset`, [{
+          forking: { jsonRpcUrl: this.forkUrl, blockNumber: Number(this.blockNumber) }
+        }]);
+      }
+
+      console.log(chalk.green(`✅ Fork ready (${this.backend}) at ${this.rpcUrl}${this.blockNumber ? `, pinned to block ${this.blockNumber}` : ''}`));
+      return this.rpcUrl;
+
+    } catch (error) {
+      await this.stop();
+      throw new Error(`Fork startup failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Spawn an anvil node and wait for its RPC, falling back to hardhat if anvil
+   * is not installed or exits during startup
+   */
+  async spawnNode() {
+    const candidates = this.backend ? [this.backend] : ['anvil', 'hardhat'];
+    const failures = [];
+
+    for (const backend of candidates) {
+      const [command, args] = backend === 'anvil'
+        ? [this.anvilPath, ['--fork-url', this.forkUrl, '--port', String(this.port), '--silent',
+            ...(this.blockNumber ? ['--fork-block-number', String(this.blockNumber)] : [])]]
+        : [this.hardhatPath, ['node', '--fork', this.forkUrl, '--port', String(this.port),
+            ...(this.blockNumber ? ['--fork-block-number', String(this.blockNumber)] : [])]];
+
+      console.log(chalk.blue(`🍴 Starting ${backend} fork of ${this.forkUrl}...`));
+
+      const child = spawn(command, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      const started = await new Promise(resolve => {
+        child.once('error', () => resolve(false));
+        child.once('spawn', () => resolve(true));
+      });
+
+      if (!started) {
+        console.log(chalk.yellow(`⚠️  ${backend} is not available`));
+        failures.push(`${backend} is not installed`);
+        continue;
+      }
+
+      this.process = child;
+      this.backend = backend;
+      this.stderr = '';
+      // Drain stderr so a chatty node never blocks on a full pipe, keeping the tail for errors
+      child.stderr.on('data', chunk => {
+        this.stderr = (this.stderr + chunk).slice(-STDERR_LIMIT);
+      });
+      child.once('close', (code, signal) => {
+        if (this.process === child) {
+          this.process = null;
+        }
+        this.exitStatus = signal ? `signal ${signal}` : `code ${code}`;
+      });
+
+      try {
+        await this.waitForRpc();
+        return;
+      } catch (error) {
+        // A node that is still running but never answered is not retried elsewhere
+        if (this.process) {
+          throw error;
+        }
+        console.log(chalk.yellow(`⚠️  ${backend} is not available: ${error.message}`));
+        failures.push(error.message);
+      }
+    }
+
+    throw new Error(`Neither anvil nor hardhat could be started (${failures.join('; ')}). Install Foundry or use --fork-rpc to attach to a running node`);
+  }
+
+  /**
+   * Poll the node until it answers eth_blockNumber
+   */
+  async waitForRpc() {
+    const deadline = Date.now() + this.startupTimeout;
+
+    while (Date.now() < deadline) {
+      if (this.attachUrl === null && this.process === null) {
+        throw new Error(`${this.backend} exited during startup with ${this.exitStatus}${this.stderrTail()}`);
+      }
+
+      try {
+        await this.provider.send('eth_blockNumber', []);
+        return;
+      } catch (error) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+    }
+
+    throw new Error(`Fork node did not respond within ${this.startupTimeout / 1000}s${this.stderrTail()}`);
+  }
+
+  /**
+   * Last lines the spawned node wrote to stderr, appended to startup errors
+   * @returns {string} ": line | line" or an empty string
+   */
+  stderrTail() {
+    const lines = this.stderr.trim().split('\n').filter(Boolean).slice(-5);
+    return lines.length > 0 ? `: ${lines.join(' | ')}` : '';
+  }
+
+  /**
+   * Detect whether the node speaks anvil_* or hardhat_* cheat methods
+   */
+  async detectBackend() {
+    try {
+      const clientVersion = await this.provider.send('web3_clientVersion', []);
+      if (/hardhat/i.test(clientVersion)) {
+        this.backend = 'hardhat';
+      } else if (/anvil/i.test(clientVersion)) {
+        this.backend = 'anvil';
+      }
+    } catch (error) {
+      // Keep the spawned backend
+    }
+
+    this.backend = this.backend || 'anvil';
+    this.methodPrefix = this.backend === 'hardhat' ? 'hardhat' : 'anvil';
+  }
+
+  /**
+   * Impersonate and fund an address, returning a signer for it
+   * @param {string} address - Address to act as (defaults to the PRIVATE_KEY account, then a dev account)
+   * @param {JsonRpcProvider} provider - Provider connected to the fork (defaults to the manager's)
+   * @returns {Promise<JsonRpcSigner>} Signer that sends unsigned transactions as the address
+   */
+  async getSigner(address = null, provider = this.provider) {
+    const fallback = process.env.PRIVATE_KEY ? new ethers.Wallet(process.env.PRIVATE_KEY).address : DEFAULT_FORK_SENDER;
+    const sender = ethers.getAddress(address || fallback);
+
+    await provider.send(`${this.methodPrefix}_impersonateAccount`, [sender]);
+    await provider.send(`${this.methodPrefix}_setBalance`, [sender, ethers.toQuantity(DEFAULT_FORK_BALANCE)]);
+
+    // provider.getSigner() rejects addresses missing from eth_accounts, which impersonated ones may be
+    return new ethers.JsonRpcSigner(provider, sender);
+  }
+
+  /**
+   * Fork details recorded in profiling results
+   * @returns {Object} Fork metadata
+   */
+  describe() {
+    return {
+      source: this.forkUrl,
+      blockNumber: this.blockNumber ? Number(this.blockNumber) : null,
+      backend: this.backend,
+      rpc: this.rpcUrl
+    };
+  }
+
+  /**
+   * Stop the spawned node (attached nodes are left running)
+   */
+  async stop() {
+    if (this.provider) {
+      this.provider.destroy();
+      this.provider = null;
+    }
+
+    if (this.process) {
+      const child = this.process;
+      await new Promise(resolve => {
+        const timer = setTimeout(() => {
+          child.kill('SIGKILL');
+          resolve();
+        }, 5000);
+        child.once('exit', () => {
+          clearTimeout(timer);
+          resolve();
+        });
+        child.kill('SIGTERM');
+      });
+      this.process = null;
+      console.log(chalk.gray(`   Fork node stopped`));
+    }
+  }
+}
+
+module.exports = {
+  ForkManager,
+  DEFAULT_FORK_SENDER
+};
@@ -0,0 +1,356 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { table } = require('table');
+const { readConfigFile } = require('./config-file');
+const chalk = require('chalk');
+
+const METRICS = ['avg', 'min', 'max', 'total'];
+
+/**
+ * Gas Budget for Somnia Gas Profiler
+ * Enforces per-function gas limits on profiling results, either absolute or
+ * relative to a baseline results file, and renders the outcome as a readable
+ * diff or JUnit XML for CI pipelines
+ *
+ * Budget file format (JSON or YAML):
+ *   baseline: ./baseline.json                  (optional, relative to the budget file)
+ *   metric: avg                                (avg | min | max | total, default avg)
+ *   default: { maxIncreasePercent: 5 }         (applied to every profiled function)
+ *   functions:
+ *     transfer(address,uint256): { maxGas: 60000 }
+ *     approve(address,uint256): { maxIncrease: 500, metric: max }
+ */
+class GasBudget {
+  /**
+   * @param {Object} budget - Parsed budget definition
+   * @param {Object} options - Budget options
+   * @param {string} options.baseDir - Directory relative paths are resolved against
+   */
+  constructor(budget = {}, options = {}) {
+    this.budget = budget;
+    this.baseDir = options.baseDir || process.cwd();
+    this.validate();
+  }
+
+  /**
+   * Load a budget from a JSON or YAML file
+   * @param {string} filePath - Budget file path
+   * @returns {Promise<GasBudget>} Budget
+   */
+  static async load(filePath) {
+    try {
+      const budget = await readConfigFile(filePath);
+      return new GasBudget(budget, { baseDir: path.dirname(path.resolve(filePath)) });
+
+    } catch (error) {
+      throw new Error(`Failed to load gas budget: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate budget structure
+   */
+  validate() {
+    const rules = [
+      ['default', this.budget.default],
+      ...Object.entries(this.budget.functions || {})
+    ].filter(([, rule]) => rule);
+
+    if (rules.length === 0) {
+      throw new Error('Budget must define default limits or per-function limits');
+    }
+
+    for (const [name, rule] of rules) {
+      const metric = rule.metric || this.budget.metric || 'avg';
+      if (!METRICS.includes(metric)) {
+        throw new Error(`Unknown metric "${metric}" for ${name} (use ${METRICS.join(', ')})`);
+      }
+      if (rule.maxGas === undefined && rule.maxIncrease === undefined && rule.maxIncreasePercent === undefined) {
+        throw new Error(`Budget for ${name} needs maxGas, maxIncrease or maxIncreasePercent`);
+      }
+    }
+  }
+
+  /**
+   * Whether any rule is relative to a baseline
+   * @returns {boolean} True when a baseline is needed
+   */
+  needsBaseline() {
+    const rules = [this.budget.default, ...Object.values(this.budget.functions || {})].filter(Boolean);
+    return rules.some(rule => rule.maxIncrease !== undefined || rule.maxIncreasePercent !== undefined);
+  }
+
+  /**
+   * Load the baseline results (an explicit path overrides the budget's baseline)
+   * @param {string} baselinePath - Optional baseline results path
+   * @returns {Promise<Object|null>} Baseline results
+   */
+  async loadBaseline(baselinePath = null) {
+    const file = baselinePath || (this.budget.baseline && path.resolve(this.baseDir, this.budget.baseline));
+
+    if (!file) {
+      if (this.needsBaseline()) {
+        throw new Error('Relative gas limits need a baseline results file (--baseline or "baseline" in the budget)');
+      }
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load baseline results: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check profiling results against the budget
+   * @param {Object} results - Profiling results (as saved by the profiler)
+   * @param {Object} baseline - Baseline results, required for relative limits
+   * @returns {Object} Evaluation { passed, checks, summary }
+   */
+  evaluate(results, baseline = null) {
+    const profiled = results.results || {};
+    const explicit = this.budget.functions || {};
+    const checks = [];
+
+    // Explicit budgets first, then the default for every other profiled function
+    for (const [func, rule] of Object.entries(explicit)) {
+      checks.push(...this.checkFunction(func, rule, profiled[func], baseline));
+    }
+    if (this.budget.default) {
+      for (const func of Object.keys(profiled).filter(name => !explicit[name])) {
+        checks.push(...this.checkFunction(func, this.budget.default, profiled[func], baseline));
+      }
+    }
+
+    const failed = checks.filter(check => check.status === 'failed').length;
+    const skipped = checks.filter(check => check.status === 'skipped').length;
+
+    return {
+      passed: failed === 0,
+      timestamp: new Date().toISOString(),
+      checks,
+      summary: {
+        total: checks.length,
+        passed: checks.length - failed - skipped,
+        failed,
+        skipped
+      }
+    };
+  }
+
+  /**
+   * Check one function against every limit in its rule
+   * @param {string} func - Function signature
+   * @param {Object} rule - Budget rule
+   * @param {Object} result - Profiled result for the function (may be missing)
+   * @param {Object} baseline - Baseline results
+   * @returns {Array} Checks
+   */
+  checkFunction(func, rule, result, baseline) {
+    const metric = rule.metric || this.budget.metric || 'avg';
+    const baselineResult = baseline && baseline.results && baseline.results[func];
+    const baselineGas = baselineResult ? baselineResult.aggregated[metric] : null;
+    const checks = [];
+
+    if (!result) {
+      return [{
+        function: func,
+        metric,
+        limitType: 'present',
+        actual: null,
+        baseline: baselineGas,
+        limit: null,
+        status: 'failed',
+        message: `${func} was not profiled`
+      }];
+    }
+
+    const actual = result.aggregated[metric];
+    const base = { function: func, metric, actual, baseline: baselineGas };
+
+    if (rule.maxGas !== undefined) {
+      checks.push(this._limitCheck(base, 'maxGas', rule.maxGas));
+    }
+
+    for (const limitType of ['maxIncrease', 'maxIncreasePercent']) {
+      if (rule[limitType] === undefined) continue;
+
+      if (baselineGas === null || baselineGas === undefined) {
+        checks.push({
+          ...base,
+          limitType,
+          limit: null,
+          status: 'skipped',
+          message: `${func} has no baseline, ${limitType} not checked`
+        });
+        continue;
+      }
+
+      const limit = limitType === 'maxIncrease'
+        ? baselineGas + rule.maxIncrease
+        : Math.floor(baselineGas * (1 + rule.maxIncreasePercent / 100));
+      checks.push(this._limitCheck(base, limitType, limit, rule[limitType]));
+    }
+
+    return checks;
+  }
+
+  /**
+   * Build a single limit check
+   * @param {Object} base - Function, metric, actual and baseline
+   * @param {string} limitType - maxGas, maxIncrease or maxIncreasePercent
+   * @param {number} limit - Resolved absolute limit
+   * @param {number} allowance - Configured allowance for relative limits
+   * @returns {Object} Check
+   */
+  _limitCheck(base, limitType, limit, allowance = null) {
+    const passed = base.actual <= limit;
+    const over = base.actual - limit;
+    const allowed = limitType === 'maxIncreasePercent'
+      ? `+${allowance}% over baseline ${base.baseline.toLocaleString()}`
+      : limitType === 'maxIncrease'
+        ? `+${allowance.toLocaleString()} over baseline ${base.baseline.toLocaleString()}`
+        : 'absolute';
+
+    return {
+      ...base,
+      limitType,
+      limit,
+      status: passed ? 'passed' : 'failed',
+      message: passed
+        ? `${base.function} ${base.metric} gas ${base.actual.toLocaleString()} within ${limit.toLocaleString()} (${allowed})`
+        : `${base.function} ${base.metric} gas ${base.actual.toLocaleString()} exceeds ${limit.toLocaleString()} by ${over.toLocaleString()} (${allowed})`
+    };
+  }
+
+  /**
+   * Render an evaluation as a console diff table
+   * @param {Object} evaluation - Result of evaluate()
+   * @returns {string} Report
+   */
+  generateReport(evaluation) {
+    let output = '\n';
+    output += chalk.cyan('🎯 Gas Budget Check\n');
+    output += chalk.gray('═══════════════════\n\n');
+
+    const tableData = [[
+      chalk.bold('Function'),
+      chalk.bold('Metric'),
+      chalk.bold('Baseline'),
+      chalk.bold('Actual'),
+      chalk.bold('Limit'),
+      chalk.bold('Diff'),
+      chalk.bold('Status')
+    ]];
+
+    for (const check of evaluation.checks) {
+      const diff = check.actual !== null && check.baseline !== null && check.baseline !== undefined
+        ? check.actual - check.baseline
+        : null;
+      const diffText = diff === null
+        ? '-'
+        : `${diff >= 0 ? '+' : ''}${diff.toLocaleString()} (${check.baseline ? (diff / check.baseline * 100).toFixed(2) : '0.00'}%)`;
+      const status = check.status === 'passed'
+        ? chalk.green('✅ pass')
+        : check.status === 'skipped' ? chalk.yellow('⏭️  skip') : chalk.red('❌ FAIL');
+
+      tableData.push([
+        check.function,
+        `${check.metric} (${check.limitType})`,
+        check.baseline !== null && check.baseline !== undefined ? check.baseline.toLocaleString() : '-',
+        check.actual !== null ? check.actual.toLocaleString() : 'missing',
+        check.limit !== null ? check.limit.toLocaleString() : '-',
+        diff === null ? diffText : (diff > 0 ? chalk.red(diffText) : chalk.green(diffText)),
+        status
+      ]);
+    }
+
+    output += table(tableData);
+
+    const { total, passed, failed, skipped } = evaluation.summary;
+    const color = failed > 0 ? chalk.red : chalk.green;
+    output += color(`${passed}/${total} checks passed, ${failed} failed, ${skipped} skipped\n`);
+
+    for (const check of evaluation.checks.filter(item => item.status === 'failed')) {
+      output += chalk.red(`  ❌ ${check.message}\n`);
+    }
+
+    return output;
+  }
+
+  /**
+   * Render an evaluation as JUnit XML (one testcase per limit check)
+   * @param {Object} evaluation - Result of evaluate()
+   * @param {string} suiteName - Test suite name
+   * @returns {string} JUnit XML
+   */
+  generateJUnit(evaluation, suiteName = 'gas-budget') {
+    const { total, failed, skipped } = evaluation.summary;
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="Somnia Gas Budget" tests="${total}" failures="${failed}" skipped="${skipped}">`,
+      `  <testsuite name="${escape(suiteName)}" tests="${total}" failures="${failed}" skipped="${skipped}" timestamp="${evaluation.timestamp}">`
+    ];
+
+    for (const check of evaluation.checks) {
+      const name = escape(`${check.function} [${check.metric} ${check.limitType}]`);
+
+      if (check.status === 'passed') {
+        lines.push(`    <testcase classname="${escape(suiteName)}" name="${name}"/>`);
+        continue;
+      }
+
+      lines.push(`    <testcase classname="${escape(suiteName)}" name="${name}">`);
+      if (check.status === 'skipped') {
+        lines.push(`      <skipped message="${escape(check.message)}"/>`);
+      } else {
+        lines.push(`      <failure message="${escape(check.message)}" type="GasBudgetExceeded">${escape(
+          `actual=${check.actual} limit=${check.limit} baseline=${check.baseline}`
+        )}</failure>`);
+      }
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>', '</testsuites>', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Evaluate results, print the diff, optionally write JUnit XML, and throw on failure
+   * @param {Object} results - Profiling results
+   * @param {Object} options - Enforcement options
+   * @param {string} options.baseline - Baseline results path (overrides the budget)
+   * @param {string} options.junit - JUnit XML output path
+   * @returns {Promise<Object>} Evaluation
+   */
+  async enforce(results, options = {}) {
+    const baseline = await this.loadBaseline(options.baseline);
+    const evaluation = this.evaluate(results, baseline);
+
+    console.log(this.generateReport(evaluation));
+
+    if (options.junit) {
+      await fs.mkdir(path.dirname(path.resolve(options.junit)), { recursive: true });
+      await fs.writeFile(options.junit, this.generateJUnit(evaluation), 'utf8');
+      console.log(chalk.gray(`💾 JUnit report saved to ${options.junit}`));
+    }
+
+    if (!evaluation.passed) {
+      throw new Error(`Gas budget exceeded: ${evaluation.summary.failed} check(s) failed`);
+    }
+
+    return evaluation;
+  }
+}
+
+module.exports = {
+  GasBudget
+};
@@ -0,0 +1,377 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+const { AbiValueGenerator } = require('./abi-value-generator');
+const { GasStatistics } = require('./gas-statistics');
+
+/**
+ * Gas Fuzzer for Somnia Gas Profiler
+ * Executes many boundary-valued and randomized argument sets per function
+ * (generated from the ABI types with a seeded RNG, so runs are reproducible)
+ * and reports the worst observed gas, the inputs that caused it and the
+ * gas distribution across all cases that did not revert
+ *
+ * Case 1 uses minimum values (zero, empty arrays and strings), case 2 maximum
+ * values (type max, --array-max elements); the rest are random.
+ */
+class GasFuzzer {
+  /**
+   * @param {Object} options - Fuzz options
+   * @param {number} options.cases - Argument sets per function, boundaries included (default 50)
+   * @param {number} options.seed - RNG seed (default random, recorded in the results)
+   * @param {number} options.arrayMax - Maximum dynamic array / bytes / string length (default 16)
+   * @param {Array<string>} options.addresses - Addresses to favour for address arguments (sender, contract, ...)
+   * @param {number} options.buckets - Histogram buckets (default 10)
+   */
+  constructor(options = {}) {
+    this.cases = Math.max(options.cases || 50, 2);
+    this.seed = options.seed !== undefined && options.seed !== null ? options.seed : Math.floor(Math.random() * 2 ** 32);
+    this.arrayMax = options.arrayMax || 16;
+    this.addresses = options.addresses || [];
+    this.buckets = options.buckets || 10;
+    this.random = GasFuzzer.createRng(this.seed);
+    this.statistics = new GasStatistics();
+  }
+
+  /**
+   * Deterministic mulberry32 generator
+   * @param {number} seed - 32-bit seed
+   * @returns {Function} () => float in [0, 1)
+   */
+  static createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Argument sets for one function: minimum, maximum, then random
+   * @param {Object} fragment - ABI function item
+   * @returns {Array<Array>} Argument sets
+   */
+  generateCases(fragment) {
+    const cases = [
+      fragment.inputs.map(input => this.value(input, 'min')),
+      fragment.inputs.map(input => this.value(input, 'max'))
+    ];
+
+    while (cases.length < this.cases) {
+      cases.push(fragment.inputs.map(input => this.value(input, 'random')));
+    }
+    return cases;
+  }
+
+  /**
+   * Value for an ABI parameter
+   * @param {Object} param - ABI parameter { type, components }
+   * @param {string} mode - 'min', 'max' or 'random'
+   * @returns {any} Value accepted by the ethers ABI coder
+   */
+  value(param, mode) {
+    const { type, components } = param;
+
+    const array = AbiValueGenerator.splitArray(type);
+    if (array) {
+      const length = array.length !== null ? array.length : this.length(mode);
+      return Array.from({ length }, () => this.value({ type: array.base, components }, mode));
+    }
+
+    if (type === 'tuple') {
+      const fields = components || [];
+      const values = fields.map(component => this.value(component, mode));
+      return fields.length > 0 && fields.every(component => component.name)
+        ? Object.fromEntries(fields.map((component, index) => [component.name, values[index]]))
+        : values;
+    }
+
+    return this.elementary(type, mode);
+  }
+
+  elementary(type, mode) {
+    const range = AbiValueGenerator.integerRange(type);
+    if (range) {
+      if (mode === 'min') return (range.min < 0n ? range.min : 0n).toString();
+      if (mode === 'max') return range.max.toString();
+      return this.randomInteger(range).toString();
+    }
+
+    if (type === 'address') {
+      if (mode === 'min') return ethers.ZeroAddress;
+      if (mode === 'max') return '0x' + 'ff'.repeat(20);
+      if (this.addresses.length > 0 && this.random() < 0.5) return this.pick(this.addresses);
+      return ethers.getAddress(this.randomHex(20));
+    }
+
+    if (type === 'bool') {
+      return mode === 'min' ? false : mode === 'max' ? true : this.random() < 0.5;
+    }
+
+    if (type === 'string') {
+      const length = this.length(mode);
+      return Array.from({ length }, () => String.fromCharCode(97 + Math.floor(this.random() * 26))).join('');
+    }
+
+    if (type === 'bytes') {
+      const length = this.length(mode);
+      return mode === 'max' ? '0x' + 'ff'.repeat(length) : this.randomHex(length);
+    }
+
+    // External function pointer (address + selector), encoded as bytes24
+    const fixedBytes = type === 'function' ? ['', '24'] : type.match(/^bytes(\d+)$/);
+    if (fixedBytes) {
+      const size = parseInt(fixedBytes[1]);
+      if (mode === 'min') return '0x' + '00'.repeat(size);
+      if (mode === 'max') return '0x' + 'ff'.repeat(size);
+      return this.randomHex(size);
+    }
+
+    throw new Error(`Cannot fuzz argument of type ${type}`);
+  }
+
+  /**
+   * Integers skewed towards realistic values: small numbers, powers of two and
+   * their neighbours, then uniform over the full range
+   */
+  randomInteger(range) {
+    const roll = this.random();
+    let value;
+
+    if (roll < 0.35) {
+      value = BigInt(Math.floor(this.random() * 1001));
+    } else if (roll < 0.7) {
+      const bits = range.max.toString(2).length;
+      value = (1n << BigInt(Math.floor(this.random() * bits))) + BigInt(Math.floor(this.random() * 3)) - 1n;
+    } else {
+      const span = range.max - range.min;
+      value = range.min + BigInt(this.randomHex(32)) % (span + 1n);
+    }
+
+    if (range.min < 0n && roll < 0.7 && this.random() < 0.5) {
+      value = -value;
+    }
+    return value < range.min ? range.min : value > range.max ? range.max : value;
+  }
+
+  length(mode) {
+    if (mode === 'min') return 0;
+    if (mode === 'max') return this.arrayMax;
+    return Math.floor(this.random() * (this.arrayMax + 1));
+  }
+
+  randomHex(bytes) {
+    let hex = '0x';
+    for (let i = 0; i < bytes; i++) {
+      hex += Math.floor(this.random() * 256).toString(16).padStart(2, '0');
+    }
+    return hex;
+  }
+
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  /**
+   * Execute every case of one function
+   * @param {SomniaGasProfiler} profiler - Initialized profiler
+   * @param {Contract} contract - Contract instance
+   * @param {Object} func - Parsed function { fragment, fullSignature }
+   * @param {Object} options - { gasless }
+   * @returns {Promise<Object>} { result, fuzz } standard result entry and fuzz summary
+   */
+  async fuzzFunction(profiler, contract, func, options = {}) {
+    const { gasless = false } = options;
+    const cases = this.generateCases(func.fragment);
+    const result = { runs: [], aggregated: { min: Infinity, max: 0, avg: 0, total: 0, callCount: 0 } };
+    const reverted = [];
+
+    console.log(chalk.blue(`\n🎲 Fuzzing ${func.fullSignature} with ${cases.length} argument sets`));
+
+    for (const [index, args] of cases.entries()) {
+      try {
+        // Reverted cases come back as runs with the decoded reason and the gas spent until the revert
+        const profiled = await profiler.profileFunction(contract, func, args, 1, gasless, null, null, { continueOnError: true });
+        const [run] = profiled.runs || [];
+        if (run && run.reverted) {
+          reverted.push({ case: index + 1, args: this._serialize(args), error: run.revert.message, revert: run.revert, gasUsed: run.gasUsed });
+          continue;
+        }
+        const gasUsed = profiled.aggregated.max;
+
+        result.runs.push({ run: index + 1, args: this._serialize(args), gasUsed, mode: 'fuzz' });
+        result.aggregated.min = Math.min(result.aggregated.min, gasUsed);
+        result.aggregated.max = Math.max(result.aggregated.max, gasUsed);
+        result.aggregated.total += gasUsed;
+        result.aggregated.callCount++;
+      } catch (error) {
+        reverted.push({ case: index + 1, args: this._serialize(args), error: error.message });
+      }
+    }
+
+    const fuzz = {
+      cases: cases.length,
+      succeeded: result.runs.length,
+      reverted: reverted.length,
+      worst: null,
+      best: null,
+      histogram: [],
+      failures: reverted.slice(0, 10)
+    };
+
+    if (result.runs.length > 0) {
+      result.aggregated.avg = Math.round(result.aggregated.total / result.aggregated.callCount);
+      this.statistics.annotate(result);
+
+      const worst = result.runs.reduce((top, run) => (run.gasUsed > top.gasUsed ? run : top));
+      const best = result.runs.reduce((low, run) => (run.gasUsed < low.gasUsed ? run : low));
+      fuzz.worst = { case: worst.run, gasUsed: worst.gasUsed, args: worst.args };
+      fuzz.best = { case: best.run, gasUsed: best.gasUsed, args: best.args };
+      fuzz.histogram = this.histogram(result.runs.map(run => run.gasUsed));
+
+      console.log(chalk.green(`  🔺 Worst case: ${worst.gasUsed.toLocaleString()} gas (case ${worst.run}), ${reverted.length} reverted`));
+    } else {
+      console.log(chalk.yellow(`  ⚠️  All ${cases.length} cases reverted`));
+    }
+
+    return { result, fuzz };
+  }
+
+  /**
+   * Fuzz several functions and build profiler-compatible results
+   * @param {SomniaGasProfiler} profiler - Initialized profiler
+   * @param {Contract} contract - Contract instance
+   * @param {Array<Object>} functions - Parsed functions
+   * @param {Object} options - { rpc, gasless }
+   * @returns {Promise<Object>} Results with a top-level fuzz section
+   */
+  async run(profiler, contract, functions, options = {}) {
+    const { rpc = '', gasless = false } = options;
+    const network = await profiler.provider.getNetwork();
+    const latest = await profiler.provider.getBlock('latest');
+    const blockGasLimit = latest && latest.gasLimit ? Number(latest.gasLimit) : null;
+
+    const results = {
+      rpc,
+      address: contract.target,
+      network: network.chainId === 50312n ? 'Somnia Testnet' : (network.name || 'Unknown'),
+      timestamp: new Date().toISOString(),
+      results: {},
+      ...(profiler.fork && { fork: profiler.fork.describe() }),
+      fuzz: { seed: this.seed, cases: this.cases, arrayMax: this.arrayMax, blockGasLimit, functions: {} }
+    };
+
+    for (const func of functions) {
+      const { result, fuzz } = await this.fuzzFunction(profiler, contract, func, { gasless });
+      if (fuzz.worst && blockGasLimit) {
+        fuzz.worst.blockLimitPercent = Math.round(fuzz.worst.gasUsed / blockGasLimit * 10000) / 100;
+      }
+      if (result.runs.length > 0) {
+        results.results[func.fullSignature] = result;
+      }
+      results.fuzz.functions[func.fullSignature] = fuzz;
+    }
+
+    return results;
+  }
+
+  /**
+   * Equal-width gas histogram
+   * @param {Array<number>} values - Gas values
+   * @returns {Array<Object>} [{ from, to, count }]
+   */
+  histogram(values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    if (min === max) {
+      return [{ from: min, to: max, count: values.length }];
+    }
+
+    const width = Math.ceil((max - min + 1) / this.buckets);
+    const buckets = Array.from({ length: this.buckets }, (_, i) => ({
+      from: min + i * width,
+      to: Math.min(min + (i + 1) * width - 1, max),
+      count: 0
+    })).filter(bucket => bucket.from <= max);
+
+    for (const value of values) {
+      buckets[Math.min(Math.floor((value - min) / width), buckets.length - 1)].count++;
+    }
+    return buckets;
+  }
+
+  /**
+   * Render worst cases and distributions
+   * @param {Object} results - Results from run()
+   * @returns {string} Rendered report
+   */
+  generateReport(results) {
+    const { seed, blockGasLimit, functions } = results.fuzz;
+    let output = chalk.cyan('\n🎲 Fuzz Gas Report\n');
+    output += chalk.gray(`Seed: ${seed} (pass --seed ${seed} to reproduce)\n`);
+
+    for (const [signature, fuzz] of Object.entries(functions)) {
+      output += chalk.bold(`\n${signature}\n`);
+      output += `  Cases: ${fuzz.cases} (${fuzz.succeeded} succeeded, ${fuzz.reverted} reverted)\n`;
+      const reasons = [...new Set(fuzz.failures.map(failure => failure.error))];
+      if (reasons.length > 0) {
+        output += chalk.yellow(`  Reverts: ${this._truncate(reasons.join('; '))}\n`);
+      }
+
+      if (!fuzz.worst) {
+        output += chalk.yellow('  Every case reverted\n');
+        continue;
+      }
+
+      const aggregated = results.results[signature].aggregated;
+      const limit = fuzz.worst.blockLimitPercent !== undefined ? ` (${fuzz.worst.blockLimitPercent}% of the ${blockGasLimit.toLocaleString()} block gas limit)` : '';
+      output += chalk.red(`  Worst case: ${fuzz.worst.gasUsed.toLocaleString()} gas${limit}\n`);
+      output += chalk.gray(`    args: ${this._truncate(JSON.stringify(fuzz.worst.args))}\n`);
+      output += `  Best case: ${fuzz.best.gasUsed.toLocaleString()} gas | avg ${aggregated.avg.toLocaleString()} | median ${aggregated.median.toLocaleString()} | p95 ${aggregated.p95.toLocaleString()}\n`;
+
+      const peak = Math.max(...fuzz.histogram.map(bucket => bucket.count));
+      for (const bucket of fuzz.histogram) {
+        const bar = '█'.repeat(Math.round(bucket.count / peak * 30));
+        output += chalk.gray(`  ${bucket.from.toLocaleString().padStart(12)} - ${bucket.to.toLocaleString().padEnd(12)} ${bar} ${bucket.count}\n`);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Save results as JSON
+   * @param {Object} results - Results from run()
+   * @param {string} outputPath - Output file path
+   */
+  async save(results, outputPath) {
+    try {
+      await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+      await fs.writeFile(outputPath, JSON.stringify(results, null, 2), 'utf8');
+      console.log(chalk.green(`💾 Results saved to ${outputPath}`));
+    } catch (error) {
+      throw new Error(`Failed to save results: ${error.message}`);
+    }
+  }
+
+  _truncate(text, max = 160) {
+    return text.length > max ? `${text.slice(0, max)}...` : text;
+  }
+
+  _serialize(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return value.map(item => this._serialize(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._serialize(item)]));
+    }
+    return value;
+  }
+}
+
+module.exports = {
+  GasFuzzer
+};
@@ -0,0 +1,322 @@
+/**
+ * Gas Statistics for Somnia Gas Profiler
+ * Descriptive statistics for per-run gas values (percentiles, spread, outliers,
+ * confidence interval of the mean) and Welch's t-test for comparing two profiles
+ */
+class GasStatistics {
+  /**
+   * @param {Object} options - Statistics options
+   * @param {number} options.confidence - Confidence level for intervals (default 0.95)
+   * @param {number} options.significance - Alpha for significance tests (default 0.05)
+   * @param {number} options.outlierFactor - Tukey fence multiplier of the IQR (default 1.5)
+   */
+  constructor(options = {}) {
+    this.confidence = options.confidence || 0.95;
+    this.significance = options.significance || 0.05;
+    this.outlierFactor = options.outlierFactor || 1.5;
+  }
+
+  /**
+   * Summarize gas values
+   * @param {Array<number>} values - Gas used per run, in run order
+   * @returns {Object} { median, p90, p95, p99, stdDev, cv, ci, outliers }
+   *   outliers holds indices into values
+   */
+  summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = this.mean(values);
+    const stdDev = this.standardDeviation(values);
+
+    return {
+      median: Math.round(this.percentile(sorted, 50)),
+      p90: Math.round(this.percentile(sorted, 90)),
+      p95: Math.round(this.percentile(sorted, 95)),
+      p99: Math.round(this.percentile(sorted, 99)),
+      stdDev: this._round(stdDev),
+      cv: mean > 0 ? this._round(stdDev / mean, 4) : 0,
+      ci: this.confidenceInterval(values),
+      outliers: this.findOutliers(values)
+    };
+  }
+
+  /**
+   * Add statistics to a profiled function's aggregated block and flag outlier runs
+   * @param {Object} result - { runs, aggregated } as produced by the profiler (mutated)
+   * @returns {Object} The same result
+   */
+  annotate(result) {
+    const runs = result.runs.filter(run => typeof run.gasUsed === 'number');
+    if (runs.length === 0) {
+      return result;
+    }
+
+    const summary = this.summarize(runs.map(run => run.gasUsed));
+    const outlierRuns = summary.outliers.map(index => runs[index]);
+
+    outlierRuns.forEach(run => { run.outlier = true; });
+    Object.assign(result.aggregated, summary, { outliers: outlierRuns.map(run => run.run) });
+
+    return result;
+  }
+
+  /**
+   * Add revert counts, reasons and gas-until-revert to a function's aggregated block
+   * Reverted runs are expected to be kept out of min/max/total/callCount; a
+   * function whose every run reverted reports the gas until revert there instead.
+   * @param {Object} result - { runs, aggregated } (mutated)
+   * @param {Array<Object>} reverted - Reverted runs, each with a revert.message
+   * @returns {Object} The same result
+   */
+  summarizeReverts(result, reverted) {
+    const aggregated = result.aggregated;
+    const gas = reverted.map(run => run.gasUsed).filter(value => typeof value === 'number');
+
+    aggregated.reverted = reverted.length;
+    aggregated.revertReasons = [...new Set(reverted.map(run => run.revert.message))];
+    if (gas.length > 0) {
+      aggregated.revertGas = {
+        min: Math.min(...gas),
+        max: Math.max(...gas),
+        avg: Math.round(this.mean(gas))
+      };
+    }
+
+    if (aggregated.callCount === 0) {
+      aggregated.min = aggregated.revertGas ? aggregated.revertGas.min : 0;
+      aggregated.max = aggregated.revertGas ? aggregated.revertGas.max : 0;
+      aggregated.total = gas.reduce((sum, value) => sum + value, 0);
+    }
+
+    return result;
+  }
+
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  /**
+   * Percentile with linear interpolation between closest ranks
+   * @param {Array<number>} sorted - Values sorted ascending
+   * @param {number} p - Percentile (0-100)
+   * @returns {number} Percentile value
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Sample standard deviation (n - 1)
+   * @param {Array<number>} values - Values
+   * @returns {number} Standard deviation, 0 for fewer than two values
+   */
+  standardDeviation(values) {
+    if (values.length < 2) return 0;
+
+    const mean = this.mean(values);
+    const squared = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0);
+    return Math.sqrt(squared / (values.length - 1));
+  }
+
+  /**
+   * Student-t confidence interval for the mean
+   * @param {Array<number>} values - Values
+   * @returns {Object} { level, lower, upper, margin }
+   */
+  confidenceInterval(values) {
+    const mean = this.mean(values);
+
+    if (values.length < 2) {
+      return { level: this.confidence, lower: this._round(mean), upper: this._round(mean), margin: 0 };
+    }
+
+    const standardError = this.standardDeviation(values) / Math.sqrt(values.length);
+    const margin = this.tCritical(values.length - 1, this.confidence) * standardError;
+
+    return {
+      level: this.confidence,
+      lower: this._round(mean - margin),
+      upper: this._round(mean + margin),
+      margin: this._round(margin)
+    };
+  }
+
+  /**
+   * Flag values outside Tukey's fences (Q1 - k·IQR, Q3 + k·IQR)
+   * Needs at least four values; a zero IQR flags anything off the common value.
+   * @param {Array<number>} values - Values in run order
+   * @returns {Array<number>} Indices of outlying values
+   */
+  findOutliers(values) {
+    if (values.length < 4) return [];
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const q1 = this.percentile(sorted, 25);
+    const q3 = this.percentile(sorted, 75);
+    const fence = this.outlierFactor * (q3 - q1);
+
+    return values
+      .map((value, index) => (value < q1 - fence || value > q3 + fence ? index : -1))
+      .filter(index => index >= 0);
+  }
+
+  /**
+   * Welch's unequal-variance t-test between two samples
+   * @param {Array<number>} before - Baseline gas values
+   * @param {Array<number>} after - New gas values
+   * @returns {Object|null} { t, df, pValue, significant, alpha } or null with fewer than two values per side;
+   *   samples without spread give t: null and deterministic: true
+   */
+  welchTest(before, after) {
+    if (before.length < 2 || after.length < 2) {
+      return null;
+    }
+
+    const meanBefore = this.mean(before);
+    const meanAfter = this.mean(after);
+    const varBefore = Math.pow(this.standardDeviation(before), 2) / before.length;
+    const varAfter = Math.pow(this.standardDeviation(after), 2) / after.length;
+    const standardError = Math.sqrt(varBefore + varAfter);
+
+    // Gas is deterministic for identical state: no spread means any difference is real
+    if (standardError === 0) {
+      const differs = meanBefore !== meanAfter;
+      return {
+        t: null,
+        df: before.length + after.length - 2,
+        pValue: differs ? 0 : 1,
+        significant: differs,
+        deterministic: true,
+        alpha: this.significance
+      };
+    }
+
+    const t = (meanAfter - meanBefore) / standardError;
+    const df = Math.pow(varBefore + varAfter, 2) /
+      (Math.pow(varBefore, 2) / (before.length - 1) + Math.pow(varAfter, 2) / (after.length - 1));
+    const pValue = this.tTwoTailedP(t, df);
+
+    return {
+      t: this._round(t, 4),
+      df: this._round(df, 2),
+      pValue: this._round(pValue, 6),
+      significant: pValue < this.significance,
+      alpha: this.significance
+    };
+  }
+
+  /**
+   * Two-tailed p-value of Student's t distribution
+   * @param {number} t - t statistic
+   * @param {number} df - Degrees of freedom
+   * @returns {number} p-value
+   */
+  tTwoTailedP(t, df) {
+    return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  /**
+   * Critical t value for a two-sided interval, found by bisection on the CDF
+   * @param {number} df - Degrees of freedom
+   * @param {number} confidence - Confidence level
+   * @returns {number} Critical value
+   */
+  tCritical(df, confidence) {
+    const alpha = 1 - confidence;
+    let low = 0;
+    let high = 1000;
+
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (this.tTwoTailedP(mid, df) > alpha) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return (low + high) / 2;
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b) (continued fraction)
+   */
+  incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const front = Math.exp(
+      this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+    );
+
+    // The continued fraction converges fastest below the distribution's mean
+    if (x < (a + 1) / (a + b + 2)) {
+      return front * this._betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - front * this._betaContinuedFraction(1 - x, b, a) / b;
+  }
+
+  /**
+   * Natural log of the gamma function (Lanczos approximation)
+   */
+  logGamma(z) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = z;
+    const tmp = z + 5.5 - (z + 0.5) * Math.log(z + 5.5);
+    let series = 1.000000000190015;
+
+    for (const coefficient of coefficients) {
+      series += coefficient / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * series / z);
+  }
+
+  _betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      result *= d * c;
+
+      aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      result *= delta;
+
+      if (Math.abs(delta - 1) < 3e-12) break;
+    }
+
+    return result;
+  }
+
+  _round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = {
+  GasStatistics
+};
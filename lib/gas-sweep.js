@@ -0,0 +1,303 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+
+const SPEC_PATTERN = /^(.+?)(?::([\d,]+))?=(\d+)\.\.(\d+)$/;
+
+/**
+ * Gas Sweep for Somnia Gas Profiler
+ * Profiles one function while varying an argument (array length, uint value,
+ * string/bytes length), fits linear and quadratic gas models and predicts gas
+ * at a target input size
+ *
+ * Sweep spec: "<function>[:<argIndex>[,<argIndex>...]]=<start>..<end>"
+ *   unoptimizedLoop(uint256)=1..100            uint argument 0 from 1 to 100
+ *   batchProcess(uint256[]):0=1..64            array length of argument 0
+ *   batchTransfer(address[],uint256[]):0,1=1..50  both arrays grow together
+ */
+class GasSweep {
+  /**
+   * @param {Object} options - Sweep options
+   * @param {number} options.points - Number of sizes to profile (default 8)
+   * @param {number} options.target - Input size to predict gas for
+   */
+  constructor(options = {}) {
+    this.points = options.points || 8;
+    this.target = options.target !== undefined && options.target !== null ? options.target : null;
+  }
+
+  /**
+   * Parse a sweep spec string
+   * @param {string} spec - Sweep spec
+   * @returns {Object} { function, argIndexes, start, end }
+   */
+  static parseSpec(spec) {
+    const match = String(spec).trim().match(SPEC_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid sweep spec "${spec}" (expected <function>[:<argIndex>]=<start>..<end>)`);
+    }
+
+    const [, functionSig, indexes, start, end] = match;
+    const parsed = {
+      function: functionSig.trim(),
+      argIndexes: indexes ? indexes.split(',').map(index => parseInt(index, 10)) : [0],
+      start: parseInt(start, 10),
+      end: parseInt(end, 10)
+    };
+
+    if (parsed.end <= parsed.start) {
+      throw new Error(`Sweep range must increase (got ${parsed.start}..${parsed.end})`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Evenly spaced integer sizes between start and end (both included)
+   * @param {number} start - First size
+   * @param {number} end - Last size
+   * @returns {Array<number>} Sizes
+   */
+  buildPoints(start, end) {
+    const count = Math.min(this.points, end - start + 1);
+    const sizes = new Set();
+
+    for (let i = 0; i < count; i++) {
+      sizes.add(Math.round(start + (end - start) * i / Math.max(count - 1, 1)));
+    }
+    return [...sizes].sort((a, b) => a - b);
+  }
+
+  /**
+   * Build call arguments for one sweep size
+   * @param {Object} fragment - ABI function item
+   * @param {Array} baseArgs - Arguments used for the arguments that are not swept
+   * @param {Array<number>} argIndexes - Swept argument positions
+   * @param {number} size - Input size
+   * @returns {Array} Arguments
+   */
+  buildArgs(fragment, baseArgs, argIndexes, size) {
+    const args = fragment.inputs.map((input, index) =>
+      baseArgs && baseArgs[index] !== undefined ? baseArgs[index] : this.defaultValue(input.type, index)
+    );
+
+    for (const index of argIndexes) {
+      const input = fragment.inputs[index];
+      if (!input) {
+        throw new Error(`${fragment.name} has no argument ${index}`);
+      }
+      args[index] = this.sizedValue(input.type, size, baseArgs ? baseArgs[index] : undefined);
+    }
+
+    return args;
+  }
+
+  /**
+   * Value of the given size for a swept argument
+   * @param {string} type - Solidity type
+   * @param {number} size - Input size
+   * @param {*} sample - Existing argument to take an element from
+   * @returns {*} Sized value
+   */
+  sizedValue(type, size, sample) {
+    const arrayMatch = type.match(/^(.+)\[\]$/);
+    if (arrayMatch) {
+      const element = Array.isArray(sample) && sample.length > 0 ? sample[0] : null;
+      return Array.from({ length: size }, (_, i) => (element !== null ? element : this.defaultValue(arrayMatch[1], i)));
+    }
+    if (/^u?int\d*$/.test(type)) {
+      return size;
+    }
+    if (type === 'string') {
+      return 'a'.repeat(size);
+    }
+    if (type === 'bytes') {
+      return '0x' + 'ab'.repeat(size);
+    }
+
+    throw new Error(`Cannot sweep argument of type ${type} (use an array, uint, string or bytes argument)`);
+  }
+
+  /**
+   * Deterministic non-zero placeholder for a type
+   * @param {string} type - Solidity type
+   * @param {number} index - Position, used to make values distinct
+   * @returns {*} Value
+   */
+  defaultValue(type, index = 0) {
+    if (type.endsWith('[]')) return [];
+    if (/^u?int\d*$/.test(type)) return index + 1;
+    if (type === 'address') return ethers.zeroPadValue(ethers.toBeHex(index + 1), 20);
+    if (type === 'bool') return true;
+    if (type === 'string') return 'a';
+    if (type === 'bytes') return '0xab';
+
+    const fixedBytes = type.match(/^bytes(\d+)$/);
+    if (fixedBytes) return ethers.zeroPadValue(ethers.toBeHex(index + 1), parseInt(fixedBytes[1], 10));
+
+    throw new Error(`No default value for argument type ${type}`);
+  }
+
+  /**
+   * Profile each sweep size through the profiler and fit gas models
+   * @param {SomniaGasProfiler} profiler - Initialized profiler
+   * @param {Contract} contract - Contract instance
+   * @param {Object} func - Parsed function { fragment, fullSignature }
+   * @param {Object} spec - Parsed sweep spec
+   * @param {Object} options - { baseArgs, runs, gasless }
+   * @returns {Promise<Object>} Sweep results
+   */
+  async run(profiler, contract, func, spec, options = {}) {
+    const { baseArgs = [], runs = 1, gasless = false } = options;
+    const sizes = this.buildPoints(spec.start, spec.end);
+    const samples = [];
+    const failures = [];
+
+    console.log(chalk.blue(`\n📈 Sweeping ${func.fullSignature} over ${sizes.length} sizes (${spec.start}..${spec.end})`));
+
+    for (const size of sizes) {
+      const args = this.buildArgs(func.fragment, baseArgs, spec.argIndexes, size);
+
+      try {
+        const result = await profiler.profileFunction(contract, func, args, runs, gasless);
+        samples.push({
+          size,
+          avg: result.aggregated.avg,
+          min: result.aggregated.min,
+          max: result.aggregated.max
+        });
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  Size ${size} failed: ${error.message}`));
+        failures.push({ size, error: error.message });
+      }
+    }
+
+    if (samples.length < 2) {
+      throw new Error(`Sweep needs at least two successful sizes (got ${samples.length})`);
+    }
+
+    return {
+      function: func.fullSignature,
+      argIndexes: spec.argIndexes,
+      argTypes: spec.argIndexes.map(index => func.fragment.inputs[index].type),
+      range: { start: spec.start, end: spec.end },
+      runs,
+      samples,
+      failures,
+      ...this.analyze(samples)
+    };
+  }
+
+  /**
+   * Fit linear and quadratic models and pick the better one by adjusted R²
+   * @param {Array<Object>} samples - [{ size, avg }]
+   * @returns {Object} { models, model, marginalCost, prediction }
+   */
+  analyze(samples) {
+    const xs = samples.map(sample => sample.size);
+    const ys = samples.map(sample => sample.avg);
+
+    const models = { linear: this.fit(xs, ys, 1) };
+    if (samples.length >= 4) {
+      models.quadratic = this.fit(xs, ys, 2);
+    }
+
+    // The quadratic term has to earn its extra parameter
+    const model = models.quadratic && models.quadratic.adjustedR2 > models.linear.adjustedR2 + 1e-6
+      ? 'quadratic'
+      : 'linear';
+    const chosen = models[model];
+    const evaluateAt = this.target !== null ? this.target : Math.max(...xs);
+    const [, b, c = 0] = chosen.coefficients;
+
+    return {
+      models,
+      model,
+      marginalCost: {
+        at: evaluateAt,
+        gasPerUnit: Math.round(b + 2 * c * evaluateAt)
+      },
+      prediction: this.target !== null
+        ? { size: this.target, gas: Math.round(this.predict(chosen.coefficients, this.target)) }
+        : null
+    };
+  }
+
+  /**
+   * Least-squares polynomial fit
+   * @param {Array<number>} xs - Sizes
+   * @param {Array<number>} ys - Gas values
+   * @param {number} degree - 1 (linear) or 2 (quadratic)
+   * @returns {Object} { coefficients: [a, b, c?], r2, adjustedR2 } for y = a + b·x + c·x²
+   */
+  fit(xs, ys, degree) {
+    const terms = degree + 1;
+    const matrix = Array.from({ length: terms }, () => new Array(terms + 1).fill(0));
+
+    // Normal equations: (XᵀX) β = Xᵀy
+    for (let i = 0; i < xs.length; i++) {
+      for (let row = 0; row < terms; row++) {
+        for (let col = 0; col < terms; col++) {
+          matrix[row][col] += Math.pow(xs[i], row + col);
+        }
+        matrix[row][terms] += ys[i] * Math.pow(xs[i], row);
+      }
+    }
+
+    const coefficients = this._solve(matrix);
+    const mean = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const totalSS = ys.reduce((sum, y) => sum + Math.pow(y - mean, 2), 0);
+    const residualSS = ys.reduce((sum, y, i) => sum + Math.pow(y - this.predict(coefficients, xs[i]), 2), 0);
+    const r2 = totalSS === 0 ? 1 : 1 - residualSS / totalSS;
+    const freedom = xs.length - degree - 1;
+    const adjustedR2 = freedom > 0 ? 1 - (1 - r2) * (xs.length - 1) / freedom : r2;
+
+    return {
+      coefficients: coefficients.map(value => Math.round(value * 1e6) / 1e6),
+      r2: Math.round(r2 * 1e6) / 1e6,
+      adjustedR2: Math.round(adjustedR2 * 1e6) / 1e6
+    };
+  }
+
+  predict(coefficients, x) {
+    return coefficients.reduce((sum, coefficient, power) => sum + coefficient * Math.pow(x, power), 0);
+  }
+
+  /**
+   * Gaussian elimination with partial pivoting on an augmented matrix
+   */
+  _solve(matrix) {
+    const n = matrix.length;
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+      }
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+      if (Math.abs(matrix[col][col]) < 1e-12) {
+        throw new Error('Sweep sizes are too few or identical to fit a model');
+      }
+
+      for (let row = col + 1; row < n; row++) {
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let k = col; k <= n; k++) {
+          matrix[row][k] -= factor * matrix[col][k];
+        }
+      }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = matrix[row][n];
+      for (let k = row + 1; k < n; k++) {
+        sum -= matrix[row][k] * solution[k];
+      }
+      solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+  }
+}
+
+module.exports = {
+  GasSweep
+};
@@ -0,0 +1,449 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const chalk = require('chalk');
+const { ethers } = require('ethers');
+
+const DEFAULT_STORE = path.join(os.homedir(), '.somnia-gas-profiler', 'metadata');
+
+// solc hashes metadata as a single UnixFS chunk up to this size
+const IPFS_CHUNK_SIZE = 256 * 1024;
+
+/**
+ * Metadata Resolver for Somnia Gas Profiler
+ * Decodes the CBOR metadata section solc appends to contract bytecode and
+ * resolves its hash to the full compiler metadata (ABI, compiler settings,
+ * sources) from a local store, an IPFS gateway or a Sourcify-compatible server.
+ */
+class MetadataResolver {
+  /**
+   * @param {Object} options - { storePath, endpoint, ipfsGateway, timeout }
+   */
+  constructor(options = {}) {
+    this.storePath = options.storePath || process.env.METADATA_STORE || DEFAULT_STORE;
+    this.endpoint = (options.endpoint !== undefined ? options.endpoint : process.env.SOURCIFY_URL) || null;
+    this.ipfsGateway = (options.ipfsGateway !== undefined ? options.ipfsGateway : process.env.IPFS_GATEWAY) || null;
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Decode the CBOR metadata section at the end of (creation or runtime) bytecode
+   * @param {string} bytecode - Contract bytecode
+   * @returns {Object|null} { ipfs, bzzr0, bzzr1, solcVersion, experimental, hash, length, entries }
+   */
+  static decode(bytecode) {
+    const hex = (bytecode || '').replace(/^0x/, '').toLowerCase();
+    if (hex.length < 4 || !/^[0-9a-f]*$/.test(hex)) {
+      return null;
+    }
+
+    // The last two bytes hold the length of the CBOR map before them
+    const length = parseInt(hex.slice(-4), 16);
+    if (length === 0 || (length + 2) * 2 > hex.length) {
+      return null;
+    }
+
+    let entries;
+    try {
+      const bytes = Buffer.from(hex.slice(-(length + 2) * 2, -4), 'hex');
+      const { value, offset } = MetadataResolver._readItem(bytes, 0);
+      if (offset !== bytes.length || !value || value.constructor !== Object) {
+        return null;
+      }
+      entries = value;
+    } catch (error) {
+      // Trailing bytes that merely look like a length
+      return null;
+    }
+
+    const ipfs = typeof entries.ipfs === 'string' && entries.ipfs.startsWith('0x1220')
+      ? ethers.encodeBase58(entries.ipfs)
+      : null;
+    const bzzr0 = typeof entries.bzzr0 === 'string' ? entries.bzzr0.slice(2) : null;
+    const bzzr1 = typeof entries.bzzr1 === 'string' ? entries.bzzr1.slice(2) : null;
+
+    // Releases store three version bytes, prereleases the full version string
+    let solcVersion = null;
+    if (typeof entries.solc === 'string') {
+      solcVersion = /^0x[0-9a-f]{6}$/.test(entries.solc)
+        ? [2, 4, 6].map(index => parseInt(entries.solc.slice(index, index + 2), 16)).join('.')
+        : entries.solc;
+    }
+
+    if (!ipfs && !bzzr0 && !bzzr1 && !solcVersion) {
+      return null;
+    }
+
+    return {
+      ipfs,
+      bzzr0,
+      bzzr1,
+      solcVersion,
+      experimental: entries.experimental === true,
+      hash: ipfs || bzzr1 || bzzr0,
+      length: length + 2,
+      entries
+    };
+  }
+
+  /**
+   * IPFS CIDv0 solc embeds for a metadata file (single-chunk UnixFS file node)
+   * @param {string} content - Exact metadata JSON
+   * @returns {string|null} Qm... hash, or null for content solc would chunk
+   */
+  static ipfsHash(content) {
+    const data = Buffer.from(content, 'utf8');
+    if (data.length > IPFS_CHUNK_SIZE) {
+      return null;
+    }
+
+    const varint = (value) => {
+      const bytes = [];
+      while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value = Math.floor(value / 128);
+      }
+      bytes.push(value);
+      return Buffer.from(bytes);
+    };
+    const field = (tag, bytes) => Buffer.concat([Buffer.from([tag]), varint(bytes.length), bytes]);
+
+    // unixfs.Data { Type: File, Data, filesize } inside merkledag.PBNode { Data }
+    const file = Buffer.concat([
+      Buffer.from([0x08, 0x02]),
+      data.length > 0 ? field(0x12, data) : Buffer.alloc(0),
+      Buffer.from([0x18]),
+      varint(data.length)
+    ]);
+    const digest = crypto.createHash('sha256').update(field(0x0a, file)).digest();
+
+    return ethers.encodeBase58(Buffer.concat([Buffer.from([0x12, 0x20]), digest]));
+  }
+
+  /**
+   * Compiler settings to rebuild a contract the way it was deployed
+   * @param {Object|null} metadata - Parsed compiler metadata
+   * @param {Object|null} cbor - Decoded CBOR section (solc version fallback)
+   * @returns {Object} { version, solcVersion, optimizer, optimizationRuns, viaIR, evmVersion, contractName, sourcePath }
+   */
+  static compilerSettings(metadata, cbor = null) {
+    const settings = (metadata && metadata.settings) || {};
+    const optimizer = settings.optimizer || {};
+    const version = (metadata && metadata.compiler && metadata.compiler.version) || (cbor && cbor.solcVersion) || null;
+    const [sourcePath, contractName] = Object.entries(settings.compilationTarget || {})[0] || [null, null];
+
+    return {
+      version,
+      solcVersion: version ? version.split('+')[0] : null,
+      optimizer: metadata ? optimizer.enabled === true : null,
+      optimizationRuns: metadata ? (optimizer.runs ?? 200) : null,
+      viaIR: metadata ? settings.viaIR === true : null,
+      evmVersion: settings.evmVersion || null,
+      contractName,
+      sourcePath
+    };
+  }
+
+  /**
+   * Resolve the metadata of a contract from its bytecode
+   * Remote results whose hash matches the bytecode are cached in the store.
+   * @param {string} bytecode - Contract bytecode
+   * @param {Object} context - { address, chainId, provider } for Sourcify lookups
+   * @returns {Promise<Object|null>} { cbor, origin, match, metadata, abi, compiler, sources }, or null without a CBOR section
+   */
+  async resolve(bytecode, context = {}) {
+    const cbor = MetadataResolver.decode(bytecode);
+    if (!cbor) {
+      return null;
+    }
+
+    const found = this._fromStore(cbor)
+      || await this._fromGateway(cbor)
+      || await this._fromSourcify(cbor, context);
+
+    if (!found) {
+      return {
+        cbor,
+        origin: null,
+        match: null,
+        metadata: null,
+        abi: null,
+        compiler: MetadataResolver.compilerSettings(null, cbor),
+        sources: {}
+      };
+    }
+
+    const metadata = JSON.parse(found.raw);
+    const sources = await this._collectSources(metadata, found.files || {});
+
+    if (found.origin !== 'store') {
+      this._cache(found.match === 'full' ? cbor.hash : null, found.raw, sources);
+    }
+
+    return {
+      cbor,
+      origin: found.origin,
+      match: found.match,
+      metadata,
+      abi: (metadata.output && metadata.output.abi) || null,
+      compiler: MetadataResolver.compilerSettings(metadata, cbor),
+      sources
+    };
+  }
+
+  /**
+   * Add compiler metadata to the local store, keyed by the hash solc embeds
+   * Accepts a metadata.json, a Foundry artifact (rawMetadata) or a solc
+   * contract output (metadata string).
+   * @param {string} filePath - Metadata or artifact file
+   * @returns {Promise<Object>} { hash, compiler }
+   */
+  async importFile(filePath) {
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      const data = JSON.parse(content);
+
+      let raw;
+      if (typeof data.rawMetadata === 'string') {
+        raw = data.rawMetadata;
+      } else if (typeof data.metadata === 'string') {
+        raw = data.metadata;
+      } else if (data.compiler && data.settings && data.output) {
+        // solc output has no trailing newline; editors often add one
+        raw = content.trimEnd();
+      } else {
+        throw new Error('No compiler metadata in file');
+      }
+
+      const hash = MetadataResolver.ipfsHash(raw);
+      if (!hash) {
+        throw new Error('Metadata is too large to hash');
+      }
+
+      this._cache(hash, raw, {});
+      return { hash, compiler: MetadataResolver.compilerSettings(JSON.parse(raw)) };
+
+    } catch (error) {
+      throw new Error(`Metadata import failed: ${error.message}`);
+    }
+  }
+
+  _fromStore(cbor) {
+    for (const key of [cbor.ipfs, cbor.bzzr1, cbor.bzzr0].filter(Boolean)) {
+      const raw = this._read(path.join(this.storePath, `${key}.json`));
+      if (raw === null) {
+        continue;
+      }
+      if (key === cbor.ipfs && MetadataResolver.ipfsHash(raw) !== cbor.ipfs) {
+        console.log(chalk.yellow(`⚠️  Stored metadata ${key} does not match its hash, ignoring it`));
+        continue;
+      }
+      return { origin: 'store', match: 'full', raw };
+    }
+    return null;
+  }
+
+  async _fromGateway(cbor) {
+    if (!this.ipfsGateway || !cbor.ipfs) {
+      return null;
+    }
+
+    const raw = await this._get(`${this.ipfsGateway.replace(/\/$/, '')}/ipfs/${cbor.ipfs}`);
+    if (raw === null || MetadataResolver.ipfsHash(raw) !== cbor.ipfs) {
+      return null;
+    }
+    return { origin: 'ipfs', match: 'full', raw };
+  }
+
+  async _fromSourcify(cbor, context) {
+    if (!this.endpoint || !context.address) {
+      return null;
+    }
+
+    let chainId = context.chainId;
+    if (chainId === undefined && context.provider) {
+      try {
+        chainId = (await context.provider.getNetwork()).chainId;
+      } catch (error) {
+        return null;
+      }
+    }
+    if (chainId === undefined || chainId === null) {
+      return null;
+    }
+
+    const body = await this._get(`${this.endpoint.replace(/\/$/, '')}/files/any/${chainId}/${ethers.getAddress(context.address)}`);
+    let response;
+    try {
+      response = JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+
+    const files = {};
+    let raw = null;
+    for (const file of (response && response.files) || []) {
+      if (file.name === 'metadata.json') {
+        raw = file.content;
+      } else {
+        files[file.path] = file.content;
+      }
+    }
+    if (raw === null) {
+      return null;
+    }
+
+    // A partial match recompiles to the same code with different metadata
+    const match = cbor.ipfs && MetadataResolver.ipfsHash(raw) === cbor.ipfs ? 'full' : 'partial';
+    return { origin: 'sourcify', match, raw, files };
+  }
+
+  /**
+   * Source files listed in the metadata, checked against their keccak256
+   */
+  async _collectSources(metadata, files) {
+    const sources = {};
+    const fileContents = Object.entries(files);
+
+    for (const [sourcePath, entry] of Object.entries(metadata.sources || {})) {
+      const matches = (content) => typeof content === 'string' && (!entry.keccak256 || ethers.id(content) === entry.keccak256);
+
+      const candidates = [
+        entry.content,
+        entry.keccak256 ? this._read(path.join(this.storePath, 'sources', entry.keccak256)) : null,
+        // Sourcify paths end with the source unit name
+        ...fileContents.filter(([filePath]) => filePath.endsWith(`/${sourcePath}`) || filePath === sourcePath).map(([, content]) => content)
+      ];
+      let content = candidates.find(matches);
+
+      if (content === undefined && this.ipfsGateway) {
+        for (const url of (entry.urls || []).filter(candidate => candidate.startsWith('dweb:/ipfs/'))) {
+          const fetched = await this._get(`${this.ipfsGateway.replace(/\/$/, '')}/ipfs/${url.slice('dweb:/ipfs/'.length)}`);
+          if (matches(fetched)) {
+            content = fetched;
+            break;
+          }
+        }
+      }
+
+      if (content !== undefined) {
+        sources[sourcePath] = content;
+      }
+    }
+
+    return sources;
+  }
+
+  _cache(hash, raw, sources) {
+    try {
+      fs.mkdirSync(path.join(this.storePath, 'sources'), { recursive: true });
+      if (hash) {
+        fs.writeFileSync(path.join(this.storePath, `${hash}.json`), raw);
+      }
+      for (const content of Object.values(sources)) {
+        fs.writeFileSync(path.join(this.storePath, 'sources', ethers.id(content)), content);
+      }
+    } catch (error) {
+      console.log(chalk.gray(`   Could not cache metadata: ${error.message}`));
+    }
+  }
+
+  async _get(url) {
+    try {
+      const response = await axios.get(url, {
+        timeout: this.timeout,
+        responseType: 'text',
+        // Keep the exact bytes; the hash is computed over them
+        transformResponse: [data => data],
+        headers: { 'Accept': 'application/json, text/plain' }
+      });
+      return typeof response.data === 'string' ? response.data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _read(filePath) {
+    try {
+      return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Minimal CBOR reader covering what solc emits: unsigned/negative integers,
+   * byte and text strings, arrays, maps and true/false/null
+   */
+  static _readItem(bytes, offset) {
+    if (offset >= bytes.length) {
+      throw new Error('Truncated CBOR');
+    }
+
+    const initial = bytes[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    let argument = info;
+    if (info >= 24 && info <= 27) {
+      const size = 1 << (info - 24);
+      if (offset + size > bytes.length) {
+        throw new Error('Truncated CBOR');
+      }
+      argument = Number(BigInt(`0x${bytes.subarray(offset, offset + size).toString('hex')}`));
+      offset += size;
+    } else if (info > 27 && major !== 7) {
+      throw new Error('Indefinite-length CBOR is not supported');
+    }
+
+    switch (major) {
+      case 0:
+        return { value: argument, offset };
+      case 1:
+        return { value: -1 - argument, offset };
+      case 2:
+      case 3: {
+        if (offset + argument > bytes.length) {
+          throw new Error('Truncated CBOR');
+        }
+        const slice = bytes.subarray(offset, offset + argument);
+        return { value: major === 2 ? `0x${slice.toString('hex')}` : slice.toString('utf8'), offset: offset + argument };
+      }
+      case 4: {
+        const items = [];
+        for (let i = 0; i < argument; i++) {
+          const item = MetadataResolver._readItem(bytes, offset);
+          items.push(item.value);
+          offset = item.offset;
+        }
+        return { value: items, offset };
+      }
+      case 5: {
+        const map = {};
+        for (let i = 0; i < argument; i++) {
+          const key = MetadataResolver._readItem(bytes, offset);
+          const value = MetadataResolver._readItem(bytes, key.offset);
+          map[key.value] = value.value;
+          offset = value.offset;
+        }
+        return { value: map, offset };
+      }
+      case 7:
+        if (info === 20 || info === 21) {
+          return { value: info === 21, offset };
+        }
+        if (info === 22) {
+          return { value: null, offset };
+        }
+        throw new Error(`Unsupported CBOR simple value ${info}`);
+      default:
+        throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+  }
+}
+
+module.exports = {
+  MetadataResolver
+};
@@ -0,0 +1,215 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+
+// EIP-1967 slots: bytes32(uint256(keccak256('eip1967.proxy.<name>')) - 1)
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const BEACON_SLOT = '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50';
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+// EIP-1822 (original UUPS): keccak256('PROXIABLE')
+const PROXIABLE_SLOT = '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7';
+
+// EIP-1167 minimal clone runtime code around the 20-byte implementation address
+const CLONE_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+// proxiableUUID() is exposed by UUPS implementations (EIP-1822 / OpenZeppelin UUPSUpgradeable)
+const PROXIABLE_UUID_PUSH = '6352d1902d';
+
+const BEACON_ABI = ['function implementation() view returns (address)'];
+const LOUPE_ABI = ['function facets() view returns ((address facetAddress, bytes4[] functionSelectors)[])'];
+
+// Cold accesses every call through the proxy pays before reaching the implementation (EIP-2929)
+const COLD_ACCOUNT_GAS = 2600;
+const COLD_SLOAD_GAS = 2100;
+
+/**
+ * Proxy Resolver for Somnia Gas Profiler
+ * Detects EIP-1967 (transparent, UUPS, beacon), EIP-1822, EIP-1167 clone and
+ * EIP-2535 diamond proxies, resolves their implementation ABIs and separates
+ * the delegatecall overhead from the implementation's gas
+ */
+class ProxyResolver {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Detect whether an address is a proxy and find its implementation(s)
+   * @param {string} address - Contract address
+   * @param {string} code - Runtime code (fetched when omitted)
+   * @returns {Promise<Object|null>} { type, address, implementations, beacon?, admin?, facets? } or null
+   */
+  async detect(address, code = null) {
+    try {
+      const runtimeCode = code || await this.provider.getCode(address);
+
+      const clone = runtimeCode.match(CLONE_PATTERN);
+      if (clone) {
+        return this._describe('eip1167', address, [ethers.getAddress('0x' + clone[1])]);
+      }
+
+      const implementation = await this.readAddressSlot(address, IMPLEMENTATION_SLOT);
+      if (implementation) {
+        const admin = await this.readAddressSlot(address, ADMIN_SLOT);
+        const implementationCode = await this.provider.getCode(implementation);
+        const type = implementationCode.toLowerCase().includes(PROXIABLE_UUID_PUSH)
+          ? 'uups'
+          : (admin ? 'transparent' : 'eip1967');
+        return this._describe(type, address, [implementation], admin ? { admin } : {});
+      }
+
+      const beacon = await this.readAddressSlot(address, BEACON_SLOT);
+      if (beacon) {
+        const implementation = await new ethers.Contract(beacon, BEACON_ABI, this.provider).implementation();
+        return this._describe('beacon', address, [ethers.getAddress(implementation)], { beacon });
+      }
+
+      const proxiable = await this.readAddressSlot(address, PROXIABLE_SLOT);
+      if (proxiable) {
+        return this._describe('eip1822', address, [proxiable]);
+      }
+
+      const facets = await this.readFacets(address);
+      if (facets) {
+        return this._describe('diamond', address, facets.map(facet => facet.address), { facets });
+      }
+
+      return null;
+
+    } catch (error) {
+      throw new Error(`Proxy detection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read an address stored in a storage slot
+   * @returns {Promise<string|null>} Checksummed address, or null for an empty slot
+   */
+  async readAddressSlot(address, slot) {
+    const value = await this.provider.getStorage(address, slot);
+    const stored = ethers.getAddress(ethers.dataSlice(ethers.zeroPadValue(value, 32), 12));
+    return stored === ethers.ZeroAddress ? null : stored;
+  }
+
+  /**
+   * List a diamond's facets through the EIP-2535 loupe
+   * @returns {Promise<Array<Object>|null>} [{ address, selectors }] or null if the loupe is missing
+   */
+  async readFacets(address) {
+    try {
+      const loupe = new ethers.Contract(address, LOUPE_ABI, this.provider);
+      const facets = (await loupe.facets())
+        .map(([facetAddress, selectors]) => ({ address: ethers.getAddress(facetAddress), selectors: selectors.map(selector => selector.toLowerCase()) }))
+        .filter(facet => facet.selectors.length > 0);
+      return facets.length > 0 ? facets : null;
+    } catch (error) {
+      // Not a diamond (no loupe, or the fallback returned something else)
+      return null;
+    }
+  }
+
+  /**
+   * Build the ABI to profile through the proxy from its implementations' ABIs
+   * Diamond facets only contribute the functions they are registered for.
+   * @param {Object} proxy - Result of detect()
+   * @param {Function} loadABI - async (implementationAddress) => ABI array or null
+   * @returns {Promise<Array>} Combined ABI (empty if no implementation ABI could be loaded)
+   */
+  async resolveABI(proxy, loadABI) {
+    const combined = [];
+    const seen = new Set();
+
+    for (const implementation of proxy.implementations) {
+      let abi = null;
+      try {
+        abi = await loadABI(implementation);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️  No ABI for implementation ${implementation}: ${error.message}`));
+      }
+      if (!abi) {
+        continue;
+      }
+
+      const facet = proxy.facets ? proxy.facets.find(entry => entry.address === implementation) : null;
+
+      for (const item of abi) {
+        const selector = item.type === 'function' ? this._selector(item) : null;
+        if (selector && facet && !facet.selectors.includes(selector)) {
+          continue;
+        }
+
+        const key = selector || JSON.stringify(item);
+        if (!seen.has(key)) {
+          seen.add(key);
+          combined.push(item);
+        }
+      }
+    }
+
+    return combined;
+  }
+
+  /**
+   * Gas spent in the proxy itself for one call, from its callTracer tree:
+   * everything except the delegatecall(s) into the implementation
+   * @param {Object} callTree - Root node from TraceAnalyzer.profileCallTree
+   * @param {Object} proxy - Result of detect()
+   * @param {number} intrinsicGas - Intrinsic gas to deduct (the root frame includes it)
+   * @returns {number|null} Overhead in gas, or null without a tree
+   */
+  static measureOverhead(callTree, proxy, intrinsicGas = 0) {
+    if (!callTree) {
+      return null;
+    }
+
+    const implementations = new Set(proxy.implementations.map(address => address.toLowerCase()));
+    const delegated = callTree.calls
+      .filter(call => call.type === 'DELEGATECALL' && implementations.has((call.to || '').toLowerCase()))
+      .reduce((sum, call) => sum + call.gasUsed, 0);
+
+    return Math.max(0, callTree.gasUsed - delegated - intrinsicGas);
+  }
+
+  /**
+   * Lower bound of the proxy overhead from the cold accesses its type requires,
+   * used when the node cannot trace
+   * @param {string} type - Proxy type
+   * @returns {number} Gas
+   */
+  static estimateOverhead(type) {
+    switch (type) {
+      case 'eip1167':
+        return COLD_ACCOUNT_GAS;
+      case 'beacon':
+        // Beacon slot and account, the beacon's implementation slot, then the implementation
+        return COLD_SLOAD_GAS + COLD_ACCOUNT_GAS + COLD_SLOAD_GAS + COLD_ACCOUNT_GAS;
+      default:
+        // Implementation slot (or the diamond's selector-to-facet mapping)
+        return COLD_SLOAD_GAS + COLD_ACCOUNT_GAS;
+    }
+  }
+
+  _selector(item) {
+    try {
+      return ethers.FunctionFragment.from(item).selector;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _describe(type, address, implementations, extra = {}) {
+    return {
+      type,
+      address: ethers.getAddress(address),
+      implementations,
+      ...extra,
+      estimatedOverhead: ProxyResolver.estimateOverhead(type)
+    };
+  }
+}
+
+module.exports = {
+  ProxyResolver,
+  IMPLEMENTATION_SLOT,
+  BEACON_SLOT,
+  ADMIN_SLOT
+};
@@ -0,0 +1,153 @@
+const { ethers } = require('ethers');
+const { SignatureDatabase } = require('./signature-database');
+
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// Solidity panic codes (https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require)
+const PANIC_CODES = {
+  0x00: 'generic compiler panic',
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array encoding',
+  0x31: 'pop on empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to zero-initialized function pointer'
+};
+
+/**
+ * Revert Decoder for Somnia Gas Profiler
+ * Decodes revert data into Error(string) reasons, Panic(uint256) codes or
+ * custom errors declared in the registered ABIs or the signature database
+ */
+class RevertDecoder {
+  /**
+   * @param {Array} abis - ABIs whose error entries can be decoded
+   * @param {SignatureDatabase} signatureDatabase - Fallback for errors missing from the ABIs
+   */
+  constructor(abis = [], signatureDatabase = SignatureDatabase.getDefault()) {
+    this.errors = new Map();
+    this.signatureDatabase = signatureDatabase;
+    abis.forEach(abi => this.registerABI(abi));
+  }
+
+  /**
+   * Register the custom errors of an ABI
+   * @param {Array|string} abi - Contract ABI
+   */
+  registerABI(abi) {
+    try {
+      const iface = new ethers.Interface(abi);
+      iface.forEachError(fragment => {
+        this.errors.set(fragment.selector, { iface, fragment });
+      });
+    } catch (error) {
+      // ABI without usable error entries; reverts fall back to the raw selector
+    }
+  }
+
+  /**
+   * Decode revert data
+   * @param {string} data - Revert data (0x-prefixed)
+   * @returns {Object} { type: 'Error'|'Panic'|'CustomError'|'Unknown'|'Empty', message, selector, ... }
+   */
+  decode(data) {
+    if (!data || data === '0x') {
+      return { type: 'Empty', selector: null, message: 'reverted without a reason' };
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    try {
+      if (selector === ERROR_SELECTOR) {
+        const [reason] = coder.decode(['string'], '0x' + data.slice(10));
+        return { type: 'Error', selector, reason, message: reason };
+      }
+
+      if (selector === PANIC_SELECTOR) {
+        const [code] = coder.decode(['uint256'], '0x' + data.slice(10));
+        const hex = `0x${code.toString(16).padStart(2, '0')}`;
+        const description = PANIC_CODES[Number(code)] || 'unknown panic code';
+        return { type: 'Panic', selector, code: hex, description, message: `Panic(${hex}): ${description}` };
+      }
+
+      const known = this.errors.get(selector) || this._lookup(selector);
+      if (known) {
+        const args = known.iface.decodeErrorResult(known.fragment, data).toArray().map(value => this._serialize(value));
+        const signature = known.fragment.format('sighash');
+        return {
+          type: 'CustomError',
+          selector,
+          name: known.fragment.name,
+          signature,
+          args,
+          message: `${known.fragment.name}(${args.map(arg => JSON.stringify(arg)).join(', ')})`
+        };
+      }
+    } catch (error) {
+      // Malformed payload; report the raw selector below
+    }
+
+    return { type: 'Unknown', selector, data, message: `custom error ${selector}` };
+  }
+
+  /**
+   * Decode the revert carried by an ethers/RPC error
+   * @param {Error} error - Error thrown by a call, estimate or transaction
+   * @returns {Object|null} Decoded revert, null when the error is not a revert
+   */
+  decodeError(error) {
+    const data = this.extractData(error);
+    if (data !== null) {
+      return this.decode(data);
+    }
+
+    if (error && error.code === 'CALL_EXCEPTION') {
+      return error.reason
+        ? { type: 'Error', selector: ERROR_SELECTOR, reason: error.reason, message: error.reason }
+        : this.decode('0x');
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the revert payload in the nested error shapes of ethers and node RPCs
+   * @param {Error} error - Error thrown by a call
+   * @returns {string|null} Revert data
+   */
+  extractData(error) {
+    const candidates = [];
+    let current = error;
+
+    // ethers wraps the RPC error in info.error / error; some nodes nest data objects
+    for (let depth = 0; current && depth < 5; depth++) {
+      candidates.push(current.data, current.data && current.data.data);
+      current = (current.info && current.info.error) || current.error || null;
+    }
+
+    const data = candidates.find(candidate => typeof candidate === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(candidate));
+    return data !== undefined ? data : null;
+  }
+
+  _lookup(selector) {
+    const fragment = this.signatureDatabase ? this.signatureDatabase.fragment('errors', selector) : null;
+    return fragment ? { iface: new ethers.Interface([fragment]), fragment } : null;
+  }
+
+  _serialize(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof ethers.Result) return this._serialize(value.toArray());
+    if (Array.isArray(value)) return value.map(item => this._serialize(item));
+    return value;
+  }
+}
+
+module.exports = {
+  RevertDecoder,
+  PANIC_CODES
+};
@@ -0,0 +1,537 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+const { ContractCompiler } = require('./contract-compiler');
+const { GasStatistics } = require('./gas-statistics');
+const { readConfigFile } = require('./config-file');
+
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+const PRIVATE_KEY_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Scenario Runner for Somnia Gas Profiler
+ * Executes ordered multi-step call sequences (deploy, approve, transferFrom, ...)
+ * through an initialized SomniaGasProfiler and records per-step gas in the
+ * standard results format
+ *
+ * Scenario format (JSON or YAML):
+ *   name: string
+ *   contracts: { <name>: { address, abi } }          (optional, pre-deployed contracts)
+ *   steps:
+ *     - id: token
+ *       deploy: ERC20Mock                            (contract name)
+ *       source | artifact | bytecode + abi           (how to obtain the bytecode)
+ *       args: [1000000]
+ *     - id: approve
+ *       contract: token                              (deploy step id, contracts key or address)
+ *       function: approve(address,uint256)
+ *       args: ["{{steps.spender.address}}", "1000"]
+ *       from: "0x..."                                (address or private key, optional)
+ *       value: "0.1 ether"                           (optional, wei unless suffixed)
+ *       expect: { minGas: 20000, maxGas: 50000 }     (optional)
+ *
+ * Templates: {{steps.<id>.address|from|txHash|gasUsed|blockNumber|result|events.<Event>.<arg>}},
+ * {{sender}} and {{env.<VAR>}}
+ */
+class ScenarioRunner {
+  /**
+   * @param {SomniaGasProfiler} profiler - Initialized profiler (provider and wallet ready)
+   * @param {Object} options - Runner options
+   * @param {ForkManager} options.fork - Fork used to impersonate step senders
+   */
+  constructor(profiler, options = {}) {
+    this.profiler = profiler;
+    this.fork = options.fork || null;
+    this.compiler = new ContractCompiler();
+    this.statistics = new GasStatistics();
+    this.baseDir = process.cwd();
+  }
+
+  /**
+   * Load a scenario from a JSON or YAML file
+   * @param {string} filePath - Scenario file path
+   * @returns {Promise<Object>} Validated scenario
+   */
+  async loadScenario(filePath) {
+    try {
+      const scenario = await readConfigFile(filePath);
+
+      this.baseDir = path.dirname(path.resolve(filePath));
+      this.validateScenario(scenario);
+      scenario.file = filePath;
+
+      console.log(chalk.green(`✅ Loaded scenario "${scenario.name || path.basename(filePath)}" (${scenario.steps.length} steps)`));
+      return scenario;
+
+    } catch (error) {
+      throw new Error(`Failed to load scenario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate scenario structure
+   * @param {Object} scenario - Parsed scenario
+   */
+  validateScenario(scenario) {
+    if (!scenario || !Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+      throw new Error('Scenario must define a non-empty steps array');
+    }
+
+    const ids = new Set();
+    scenario.steps.forEach((step, index) => {
+      const label = step.id || `#${index + 1}`;
+
+      if (!step.id) {
+        throw new Error(`Step ${label} is missing an id`);
+      }
+      if (ids.has(step.id)) {
+        throw new Error(`Duplicate step id: ${step.id}`);
+      }
+      ids.add(step.id);
+
+      if (step.deploy) {
+        if (!step.source && !step.artifact && !step.bytecode) {
+          throw new Error(`Deploy step ${label} needs source, artifact or bytecode`);
+        }
+        if (step.bytecode && !step.abi) {
+          throw new Error(`Deploy step ${label} needs an abi alongside bytecode`);
+        }
+      } else if (!step.contract || !step.function) {
+        throw new Error(`Step ${label} needs either deploy, or contract and function`);
+      }
+
+      if (step.expect) {
+        const { minGas, maxGas } = step.expect;
+        if (minGas !== undefined && maxGas !== undefined && minGas > maxGas) {
+          throw new Error(`Step ${label} has minGas greater than maxGas`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Execute every step of the scenario, `runs` times
+   * State is reverted after each iteration when the node supports evm_snapshot.
+   * @param {Object} scenario - Loaded scenario
+   * @param {Object} options - Run options
+   * @param {number} options.runs - Number of scenario iterations
+   * @returns {Promise<Object>} Profiler results (compatible with the reporter)
+   */
+  async run(scenario, options = {}) {
+    const { runs = 1 } = options;
+    const results = this.profiler.results;
+    const isolate = await this.profiler.supportsSnapshots();
+
+    results.timestamp = new Date().toISOString();
+    results.scenario = {
+      name: scenario.name || path.basename(scenario.file || 'scenario'),
+      file: scenario.file || null,
+      steps: scenario.steps.map(step => step.id),
+      runs
+    };
+    results.assertions = [];
+
+    for (let run = 1; run <= runs; run++) {
+      console.log(chalk.blue(`\n🎬 Scenario run ${run}/${runs}`));
+      const snapshotId = isolate ? await this.profiler.provider.send('evm_snapshot', []) : null;
+      const context = {
+        steps: {},
+        // Gasless and read-only profilers have no wallet; {{sender}} is then unresolved
+        sender: this.profiler.wallet ? this.profiler.wallet.address : null,
+        env: process.env,
+        contracts: {}
+      };
+
+      try {
+        for (const step of scenario.steps) {
+          const outcome = await this.executeStep(step, scenario, context);
+          this.recordStep(step, outcome, run, results);
+        }
+      } finally {
+        if (snapshotId !== null) {
+          await this.profiler.provider.send('evm_revert', [snapshotId]);
+        }
+      }
+    }
+
+    // Finalize aggregates
+    for (const result of Object.values(results.results)) {
+      result.aggregated.avg = Math.round(result.aggregated.total / result.aggregated.callCount);
+      this.statistics.annotate(result);
+    }
+
+    const firstTarget = Object.values(results.results).find(result => result.target);
+    results.address = firstTarget ? firstTarget.target : '';
+
+    return results;
+  }
+
+  /**
+   * Execute a single deploy or call step
+   * @param {Object} step - Scenario step
+   * @param {Object} scenario - Scenario (for pre-declared contracts)
+   * @param {Object} context - Template context (mutated with the step's outputs)
+   * @returns {Promise<Object>} Step outcome
+   */
+  async executeStep(step, scenario, context) {
+    try {
+      const signer = await this.getSigner(this.resolveValue(step.from, context));
+      const args = this.resolveValue(step.args || [], context);
+      const value = this.parseValue(this.resolveValue(step.value, context));
+      const overrides = value > 0n ? { value } : {};
+
+      let receipt, contract, signature, result = null;
+
+      if (step.deploy) {
+        const { abi, bytecode } = await this.loadDeployment(step);
+        const factory = new ethers.ContractFactory(abi, bytecode, signer);
+        const deployed = await factory.deploy(...args, overrides);
+        receipt = await deployed.deploymentTransaction().wait();
+        contract = new ethers.Contract(receipt.contractAddress, abi, signer);
+        signature = `deploy(${step.deploy})`;
+      } else {
+        const target = await this.resolveContract(step, scenario, context);
+        contract = new ethers.Contract(target.address, target.abi, signer);
+        const fragment = contract.interface.getFunction(step.function);
+        signature = fragment.format('sighash');
+
+        // Capture the return value so later steps can reference it
+        if (fragment.outputs.length > 0) {
+          try {
+            result = await contract[signature].staticCall(...args, overrides);
+          } catch (error) {
+            // The transaction below surfaces the revert
+          }
+        }
+
+        const tx = await contract[signature](...args, overrides);
+        receipt = await tx.wait();
+      }
+
+      const outcome = {
+        signature,
+        args,
+        from: await signer.getAddress(),
+        address: step.deploy ? receipt.contractAddress : contract.target,
+        abi: contract.interface.formatJson(),
+        gasUsed: Number(receipt.gasUsed),
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        result,
+        events: this.decodeEvents(contract.interface, receipt.logs)
+      };
+
+      context.steps[step.id] = outcome;
+      console.log(chalk.gray(`  ${step.id}: ${signature} → ${outcome.gasUsed.toLocaleString()} gas`));
+      return outcome;
+
+    } catch (error) {
+      throw new Error(`Step ${step.id} failed: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  /**
+   * Record a step outcome in reporter-compatible results and check expectations
+   * @param {Object} step - Scenario step
+   * @param {Object} outcome - Step outcome
+   * @param {number} run - Scenario iteration
+   * @param {Object} results - Profiler results (mutated)
+   */
+  recordStep(step, outcome, run, results) {
+    const key = `${step.id}: ${outcome.signature}`;
+
+    if (!results.results[key]) {
+      results.results[key] = {
+        runs: [],
+        aggregated: { min: Infinity, max: 0, avg: 0, total: 0, callCount: 0 },
+        target: outcome.address,
+        ...(step.expect && { expect: step.expect })
+      };
+    }
+
+    const entry = results.results[key];
+    entry.runs.push({
+      run,
+      args: this._serialize(outcome.args),
+      gasUsed: outcome.gasUsed,
+      mode: 'scenario',
+      txHash: outcome.txHash,
+      blockNumber: outcome.blockNumber,
+      from: outcome.from,
+      paymasterUsed: false,
+      paymasterAddress: null,
+      costInSTT: null,
+      costInWei: null,
+      gasPrice: null
+    });
+    entry.aggregated.min = Math.min(entry.aggregated.min, outcome.gasUsed);
+    entry.aggregated.max = Math.max(entry.aggregated.max, outcome.gasUsed);
+    entry.aggregated.total += outcome.gasUsed;
+    entry.aggregated.callCount++;
+
+    if (step.expect) {
+      const assertion = this.checkExpectation(step, outcome.gasUsed, run);
+      results.assertions.push(assertion);
+      if (!assertion.passed) {
+        console.log(chalk.red(`  ❌ ${assertion.message}`));
+      }
+    }
+  }
+
+  /**
+   * Check a step's gas against its expected bounds
+   * @param {Object} step - Scenario step with expect
+   * @param {number} gasUsed - Measured gas
+   * @param {number} run - Scenario iteration
+   * @returns {Object} Assertion result
+   */
+  checkExpectation(step, gasUsed, run) {
+    const { minGas, maxGas } = step.expect;
+    const failures = [];
+
+    if (minGas !== undefined && gasUsed < minGas) {
+      failures.push(`below minGas ${minGas.toLocaleString()}`);
+    }
+    if (maxGas !== undefined && gasUsed > maxGas) {
+      failures.push(`above maxGas ${maxGas.toLocaleString()}`);
+    }
+
+    return {
+      step: step.id,
+      run,
+      gasUsed,
+      minGas: minGas !== undefined ? minGas : null,
+      maxGas: maxGas !== undefined ? maxGas : null,
+      passed: failures.length === 0,
+      message: failures.length === 0
+        ? `${step.id} used ${gasUsed.toLocaleString()} gas`
+        : `${step.id} used ${gasUsed.toLocaleString()} gas, ${failures.join(' and ')}`
+    };
+  }
+
+  /**
+   * Load ABI and bytecode for a deploy step
+   * @param {Object} step - Deploy step
+   * @returns {Promise<Object>} { abi, bytecode }
+   */
+  async loadDeployment(step) {
+    if (step.source) {
+      const compilation = await this.compiler.compileFile(this.resolvePath(step.source), step.deploy);
+      return { abi: compilation.abi, bytecode: compilation.bytecode };
+    }
+
+    if (step.artifact) {
+      const artifact = JSON.parse(await fs.readFile(this.resolvePath(step.artifact), 'utf8'));
+      return {
+        abi: artifact.abi,
+        bytecode: artifact.bytecode?.object || artifact.bytecode
+      };
+    }
+
+    return { abi: await this.loadABI(step.abi), bytecode: step.bytecode };
+  }
+
+  /**
+   * Resolve the target of a call step to an address and ABI
+   * @param {Object} step - Call step
+   * @param {Object} scenario - Scenario (for pre-declared contracts)
+   * @param {Object} context - Template context
+   * @returns {Promise<Object>} { address, abi }
+   */
+  async resolveContract(step, scenario, context) {
+    const reference = this.resolveValue(step.contract, context);
+
+    if (context.steps[reference] && context.steps[reference].address) {
+      return {
+        address: context.steps[reference].address,
+        abi: step.abi ? await this.loadABI(step.abi) : context.steps[reference].abi
+      };
+    }
+
+    const declared = scenario.contracts && scenario.contracts[reference];
+    if (declared) {
+      if (!context.contracts[reference]) {
+        context.contracts[reference] = {
+          address: this.resolveValue(declared.address, context),
+          abi: await this.loadABI(declared.abi)
+        };
+      }
+      return {
+        address: context.contracts[reference].address,
+        abi: step.abi ? await this.loadABI(step.abi) : context.contracts[reference].abi
+      };
+    }
+
+    if (ethers.isAddress(reference)) {
+      if (!step.abi) {
+        throw new Error(`Contract ${reference} needs an abi`);
+      }
+      return { address: reference, abi: await this.loadABI(step.abi) };
+    }
+
+    throw new Error(`Unknown contract reference: ${reference}`);
+  }
+
+  /**
+   * Load an ABI given inline or as a path relative to the scenario file
+   * @param {Array|string} abi - ABI array, JSON string or file path
+   * @returns {Promise<Array>} ABI array
+   */
+  async loadABI(abi) {
+    if (Array.isArray(abi)) {
+      return abi;
+    }
+    if (typeof abi === 'string' && (abi.startsWith('[') || abi.startsWith('{'))) {
+      return JSON.parse(abi);
+    }
+    if (typeof abi === 'string') {
+      const content = JSON.parse(await fs.readFile(this.resolvePath(abi), 'utf8'));
+      return Array.isArray(content) ? content : content.abi;
+    }
+    throw new Error('ABI must be an array or a file path');
+  }
+
+  /**
+   * Get a signer for a step sender
+   * Impersonates on a fork; private keys sign locally; other addresses must be
+   * unlocked on the node (dev nodes).
+   * @param {string} from - Sender address or private key (defaults to the profiler wallet)
+   * @returns {Promise<Signer>} Signer
+   */
+  async getSigner(from) {
+    if (!from) {
+      if (!this.profiler.wallet) {
+        throw new Error('No sender: set PRIVATE_KEY or give the step a "from"');
+      }
+      return this.profiler.wallet;
+    }
+
+    if (PRIVATE_KEY_PATTERN.test(from)) {
+      return new ethers.Wallet(from, this.profiler.provider);
+    }
+
+    const address = ethers.getAddress(from);
+    if (this.profiler.wallet && address === this.profiler.wallet.address) {
+      return this.profiler.wallet;
+    }
+    if (this.fork) {
+      return await this.fork.getSigner(address, this.profiler.provider);
+    }
+    return new ethers.JsonRpcSigner(this.profiler.provider, address);
+  }
+
+  /**
+   * Replace {{...}} templates in a value (recursively for arrays and objects)
+   * A string that is a single template keeps the referenced value's type.
+   * @param {*} value - Raw value from the scenario
+   * @param {Object} context - Template context
+   * @returns {*} Resolved value
+   */
+  resolveValue(value, context) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolveValue(item, context));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.resolveValue(item, context)]));
+    }
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const whole = value.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+    if (whole) {
+      return this.resolveReference(whole[1], context);
+    }
+
+    return value.replace(TEMPLATE_PATTERN, (match, expression) => String(this.resolveReference(expression, context)));
+  }
+
+  /**
+   * Look up a dotted reference such as steps.token.address or steps.mint.events.Transfer.value
+   * @param {string} expression - Dotted path
+   * @param {Object} context - Template context
+   * @returns {*} Referenced value
+   */
+  resolveReference(expression, context) {
+    let current = context;
+
+    for (const segment of expression.split('.')) {
+      if (current === null || current === undefined) break;
+      current = current[segment];
+    }
+
+    if (current === undefined || current === null) {
+      throw new Error(`Unresolved reference {{${expression}}}`);
+    }
+    return current;
+  }
+
+  /**
+   * Parse a transaction value (wei by default, "<n> ether" or "<n> gwei" accepted)
+   * @param {string|number} value - Raw value
+   * @returns {bigint} Value in wei
+   */
+  parseValue(value) {
+    if (value === undefined || value === null || value === '') {
+      return 0n;
+    }
+
+    const match = String(value).trim().match(/^([\d.]+)\s*(ether|gwei|wei)?$/i);
+    if (!match) {
+      throw new Error(`Invalid value: ${value}`);
+    }
+    return ethers.parseUnits(match[1], (match[2] || 'wei').toLowerCase());
+  }
+
+  /**
+   * Decode receipt logs emitted by a contract, keyed by event name (last occurrence wins)
+   * @param {Interface} iface - Contract interface
+   * @param {Array} logs - Receipt logs
+   * @returns {Object} Event name -> decoded args
+   */
+  decodeEvents(iface, logs = []) {
+    const events = {};
+
+    for (const log of logs) {
+      try {
+        const parsed = iface.parseLog(log);
+        if (parsed) {
+          events[parsed.name] = parsed.args;
+        }
+      } catch (error) {
+        // Log from another contract or unknown event
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Resolve a path relative to the scenario file
+   * @param {string} filePath - Path from the scenario
+   * @returns {string} Absolute path
+   */
+  resolvePath(filePath) {
+    return path.resolve(this.baseDir, filePath);
+  }
+
+  /**
+   * Convert values into JSON-safe values (bigints become strings)
+   * @param {*} value - Value
+   * @returns {*} JSON-safe value
+   */
+  _serialize(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof ethers.Result) return this._serialize(value.toArray());
+    if (Array.isArray(value)) return value.map(item => this._serialize(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._serialize(item)]));
+    }
+    return value;
+  }
+}
+
+module.exports = {
+  ScenarioRunner
+};
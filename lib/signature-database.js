@@ -0,0 +1,379 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const SEED_PATH = path.join(__dirname, 'signature-seed.json');
+const DEFAULT_PATH = path.join(os.homedir(), '.somnia-gas-profiler', 'signatures.json');
+
+const KINDS = ['functions', 'events', 'errors'];
+const PLACEHOLDER_NAME = /^function_[0-9a-f]{8}$/i;
+
+let defaultDatabase = null;
+
+/**
+ * Signature Database for Somnia Gas Profiler
+ * Offline selector/topic -> text signature lookup for functions, events and
+ * custom errors. Ships with a seed of common signatures and learns from every
+ * ABI the tool loads and from imported 4byte/openchain dumps.
+ */
+class SignatureDatabase {
+  /**
+   * @param {Object} options - { dataPath, seed }
+   */
+  constructor(options = {}) {
+    this.dataPath = options.dataPath || process.env.SIGNATURE_DB || DEFAULT_PATH;
+    this.functions = new Map();
+    this.events = new Map();
+    this.errors = new Map();
+    this.dirty = false;
+
+    if (options.seed !== false) {
+      this._merge(this._readFile(SEED_PATH));
+    }
+    this._merge(this._readFile(this.dataPath));
+    this.dirty = false;
+  }
+
+  /**
+   * Process-wide database backed by the default store
+   * @returns {SignatureDatabase} Shared instance
+   */
+  static getDefault() {
+    if (!defaultDatabase) {
+      defaultDatabase = new SignatureDatabase();
+    }
+    return defaultDatabase;
+  }
+
+  /**
+   * Add a text signature, checking it against its selector
+   * @param {string} kind - 'functions', 'events' or 'errors'
+   * @param {string} signature - Text signature, e.g. transfer(address,uint256)
+   * @param {string} expected - Selector or topic the signature should hash to
+   * @returns {boolean} True when the signature was new
+   */
+  add(kind, signature, expected = null) {
+    const normalized = this._normalize(kind, signature);
+    if (!normalized) {
+      return false;
+    }
+
+    const key = this.hash(kind, normalized);
+    if (expected && expected.toLowerCase() !== key) {
+      return false;
+    }
+
+    const known = this[kind].get(key) || [];
+    if (known.includes(normalized)) {
+      return false;
+    }
+
+    this[kind].set(key, [...known, normalized]);
+    this.dirty = true;
+    return true;
+  }
+
+  /**
+   * Learn the functions, events and custom errors of an ABI
+   * Signatures declared in ABIs take precedence over imported candidates.
+   * @param {Array|string} abi - Contract ABI
+   * @returns {number} Number of new signatures
+   */
+  registerABI(abi) {
+    let added = 0;
+
+    try {
+      const iface = new ethers.Interface(abi);
+      const learn = (kind, fragment) => {
+        const signature = fragment.format('sighash');
+        const key = this.hash(kind, signature);
+        const known = this[kind].get(key) || [];
+        if (known[0] !== signature) {
+          this[kind].set(key, [signature, ...known.filter(candidate => candidate !== signature)]);
+          this.dirty = true;
+          added++;
+        }
+      };
+
+      // Minimal ABIs name unknown selectors function_<selector>; those are not real signatures
+      iface.forEachFunction(fragment => {
+        if (!PLACEHOLDER_NAME.test(fragment.name)) {
+          learn('functions', fragment);
+        }
+      });
+      iface.forEachEvent(fragment => learn('events', fragment));
+      iface.forEachError(fragment => learn('errors', fragment));
+    } catch (error) {
+      // Unparseable ABI; nothing to learn
+    }
+
+    return added;
+  }
+
+  /**
+   * Import a 4byte or openchain dump, an ABI, a database file or a plain list
+   * of text signatures (one per line, optionally prefixed by their selector)
+   * @param {string|Object|Array} dump - File contents or parsed JSON
+   * @returns {Object} { functions, events, errors, skipped } counts of new entries
+   */
+  importDump(dump) {
+    const counts = { functions: 0, events: 0, errors: 0, skipped: 0 };
+    const record = (kind, signature, expected) => {
+      const normalized = this._normalize(kind, signature);
+      if (!normalized || (expected && this.hash(kind, normalized) !== expected.toLowerCase())) {
+        counts.skipped++;
+      } else if (this.add(kind, normalized)) {
+        counts[kind]++;
+      }
+    };
+
+    let data = dump;
+    if (typeof dump === 'string') {
+      try {
+        data = JSON.parse(dump);
+      } catch (error) {
+        data = null;
+      }
+    }
+
+    // Plain text: "transfer(address,uint256)" or "0xa9059cbb transfer(address,uint256)"
+    if (data === null) {
+      for (const line of dump.split(/\r?\n/).map(entry => entry.trim()).filter(Boolean)) {
+        const match = line.match(/^(?:(0x[0-9a-fA-F]{8}|0x[0-9a-fA-F]{64})[\s,:]+)?(\w+\(.*\))$/);
+        if (!match) {
+          counts.skipped++;
+          continue;
+        }
+        record(match[1] && match[1].length === 66 ? 'events' : 'functions', match[2], match[1]);
+      }
+      return counts;
+    }
+
+    // ABI
+    if (Array.isArray(data) && data.every(item => item && typeof item.type === 'string')) {
+      const before = this._counts();
+      this.registerABI(data);
+      const after = this._counts();
+      KINDS.forEach(kind => { counts[kind] += after[kind] - before[kind]; });
+      return counts;
+    }
+
+    // 4byte API pages: { results: [{ text_signature, hex_signature }] }
+    const fourByte = Array.isArray(data) ? data : data.results;
+    if (Array.isArray(fourByte)) {
+      for (const entry of fourByte) {
+        const hex = entry.hex_signature || '';
+        record(hex.length === 66 ? 'events' : 'functions', entry.text_signature, hex || null);
+      }
+      return counts;
+    }
+
+    // openchain lookup/export: { result: { function: { selector: [{ name }] }, event: {...} } }
+    if (data.result && (data.result.function || data.result.event)) {
+      for (const [kind, section] of [['functions', data.result.function], ['events', data.result.event]]) {
+        for (const [hex, entries] of Object.entries(section || {})) {
+          (entries || []).forEach(entry => record(kind, entry.name, hex));
+        }
+      }
+      return counts;
+    }
+
+    // Database file
+    if (KINDS.some(kind => data[kind])) {
+      for (const kind of KINDS) {
+        for (const [hex, signatures] of Object.entries(data[kind] || {})) {
+          [].concat(signatures).forEach(signature => record(kind, signature, hex));
+        }
+      }
+      return counts;
+    }
+
+    throw new Error('Unrecognized signature dump format');
+  }
+
+  /**
+   * Import a dump file (see importDump)
+   * @param {string} filePath - Path to the dump
+   * @returns {Promise<Object>} Import counts
+   */
+  async importFile(filePath) {
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      return this.importDump(content);
+    } catch (error) {
+      throw new Error(`Signature import failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a function selector
+   * @param {string} selector - 4-byte selector, with or without 0x
+   * @returns {string|null} Best matching text signature
+   */
+  lookupFunction(selector) {
+    return this.candidates('functions', selector)[0] || null;
+  }
+
+  /**
+   * Resolve an event topic
+   * @param {string} topic - 32-byte event topic
+   * @returns {string|null} Best matching text signature
+   */
+  lookupEvent(topic) {
+    return this.candidates('events', topic)[0] || null;
+  }
+
+  /**
+   * Resolve a custom error selector; errors share the 4-byte namespace with
+   * functions, so dumps that only list functions still resolve them
+   * @param {string} selector - 4-byte selector, with or without 0x
+   * @returns {string|null} Best matching text signature
+   */
+  lookupError(selector) {
+    return this.candidates('errors', selector)[0] || this.lookupFunction(selector);
+  }
+
+  /**
+   * All known signatures for a selector or topic, best match first
+   * @param {string} kind - 'functions', 'events' or 'errors'
+   * @param {string} hex - Selector or topic
+   * @returns {Array<string>} Text signatures
+   */
+  candidates(kind, hex) {
+    if (!hex) {
+      return [];
+    }
+    const key = (hex.startsWith('0x') ? hex : `0x${hex}`).toLowerCase();
+    return this[kind].get(key) || [];
+  }
+
+  /**
+   * Build a fragment from a resolved signature so calldata, logs and revert
+   * payloads can be decoded without the contract's ABI
+   * @param {string} kind - 'functions', 'events' or 'errors'
+   * @param {string} hex - Selector or topic
+   * @returns {Fragment|null} ethers fragment
+   */
+  fragment(kind, hex) {
+    const signature = kind === 'errors' ? this.lookupError(hex) : this.candidates(kind, hex)[0];
+    if (!signature) {
+      return null;
+    }
+    return this._parse(kind, signature);
+  }
+
+  /**
+   * Turn selectors found in bytecode into ABI entries, naming those the
+   * database knows and keeping a function_<selector> placeholder for the rest
+   * @param {Array<string>} selectors - Selectors, with or without 0x
+   * @returns {Array} ABI entries
+   */
+  nameSelectors(selectors) {
+    return selectors.map(selector => {
+      const fragment = this.fragment('functions', selector);
+      if (fragment) {
+        return { ...JSON.parse(fragment.format('json')), stateMutability: 'nonpayable' };
+      }
+
+      return {
+        type: 'function',
+        name: `function_${selector.replace(/^0x/, '')}`,
+        inputs: [], // Cannot determine inputs from bytecode alone
+        outputs: [],
+        stateMutability: 'nonpayable',
+        selector: `0x${selector.replace(/^0x/, '').toLowerCase()}`
+      };
+    });
+  }
+
+  /**
+   * Selector or topic of a text signature
+   * @param {string} kind - 'functions', 'events' or 'errors'
+   * @param {string} signature - Normalized text signature
+   * @returns {string} 0x-prefixed selector (functions, errors) or topic (events)
+   */
+  hash(kind, signature) {
+    const digest = ethers.id(signature);
+    return kind === 'events' ? digest : digest.slice(0, 10);
+  }
+
+  /**
+   * Number of known signatures per kind
+   * @returns {Object} { functions, events, errors }
+   */
+  stats() {
+    return this._counts();
+  }
+
+  /**
+   * Persist the database (seed entries included) when it learned something new
+   * @returns {Promise<boolean>} True when the file was written
+   */
+  async save() {
+    if (!this.dirty) {
+      return false;
+    }
+
+    try {
+      const data = { version: 1 };
+      for (const kind of KINDS) {
+        data[kind] = Object.fromEntries([...this[kind].entries()].sort(([a], [b]) => a.localeCompare(b)));
+      }
+
+      await fs.promises.mkdir(path.dirname(this.dataPath), { recursive: true });
+      await fs.promises.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+      this.dirty = false;
+      return true;
+
+    } catch (error) {
+      throw new Error(`Signature database save failed: ${error.message}`);
+    }
+  }
+
+  _counts() {
+    return Object.fromEntries(KINDS.map(kind => [kind, [...this[kind].values()].reduce((sum, list) => sum + list.length, 0)]));
+  }
+
+  _parse(kind, signature) {
+    const keyword = { functions: 'function', events: 'event', errors: 'error' }[kind];
+    try {
+      return ethers.Fragment.from(`${keyword} ${signature}`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _normalize(kind, signature) {
+    if (typeof signature !== 'string') {
+      return null;
+    }
+    const fragment = this._parse(kind, signature.trim());
+    return fragment ? fragment.format('sighash') : null;
+  }
+
+  _readFile(filePath) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      // Missing or unreadable store starts empty
+      return null;
+    }
+  }
+
+  _merge(data) {
+    if (!data) {
+      return;
+    }
+    for (const kind of KINDS) {
+      for (const [key, signatures] of Object.entries(data[kind] || {})) {
+        const known = this[kind].get(key.toLowerCase()) || [];
+        this[kind].set(key.toLowerCase(), [...known, ...[].concat(signatures).filter(signature => !known.includes(signature))]);
+      }
+    }
+  }
+}
+
+module.exports = {
+  SignatureDatabase
+};
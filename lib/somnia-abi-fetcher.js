@@ -1,273 +1,168 @@
-const axios = require('axios');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
 const chalk = require('chalk');
 
+const { createProvider, loadExplorerConfig } = require('./explorer-providers');
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.somnia-gas-profiler', 'abi-cache');
+const SOMNIA_TESTNET_CHAIN_ID = 50312;
+
+// Lookups that found nothing, so one run does not query the same explorers twice
+const misses = new Set();
+
 /**
  * Somnia Explorer ABI Fetcher
- * Automatically fetches contract ABIs from the Somnia blockchain explorer
+ * Fetches verified contract ABIs from the explorers configured for the chain
+ * (Blockscout v2, Etherscan-compatible or Sourcify) and caches them on disk
  */
 class SomniaABIFetcher {
-  constructor() {
-    this.explorerBaseUrl = 'https://shannon-explorer.somnia.network';
-    this.timeout = 30000; // 15 second timeout
+  /**
+   * @param {Object} options - { provider, chainId, explorers, configPath, cacheDir, cache }
+   */
+  constructor(options = {}) {
+    this.provider = options.provider || null;
+    this.chainId = options.chainId ?? null;
+    this.explorers = options.explorers || null;
+    this.configPath = options.configPath;
+    this.cacheDir = options.cacheDir || process.env.ABI_CACHE_DIR || DEFAULT_CACHE_DIR;
+    this.cache = options.cache !== false;
+    this.timeout = 30000; // 30 second timeout
   }
 
   /**
-   * Fetch ABI for a contract address from Somnia explorer
+   * Fetch ABI for a contract address from the configured explorers
    * @param {string} contractAddress - Contract address to fetch ABI for
    * @returns {Promise<Array>} Contract ABI array
    */
   async fetchABI(contractAddress) {
     try {
-      console.log(chalk.blue(`🔍 Fetching ABI for contract ${contractAddress} from Somnia explorer...`));
+      console.log(chalk.blue(`🔍 Fetching ABI for contract ${contractAddress} from explorers...`));
 
       // Validate contract address format
       if (!this.isValidAddress(contractAddress)) {
         throw new Error('Invalid contract address format');
       }
 
-      // Try different API endpoints that Blockscout typically uses
-      const apiEndpoints = [
-        `/api/v2/addresses/${contractAddress}`,
-        `/api/v2/smart-contracts/${contractAddress}`,
-        `/api/v1/addresses/${contractAddress}`,
-        `/api/addresses/${contractAddress}/smart-contract`,
-        `/api/contract/${contractAddress}`
-      ];
+      const chainId = await this.getChainId();
+      const cached = this.cache ? await this.readCache(chainId, contractAddress) : null;
+      if (cached) {
+        console.log(chalk.green(`✅ ABI loaded from cache (${cached.explorer.type}, ${cached.abi.length} entries)`));
+        return cached.abi;
+      }
 
-      for (const endpoint of apiEndpoints) {
-        try {
-          const apiUrl = `${this.explorerBaseUrl}${endpoint}`;
-          console.log(chalk.gray(`   Trying API: ${apiUrl}`));
+      const explorers = this.getExplorers(chainId);
+      if (explorers.length === 0) {
+        throw new Error(`No explorers configured for chain ${chainId}`);
+      }
 
-          const response = await axios.get(apiUrl, {
-            timeout: this.timeout,
-            headers: {
-              'User-Agent': 'Somnia-Gas-Profiler/2.0',
-              'Accept': 'application/json'
-            }
-          });
+      const missKey = `${chainId}:${contractAddress.toLowerCase()}:${explorers.map(explorer => explorer.url).join(',')}`;
+      if (misses.has(missKey)) {
+        throw new Error('No verified ABI on the configured explorers');
+      }
 
-          if (response.status === 200 && response.data) {
-            const abi = this.extractABIFromAPIResponse(response.data);
-            if (abi && abi.length > 0) {
-              console.log(chalk.green(`✅ ABI fetched successfully from API (${abi.length} entries)`));
-              
-              // Save the API response for debugging
-              await this.saveDebugData(contractAddress, 'api-response', response.data);
-              
-              return abi;
+      const failures = [];
+      for (const explorer of explorers) {
+        try {
+          console.log(chalk.gray(`   Trying ${explorer.type}: ${explorer.url}`));
+          const result = await explorer.fetchABI(contractAddress, chainId);
+
+          if (result) {
+            const name = result.name ? ` for ${result.name}` : '';
+            console.log(chalk.green(`✅ ABI fetched from ${explorer.type}${name} (${result.abi.length} entries)`));
+            if (this.cache) {
+              await this.writeCache(chainId, contractAddress, explorer, result);
             }
+            return result.abi;
           }
-        } catch (apiError) {
-          console.log(chalk.gray(`   API ${endpoint}: ${apiError.response?.status || apiError.message}`));
-          continue;
+
+          failures.push(`${explorer.type}: not verified`);
+        } catch (explorerError) {
+          console.log(chalk.gray(`   ${explorer.type}: ${explorerError.message}`));
+          failures.push(`${explorer.type}: ${explorerError.message}`);
         }
       }
 
-      // If API calls fail, try the HTML scraping approach
-      console.log(chalk.yellow('⚠️  API endpoints failed, trying HTML parsing...'));
-      return await this.fetchABIFromHTML(contractAddress);
+      misses.add(missKey);
+      throw new Error(`No verified ABI found (${failures.join('; ')})`);
 
     } catch (error) {
-      if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-        throw new Error('Cannot connect to Somnia explorer - check your internet connection');
-      } else if (error.code === 'ECONNABORTED') {
-        throw new Error('Explorer request timed out');
-      } else {
-        throw new Error(`Failed to fetch ABI: ${error.message}`);
-      }
+      throw new Error(`Failed to fetch ABI: ${error.message}`);
     }
   }
 
   /**
-   * Extract ABI from API response
-   * @param {Object} apiData - API response data
-   * @returns {Array|null} Parsed ABI array
+   * Chain id used to select explorers (Somnia testnet without a provider)
+   * @returns {Promise<number>} Chain id
    */
-  extractABIFromAPIResponse(apiData) {
-    try {
-      // Common API response structures for Blockscout
-      const possiblePaths = [
-        apiData.abi,
-        apiData.smart_contract?.abi,
-        apiData.contract?.abi,
-        apiData.result?.abi,
-        apiData.data?.abi,
-        apiData.smart_contract_info?.abi,
-        apiData.verified_contract?.abi
-      ];
-
-      for (const abiData of possiblePaths) {
-        if (abiData) {
-          // If it's already an array, return it
-          if (Array.isArray(abiData)) {
-            return abiData;
-          }
-          
-          // If it's a string, try to parse it
-          if (typeof abiData === 'string') {
-            try {
-              const parsed = JSON.parse(abiData);
-              if (Array.isArray(parsed)) {
-                return parsed;
-              }
-            } catch (e) {
-              continue;
-            }
-          }
+  async getChainId() {
+    if (this.chainId === null) {
+      this.chainId = SOMNIA_TESTNET_CHAIN_ID;
+      if (this.provider) {
+        try {
+          this.chainId = Number((await this.provider.getNetwork()).chainId);
+        } catch (error) {
+          console.log(chalk.gray(`   Could not read chain id, assuming Somnia testnet: ${error.message}`));
         }
       }
-
-      return null;
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️  Failed to extract ABI from API response: ${error.message}`));
-      return null;
     }
+    return this.chainId;
   }
 
   /**
-   * Fetch ABI from HTML page (fallback method)
-   * @param {string} contractAddress - Contract address
-   * @returns {Promise<Array>} Contract ABI
+   * Explorer providers for a chain, in the order they are queried
+   * @param {number} chainId - Chain id
+   * @returns {Array<Object>} Providers
    */
-  async fetchABIFromHTML(contractAddress) {
-    try {
-      // Construct the URL for contract ABI page
-      const abiUrl = `${this.explorerBaseUrl}/address/${contractAddress}?tab=contract_abi`;
-      
-      console.log(chalk.gray(`   HTML URL: ${abiUrl}`));
-
-      // Fetch the contract page
-      const response = await axios.get(abiUrl, {
-        timeout: this.timeout,
-        headers: {
-          'User-Agent': 'Somnia-Gas-Profiler/2.0'
-        }
-      });
-
-      if (response.status !== 200) {
-        throw new Error(`Explorer returned status ${response.status}`);
-      }
-
-      // Save HTML for debugging
-      await this.saveDebugData(contractAddress, 'html-response', response.data);
-
-      // Extract ABI from the HTML response
-      const abi = this.extractABIFromHTML(response.data);
-      
-      if (!abi || abi.length === 0) {
-        throw new Error('No ABI found in HTML - contract may not be verified');
-      }
-
-      console.log(chalk.green(`✅ ABI extracted from HTML (${abi.length} entries)`));
-      return abi;
-
-    } catch (error) {
-      throw new Error(`HTML parsing failed: ${error.message}`);
-    }
+  getExplorers(chainId) {
+    const configs = this.explorers || loadExplorerConfig(this.configPath)[chainId] || [];
+    return configs.map(config => createProvider({ timeout: this.timeout, ...config }));
   }
 
   /**
-   * Extract ABI JSON from HTML response
-   * @param {string} html - HTML content from explorer
-   * @returns {Array} Parsed ABI array
+   * Read a cached ABI
+   * @param {number} chainId - Chain id
+   * @param {string} contractAddress - Contract address
+   * @returns {Promise<Object|null>} Cache entry or null
    */
-  extractABIFromHTML(html) {
+  async readCache(chainId, contractAddress) {
     try {
-      // Look for ABI in various possible formats in the HTML
-      
-      // Method 1: Look for JSON in <pre> tags (common format)
-      const preRegex = /<pre[^>]*>(.*?)<\/pre>/gis;
-      let match;
-      while ((match = preRegex.exec(html)) !== null) {
-        const content = match[1].trim();
-        if (content.startsWith('[') && content.includes('"type":"function"')) {
-          try {
-            return JSON.parse(content);
-          } catch (e) {
-            continue;
-          }
-        }
-      }
-
-      // Method 2: Look for ABI in script tags or data attributes
-      const scriptRegex = /<script[^>]*>(.*?)<\/script>/gis;
-      while ((match = scriptRegex.exec(html)) !== null) {
-        const content = match[1];
-        const abiMatch = content.match(/abi[\s]*[:=][\s]*(\[[^\]]+\])/i);
-        if (abiMatch) {
-          try {
-            return JSON.parse(abiMatch[1]);
-          } catch (e) {
-            continue;
-          }
-        }
-      }
-
-      // Method 3: Look for specific ABI content patterns
-      const abiPatterns = [
-        /contract_abi[^{]*({[^}]+})/gi,
-        /"abi"[\s]*:[\s]*(\[[^\]]+\])/gi,
-        /abi[\s]*=[\s]*(\[[^\]]+\])/gi
-      ];
-
-      for (const pattern of abiPatterns) {
-        while ((match = pattern.exec(html)) !== null) {
-          try {
-            return JSON.parse(match[1]);
-          } catch (e) {
-            continue;
-          }
-        }
-      }
-
-      // Method 4: Look for any JSON array with function definitions
-      const jsonArrayRegex = /(\[[\s\S]*?"type"[\s\S]*?"function"[\s\S]*?\])/g;
-      while ((match = jsonArrayRegex.exec(html)) !== null) {
-        try {
-          const parsed = JSON.parse(match[1]);
-          if (Array.isArray(parsed) && parsed.some(item => item.type === 'function')) {
-            return parsed;
-          }
-        } catch (e) {
-          continue;
-        }
-      }
-
-      return null;
-
+      const entry = JSON.parse(await fs.readFile(this.cachePath(chainId, contractAddress), 'utf8'));
+      return Array.isArray(entry.abi) ? entry : null;
     } catch (error) {
-      throw new Error(`Failed to parse ABI from explorer response: ${error.message}`);
+      return null;
     }
   }
 
   /**
-   * Save debug data to file
+   * Cache a fetched ABI; failures only cost a refetch
+   * @param {number} chainId - Chain id
    * @param {string} contractAddress - Contract address
-   * @param {string} type - Type of data (api-response, html-response, etc.)
-   * @param {any} data - Data to save
+   * @param {Object} explorer - Provider the ABI came from
+   * @param {Object} result - { abi, name, compilerVersion }
    */
-  async saveDebugData(contractAddress, type, data) {
+  async writeCache(chainId, contractAddress, explorer, result) {
+    const file = this.cachePath(chainId, contractAddress);
     try {
-      const fs = require('fs').promises;
-      const timestamp = Date.now();
-      const filename = `debug-${type}-${contractAddress.slice(-8)}-${timestamp}.json`;
-      
-      const debugData = {
-        contractAddress,
-        type,
-        timestamp: new Date().toISOString(),
-        data: typeof data === 'string' ? data.substring(0, 10000) + '...' : data
-      };
-      
-      await fs.writeFile(filename, JSON.stringify(debugData, null, 2));
-      console.log(chalk.gray(`   Debug data saved: ${filename}`));
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify({
+        address: contractAddress,
+        chainId,
+        explorer: { type: explorer.type, url: explorer.url },
+        name: result.name,
+        compilerVersion: result.compilerVersion,
+        fetchedAt: new Date().toISOString(),
+        abi: result.abi
+      }, null, 2));
     } catch (error) {
-      // Don't fail the main operation if debug saving fails
-      console.log(chalk.gray(`   Debug save failed: ${error.message}`));
+      console.log(chalk.gray(`   ABI cache write failed: ${error.message}`));
     }
   }
 
+  cachePath(chainId, contractAddress) {
+    return path.join(this.cacheDir, String(chainId), `${contractAddress.toLowerCase()}.json`);
+  }
+
   /**
    * Validate Ethereum address format
    * @param {string} address - Address to validate
@@ -0,0 +1,156 @@
+/**
+ * Source Mapper for Somnia Gas Profiler
+ * Maps runtime program counters back to Solidity source lines using the
+ * compiler's runtime source map, so traced gas can be attributed per line
+ */
+class SourceMapper {
+  /**
+   * @param {Object} compilation - Runtime compilation output
+   * @param {string} compilation.deployedBytecode - Runtime bytecode (hex)
+   * @param {string} compilation.sourceMap - Compressed runtime source map (s:l:f:j:m)
+   * @param {Object} compilation.sources - Source file index -> { path, content }
+   */
+  constructor({ deployedBytecode, sourceMap, sources = {} }) {
+    if (!deployedBytecode || !sourceMap) {
+      throw new Error('Runtime bytecode and source map are required for source mapping');
+    }
+
+    this.sources = sources;
+    this.pcToInstruction = this.buildInstructionIndex(deployedBytecode);
+    this.entries = this.decodeSourceMap(sourceMap);
+    this.lineOffsets = {};
+
+    for (const [fileIndex, source] of Object.entries(sources)) {
+      this.lineOffsets[fileIndex] = this.computeLineOffsets(source.content);
+    }
+  }
+
+  /**
+   * Map each instruction's program counter to its instruction index
+   * PUSH1-PUSH32 immediates are skipped, matching how solc numbers source map entries
+   * @param {string} bytecode - Runtime bytecode
+   * @returns {Map<number, number>} pc -> instruction index
+   */
+  buildInstructionIndex(bytecode) {
+    const code = Buffer.from(bytecode.replace(/^0x/, ''), 'hex');
+    const index = new Map();
+    let instruction = 0;
+
+    for (let pc = 0; pc < code.length; pc++) {
+      index.set(pc, instruction++);
+      const opcode = code[pc];
+      if (opcode >= 0x60 && opcode <= 0x7f) {
+        pc += opcode - 0x5f;
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Decompress a solc source map into one entry per instruction
+   * Empty fields inherit the value from the previous entry
+   * @param {string} sourceMap - Compressed source map
+   * @returns {Array<Object>} Entries ({ start, length, file, jump })
+   */
+  decodeSourceMap(sourceMap) {
+    const entries = [];
+    let previous = { start: -1, length: -1, file: -1, jump: '-' };
+
+    for (const item of sourceMap.split(';')) {
+      const [start, length, file, jump] = item.split(':');
+      const entry = {
+        start: start !== undefined && start !== '' ? parseInt(start, 10) : previous.start,
+        length: length !== undefined && length !== '' ? parseInt(length, 10) : previous.length,
+        file: file !== undefined && file !== '' ? parseInt(file, 10) : previous.file,
+        jump: jump !== undefined && jump !== '' ? jump : previous.jump
+      };
+      entries.push(entry);
+      previous = entry;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Byte offsets at which each line starts (source map offsets are UTF-8 bytes)
+   * @param {string} content - Source file content
+   * @returns {Array<number>} Line start offsets
+   */
+  computeLineOffsets(content) {
+    const bytes = Buffer.from(content, 'utf8');
+    const offsets = [0];
+
+    for (let i = 0; i < bytes.length; i++) {
+      if (bytes[i] === 0x0a) {
+        offsets.push(i + 1);
+      }
+    }
+
+    return offsets;
+  }
+
+  /**
+   * Resolve a program counter to a source location
+   * @param {number} pc - Program counter in the runtime bytecode
+   * @returns {Object|null} Location ({ file, path, line }) or null for compiler-generated code
+   */
+  resolve(pc) {
+    const instruction = this.pcToInstruction.get(pc);
+    const entry = instruction !== undefined ? this.entries[instruction] : null;
+
+    if (!entry || entry.file < 0 || !this.lineOffsets[entry.file]) {
+      return null;
+    }
+
+    const offsets = this.lineOffsets[entry.file];
+    let low = 0;
+    let high = offsets.length - 1;
+
+    // Binary search for the last line starting at or before the offset
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (offsets[mid] <= entry.start) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return {
+      file: entry.file,
+      path: this.sources[entry.file].path,
+      line: low + 1
+    };
+  }
+
+  /**
+   * Attribute traced step costs to source lines
+   * Only top-level frame steps belong to the profiled contract's bytecode.
+   * @param {Array<Object>} steps - Step costs from TraceAnalyzer.computeStepCosts
+   * @returns {Object} { lines: { 'path:line': gas }, unmapped }
+   */
+  attributeSteps(steps) {
+    const lines = {};
+    let unmapped = 0;
+
+    for (const step of steps) {
+      if (step.depth !== 1) continue;
+
+      const location = this.resolve(step.pc);
+      if (!location) {
+        unmapped += step.cost;
+        continue;
+      }
+
+      const key = `${location.path}:${location.line}`;
+      lines[key] = (lines[key] || 0) + step.cost;
+    }
+
+    return { lines, unmapped };
+  }
+}
+
+module.exports = {
+  SourceMapper
+};
@@ -0,0 +1,318 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+const { TraceAnalyzer } = require('../profiler/trace-analyzer');
+const { GasStatistics } = require('./gas-statistics');
+
+/**
+ * Transaction Replayer for Somnia Gas Profiler
+ * Profiles real transactions instead of synthetic calls: collects them by hash,
+ * block range or recipient address, decodes them with the contract ABI and
+ * records their gas (optionally re-executed with debug_traceTransaction for
+ * opcode profiles and call trees) in the standard results format
+ */
+class TransactionReplayer {
+  /**
+   * @param {Provider} provider - Provider for the network the transactions were mined on
+   * @param {Object} options - Replay options
+   * @param {number} options.limit - Maximum number of transactions to collect (default 100)
+   * @param {number} options.blocks - Blocks to scan back from head when only an address is given (default 1000)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.limit = options.limit || 100;
+    this.blocks = options.blocks || 1000;
+    this.traceAnalyzer = new TraceAnalyzer(provider);
+    this.statistics = new GasStatistics();
+  }
+
+  /**
+   * Fetch the transactions to replay
+   * @param {Object} source - { txHashes } or { address, fromBlock, toBlock }
+   * @returns {Promise<Array<Object>>} Transactions in chain order
+   */
+  async collect(source) {
+    const { txHashes, address, fromBlock, toBlock } = source;
+
+    if (txHashes && txHashes.length > 0) {
+      const transactions = [];
+      for (const hash of txHashes) {
+        const tx = await this.provider.getTransaction(hash);
+        if (!tx) {
+          throw new Error(`Transaction ${hash} not found`);
+        }
+        transactions.push(tx);
+      }
+      return transactions;
+    }
+
+    if (fromBlock === undefined && !address) {
+      throw new Error('Nothing to replay: pass transaction hashes, a block range or an address');
+    }
+
+    const head = toBlock !== undefined ? toBlock : await this.provider.getBlockNumber();
+    const start = fromBlock !== undefined ? fromBlock : Math.max(head - this.blocks + 1, 0);
+    if (start > head) {
+      throw new Error(`Invalid block range ${start}..${head}`);
+    }
+
+    console.log(chalk.blue(`🔎 Scanning blocks ${start}..${head}${address ? ` for calls to ${address}` : ''}...`));
+
+    // Walk back from the newest block so the limit keeps the most recent calls
+    const transactions = [];
+    for (let number = head; number >= start && transactions.length < this.limit; number--) {
+      const block = await this.provider.getBlock(number, true);
+      if (!block) continue;
+
+      const matching = block.prefetchedTransactions
+        .filter(tx => !address || (tx.to && tx.to.toLowerCase() === address.toLowerCase()))
+        .reverse();
+      transactions.push(...matching.slice(0, this.limit - transactions.length));
+    }
+
+    return transactions.reverse();
+  }
+
+  /**
+   * Decode a transaction against the contract interface
+   * @param {Object} tx - Transaction
+   * @param {Interface} iface - Contract interface
+   * @returns {Object|null} { fragment, fullSignature, args } or null when undecodable
+   */
+  decode(tx, iface) {
+    if (!tx.to || !tx.data || tx.data === '0x') {
+      return null;
+    }
+
+    try {
+      const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+      if (!parsed) return null;
+
+      const fragment = parsed.fragment;
+      return {
+        fragment,
+        fullSignature: `${fragment.name}(${fragment.inputs.map(input => input.type).join(',')})`,
+        args: this._serialize(parsed.args)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Record the gas of each transaction, grouped by function
+   * @param {Array<Object>} transactions - Transactions from collect()
+   * @param {Array} abi - Contract ABI
+   * @param {Object} options - { rpc, address, opcodes, callTree, includeReverted }
+   * @returns {Promise<Object>} Profiler results (compatible with the reporter)
+   */
+  async replay(transactions, abi, options = {}) {
+    const { rpc = '', address = null, opcodes = false, callTree = false, includeReverted = false } = options;
+    const iface = new ethers.Interface(abi);
+    const network = await this.provider.getNetwork();
+    const skipped = [];
+
+    if (callTree) {
+      this.traceAnalyzer.registerABI(abi);
+    }
+
+    const results = {
+      rpc,
+      address: address || this._commonRecipient(transactions),
+      network: network.chainId === 50312n ? 'Somnia Testnet' : (network.name || 'Unknown'),
+      timestamp: new Date().toISOString(),
+      results: {}
+    };
+
+    console.log(chalk.blue(`\n⏪ Replaying ${transactions.length} transaction(s)...`));
+
+    for (const tx of transactions) {
+      if (address && (!tx.to || tx.to.toLowerCase() !== address.toLowerCase())) {
+        skipped.push({ txHash: tx.hash, reason: `not sent to ${address}` });
+        continue;
+      }
+
+      const call = this.decode(tx, iface);
+      if (!call) {
+        const reason = !tx.to ? 'contract creation' : `unknown selector ${(tx.data || '0x').slice(0, 10)}`;
+        skipped.push({ txHash: tx.hash, reason });
+        continue;
+      }
+
+      const receipt = await this.provider.getTransactionReceipt(tx.hash);
+      if (!receipt) {
+        skipped.push({ txHash: tx.hash, reason: 'not mined' });
+        continue;
+      }
+      if (receipt.status === 0 && !includeReverted) {
+        skipped.push({ txHash: tx.hash, reason: 'reverted' });
+        continue;
+      }
+
+      // Tracing re-executes the transaction on the node at its historical state
+      const opcodeProfile = opcodes ? await this.traceAnalyzer.profileOpcodes({ txHash: tx.hash }) : null;
+      const tree = callTree ? await this.traceAnalyzer.profileCallTree({ txHash: tx.hash }) : null;
+      const revert = receipt.status === 0 ? await this.describeRevert(tx, tree) : null;
+
+      this.recordRun(results, call, tx, receipt, { opcodeProfile, callTree: tree }, revert);
+    }
+
+    for (const result of Object.values(results.results)) {
+      this.finalize(result, opcodes);
+    }
+
+    results.replay = {
+      transactions: transactions.length,
+      replayed: transactions.length - skipped.length,
+      skipped
+    };
+
+    this._printSummary(results);
+    return results;
+  }
+
+  /**
+   * Revert reason of a reverted transaction from its call tree
+   * Receipts carry no return data, so the transaction is traced when --call-tree did not already.
+   * @returns {Promise<Object>} { message }
+   */
+  async describeRevert(tx, tree) {
+    const root = tree || await this.traceAnalyzer.profileCallTree({ txHash: tx.hash });
+    return { message: (root && (root.revertReason || root.error)) || 'reverted (reason unavailable without debug_traceTransaction)' };
+  }
+
+  /**
+   * Add one replayed transaction to its function's runs
+   * Reverted transactions stay out of the aggregates, like reverted profiling runs.
+   */
+  recordRun(results, call, tx, receipt, traces, revert = null) {
+    if (!results.results[call.fullSignature]) {
+      results.results[call.fullSignature] = {
+        runs: [],
+        aggregated: { min: Infinity, max: 0, avg: 0, total: 0, callCount: 0, minCost: Infinity, maxCost: 0, avgCost: 0, totalCost: 0 }
+      };
+    }
+
+    const entry = results.results[call.fullSignature];
+    const gasUsed = Number(receipt.gasUsed);
+    const gasPrice = receipt.gasPrice || tx.gasPrice || null;
+    const costInWei = gasPrice ? BigInt(gasUsed) * gasPrice : null;
+    const costInSTT = costInWei !== null ? ethers.formatEther(costInWei) : null;
+
+    entry.runs.push({
+      run: entry.runs.length + 1,
+      args: call.args,
+      gasUsed,
+      mode: 'replay',
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      from: tx.from,
+      paymasterUsed: false,
+      paymasterAddress: null,
+      costInSTT,
+      costInWei: costInWei !== null ? costInWei.toString() : null,
+      gasPrice: gasPrice ? gasPrice.toString() : null,
+      ...(revert && { reverted: true, revert }),
+      ...(traces.opcodeProfile && { opcodeProfile: traces.opcodeProfile }),
+      ...(traces.callTree && { callTree: traces.callTree })
+    });
+
+    if (revert) {
+      return;
+    }
+
+    entry.aggregated.min = Math.min(entry.aggregated.min, gasUsed);
+    entry.aggregated.max = Math.max(entry.aggregated.max, gasUsed);
+    entry.aggregated.total += gasUsed;
+    entry.aggregated.callCount++;
+
+    if (costInSTT !== null) {
+      const cost = Number(costInSTT);
+      entry.aggregated.minCost = Math.min(entry.aggregated.minCost, cost);
+      entry.aggregated.maxCost = Math.max(entry.aggregated.maxCost, cost);
+      entry.aggregated.totalCost += cost;
+    }
+  }
+
+  /**
+   * Averages, statistics and merged opcode profile for one function
+   */
+  finalize(result, opcodes) {
+    const aggregated = result.aggregated;
+    const reverted = result.runs.filter(run => run.reverted);
+    if (reverted.length > 0) {
+      this.statistics.summarizeReverts(result, reverted);
+    }
+
+    // Functions whose every transaction reverted report the gas spent until the revert
+    aggregated.avg = aggregated.callCount > 0
+      ? Math.round(aggregated.total / aggregated.callCount)
+      : (aggregated.revertGas ? aggregated.revertGas.avg : 0);
+
+    if (aggregated.totalCost > 0) {
+      aggregated.avgCost = aggregated.totalCost / aggregated.callCount;
+    } else {
+      delete aggregated.minCost;
+      delete aggregated.maxCost;
+      delete aggregated.avgCost;
+      delete aggregated.totalCost;
+    }
+
+    this.statistics.annotate({ runs: result.runs.filter(run => !run.reverted), aggregated });
+
+    if (opcodes) {
+      result.opcodeProfile = this.traceAnalyzer.mergeOpcodeProfiles(result.runs.map(run => run.opcodeProfile));
+    }
+  }
+
+  /**
+   * Save results as JSON
+   * @param {Object} results - Results from replay()
+   * @param {string} outputPath - Output file path
+   */
+  async save(results, outputPath) {
+    try {
+      await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+      await fs.writeFile(outputPath, JSON.stringify(results, null, 2), 'utf8');
+      console.log(chalk.green(`💾 Results saved to ${outputPath}`));
+    } catch (error) {
+      throw new Error(`Failed to save results: ${error.message}`);
+    }
+  }
+
+  _printSummary(results) {
+    for (const [signature, result] of Object.entries(results.results)) {
+      const { avg, min, max, callCount, reverted } = result.aggregated;
+      const revertDisplay = reverted ? `, ${reverted} reverted` : '';
+      console.log(chalk.gray(`   ${signature}: ${callCount} call(s)${revertDisplay}, avg ${avg.toLocaleString()} gas (${min.toLocaleString()} - ${max.toLocaleString()})`));
+    }
+
+    const { replayed, skipped } = results.replay;
+    console.log(chalk.green(`✅ Replayed ${replayed} transaction(s)`));
+    if (skipped.length > 0) {
+      const reasons = {};
+      skipped.forEach(item => { reasons[item.reason] = (reasons[item.reason] || 0) + 1; });
+      console.log(chalk.yellow(`⚠️  Skipped ${skipped.length}: ${Object.entries(reasons).map(([reason, count]) => `${count} ${reason}`).join(', ')}`));
+    }
+  }
+
+  _commonRecipient(transactions) {
+    const recipients = new Set(transactions.filter(tx => tx.to).map(tx => tx.to));
+    return recipients.size === 1 ? [...recipients][0] : '';
+  }
+
+  _serialize(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof ethers.Result) return this._serialize(value.toArray());
+    if (Array.isArray(value)) return value.map(item => this._serialize(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this._serialize(item)]));
+    }
+    return value;
+  }
+}
+
+module.exports = {
+  TransactionReplayer
+};
@@ -1,6 +1,7 @@
 const { ethers } = require('ethers');
 const chalk = require('chalk');
 const { PaymasterUtils } = require('../utils/paymaster');
+const { TraceAnalyzer } = require('./trace-analyzer');
 
 /**
  * Advanced Gasless Simulation Engine for Somnia Gas Profiler
@@ -10,6 +11,7 @@ class GaslessSimulator {
   constructor(provider) {
     this.provider = provider;
     this.paymasterUtils = new PaymasterUtils(provider);
+    this.traceAnalyzer = new TraceAnalyzer(provider);
     this.cache = new Map();
     this.cacheTimeout = 300000; // 5 minutes
     this.fallbackStrategies = [
@@ -235,7 +237,8 @@ class GaslessSimulator {
             type: trace.type,
             gasUsed: trace.gasUsed,
             output: trace.output
-          }
+          },
+          callTree: this.traceAnalyzer.buildCallTree(trace)
         }
       };
 
@@ -3,16 +3,32 @@ const fs = require('fs').promises;
 const path = require('path');
 const chalk = require('chalk');
 const { GaslessSimulator } = require('./gasless-simulator');
+const { TraceAnalyzer } = require('./trace-analyzer');
 const { PaymasterUtils } = require('../utils/paymaster');
 const { BytecodeProcessor } = require('../lib/bytecode-processor');
+const { SourceMapper } = require('../lib/source-mapper');
+const { GasStatistics } = require('../lib/gas-statistics');
+const { GasSweep } = require('../lib/gas-sweep');
+const { RevertDecoder } = require('../lib/revert-decoder');
+const { AccessListAnalyzer } = require('../lib/access-list-analyzer');
+const { ProxyResolver } = require('../lib/proxy-resolver');
+const { SignatureDatabase } = require('../lib/signature-database');
+const { DispatcherAnalyzer } = require('../lib/dispatcher-analyzer');
 
 class SomniaGasProfiler {
   constructor() {
     this.provider = null;
     this.wallet = null;
     this.gaslessSimulator = null;
+    this.traceAnalyzer = null;
+    this.accessListAnalyzer = null;
     this.paymasterUtils = null;
     this.bytecodeProcessor = null;
+    this.fork = null;
+    this.snapshotSupport = null;
+    this.statistics = new GasStatistics();
+    this.revertDecoder = new RevertDecoder();
+    this.signatureDatabase = SignatureDatabase.getDefault();
     this.results = {
       rpc: '',
       address: '',
@@ -22,26 +38,37 @@ class SomniaGasProfiler {
     };
   }
 
-  async initialize(rpcUrl, privateKey) {
+  async initialize(rpcUrl, privateKey, options = {}) {
+    const { fork = null, sender = null, harvest } = options;
+    
     try {
-      // Initialize provider
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
+      // Initialize provider (a local fork replaces the remote RPC entirely)
+      this.fork = fork;
+      this.provider = new ethers.JsonRpcProvider(fork ? fork.rpcUrl : rpcUrl);
       this.results.rpc = rpcUrl;
+      if (fork) {
+        this.results.fork = fork.describe();
+      }
       
       // Initialize gasless simulator and paymaster utils
       this.gaslessSimulator = new GaslessSimulator(this.provider);
+      this.traceAnalyzer = new TraceAnalyzer(this.provider);
+      this.accessListAnalyzer = new AccessListAnalyzer(this.provider);
       this.paymasterUtils = new PaymasterUtils(this.provider);
       
       // Initialize bytecode processor for intelligent argument generation
-      this.bytecodeProcessor = new BytecodeProcessor(this.provider, this.wallet);
+      this.bytecodeProcessor = new BytecodeProcessor(this.provider, this.wallet, { historyBlocks: harvest });
       
       // Test connection
       const network = await this.provider.getNetwork();
       const networkName = network.chainId === 50312n ? 'Somnia Testnet' : (network.name || 'Unknown');
       console.log(chalk.green(`✅ Connected to network: ${networkName} (Chain ID: ${network.chainId})`));
       
-      // Initialize wallet if private key provided
-      if (privateKey) {
+      // On a fork, impersonate the sender instead of signing with a funded key
+      if (fork) {
+        this.wallet = await fork.getSigner(sender, this.provider);
+        console.log(chalk.blue(`🎭 Impersonating ${this.wallet.address} on fork`));
+      } else if (privateKey) {
         this.wallet = new ethers.Wallet(privateKey, this.provider);
         const balance = await this.provider.getBalance(this.wallet.address);
         const network = await this.provider.getNetwork();
@@ -77,6 +104,7 @@ class SomniaGasProfiler {
       }
       
       console.log(chalk.green(`✅ ABI loaded successfully (${abi.length} entries)`));
+      await this.rememberSignatures(abi);
       return abi;
       
     } catch (error) {
@@ -84,10 +112,26 @@ class SomniaGasProfiler {
     }
   }
 
+  /**
+   * Add an ABI's functions, events and errors to the offline signature database
+   * so later runs can name them in contracts profiled without an ABI
+   * @param {Array} abi - Contract ABI
+   */
+  async rememberSignatures(abi) {
+    try {
+      if (this.signatureDatabase.registerABI(abi) > 0) {
+        await this.signatureDatabase.save();
+      }
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Could not update signature database: ${error.message}`));
+    }
+  }
+
   async validateContract(contractAddress, abi) {
     try {
       // Create contract instance with wallet for transaction execution
-      const contract = new ethers.Contract(contractAddress, abi, this.wallet);
+      // (functions recovered from bytecode are called by their real selector)
+      const contract = new ethers.Contract(contractAddress, DispatcherAnalyzer.toFragments(abi), this.wallet);
       
       // Try to get contract code to verify it exists
       const code = await this.provider.getCode(contractAddress);
@@ -310,7 +354,27 @@ class SomniaGasProfiler {
     }
   }
 
-  async profileFunction(contract, func, args, runs, gaslessMode = false, paymasterAddress = null, argumentAnalysis = null) {
+  /**
+   * Profile a single function over several runs
+   * @param {Contract} contract - The contract instance
+   * @param {Object} func - Function metadata
+   * @param {Array} args - Function arguments
+   * @param {number} runs - Number of runs
+   * @param {boolean} gaslessMode - Simulate instead of sending transactions
+   * @param {string} paymasterAddress - Paymaster contract address
+   * @param {Object} argumentAnalysis - Intelligent argument analysis
+   * @param {Object} options - Profiling options
+   * @param {boolean} options.opcodes - Attribute gas to opcodes via structLogs
+   * @param {SourceMapper} options.sourceMapper - Attribute traced gas to source lines
+   * @param {boolean} options.callTree - Record the internal call tree via callTracer
+   * @param {boolean} options.accessList - Measure the gas delta of an EIP-2930 access list
+   * @param {boolean} options.continueOnError - Record reverted runs instead of failing
+   * @param {Object} options.proxy - Proxy the contract is called through (ProxyResolver.detect), to split off its overhead
+   * @returns {Promise<Object>} Runs and aggregated statistics
+   */
+  async profileFunction(contract, func, args, runs, gaslessMode = false, paymasterAddress = null, argumentAnalysis = null, options = {}) {
+    const { opcodes = false, sourceMapper = null, callTree: recordCallTree = false, accessList: recordAccessList = false, continueOnError = false, proxy = null } = options;
+    const traceRuns = opcodes || Boolean(sourceMapper);
     const results = {
       runs: [],
       aggregated: {
@@ -341,13 +405,37 @@ class SomniaGasProfiler {
       console.log(chalk.yellow(`⚠️  Could not fetch gas price: ${error.message}`));
     }
     
+    // Revert state after every run so each one starts from identical (cold) state
+    const isolateRuns = !gaslessMode && await this.supportsSnapshots();
+    
     for (let run = 1; run <= runs; run++) {
+      let snapshotId = null;
+      
       try {
+        if (isolateRuns) {
+          snapshotId = await this.provider.send('evm_snapshot', []);
+        }
+        
+        let warmGasUsed = null;
+        let warmError = null;
+
         let gasUsed;
         let txHash = '';
         let blockNumber = 0;
-        let mode = gaslessMode ? 'gasless' : 'standard';
+        let mode = gaslessMode ? 'gasless' : (this.fork ? 'fork' : 'standard');
         let paymasterUsed = false;
+        let txOptions = {};
+        
+        // Build the access list against the state this run starts from
+        let accessList = null;
+        let accessListGas = null;
+        if (recordAccessList) {
+          accessList = await this.accessListAnalyzer.createAccessList(this._callData(contract, func, args));
+          if (accessList && !isolateRuns) {
+            // Without snapshots the run changes state, so compare both variants before sending it
+            accessListGas = await this.estimateAccessList(contract, func, args, accessList);
+          }
+        }
         
         if (gaslessMode) {
           // Enhanced gasless simulation with multiple modes and fallbacks
@@ -443,8 +531,6 @@ class SomniaGasProfiler {
           }
         } else {
           // Standard transaction execution
-          let txOptions = {};
-          
           if (paymasterAddress) {
             // Add paymaster data to transaction
             txOptions = await this.preparePaymasterTransaction(contract, func, args, paymasterAddress);
@@ -458,8 +544,64 @@ class SomniaGasProfiler {
           gasUsed = Number(receipt.gasUsed);
           txHash = receipt.hash;
           blockNumber = receipt.blockNumber;
+          
+          // Repeat the call on top of the cold run to measure the warm path before reverting.
+          // Calls that only succeed once (e.g. claim or initialize) revert here, which must not
+          // discard the cold measurement.
+          if (isolateRuns) {
+            try {
+              const warmTx = await contract[func.fragment.name](...args, txOptions);
+              const warmReceipt = await warmTx.wait();
+              warmGasUsed = Number(warmReceipt.gasUsed);
+            } catch (error) {
+              warmError = error.message.substring(0, 200);
+              console.log(chalk.yellow(`    ⚠️  Warm re-run failed, reporting the cold run only: ${error.message.substring(0, 80)}`));
+            }
+          }
         }
         
+        // Mined runs are traced by hash, simulated runs are replayed with debug_traceCall
+        const traceTarget = txHash ? { txHash } : { txData: this._callData(contract, func, args) };
+        
+        // Attribute gas to opcodes if requested
+        let opcodeProfile = null;
+        if (traceRuns) {
+          opcodeProfile = await this.traceAnalyzer.profileOpcodes(traceTarget, sourceMapper);
+        }
+        
+        // Record the internal call tree if requested
+        let callTree = null;
+        if (recordCallTree) {
+          callTree = await this.traceAnalyzer.profileCallTree(traceTarget);
+        }
+        
+        // Split off the gas spent in the proxy before it delegates to the implementation
+        let proxyOverhead = null;
+        if (proxy) {
+          const proxyTree = callTree || await this.traceAnalyzer.profileCallTree(traceTarget);
+          // The callTracer root frame includes the intrinsic gas for mined and simulated calls alike
+          const intrinsicGas = BytecodeProcessor.analyzeCalldata(this._callData(contract, func, args).data).total;
+          proxyOverhead = ProxyResolver.measureOverhead(proxyTree, proxy, intrinsicGas);
+        }
+        
+        // Re-run from the same starting state with the access list attached. Reverting drops the
+        // cold transaction from the node, so this has to wait until it has been traced by hash.
+        if (accessList && isolateRuns) {
+          await this.provider.send('evm_revert', [snapshotId]);
+          snapshotId = await this.provider.send('evm_snapshot', []);
+          try {
+            const listTx = await contract[func.fragment.name](...args, { ...txOptions, accessList: accessList.accessList });
+            const listReceipt = await listTx.wait();
+            accessListGas = { gasWithout: gasUsed, gasWith: Number(listReceipt.gasUsed), method: 'mined' };
+          } catch (error) {
+            console.log(chalk.yellow(`    ⚠️  Access list run failed: ${error.message.substring(0, 80)}`));
+          }
+        }
+        
+        const accessListProfile = accessListGas
+          ? this.accessListAnalyzer.compare(accessList, accessListGas.gasWithout, accessListGas.gasWith, accessListGas.method)
+          : null;
+        
         // Update aggregated stats
         results.aggregated.min = Math.min(results.aggregated.min, gasUsed);
         results.aggregated.max = Math.max(results.aggregated.max, gasUsed);
@@ -492,12 +634,20 @@ class SomniaGasProfiler {
           paymasterAddress: paymasterUsed ? paymasterAddress : null,
           costInSTT: costInSTTFormatted,
           costInWei: costInSTT ? costInSTT.toString() : null,
-          gasPrice: gasPrice ? gasPrice.toString() : null
+          gasPrice: gasPrice ? gasPrice.toString() : null,
+          ...(warmGasUsed !== null && { warmGasUsed }),
+          ...(warmError && { warmError }),
+          ...(opcodeProfile && { opcodeProfile }),
+          ...(callTree && { callTree }),
+          ...(accessListProfile && { accessList: accessListProfile }),
+          ...(proxyOverhead !== null && { proxyOverhead })
         });
         
         const modeDisplay = gaslessMode ? '(simulated)' : paymasterUsed ? '(paymaster)' : '';
         const costDisplay = costInSTTFormatted && !gaslessMode ? ` | ${parseFloat(costInSTTFormatted).toFixed(8)} STT` : '';
-        console.log(chalk.gray(`  Run ${run}: ${gasUsed.toLocaleString()} gas${costDisplay} ${modeDisplay}`));
+        const warmDisplay = warmGasUsed !== null ? ` cold / ${warmGasUsed.toLocaleString()} warm` : '';
+        const accessListDisplay = accessListProfile ? ` | ${accessListProfile.gasWith.toLocaleString()} with access list` : '';
+        console.log(chalk.gray(`  Run ${run}: ${gasUsed.toLocaleString()} gas${warmDisplay}${accessListDisplay}${costDisplay} ${modeDisplay}`));
         
         // Add small delay between runs to avoid overwhelming the RPC
         if (run < runs) {
@@ -505,12 +655,37 @@ class SomniaGasProfiler {
         }
         
       } catch (error) {
-        throw new Error(`Run ${run} failed: ${error.message}`);
+        // Reverts become results of their own when the caller wants to keep going
+        this.revertDecoder.registerABI(contract.interface.fragments);
+        const revert = this.revertDecoder.decodeError(error);
+        if (!continueOnError || !revert) {
+          throw new Error(`Run ${run} failed: ${revert ? `reverted with ${revert.message}` : error.message}`);
+        }
+        results.runs.push(await this.describeRevertedRun(contract, func, args, run, error, revert, gasPrice));
+      } finally {
+        // A failed revert must not replace the error of the run itself
+        if (snapshotId !== null) {
+          try {
+            await this.provider.send('evm_revert', [snapshotId]);
+          } catch (error) {
+            console.log(chalk.yellow(`⚠️  Could not revert snapshot after run ${run}, later runs may start from changed state: ${error.message.substring(0, 80)}`));
+          }
+        }
       }
     }
     
-    // Calculate averages
-    results.aggregated.avg = Math.round(results.aggregated.total / results.aggregated.callCount);
+    const reverted = results.runs.filter(run => run.reverted);
+    if (reverted.length > 0) {
+      this.summarizeReverts(results, reverted);
+    }
+    
+    // Calculate averages (functions whose every run reverted report the gas spent until the revert)
+    results.aggregated.avg = results.aggregated.callCount > 0
+      ? Math.round(results.aggregated.total / results.aggregated.callCount)
+      : (results.aggregated.revertGas ? results.aggregated.revertGas.avg : 0);
+    
+    // Percentiles, spread, confidence interval and outlier runs (reverted runs excluded)
+    this.statistics.annotate({ runs: results.runs.filter(run => !run.reverted), aggregated: results.aggregated });
     
     // Calculate cost averages if we have cost data
     if (results.aggregated.totalCost > 0) {
@@ -523,8 +698,58 @@ class SomniaGasProfiler {
       delete results.aggregated.totalCost;
     }
     
+    // Cold runs start from the reverted snapshot; warm runs repeat the call on top of them
+    if (isolateRuns && results.aggregated.callCount > 0) {
+      const completed = results.runs.filter(run => !run.reverted);
+      const warm = completed.filter(run => run.warmGasUsed !== undefined).map(run => run.warmGasUsed);
+      results.aggregated.cold = this._summarizeGas(completed.map(run => run.gasUsed));
+      if (warm.length > 0) {
+        results.aggregated.warm = this._summarizeGas(warm);
+      }
+      const warmDisplay = results.aggregated.warm ? `${results.aggregated.warm.avg.toLocaleString()} gas` : 'n/a (warm re-runs failed)';
+      console.log(chalk.green(`  ❄️  Cold avg: ${results.aggregated.cold.avg.toLocaleString()} gas | 🔥 Warm avg: ${warmDisplay}`));
+    }
+    
+    // Base transaction cost and calldata bytes; every run sends the same arguments
+    const intrinsic = BytecodeProcessor.analyzeCalldata(this._callData(contract, func, args).data, results.aggregated.avg);
+    results.aggregated.intrinsic = intrinsic;
+    console.log(chalk.gray(`  📦 Calldata: ${intrinsic.bytes} bytes (${intrinsic.zeroBytes} zero, ${intrinsic.nonZeroBytes} non-zero) = ${intrinsic.calldataGas.toLocaleString()} gas${intrinsic.calldataShare !== undefined ? `, ${intrinsic.calldataShare}% of total` : ''}`));
+
+    // Proxy overhead from the traced runs, or the cold-access lower bound without traces
+    if (proxy) {
+      const measured = results.runs.map(run => run.proxyOverhead).filter(value => typeof value === 'number');
+      const overhead = measured.length > 0
+        ? { ...this._summarizeGas(measured), method: 'trace' }
+        : { min: proxy.estimatedOverhead, max: proxy.estimatedOverhead, avg: proxy.estimatedOverhead, method: 'estimate' };
+      overhead.implementationAvg = Math.max(0, results.aggregated.avg - overhead.avg);
+      results.aggregated.proxyOverhead = overhead;
+      console.log(chalk.gray(`  🔀 Proxy overhead: ${overhead.avg.toLocaleString()} gas (${overhead.method}), implementation ${overhead.implementationAvg.toLocaleString()} gas`));
+    }
+
+    // Average the access list deltas across runs
+    if (recordAccessList) {
+      const accessListSummary = this.accessListAnalyzer.aggregate(results.runs.map(run => run.accessList));
+      if (accessListSummary) {
+        results.aggregated.accessList = accessListSummary;
+        const verdict = accessListSummary.worthIt ? chalk.green('saves') : chalk.yellow('costs');
+        console.log(chalk.green(`  🧾 Access list (${accessListSummary.addresses} addresses, ${accessListSummary.storageKeys} slots) ${verdict} ${Math.abs(accessListSummary.savings).toLocaleString()} gas per call`));
+      }
+    }
+    
+    // Average the opcode histograms across runs
+    if (traceRuns) {
+      results.opcodeProfile = this.traceAnalyzer.mergeOpcodeProfiles(results.runs.map(run => run.opcodeProfile));
+    }
+    
     console.log(chalk.green(`  ✅ Average: ${results.aggregated.avg.toLocaleString()} gas`));
     console.log(chalk.green(`  📊 Range: ${results.aggregated.min.toLocaleString()} - ${results.aggregated.max.toLocaleString()} gas`));
+    if (results.aggregated.callCount > 1) {
+      const { median, p95, stdDev, cv } = results.aggregated;
+      console.log(chalk.green(`  📐 Median: ${median.toLocaleString()} | p95: ${p95.toLocaleString()} | σ: ${stdDev.toLocaleString()} (CV ${(cv * 100).toFixed(2)}%)`));
+    }
+    if (results.aggregated.outliers && results.aggregated.outliers.length > 0) {
+      console.log(chalk.yellow(`  ⚠️  Outlier runs: ${results.aggregated.outliers.join(', ')}`));
+    }
     
     // Display cost information if available
     if (results.aggregated.avgCost !== undefined) {
@@ -535,6 +760,121 @@ class SomniaGasProfiler {
     return results;
   }
 
+  /**
+   * Estimate a call with and without its access list against the current state
+   * @returns {Promise<Object|null>} { gasWithout, gasWith, method: 'estimate' } or null if estimation fails
+   */
+  async estimateAccessList(contract, func, args, accessList) {
+    try {
+      const estimate = await this.accessListAnalyzer.estimate(this._callData(contract, func, args), accessList.accessList);
+      return { ...estimate, method: 'estimate' };
+    } catch (error) {
+      console.log(chalk.yellow(`    ⚠️  Access list estimate failed: ${error.message.substring(0, 80)}`));
+      return null;
+    }
+  }
+
+  /**
+   * Measure and describe a run that reverted
+   * Gas until the revert comes from the receipt when the transaction was mined,
+   * otherwise from a callTracer replay of the call (null when the node cannot trace).
+   * Both include the intrinsic gas.
+   * @returns {Promise<Object>} Run entry with reverted: true and the decoded revert
+   */
+  async describeRevertedRun(contract, func, args, run, error, revert, gasPrice) {
+    let gasUsed = null;
+    let txHash = '';
+    let blockNumber = 0;
+
+    if (error.receipt) {
+      gasUsed = Number(error.receipt.gasUsed);
+      txHash = error.receipt.hash;
+      blockNumber = error.receipt.blockNumber;
+    } else {
+      const tree = await this.traceAnalyzer.profileCallTree({ txData: this._callData(contract, func, args) });
+      if (tree) {
+        gasUsed = tree.gasUsed;
+      }
+    }
+
+    const gasDisplay = gasUsed !== null ? ` after ${gasUsed.toLocaleString()} gas` : '';
+    console.log(chalk.yellow(`  Run ${run}: reverted${gasDisplay} (${revert.message})`));
+
+    return {
+      run,
+      args,
+      gasUsed,
+      mode: this.fork ? 'fork' : 'standard',
+      txHash,
+      blockNumber,
+      paymasterUsed: false,
+      paymasterAddress: null,
+      costInSTT: null,
+      costInWei: null,
+      gasPrice: gasPrice ? gasPrice.toString() : null,
+      reverted: true,
+      revert
+    };
+  }
+
+  /**
+   * Add revert counts, reasons and gas-until-revert to a function's aggregated block
+   * @param {Object} results - Function results (mutated)
+   * @param {Array<Object>} reverted - Reverted runs
+   */
+  summarizeReverts(results, reverted) {
+    this.statistics.summarizeReverts(results, reverted);
+    console.log(chalk.yellow(`  ⛔ ${reverted.length}/${results.runs.length} run(s) reverted: ${results.aggregated.revertReasons.join('; ')}`));
+  }
+
+  /**
+   * Check whether the node supports evm_snapshot/evm_revert (anvil, hardhat, ganache)
+   * @returns {Promise<boolean>} True if state can be reverted between runs
+   */
+  async supportsSnapshots() {
+    if (this.snapshotSupport === null) {
+      try {
+        const snapshotId = await this.provider.send('evm_snapshot', []);
+        this.snapshotSupport = Boolean(await this.provider.send('evm_revert', [snapshotId]));
+      } catch (error) {
+        this.snapshotSupport = false;
+      }
+      
+      if (this.snapshotSupport) {
+        console.log(chalk.blue('📸 Node supports evm_snapshot, reverting state after every run (cold vs. warm gas)'));
+      } else {
+        console.log(chalk.gray('   evm_snapshot unsupported, runs share state (run 1 is cold, later runs warm)'));
+      }
+    }
+    
+    return this.snapshotSupport;
+  }
+
+  /**
+   * Min/max/avg of a list of gas values
+   * @param {Array<number>} values - Gas values
+   * @returns {Object} Summary ({ min, max, avg })
+   */
+  _summarizeGas(values) {
+    return {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      avg: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    };
+  }
+
+  /**
+   * Call data for tracing or estimating a function call from the profiling wallet
+   * @returns {Object} { from, to, data }
+   */
+  _callData(contract, func, args) {
+    return {
+      from: this.wallet.address,
+      to: contract.target,
+      data: contract.interface.encodeFunctionData(func.fragment.name, args)
+    };
+  }
+
   async analyze(options) {
     const {
       rpc,
@@ -546,18 +886,34 @@ class SomniaGasProfiler {
       out: outputPath,
       gasless,
       paymaster,
+      opcodes,
+      sourceMap,
+      callTree,
+      accessList,
+      proxy,
+      fork,
+      sender,
+      sweep,
+      deployment,
+      harvest,
+      continueOnError = false,
       verbose
     } = options;
     
     try {
       // Initialize connection
       const privateKey = process.env.PRIVATE_KEY;
-      await this.initialize(rpc, privateKey);
+      await this.initialize(rpc, privateKey, { fork, sender, harvest });
       
       // Load and validate ABI
       const abi = await this.loadABI(abiInput);
       const contract = await this.validateContract(address, abi);
       
+      // Decode calls back into the profiled contract in call trees
+      if (callTree) {
+        this.traceAnalyzer.registerABI(abi);
+      }
+      
       // Parse function signatures
       const functions = this.parseFunctionSignatures(functionSignatures, abi);
       
@@ -610,6 +966,28 @@ class SomniaGasProfiler {
       this.results.address = address;
       this.results.timestamp = new Date().toISOString();
       
+      // Deployment cost recorded when the profiled contract was deployed for this run
+      if (deployment) {
+        this.results.deployment = deployment;
+      }
+
+      // Proxy the functions are called through, with its implementation(s)
+      if (proxy) {
+        this.results.proxy = proxy;
+      }
+
+      // Source line attribution needs the runtime source map from compilation
+      let sourceMapper = null;
+      if (sourceMap) {
+        try {
+          sourceMapper = new SourceMapper(sourceMap);
+          this.results.sources = sourceMap.sources;
+          console.log(chalk.blue('🗺️  Source map loaded, attributing gas to source lines'));
+        } catch (mapError) {
+          console.log(chalk.yellow(`⚠️  Source mapping disabled: ${mapError.message}`));
+        }
+      }
+      
       // Profile each function
       for (let i = 0; i < functions.length; i++) {
         const func = functions[i];
@@ -636,17 +1014,36 @@ class SomniaGasProfiler {
             runs, 
             gasless,
             paymaster,
-            argumentAnalysis // Pass argument analysis for enhanced profiling
+            argumentAnalysis, // Pass argument analysis for enhanced profiling
+            { opcodes, sourceMapper, callTree, accessList, continueOnError, proxy }
           );
           
           this.results.results[func.fullSignature] = functionResults;
           
         } catch (error) {
           console.error(chalk.red(`❌ Failed to profile ${func.fullSignature}: ${error.message}`));
-          throw error;
+          if (!continueOnError) {
+            throw error;
+          }
+          this.results.errors = this.results.errors || [];
+          this.results.errors.push({ function: func.fullSignature, error: error.message });
         }
       }
       
+      // Model gas as a function of one argument's size
+      if (sweep) {
+        const spec = GasSweep.parseSpec(sweep.spec);
+        const [func] = this.parseFunctionSignatures([spec.function], abi);
+        const profiledIndex = functions.findIndex(f => f.fullSignature === func.fullSignature);
+        const sweeper = new GasSweep({ points: sweep.points, target: sweep.target });
+        
+        this.results.sweep = await sweeper.run(this, contract, func, spec, {
+          baseArgs: profiledIndex >= 0 ? parsedArgs[profiledIndex] : [],
+          runs,
+          gasless
+        });
+      }
+      
       // Save results
       await this.saveResults(outputPath);
       
@@ -0,0 +1,549 @@
+const { ethers } = require('ethers');
+const chalk = require('chalk');
+const { ABIExtractor } = require('../lib/abi-extractor');
+const { RevertDecoder } = require('../lib/revert-decoder');
+const { SignatureDatabase } = require('../lib/signature-database');
+
+/**
+ * Opcode classes used for gas attribution
+ * Every opcode not listed here is attributed to 'compute'
+ */
+const OPCODE_CATEGORIES = {
+  SLOAD: 'storage',
+  SSTORE: 'storage',
+  TLOAD: 'storage',
+  TSTORE: 'storage',
+  CALL: 'call',
+  CALLCODE: 'call',
+  DELEGATECALL: 'call',
+  STATICCALL: 'call',
+  CREATE: 'create',
+  CREATE2: 'create',
+  SELFDESTRUCT: 'create',
+  LOG0: 'log',
+  LOG1: 'log',
+  LOG2: 'log',
+  LOG3: 'log',
+  LOG4: 'log',
+  KECCAK256: 'keccak',
+  SHA3: 'keccak',
+  BALANCE: 'account',
+  EXTCODESIZE: 'account',
+  EXTCODECOPY: 'account',
+  EXTCODEHASH: 'account'
+};
+
+const CATEGORY_NAMES = ['storage', 'call', 'create', 'log', 'memory', 'keccak', 'account', 'compute'];
+
+// Opcodes whose static cost is fixed, so any excess is memory expansion
+const MEMORY_STATIC_COSTS = {
+  MLOAD: 3,
+  MSTORE: 3,
+  MSTORE8: 3,
+  RETURN: 0,
+  REVERT: 0
+};
+
+// Memory ranges [offset, size] each opcode touches, read from its stack operands (s(0) is the top)
+const MEMORY_ACCESS = {
+  MLOAD: s => [[s(0), 32n]],
+  MSTORE: s => [[s(0), 32n]],
+  MSTORE8: s => [[s(0), 1n]],
+  KECCAK256: s => [[s(0), s(1)]],
+  SHA3: s => [[s(0), s(1)]],
+  CALLDATACOPY: s => [[s(0), s(2)]],
+  CODECOPY: s => [[s(0), s(2)]],
+  RETURNDATACOPY: s => [[s(0), s(2)]],
+  EXTCODECOPY: s => [[s(1), s(3)]],
+  MCOPY: s => [[s(0), s(2)], [s(1), s(2)]],
+  LOG0: s => [[s(0), s(1)]],
+  LOG1: s => [[s(0), s(1)]],
+  LOG2: s => [[s(0), s(1)]],
+  LOG3: s => [[s(0), s(1)]],
+  LOG4: s => [[s(0), s(1)]],
+  CREATE: s => [[s(1), s(2)]],
+  CREATE2: s => [[s(1), s(2)]],
+  CALL: s => [[s(3), s(4)], [s(5), s(6)]],
+  CALLCODE: s => [[s(3), s(4)], [s(5), s(6)]],
+  DELEGATECALL: s => [[s(2), s(3)], [s(4), s(5)]],
+  STATICCALL: s => [[s(2), s(3)], [s(4), s(5)]],
+  RETURN: s => [[s(0), s(1)]],
+  REVERT: s => [[s(0), s(1)]]
+};
+
+// The stack is kept so memory expansion can be estimated on nodes that report no memory size
+const STRUCT_LOGGER_CONFIG = {
+  disableStorage: true,
+  disableStack: false,
+  enableMemory: false,
+  enableReturnData: false
+};
+
+const CALL_TRACER_CONFIG = { tracer: 'callTracer', tracerConfig: { withLog: true } };
+
+/**
+ * Trace Analyzer for Somnia Gas Profiler
+ * Pulls debug_trace* structLogs and attributes gas to opcodes and opcode classes
+ */
+class TraceAnalyzer {
+  /**
+   * @param {Object} provider - JSON-RPC provider
+   * @param {SignatureDatabase} signatureDatabase - Fallback for selectors and topics missing from registered ABIs
+   */
+  constructor(provider, signatureDatabase = SignatureDatabase.getDefault()) {
+    this.provider = provider;
+    this.signatureDatabase = signatureDatabase;
+    this.knownSelectors = new Map();
+    this.knownEvents = new Map();
+    this.revertDecoder = new RevertDecoder([], signatureDatabase);
+
+    // Standard token ABIs cover most external calls made by DeFi contracts
+    const abiExtractor = new ABIExtractor();
+    for (const abi of abiExtractor.commonABIs.values()) {
+      this.registerABI(abi);
+    }
+  }
+
+  /**
+   * Register an ABI so its function selectors, events and custom errors can be decoded in call trees
+   * Later registrations win, so the profiled contract's ABI takes precedence.
+   * @param {Array|string} abi - Contract ABI
+   */
+  registerABI(abi) {
+    this.revertDecoder.registerABI(abi);
+    try {
+      const iface = new ethers.Interface(abi);
+      iface.forEachFunction(fragment => {
+        this.knownSelectors.set(fragment.selector, { iface, fragment });
+      });
+      iface.forEachEvent(fragment => {
+        this.knownEvents.set(fragment.topicHash, { iface, fragment });
+      });
+    } catch (error) {
+      console.log(chalk.yellow(`    ⚠️  Could not register ABI for call decoding: ${error.message}`));
+    }
+  }
+
+  /**
+   * Trace a mined transaction with the default struct logger
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<Object>} Raw trace ({ gas, failed, structLogs })
+   */
+  async traceTransaction(txHash) {
+    return await this.provider.send('debug_traceTransaction', [txHash, STRUCT_LOGGER_CONFIG]);
+  }
+
+  /**
+   * Trace a call without sending it
+   * @param {Object} txData - Call data ({ from, to, data, value })
+   * @param {string} blockTag - Block to execute against
+   * @returns {Promise<Object>} Raw trace ({ gas, failed, structLogs })
+   */
+  async traceCall(txData, blockTag = 'latest') {
+    return await this.provider.send('debug_traceCall', [txData, blockTag, STRUCT_LOGGER_CONFIG]);
+  }
+
+  /**
+   * Build an opcode gas profile for a transaction or call
+   * @param {Object} target - Either { txHash } or { txData, blockTag }
+   * @param {SourceMapper} sourceMapper - Optional mapper to attribute gas to source lines
+   * @returns {Promise<Object|null>} Opcode profile or null if tracing is unsupported
+   */
+  async profileOpcodes(target, sourceMapper = null) {
+    try {
+      const trace = target.txHash
+        ? await this.traceTransaction(target.txHash)
+        : await this.traceCall(target.txData, target.blockTag);
+
+      if (!trace || !Array.isArray(trace.structLogs)) {
+        throw new Error('Node returned no structLogs');
+      }
+
+      return this.analyzeStructLogs(trace.structLogs, trace.gas, sourceMapper);
+
+    } catch (error) {
+      console.log(chalk.yellow(`    ⚠️  Opcode tracing unavailable: ${error.message.substring(0, 80)}`));
+      return null;
+    }
+  }
+
+  /**
+   * Build the internal call tree for a transaction or call via callTracer
+   * @param {Object} target - Either { txHash } or { txData, blockTag }
+   * @returns {Promise<Object|null>} Call tree or null if tracing is unsupported
+   */
+  async profileCallTree(target) {
+    try {
+      const frame = target.txHash
+        ? await this.provider.send('debug_traceTransaction', [target.txHash, CALL_TRACER_CONFIG])
+        : await this.provider.send('debug_traceCall', [target.txData, target.blockTag || 'latest', CALL_TRACER_CONFIG]);
+
+      if (!frame || !frame.type) {
+        throw new Error('Node returned no call frame');
+      }
+
+      return this.buildCallTree(frame);
+
+    } catch (error) {
+      console.log(chalk.yellow(`    ⚠️  Call tracing unavailable: ${error.message.substring(0, 80)}`));
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a callTracer frame into a decoded call tree node
+   * selfGas is the frame's gas excluding its subcalls; for the root frame it
+   * also includes the intrinsic gas, for debug_traceTransaction and debug_traceCall alike.
+   * @param {Object} frame - Raw callTracer frame
+   * @returns {Object} Call tree node
+   */
+  buildCallTree(frame) {
+    const calls = (frame.calls || []).map(child => this.buildCallTree(child));
+    const gasUsed = Number(frame.gasUsed || 0);
+    const childGas = calls.reduce((sum, call) => sum + call.gasUsed, 0);
+    const input = frame.input || '0x';
+    const selector = input.length >= 10 ? input.slice(0, 10).toLowerCase() : null;
+    const known = selector ? (this.knownSelectors.get(selector) || this._lookup('functions', selector)) : null;
+
+    const node = {
+      type: frame.type,
+      from: frame.from,
+      to: frame.to,
+      value: frame.value ? BigInt(frame.value).toString() : '0',
+      selector,
+      function: known ? known.fragment.format('sighash') : null,
+      gasUsed,
+      selfGas: Math.max(0, gasUsed - childGas),
+      calls
+    };
+
+    if (known) {
+      try {
+        node.args = this._serializeValue(known.iface.decodeFunctionData(known.fragment, input).toArray());
+      } catch (error) {
+        // Selector collision or malformed calldata; keep the signature only
+      }
+    }
+
+    if (frame.logs && frame.logs.length > 0) {
+      node.events = frame.logs.map(log => this.decodeLog(log));
+    }
+
+    if (frame.error) {
+      node.error = frame.error;
+      node.revertReason = frame.revertReason || this.decodeRevertReason(frame.output);
+    }
+
+    return node;
+  }
+
+  /**
+   * Name a log emitted inside a call frame
+   * Arguments are only decoded with a registered ABI: text signatures from the
+   * signature database do not say which parameters are indexed.
+   * @param {Object} log - callTracer log ({ address, topics, data })
+   * @returns {Object} { address, topic, event, args? }
+   */
+  decodeLog(log) {
+    const topic = log.topics && log.topics.length > 0 ? log.topics[0].toLowerCase() : null;
+    const known = topic ? this.knownEvents.get(topic) : null;
+    const event = {
+      address: log.address,
+      topic,
+      event: known ? known.fragment.format('sighash') : (topic ? this.signatureDatabase.lookupEvent(topic) : null)
+    };
+
+    if (known) {
+      try {
+        event.args = this._serializeValue(known.iface.decodeEventLog(known.fragment, log.data, log.topics).toArray());
+      } catch (error) {
+        // Same topic with a different indexed layout; keep the signature only
+      }
+    }
+
+    return event;
+  }
+
+  /**
+   * Decode an Error(string), Panic(uint256) or registered custom error payload
+   * @param {string} output - Revert data
+   * @returns {string|null} Revert reason
+   */
+  decodeRevertReason(output) {
+    if (!output || output === '0x') return null;
+    return this.revertDecoder.decode(output).message;
+  }
+
+  _lookup(kind, hex) {
+    const fragment = this.signatureDatabase.fragment(kind, hex);
+    return fragment ? { iface: new ethers.Interface([fragment]), fragment } : null;
+  }
+
+  /**
+   * Convert decoded ABI values into JSON-safe values
+   * @param {*} value - Decoded value (bigint, Result, array, primitive)
+   * @returns {*} JSON-safe value
+   */
+  _serializeValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value instanceof ethers.Result) return this._serializeValue(value.toArray());
+    if (Array.isArray(value)) return value.map(item => this._serializeValue(item));
+    return value;
+  }
+
+  /**
+   * Compute the gas each step actually consumed
+   * CALL/CREATE steps report the gas forwarded to the callee as gasCost, so their
+   * own cost is derived from the remaining gas after the child frame returns.
+   * @param {Array} structLogs - structLogs from debug_trace*
+   * @returns {Array<Object>} Per-step costs ({ pc, op, depth, cost, memoryCost })
+   */
+  computeStepCosts(structLogs) {
+    const steps = structLogs.map(log => ({
+      pc: log.pc,
+      op: log.op,
+      depth: log.depth,
+      cost: Number(log.gasCost) || 0,
+      memoryCost: 0
+    }));
+    const frames = [];
+
+    for (let i = 0; i < structLogs.length; i++) {
+      const log = structLogs[i];
+      const next = structLogs[i + 1];
+
+      if (!next) break;
+
+      if (next.depth === log.depth) {
+        steps[i].cost = Number(log.gas) - Number(next.gas);
+      } else if (next.depth > log.depth) {
+        // Entered a child frame; settle the cost once it returns
+        frames.push({ callIndex: i, childStartGas: Number(next.gas) });
+      } else {
+        // Child frame ends here; attribute the call step its own overhead
+        const frame = frames.pop();
+        if (frame) {
+          const childRemaining = Number(log.gas) - steps[i].cost;
+          const childConsumed = frame.childStartGas - childRemaining;
+          const inclusive = Number(structLogs[frame.callIndex].gas) - Number(next.gas);
+          steps[frame.callIndex].cost = Math.max(0, inclusive - childConsumed);
+        }
+      }
+    }
+
+    this._attributeMemoryExpansion(structLogs, steps);
+
+    return steps;
+  }
+
+  /**
+   * Aggregate structLogs into an opcode gas histogram
+   * @param {Array} structLogs - structLogs from debug_trace*
+   * @param {number} gasUsed - Total gas reported by the trace (includes intrinsic gas)
+   * @param {SourceMapper} sourceMapper - Optional mapper to attribute gas to source lines
+   * @returns {Object} Opcode profile
+   */
+  analyzeStructLogs(structLogs, gasUsed = null, sourceMapper = null) {
+    const steps = this.computeStepCosts(structLogs);
+    const byCategory = Object.fromEntries(CATEGORY_NAMES.map(name => [name, 0]));
+    const byOpcode = {};
+    let executionGas = 0;
+
+    for (const step of steps) {
+      const opcodeGas = step.cost - step.memoryCost;
+
+      byCategory[this.categorizeOpcode(step.op)] += opcodeGas;
+      byCategory.memory += step.memoryCost;
+      executionGas += step.cost;
+
+      if (!byOpcode[step.op]) {
+        byOpcode[step.op] = { count: 0, gas: 0 };
+      }
+      byOpcode[step.op].count++;
+      byOpcode[step.op].gas += step.cost;
+    }
+
+    const profile = {
+      gasUsed: gasUsed !== null && gasUsed !== undefined ? Number(gasUsed) : executionGas,
+      executionGas,
+      steps: steps.length,
+      byCategory,
+      byOpcode
+    };
+
+    if (sourceMapper) {
+      profile.sourceLines = sourceMapper.attributeSteps(steps);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Average several opcode profiles (one per run) into a single histogram
+   * @param {Array<Object>} profiles - Opcode profiles
+   * @returns {Object|null} Averaged profile
+   */
+  mergeOpcodeProfiles(profiles) {
+    const valid = profiles.filter(Boolean);
+    if (valid.length === 0) return null;
+
+    const average = value => Math.round(value / valid.length);
+    const merged = {
+      runs: valid.length,
+      gasUsed: 0,
+      executionGas: 0,
+      byCategory: Object.fromEntries(CATEGORY_NAMES.map(name => [name, 0])),
+      byOpcode: {}
+    };
+
+    for (const profile of valid) {
+      merged.gasUsed += profile.gasUsed;
+      merged.executionGas += profile.executionGas;
+
+      for (const [category, gas] of Object.entries(profile.byCategory)) {
+        merged.byCategory[category] = (merged.byCategory[category] || 0) + gas;
+      }
+
+      for (const [op, stats] of Object.entries(profile.byOpcode)) {
+        if (!merged.byOpcode[op]) {
+          merged.byOpcode[op] = { count: 0, gas: 0 };
+        }
+        merged.byOpcode[op].count += stats.count;
+        merged.byOpcode[op].gas += stats.gas;
+      }
+
+      if (profile.sourceLines) {
+        merged.sourceLines = merged.sourceLines || { lines: {}, unmapped: 0 };
+        merged.sourceLines.unmapped += profile.sourceLines.unmapped;
+        for (const [line, gas] of Object.entries(profile.sourceLines.lines)) {
+          merged.sourceLines.lines[line] = (merged.sourceLines.lines[line] || 0) + gas;
+        }
+      }
+    }
+
+    merged.gasUsed = average(merged.gasUsed);
+    merged.executionGas = average(merged.executionGas);
+    for (const category of Object.keys(merged.byCategory)) {
+      merged.byCategory[category] = average(merged.byCategory[category]);
+    }
+    for (const stats of Object.values(merged.byOpcode)) {
+      stats.count = average(stats.count);
+      stats.gas = average(stats.gas);
+    }
+    if (merged.sourceLines) {
+      merged.sourceLines.unmapped = average(merged.sourceLines.unmapped);
+      for (const line of Object.keys(merged.sourceLines.lines)) {
+        merged.sourceLines.lines[line] = average(merged.sourceLines.lines[line]);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Get the opcode class for an opcode
+   * @param {string} op - Opcode mnemonic
+   * @returns {string} Category name
+   */
+  categorizeOpcode(op) {
+    return OPCODE_CATEGORIES[op] || 'compute';
+  }
+
+  /**
+   * Calculate the total memory cost for a memory size
+   * @param {number} sizeInBytes - Memory size in bytes
+   * @returns {number} Memory gas cost
+   */
+  memoryCost(sizeInBytes) {
+    const words = Math.ceil(sizeInBytes / 32);
+    return words * 3 + Math.floor((words * words) / 512);
+  }
+
+  /**
+   * Split memory expansion out of each step's cost
+   * Uses memSize (anvil) or the memory array when the node reports them around
+   * the step. Otherwise the expansion is estimated from the offset and size
+   * operands on the stack against the memory size tracked per call frame, and
+   * without a stack it falls back to the excess over the static cost of
+   * MLOAD, MSTORE, MSTORE8, RETURN and REVERT.
+   * @param {Array} structLogs - structLogs from debug_trace*
+   * @param {Array} steps - Per-step costs (mutated)
+   */
+  _attributeMemoryExpansion(structLogs, steps) {
+    const memorySize = log => {
+      if (typeof log.memSize === 'number') return log.memSize;
+      if (Array.isArray(log.memory)) return log.memory.length * 32;
+      return null;
+    };
+
+    // Memory size per depth; every new call frame starts with empty memory
+    const frameMemory = [];
+
+    for (let i = 0; i < structLogs.length; i++) {
+      const log = structLogs[i];
+      const next = structLogs[i + 1];
+      const step = steps[i];
+
+      if (i === 0 || log.depth > structLogs[i - 1].depth) {
+        frameMemory[log.depth] = 0;
+      }
+
+      const before = memorySize(log);
+      const after = next && next.depth === log.depth ? memorySize(next) : null;
+      if (before !== null) {
+        frameMemory[log.depth] = before;
+      }
+
+      const accessed = this._memoryAccessEnd(log);
+
+      if (before !== null && after !== null) {
+        if (after > before) {
+          step.memoryCost = Math.min(step.cost, this.memoryCost(after) - this.memoryCost(before));
+        }
+      } else if (accessed !== null) {
+        const current = frameMemory[log.depth] || 0;
+        if (accessed > current) {
+          step.memoryCost = Math.min(step.cost, this.memoryCost(accessed) - this.memoryCost(current));
+          frameMemory[log.depth] = accessed;
+        }
+      } else if (MEMORY_STATIC_COSTS[step.op] !== undefined) {
+        step.memoryCost = Math.max(0, step.cost - MEMORY_STATIC_COSTS[step.op]);
+      }
+    }
+  }
+
+  /**
+   * Word-aligned end of the memory a step reads or writes
+   * @param {Object} log - structLog entry
+   * @returns {number|null} Memory size in bytes the step needs (0 if it touches none),
+   *   or null when the opcode does not touch memory or the stack is missing
+   */
+  _memoryAccessEnd(log) {
+    const access = MEMORY_ACCESS[log.op];
+    if (!access || !Array.isArray(log.stack)) {
+      return null;
+    }
+
+    const stack = log.stack;
+    const s = index => BigInt(stack[stack.length - 1 - index] ?? 0);
+    let end = 0n;
+    for (const [offset, size] of access(s)) {
+      // Zero-length ranges never expand memory, whatever their offset
+      if (size > 0n && offset + size > end) {
+        end = offset + size;
+      }
+    }
+
+    // Ranges this large run out of gas before expanding
+    if (end > 0xffffffffn) {
+      return null;
+    }
+    return Math.ceil(Number(end) / 32) * 32;
+  }
+}
+
+module.exports = {
+  TraceAnalyzer,
+  OPCODE_CATEGORIES,
+  CATEGORY_NAMES
+};
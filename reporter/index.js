@@ -3,10 +3,13 @@ const path = require('path');
 const { stringify } = require('csv-stringify/sync');
 const { table } = require('table');
 const chalk = require('chalk');
+const { GasBudget } = require('../lib/gas-budget');
+const { GasStatistics } = require('../lib/gas-statistics');
 
 class SomniaGasReporter {
   constructor() {
     this.data = null;
+    this.statistics = new GasStatistics();
   }
 
   async loadResults(filePath) {
@@ -46,6 +49,16 @@ class SomniaGasReporter {
       result.aggregated.avgCost !== undefined
     );
     
+    // Check if runs were isolated with evm_snapshot (cold vs. warm gas)
+    const hasColdWarmData = Object.values(this.data.results).some(result => 
+      result.aggregated.cold !== undefined
+    );
+    
+    // Check if any runs reverted and were recorded with --continue-on-error
+    const hasRevertData = Object.values(this.data.results).some(result => 
+      result.aggregated.reverted !== undefined
+    );
+    
     // Table headers - include cost columns if cost data is available
     const headers = [
       chalk.bold('Function'),
@@ -56,6 +69,14 @@ class SomniaGasReporter {
       chalk.bold('Total Gas')
     ];
     
+    if (hasColdWarmData) {
+      headers.push(chalk.bold('Cold Avg'), chalk.bold('Warm Avg'));
+    }
+    
+    if (hasRevertData) {
+      headers.push(chalk.bold('Reverted'));
+    }
+    
     if (hasCostData) {
       headers.push(
         chalk.bold('Min Cost (STT)'),
@@ -78,6 +99,17 @@ class SomniaGasReporter {
         this.formatNumber(result.aggregated.total)
       ];
       
+      if (hasColdWarmData) {
+        row.push(
+          result.aggregated.cold ? this.formatNumber(result.aggregated.cold.avg) : 'N/A',
+          result.aggregated.warm ? this.formatNumber(result.aggregated.warm.avg) : 'N/A'
+        );
+      }
+      
+      if (hasRevertData) {
+        row.push((result.aggregated.reverted || 0).toString());
+      }
+      
       // Add cost data if available
       if (hasCostData) {
         if (result.aggregated.avgCost !== undefined) {
@@ -134,7 +166,11 @@ class SomniaGasReporter {
     output += chalk.blue(`🔗 RPC: ${this.data.rpc}\n`);
     output += chalk.blue(`📋 Contract: ${this.data.address}\n`);
     output += chalk.blue(`⏰ Timestamp: ${new Date(this.data.timestamp).toLocaleString()}\n`);
-    output += chalk.blue(`📈 Sorted by: ${sortBy} gas\n\n`);
+    output += chalk.blue(`📈 Sorted by: ${sortBy} gas\n`);
+    if (hasColdWarmData) {
+      output += chalk.blue(`📸 State reverted between runs: Min/Max/Avg are cold runs, Warm repeats the call on top\n`);
+    }
+    output += '\n';
     
     output += tableOutput;
     
@@ -160,7 +196,9 @@ class SomniaGasReporter {
     output += chalk.yellow(`Functions profiled: ${totalFunctions}\n`);
     output += chalk.yellow(`Total transactions: ${totalCalls}\n`);
     output += chalk.yellow(`Total gas consumed: ${this.formatNumber(totalGas)}\n`);
-    output += chalk.yellow(`Average per transaction: ${this.formatNumber(Math.round(totalGas / totalCalls))}\n`);
+    if (totalCalls > 0) {
+      output += chalk.yellow(`Average per transaction: ${this.formatNumber(Math.round(totalGas / totalCalls))}\n`);
+    }
     
     if (hasSummaryData) {
       output += chalk.yellow(`Total cost: ${totalCostSTT.toFixed(8)} STT\n`);
@@ -169,6 +207,441 @@ class SomniaGasReporter {
     
     output += '\n';
     
+    // Add deployment cost if the contract was deployed for this run
+    output += this.generateDeploymentReport();
+    
+    // Add run-to-run statistics for functions profiled more than once
+    output += this.generateStatisticsReport(sortBy);
+    
+    // Add the delegatecall overhead if functions were profiled through a proxy
+    output += this.generateProxyReport(sortBy);
+    
+    // Add base transaction and calldata cost of each function
+    output += this.generateIntrinsicReport(sortBy);
+    
+    // Add revert reasons and gas until revert if any run or function failed
+    output += this.generateRevertReport();
+    
+    // Add access list savings if they were measured
+    output += this.generateAccessListReport();
+    
+    // Add the gas-vs-input-size model if a sweep was run
+    output += this.generateSweepReport();
+    
+    // Add opcode breakdown if any function was traced
+    output += this.generateOpcodeBreakdown();
+    
+    // Add call trees if any run recorded one
+    output += this.generateCallTreeReport();
+    
+    return output;
+  }
+
+  /**
+   * Render deployment gas split and code size limits
+   * @returns {string} Formatted deployment cost or empty string if nothing was deployed
+   */
+  generateDeploymentReport() {
+    const deployment = this.data.deployment;
+    if (!deployment) {
+      return '';
+    }
+
+    const share = gas => (deployment.gasUsed > 0 ? `${(gas / deployment.gasUsed * 100).toFixed(1)}%` : '-');
+    const tableData = [
+      [chalk.bold('Component'), chalk.bold('Gas'), chalk.bold('Share')],
+      ['Intrinsic (tx + create + calldata + initcode words)', this.formatNumber(deployment.intrinsic.total), share(deployment.intrinsic.total)],
+      ['Constructor execution', this.formatNumber(deployment.constructorExecution), share(deployment.constructorExecution)],
+      ['Code deposit (200/byte)', this.formatNumber(deployment.codeDeposit), share(deployment.codeDeposit)],
+      [chalk.bold('Total'), chalk.bold(this.formatNumber(deployment.gasUsed)), '100%']
+    ];
+
+    let output = chalk.cyan(`🏗️  Deployment Cost\n`);
+    output += chalk.gray(`──────────────────\n`);
+    output += table(tableData);
+
+    for (const [name, limit] of Object.entries(deployment.limits)) {
+      const line = `${name === 'runtime' ? 'Runtime code' : 'Initcode'}: ${this.formatNumber(limit.size)} / ${this.formatNumber(limit.limit)} bytes (${limit.percent}% of ${limit.eip} limit)\n`;
+      output += limit.exceeds ? chalk.red(`⚠️  ${line}`) : chalk.yellow(line);
+    }
+    output += '\n';
+
+    return output;
+  }
+
+  /**
+   * Render percentiles, spread, confidence interval and outliers per function
+   * @returns {string} Formatted statistics or empty string if no function has several runs
+   */
+  generateStatisticsReport(sortBy = 'avg') {
+    const measured = this.sortResults(this.data.results, sortBy)
+      .filter(([, result]) => result.aggregated.median !== undefined && result.aggregated.callCount > 1);
+    if (measured.length === 0) {
+      return '';
+    }
+
+    const tableData = [[
+      chalk.bold('Function'),
+      chalk.bold('Median'),
+      chalk.bold('P90'),
+      chalk.bold('P95'),
+      chalk.bold('P99'),
+      chalk.bold('Std Dev'),
+      chalk.bold('CV'),
+      chalk.bold(`${Math.round((measured[0][1].aggregated.ci.level || 0.95) * 100)}% CI (mean)`),
+      chalk.bold('Outlier Runs')
+    ]];
+
+    for (const [functionSig, result] of measured) {
+      const { median, p90, p95, p99, stdDev, cv, ci, outliers } = result.aggregated;
+      tableData.push([
+        functionSig,
+        this.formatNumber(median),
+        this.formatNumber(p90),
+        this.formatNumber(p95),
+        this.formatNumber(p99),
+        this.formatNumber(stdDev),
+        `${(cv * 100).toFixed(2)}%`,
+        `${this.formatNumber(Math.round(ci.lower))} - ${this.formatNumber(Math.round(ci.upper))}`,
+        outliers.length > 0 ? chalk.yellow(outliers.join(', ')) : '-'
+      ]);
+    }
+
+    let output = chalk.cyan(`📐 Run Statistics\n`);
+    output += chalk.gray(`─────────────────\n`);
+    output += table(tableData);
+    output += '\n';
+    return output;
+  }
+
+  /**
+   * Render the proxy and split each function's gas into implementation and proxy overhead
+   * @param {string} sortBy - Sort key for the function order
+   * @returns {string} Formatted split or empty string if no proxy was involved
+   */
+  generateProxyReport(sortBy = 'avg') {
+    const proxy = this.data.proxy;
+    if (!proxy) {
+      return '';
+    }
+
+    let output = chalk.cyan(`🔀 Proxy (${proxy.type})\n`);
+    output += chalk.gray(`─────────────────────\n`);
+    output += chalk.blue(`${proxy.address} → ${proxy.implementations.join(', ')}\n`);
+    if (proxy.beacon) {
+      output += chalk.blue(`Beacon: ${proxy.beacon}\n`);
+    }
+
+    for (const [functionSig, result] of this.sortResults(this.data.results, sortBy)) {
+      const overhead = result.aggregated.proxyOverhead;
+      if (!overhead) {
+        continue;
+      }
+      const share = result.aggregated.avg > 0 ? (overhead.avg / result.aggregated.avg * 100).toFixed(2) : '0.00';
+      const method = overhead.method === 'trace' ? 'traced' : 'estimated lower bound';
+      output += chalk.yellow(`${functionSig}: ${this.formatNumber(overhead.implementationAvg)} implementation + ${this.formatNumber(overhead.avg)} proxy overhead (${share}%, ${method})\n`);
+    }
+
+    return output + '\n';
+  }
+
+  /**
+   * Render the base transaction cost and zero/non-zero calldata bytes of each function
+   * @param {string} sortBy - Sort key for the function order
+   * @returns {string} Formatted breakdown or empty string if results carry no intrinsic data
+   */
+  generateIntrinsicReport(sortBy = 'avg') {
+    const functions = this.sortResults(this.data.results, sortBy).filter(([, result]) => result.aggregated.intrinsic);
+    if (functions.length === 0) {
+      return '';
+    }
+
+    let output = chalk.cyan(`📦 Intrinsic Gas (calldata)\n`);
+    output += chalk.gray(`───────────────────────────\n`);
+
+    for (const [functionSig, result] of functions) {
+      const intrinsic = result.aggregated.intrinsic;
+      const share = intrinsic.calldataShare !== undefined ? `, calldata ${intrinsic.calldataShare}% of gas` : '';
+      output += chalk.yellow(`${functionSig}: ${this.formatNumber(intrinsic.base)} base + ${this.formatNumber(intrinsic.calldataGas)} calldata${share}\n`);
+      output += chalk.gray(`  ${intrinsic.bytes} bytes: ${intrinsic.zeroBytes} zero (${this.formatNumber(intrinsic.zeroByteGas)} gas), ${intrinsic.nonZeroBytes} non-zero (${this.formatNumber(intrinsic.nonZeroByteGas)} gas)\n`);
+    }
+
+    return output + '\n';
+  }
+
+  /**
+   * Render reverted runs with their decoded reasons, and functions that failed outright
+   * @returns {string} Formatted reverts or empty string if nothing reverted
+   */
+  generateRevertReport() {
+    const reverted = Object.entries(this.data.results).filter(([, result]) => result.aggregated.reverted);
+    const errors = this.data.errors || [];
+    if (reverted.length === 0 && errors.length === 0) {
+      return '';
+    }
+
+    let output = chalk.cyan(`⛔ Reverted Calls\n`);
+    output += chalk.gray(`─────────────────\n`);
+
+    for (const [functionSig, result] of reverted) {
+      const { reverted: count, revertReasons = [], revertGas } = result.aggregated;
+      const runs = result.runs ? result.runs.length : count;
+      const gas = revertGas ? `, ${this.formatNumber(revertGas.avg)} gas avg until revert` : '';
+      output += chalk.yellow(`${functionSig}: ${count}/${runs} run(s) reverted${gas}\n`);
+      for (const reason of revertReasons) {
+        output += chalk.gray(`  ↳ ${reason}\n`);
+      }
+    }
+
+    for (const failure of errors) {
+      output += chalk.red(`${failure.function}: ${failure.error}\n`);
+    }
+
+    return output + '\n';
+  }
+
+  /**
+   * Render the gas delta of attaching EIP-2930 access lists
+   * @returns {string} Formatted savings or empty string if access lists were not measured
+   */
+  generateAccessListReport() {
+    const measured = Object.entries(this.data.results).filter(([, result]) => result.aggregated.accessList);
+    if (measured.length === 0) {
+      return '';
+    }
+
+    let output = chalk.cyan(`🧾 Access Lists (EIP-2930)\n`);
+    output += chalk.gray(`──────────────────────────\n`);
+
+    for (const [functionSig, result] of measured) {
+      const list = result.aggregated.accessList;
+      const delta = `${this.formatNumber(list.gasWithout)} → ${this.formatNumber(list.gasWith)} gas`;
+      const entries = `${list.addresses} address(es), ${list.storageKeys} slot(s), ${this.formatNumber(list.listCost)} gas intrinsic`;
+      const verdict = list.worthIt
+        ? chalk.green(`saves ${this.formatNumber(list.savings)} gas (${list.savingsPercent}%) per call`)
+        : chalk.yellow(`costs ${this.formatNumber(-list.savings)} gas more, not worth attaching`);
+      output += `${functionSig}: ${delta}, ${verdict}\n`;
+      output += chalk.gray(`  ${entries}; ${list.method === 'mined' ? 're-run from snapshot' : 'estimated'}, via ${list.source}\n`);
+    }
+
+    return output + '\n';
+  }
+
+  /**
+   * Render sweep samples and the fitted gas model
+   * @returns {string} Formatted sweep or empty string if no sweep was run
+   */
+  generateSweepReport() {
+    const sweep = this.data.sweep;
+    if (!sweep) {
+      return '';
+    }
+
+    const chosen = sweep.models[sweep.model];
+    const [a, b, c] = chosen.coefficients;
+    const formula = sweep.model === 'quadratic'
+      ? `gas ≈ ${this.formatNumber(Math.round(a))} + ${b.toFixed(1)}·n + ${c.toFixed(3)}·n²`
+      : `gas ≈ ${this.formatNumber(Math.round(a))} + ${b.toFixed(1)}·n`;
+
+    let output = chalk.cyan(`📈 Input Size Sweep: ${sweep.function}\n`);
+    output += chalk.gray(`──────────────────────────────────\n`);
+
+    const tableData = [[chalk.bold('Size (n)'), chalk.bold('Avg Gas'), chalk.bold('Model'), chalk.bold('Residual')]];
+    for (const sample of sweep.samples) {
+      const predicted = Math.round(chosen.coefficients.reduce((sum, coefficient, power) => sum + coefficient * Math.pow(sample.size, power), 0));
+      const residual = sample.avg - predicted;
+      tableData.push([
+        sample.size,
+        this.formatNumber(sample.avg),
+        this.formatNumber(predicted),
+        `${residual >= 0 ? '+' : ''}${this.formatNumber(residual)}`
+      ]);
+    }
+    output += table(tableData);
+
+    output += chalk.yellow(`Model (${sweep.model}, R² ${chosen.r2.toFixed(4)}): ${formula}\n`);
+    output += chalk.yellow(`Marginal cost at n=${sweep.marginalCost.at}: ${this.formatNumber(sweep.marginalCost.gasPerUnit)} gas per element\n`);
+    if (sweep.prediction) {
+      output += chalk.yellow(`Predicted gas at n=${sweep.prediction.size}: ${this.formatNumber(sweep.prediction.gas)}\n`);
+    }
+    if (sweep.failures && sweep.failures.length > 0) {
+      output += chalk.red(`Failed sizes: ${sweep.failures.map(failure => failure.size).join(', ')}\n`);
+    }
+    output += '\n';
+
+    return output;
+  }
+
+  /**
+   * Render the per-function opcode class histogram
+   * @returns {string} Formatted breakdown or empty string if no opcode data
+   */
+  generateOpcodeBreakdown() {
+    const traced = Object.entries(this.data.results).filter(([, result]) => result.opcodeProfile);
+    if (traced.length === 0) {
+      return '';
+    }
+
+    const categories = ['storage', 'call', 'create', 'log', 'memory', 'keccak', 'account', 'compute'];
+    const headers = [
+      chalk.bold('Function'),
+      ...categories.map(category => chalk.bold(category.charAt(0).toUpperCase() + category.slice(1))),
+      chalk.bold('Top Opcodes')
+    ];
+    const tableData = [headers];
+
+    for (const [functionSig, result] of traced) {
+      const profile = result.opcodeProfile;
+      const execution = profile.executionGas || 1;
+      const topOpcodes = Object.entries(profile.byOpcode)
+        .sort(([, a], [, b]) => b.gas - a.gas)
+        .slice(0, 3)
+        .map(([op, stats]) => `${op} ${this.formatNumber(stats.gas)}`)
+        .join(', ');
+
+      tableData.push([
+        functionSig,
+        ...categories.map(category => {
+          const gas = profile.byCategory[category] || 0;
+          return gas > 0 ? `${this.formatNumber(gas)} (${Math.round(gas / execution * 100)}%)` : '-';
+        }),
+        topOpcodes
+      ]);
+    }
+
+    let output = chalk.cyan(`⛽ Opcode Gas Breakdown (average execution gas per run)\n`);
+    output += chalk.gray(`──────────────────────────────────────────────────────\n`);
+    output += table(tableData);
+    output += '\n';
+
+    return output;
+  }
+
+  /**
+   * Render the internal call tree of the first traced run of each function
+   * @returns {string} Indented call trees or empty string if none were recorded
+   */
+  generateCallTreeReport() {
+    const traced = Object.entries(this.data.results)
+      .map(([functionSig, result]) => [functionSig, (result.runs || []).find(run => run.callTree)])
+      .filter(([, run]) => run);
+
+    if (traced.length === 0) {
+      return '';
+    }
+
+    let output = chalk.cyan(`🌳 Internal Call Trees\n`);
+    output += chalk.gray(`──────────────────────\n`);
+
+    for (const [functionSig, run] of traced) {
+      output += chalk.yellow(`\n${functionSig} (run ${run.run})\n`);
+      output += this.renderCallTree(run.callTree, run.callTree.gasUsed);
+    }
+
+    output += '\n';
+    return output;
+  }
+
+  /**
+   * Render a call tree node and its subcalls as indented lines
+   * @param {Object} node - Call tree node
+   * @param {number} rootGas - Gas used by the root frame, for percentages
+   * @param {string} prefix - Indentation inherited from the parent
+   * @param {boolean} isLast - Whether the node is its parent's last subcall
+   * @param {boolean} isRoot - Whether the node is the root frame
+   * @returns {string} Rendered lines
+   */
+  renderCallTree(node, rootGas, prefix = '', isLast = true, isRoot = true) {
+    const connector = isRoot ? '' : (isLast ? '└─ ' : '├─ ');
+    const label = node.function || (node.selector ? `${node.selector} (unknown)` : '(fallback/receive)');
+    const share = rootGas > 0 ? ` ${(node.gasUsed / rootGas * 100).toFixed(1)}%` : '';
+    const value = node.value && node.value !== '0' ? ` value=${node.value}` : '';
+    const selfGas = node.calls.length > 0 ? `, self ${this.formatNumber(node.selfGas)}` : '';
+
+    let line = `${prefix}${connector}[${node.type}] ${label} → ${node.to}${value}: ${this.formatNumber(node.gasUsed)} gas${share}${selfGas}`;
+    if (node.error) {
+      line += ` ✗ ${node.revertReason || node.error}`;
+    }
+
+    let output = (node.error ? chalk.red(line) : chalk.white(line)) + '\n';
+    const childPrefix = isRoot ? '' : prefix + (isLast ? '   ' : '│  ');
+
+    for (const event of node.events || []) {
+      const name = event.event || (event.topic ? `${event.topic} (unknown)` : '(anonymous)');
+      output += chalk.gray(`${childPrefix}${node.calls.length > 0 ? '│  ' : '   '}emit ${name}`) + '\n';
+    }
+
+    node.calls.forEach((child, index) => {
+      output += this.renderCallTree(child, rootGas, childPrefix, index === node.calls.length - 1, false);
+    });
+
+    return output;
+  }
+
+  /**
+   * Render profiled sources annotated with the average gas spent on each line
+   * Requires results produced with a runtime source map (compile-and-profile --source-map)
+   * @returns {string} Annotated source listing
+   */
+  generateHeatmapReport() {
+    if (!this.data) {
+      throw new Error('No data loaded. Call loadResults() first.');
+    }
+
+    const mapped = Object.entries(this.data.results)
+      .filter(([, result]) => result.opcodeProfile && result.opcodeProfile.sourceLines);
+
+    if (!this.data.sources || mapped.length === 0) {
+      throw new Error('No source-line data in results. Profile with compile-and-profile --source-map to record source maps.');
+    }
+
+    // Sum per-function line averages into one heatmap
+    const lineGas = {};
+    let unmapped = 0;
+    for (const [, result] of mapped) {
+      unmapped += result.opcodeProfile.sourceLines.unmapped;
+      for (const [key, gas] of Object.entries(result.opcodeProfile.sourceLines.lines)) {
+        lineGas[key] = (lineGas[key] || 0) + gas;
+      }
+    }
+    const totalGas = Object.values(lineGas).reduce((sum, gas) => sum + gas, 0) + unmapped;
+    const maxLineGas = Math.max(...Object.values(lineGas), 1);
+
+    let output = '\n';
+    output += chalk.cyan(`🔥 Source Gas Heatmap (average execution gas per run, summed over ${mapped.length} functions)\n`);
+    output += chalk.gray(`──────────────────────────────────────────────────────\n`);
+
+    for (const source of Object.values(this.data.sources)) {
+      output += chalk.blue(`\n📄 ${source.path}\n\n`);
+
+      source.content.split('\n').forEach((text, index) => {
+        const gas = lineGas[`${source.path}:${index + 1}`] || 0;
+        const lineNumber = String(index + 1).padStart(4);
+        const share = totalGas > 0 ? gas / totalGas * 100 : 0;
+        const gasColumn = gas > 0
+          ? `${this.formatNumber(gas).padStart(10)} ${share.toFixed(1).padStart(5)}% ${'█'.repeat(Math.ceil(gas / maxLineGas * 10)).padEnd(10)}`
+          : ' '.repeat(28);
+        const color = share >= 20 ? chalk.red : share >= 5 ? chalk.yellow : gas > 0 ? chalk.white : chalk.gray;
+
+        output += color(`${lineNumber} │${gasColumn} │ ${text}\n`);
+      });
+    }
+
+    output += '\n';
+    output += chalk.gray(`Compiler-generated code (dispatcher, checks): ${this.formatNumber(unmapped)} gas\n`);
+
+    // Hottest lines per function
+    output += chalk.cyan(`\n🎯 Hottest Lines by Function\n`);
+    output += chalk.gray(`───────────────────────────\n`);
+    for (const [functionSig, result] of mapped) {
+      const hottest = Object.entries(result.opcodeProfile.sourceLines.lines)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 3)
+        .map(([key, gas]) => `${key.split(':').pop()} (${this.formatNumber(gas)})`)
+        .join(', ');
+      output += chalk.yellow(`${functionSig}: `) + chalk.white(`${hottest ? `lines ${hottest}` : 'no mapped lines'}\n`);
+    }
+
     return output;
   }
 
@@ -196,12 +669,63 @@ class SomniaGasReporter {
       'rpc'
     ];
     
+    // Check if any runs were measured warm as well
+    const hasWarmData = Object.values(this.data.results).some(result => 
+      result.runs.some(run => run.warmGasUsed !== undefined)
+    );
+    
     if (hasCostData) {
       headers.push('cost_stt', 'cost_wei', 'gas_price_wei');
     }
     
+    if (hasWarmData) {
+      headers.push('warm_gas_used');
+    }
+    
+    // Check if any runs reverted
+    const hasRevertData = Object.values(this.data.results).some(result => 
+      result.runs.some(run => run.revert !== undefined)
+    );
+    
+    if (hasRevertData) {
+      headers.push('reverted', 'revert_reason');
+    }
+    
+    // Check if any runs were re-measured with an access list
+    const hasAccessListData = Object.values(this.data.results).some(result => 
+      result.runs.some(run => run.accessList !== undefined)
+    );
+    
+    if (hasAccessListData) {
+      headers.push('access_list_gas_used', 'access_list_savings');
+    }
+    
+    const deployment = this.data.deployment;
+    if (deployment) {
+      headers.push('constructor_gas', 'code_deposit_gas', 'runtime_size', 'initcode_size');
+    }
+    
     records.push(headers);
 
+    // Deployment first, as its own row with the gas split in the trailing columns
+    if (deployment) {
+      const row = ['deployment', 1, '[]', deployment.gasUsed, 'deployment', deployment.txHash || '', deployment.blockNumber || '', this.data.rpc];
+      if (hasCostData) {
+        row.push('', '', '');
+      }
+      if (hasWarmData) {
+        row.push('');
+      }
+      if (hasRevertData) {
+        row.push('', '');
+      }
+      if (hasAccessListData) {
+        row.push('', '');
+      }
+      row.push(deployment.constructorExecution, deployment.codeDeposit, deployment.runtimeSize, deployment.initcodeSize);
+      records.push(row);
+    }
+
     // Add data rows
     for (const [functionSig, result] of Object.entries(this.data.results)) {
       for (const run of result.runs) {
@@ -225,6 +749,22 @@ class SomniaGasReporter {
           );
         }
         
+        if (hasWarmData) {
+          row.push(run.warmGasUsed !== undefined ? run.warmGasUsed : '');
+        }
+        
+        if (hasRevertData) {
+          row.push(run.revert ? 'true' : 'false', run.revert ? run.revert.message : '');
+        }
+        
+        if (hasAccessListData) {
+          row.push(run.accessList ? run.accessList.gasWith : '', run.accessList ? run.accessList.savings : '');
+        }
+        
+        if (deployment) {
+          row.push('', '', '', '');
+        }
+        
         records.push(row);
       }
     }
@@ -243,6 +783,199 @@ class SomniaGasReporter {
     return JSON.stringify(this.data, null, 2);
   }
 
+  /**
+   * Export results in forge `.gas-snapshot` format ("Contract:function() (gas: N)")
+   * Each entry records the function's average gas across runs.
+   * @param {string} contractName - Contract prefix (defaults to the results' contract name or address)
+   * @returns {string} Snapshot file content, sorted like forge
+   */
+  generateGasSnapshot(contractName = null) {
+    if (!this.data) {
+      throw new Error('No data loaded. Call loadResults() first.');
+    }
+
+    const prefix = contractName || this.data.contractName || this.data.address || 'Contract';
+    const lines = Object.entries(this.data.results)
+      .map(([functionSig, result]) => `${prefix}:${functionSig} (gas: ${result.aggregated.avg})`);
+
+    return lines.sort().join('\n') + '\n';
+  }
+
+  /**
+   * Parse a forge `.gas-snapshot` file
+   * Fuzz entries are compared on their median like forge; invariant entries have no gas value.
+   * @param {string} content - Snapshot file content
+   * @returns {Object} Entry name -> { contract, test, gas, runs, mean, median }
+   */
+  parseGasSnapshot(content) {
+    const entries = {};
+
+    for (const line of content.split(/\r?\n/)) {
+      const match = line.trim().match(/^(.+?) \(((?:gas|runs): [^()]*)\)$/);
+      if (!match) {
+        continue;
+      }
+
+      const [, name, body] = match;
+      const fields = Object.fromEntries(body.split(',').map(part => {
+        const [key, value] = part.split(':').map(item => item.trim());
+        return [key, parseInt(value, 10)];
+      }));
+      const separator = name.indexOf(':');
+
+      entries[name] = {
+        contract: separator >= 0 ? name.slice(0, separator) : '',
+        test: separator >= 0 ? name.slice(separator + 1) : name,
+        gas: fields.gas !== undefined ? fields.gas : (fields['~'] !== undefined ? fields['~'] : null),
+        runs: fields.runs !== undefined ? fields.runs : null,
+        mean: fields['μ'] !== undefined ? fields['μ'] : null,
+        median: fields['~'] !== undefined ? fields['~'] : null
+      };
+    }
+
+    return entries;
+  }
+
+  /**
+   * Diff two parsed snapshots like `forge snapshot --diff`
+   * @param {Object} previous - Committed snapshot entries
+   * @param {Object} current - New snapshot entries
+   * @returns {Object} { changes, unchanged, added, removed, totalBefore, totalAfter }
+   */
+  diffGasSnapshots(previous, current) {
+    const diff = { changes: [], unchanged: 0, added: [], removed: [], totalBefore: 0, totalAfter: 0 };
+
+    for (const [name, entry] of Object.entries(current)) {
+      const before = previous[name];
+      if (!before) {
+        diff.added.push(name);
+        continue;
+      }
+      if (before.gas === null || entry.gas === null) {
+        continue;
+      }
+
+      diff.totalBefore += before.gas;
+      diff.totalAfter += entry.gas;
+
+      if (before.gas === entry.gas) {
+        diff.unchanged++;
+        continue;
+      }
+
+      diff.changes.push({
+        name,
+        before: before.gas,
+        after: entry.gas,
+        diff: entry.gas - before.gas,
+        percent: before.gas > 0 ? (entry.gas - before.gas) / before.gas * 100 : 0
+      });
+    }
+
+    diff.removed = Object.keys(previous).filter(name => !current[name]);
+    diff.changes.sort((a, b) => a.percent - b.percent);
+
+    return diff;
+  }
+
+  /**
+   * Render a snapshot diff in forge's "name (gas: +N (x%))" style
+   * @param {Object} diff - Result of diffGasSnapshots()
+   * @returns {string} Diff report
+   */
+  generateSnapshotDiffReport(diff) {
+    const signed = value => (value > 0 ? `+${value}` : `${value}`);
+    let output = '\n';
+    output += chalk.cyan(`📸 Gas Snapshot Diff\n`);
+    output += chalk.gray(`════════════════════\n`);
+
+    for (const change of diff.changes) {
+      const color = change.diff < 0 ? chalk.green : chalk.red;
+      output += color(`${change.name} (gas: ${signed(change.diff)} (${change.percent > 0 ? '+' : ''}${change.percent.toFixed(3)}%))\n`);
+    }
+    for (const name of diff.added) {
+      output += chalk.yellow(`${name} (new, no matching snapshot entry)\n`);
+    }
+    for (const name of diff.removed) {
+      output += chalk.gray(`${name} (removed)\n`);
+    }
+
+    const total = diff.totalAfter - diff.totalBefore;
+    const totalPercent = diff.totalBefore > 0 ? (total / diff.totalBefore * 100).toFixed(3) : '0.000';
+    output += `\nOverall gas change: ${signed(total)} (${total > 0 ? '+' : ''}${totalPercent}%)\n`;
+    output += chalk.gray(`${diff.changes.length} changed, ${diff.unchanged} unchanged, ${diff.added.length} new, ${diff.removed.length} removed\n`);
+
+    return output;
+  }
+
+  /**
+   * Write, diff or check a `.gas-snapshot` file from profiling results
+   * Mirrors forge: no flag writes the snapshot, --diff prints changes, --check
+   * fails on changes beyond --tolerance and on new or removed entries, --update
+   * accepts and rewrites.
+   */
+  async snapshot(options) {
+    const {
+      in: inputFile,
+      snap = '.gas-snapshot',
+      contract,
+      diff: showDiff,
+      check,
+      update,
+      tolerance = 0
+    } = options;
+
+    try {
+      await this.loadResults(inputFile);
+      const content = this.generateGasSnapshot(contract);
+
+      if (!showDiff && !check) {
+        await fs.writeFile(snap, content, 'utf8');
+        console.log(chalk.green(`💾 Gas snapshot saved to ${snap}`));
+        return null;
+      }
+
+      let existing;
+      try {
+        existing = await fs.readFile(snap, 'utf8');
+      } catch (error) {
+        throw new Error(`No snapshot to compare against at ${snap} (run without --diff/--check to create it)`);
+      }
+
+      const diff = this.diffGasSnapshots(this.parseGasSnapshot(existing), this.parseGasSnapshot(content));
+      console.log(this.generateSnapshotDiffReport(diff));
+
+      if (update) {
+        await fs.writeFile(snap, content, 'utf8');
+        console.log(chalk.green(`💾 Gas snapshot updated at ${snap}`));
+        return diff;
+      }
+
+      if (check) {
+        const exceeded = diff.changes.filter(change => Math.abs(change.percent) > tolerance);
+        const problems = [];
+        if (exceeded.length > 0) {
+          problems.push(`${exceeded.length} entr${exceeded.length === 1 ? 'y' : 'ies'} changed${tolerance > 0 ? ` by more than ${tolerance}%` : ''}`);
+        }
+        if (diff.added.length > 0) {
+          problems.push(`${diff.added.length} new`);
+        }
+        if (diff.removed.length > 0) {
+          problems.push(`${diff.removed.length} removed`);
+        }
+        if (problems.length > 0) {
+          throw new Error(`Gas snapshot check failed: ${problems.join(', ')}`);
+        }
+        console.log(chalk.green('✅ Gas snapshot matches'));
+      }
+
+      return diff;
+
+    } catch (error) {
+      throw new Error(`Gas snapshot failed: ${error.message}`);
+    }
+  }
+
   async compareResults(file1Path, file2Path) {
     try {
       const results1 = JSON.parse(await fs.readFile(file1Path, 'utf8'));
@@ -269,7 +1002,12 @@ class SomniaGasReporter {
           avg_gas_diff: r2.aggregated.avg - r1.aggregated.avg,
           avg_gas_percent: ((r2.aggregated.avg - r1.aggregated.avg) / r1.aggregated.avg * 100).toFixed(2),
           min_gas_diff: r2.aggregated.min - r1.aggregated.min,
-          max_gas_diff: r2.aggregated.max - r1.aggregated.max
+          max_gas_diff: r2.aggregated.max - r1.aggregated.max,
+          // Welch's t-test on per-run gas of completed runs; null when either side has fewer than two runs
+          significance: this.statistics.welchTest(
+            (r1.runs || []).filter(run => !run.revert).map(run => run.gasUsed),
+            (r2.runs || []).filter(run => !run.revert).map(run => run.gasUsed)
+          )
         };
       }
 
@@ -291,7 +1029,8 @@ class SomniaGasReporter {
       chalk.bold('Avg Gas Diff'),
       chalk.bold('Change %'),
       chalk.bold('Min Diff'),
-      chalk.bold('Max Diff')
+      chalk.bold('Max Diff'),
+      chalk.bold('Significant')
     ];
 
     const tableData = [headers];
@@ -310,17 +1049,33 @@ class SomniaGasReporter {
         avgColor(avgDiffFormatted),
         percentColor(percentFormatted),
         diff.min_gas_diff >= 0 ? `+${this.formatNumber(diff.min_gas_diff)}` : this.formatNumber(diff.min_gas_diff),
-        diff.max_gas_diff >= 0 ? `+${this.formatNumber(diff.max_gas_diff)}` : this.formatNumber(diff.max_gas_diff)
+        diff.max_gas_diff >= 0 ? `+${this.formatNumber(diff.max_gas_diff)}` : this.formatNumber(diff.max_gas_diff),
+        this.formatSignificance(diff.significance)
       ]);
     }
 
     output += table(tableData);
     output += '\n';
-    output += chalk.yellow(`💡 Green = Gas savings, Red = Gas increase\n\n`);
+    output += chalk.yellow(`💡 Green = Gas savings, Red = Gas increase\n`);
+    output += chalk.gray(`   Significant = Welch's t-test on per-run gas (p < 0.05); n/a needs 2+ runs per file,\n`);
+    output += chalk.gray(`   deterministic = every run used the same gas in both files\n\n`);
 
     return output;
   }
 
+  formatSignificance(significance) {
+    if (!significance) {
+      return chalk.gray('n/a');
+    }
+    // Every run used the same gas on both sides: no test statistic, the values either moved or not
+    if (significance.deterministic) {
+      return significance.significant ? chalk.bold('yes (deterministic)') : chalk.gray('no (identical)');
+    }
+
+    const pValue = significance.pValue < 0.001 ? '<0.001' : significance.pValue.toFixed(3);
+    return significance.significant ? chalk.bold(`yes (p=${pValue})`) : chalk.gray(`no (p=${pValue})`);
+  }
+
   async generate(options) {
     const {
       in: inputFile,
@@ -329,6 +1084,9 @@ class SomniaGasReporter {
       sort,
       nl,
       compare,
+      budget,
+      baseline,
+      junit,
       verbose
     } = options;
 
@@ -343,6 +1101,11 @@ class SomniaGasReporter {
         const comparison = await this.compareResults(inputFile, compare);
         output = this.generateComparisonReport(comparison);
         console.log(output);
+        if (budget) {
+          // The compared file is the candidate, the input file its baseline
+          const candidate = JSON.parse(await fs.readFile(compare, 'utf8'));
+          await this.checkBudget(budget, candidate, { baseline: baseline || inputFile, junit });
+        }
         return;
       }
 
@@ -354,6 +1117,12 @@ class SomniaGasReporter {
         case 'csv':
           output = this.generateCSVReport();
           break;
+        case 'heatmap':
+          output = this.generateHeatmapReport();
+          break;
+        case 'snapshot':
+          output = this.generateGasSnapshot();
+          break;
         case 'table':
         default:
           output = this.generateTableReport(sort);
@@ -373,11 +1142,24 @@ class SomniaGasReporter {
         await this.generateNaturalLanguageSummary();
       }
 
+      if (budget) {
+        await this.checkBudget(budget, this.data, { baseline, junit });
+      }
+
     } catch (error) {
       throw new Error(`Report generation failed: ${error.message}`);
     }
   }
 
+  /**
+   * Enforce a gas budget file on profiling results
+   * Throws when any limit is exceeded so the CLI exits non-zero.
+   */
+  async checkBudget(budgetPath, results, options = {}) {
+    const budget = await GasBudget.load(budgetPath);
+    return await budget.enforce(results, options);
+  }
+
   async generateNaturalLanguageSummary() {
     try {
       console.log(chalk.blue('\n🤖 Generating AI-powered summary...\n'));
@@ -452,5 +1234,9 @@ module.exports = {
     const reporter = new SomniaGasReporter();
     await reporter.generate(options);
   },
+  snapshot: async (options) => {
+    const reporter = new SomniaGasReporter();
+    return await reporter.snapshot(options);
+  },
   SomniaGasReporter
 };
\ No newline at end of file
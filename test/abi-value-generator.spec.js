@@ -0,0 +1,91 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { AbiValueGenerator } = require('../lib/abi-value-generator');
+const { BytecodeProcessor } = require('../lib/bytecode-processor');
+
+describe('ABI Value Generator', function() {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const encodes = (param, value) => coder.encode([ethers.ParamType.from(param)], [value]);
+
+  const order = {
+    name: 'order',
+    type: 'tuple',
+    components: [
+      { name: 'maker', type: 'address' },
+      { name: 'amounts', type: 'uint256[3]' },
+      { name: 'path', type: 'address[][]' },
+      { name: 'fee', type: 'uint24' },
+      { name: 'tick', type: 'int24' },
+      { name: 'salt', type: 'bytes32' },
+      {
+        name: 'legs',
+        type: 'tuple[2]',
+        components: [{ name: 'pool', type: 'address' }, { name: 'data', type: 'bytes' }]
+      }
+    ]
+  };
+
+  it('should build structs with named components, fixed and nested arrays', function() {
+    const value = new AbiValueGenerator().generate(order);
+
+    expect(value).to.have.keys('maker', 'amounts', 'path', 'fee', 'tick', 'salt', 'legs');
+    expect(value.amounts).to.deep.equal(['100', '100', '100']);
+    expect(value.path).to.deep.equal([[ethers.ZeroAddress]]);
+    expect(value.salt).to.equal('0x' + '12'.repeat(32));
+    expect(value.legs).to.have.length(2);
+    expect(value.legs[0]).to.deep.equal({ pool: ethers.ZeroAddress, data: '0x1234' });
+    expect(() => encodes(order, value)).to.not.throw();
+  });
+
+  it('should use positional arrays for unnamed tuple components and honour arrayLength', function() {
+    const generator = new AbiValueGenerator({ arrayLength: 3 });
+    const param = { type: 'tuple[]', components: [{ type: 'bool' }, { type: 'string' }] };
+
+    const value = generator.generate(param);
+
+    expect(value).to.deep.equal([[true, 'test string'], [true, 'test string'], [true, 'test string']]);
+    expect(() => encodes(param, value)).to.not.throw();
+  });
+
+  it('should keep integers inside their type range', function() {
+    const generator = new AbiValueGenerator();
+
+    expect(AbiValueGenerator.integerRange('int8')).to.deep.equal({ min: -128n, max: 127n });
+    expect(AbiValueGenerator.integerRange('uint')).to.deep.equal({ min: 0n, max: 2n ** 256n - 1n });
+    expect(AbiValueGenerator.integerRange('uint7')).to.be.null;
+
+    expect(generator.generate({ type: 'uint32', name: 'amount' }, 'ERC20')).to.equal('4294967295');
+    expect(generator.generate({ type: 'uint256', name: 'amount' }, 'ERC20')).to.equal('1000000000000000000');
+    expect(generator.generate({ type: 'int8', name: 'delta' })).to.equal('100');
+    expect(generator.generate({ type: 'uint256', name: 'tokenId' })).to.equal('1');
+  });
+
+  it('should size bytesN and function values and fall back for malformed types', function() {
+    const generator = new AbiValueGenerator();
+
+    expect(generator.generate('bytes4')).to.equal('0x12121212');
+    expect(generator.generate('bytes33')).to.equal('0');
+    expect(generator.generate('function')).to.match(/^0x[0-9a-f]{48}$/i);
+    expect(AbiValueGenerator.isComposite('uint256[2]')).to.be.true;
+    expect(AbiValueGenerator.isComposite({ type: 'tuple' })).to.be.true;
+    expect(AbiValueGenerator.isComposite('bytes32')).to.be.false;
+  });
+
+  it('should generate encodable arguments for struct-taking functions in BytecodeProcessor', function() {
+    const processor = new BytecodeProcessor(null, { address: ethers.ZeroAddress });
+    const fragment = {
+      type: 'function',
+      name: 'fill',
+      stateMutability: 'nonpayable',
+      inputs: [order, { name: 'ids', type: 'uint256[]' }, { name: 'to', type: 'address' }],
+      outputs: []
+    };
+
+    const args = processor.generateArgsForFunction(fragment, 'DeFi');
+    const iface = new ethers.Interface([fragment]);
+
+    expect(args[1]).to.deep.equal(['1']);
+    expect(() => iface.encodeFunctionData('fill', args)).to.not.throw();
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+
+const { AccessListAnalyzer } = require('../lib/access-list-analyzer');
+const { SomniaGasProfiler } = require('../profiler');
+const { SomniaGasReporter } = require('../reporter');
+
+describe('Access List Analyzer', function() {
+  let sandbox;
+
+  const from = '0x1111111111111111111111111111111111111111';
+  const to = '0x2222222222222222222222222222222222222222';
+  const token = '0x3333333333333333333333333333333333333333';
+  const slot = '0x' + '00'.repeat(31) + '01';
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should use eth_createAccessList when the node supports it', async function() {
+    const send = sandbox.stub().withArgs('eth_createAccessList').resolves({
+      accessList: [{ address: token, storageKeys: ['0x01'] }],
+      gasUsed: '0x7530'
+    });
+    const analyzer = new AccessListAnalyzer({ send });
+
+    const list = await analyzer.createAccessList({ from, to, data: '0x' });
+
+    expect(list.source).to.equal('eth_createAccessList');
+    expect(list.accessList).to.deep.equal([{ address: ethers.getAddress(token), storageKeys: [slot] }]);
+  });
+
+  it('should derive the list from a prestate trace, skipping warm accounts', async function() {
+    const send = sandbox.stub();
+    send.withArgs('eth_createAccessList').rejects(new Error('the method eth_createAccessList does not exist'));
+    send.withArgs('debug_traceCall').resolves({
+      [from]: { balance: '0x1' },
+      [to]: { code: '0x60', storage: { [slot]: '0x' + '00'.repeat(32) } },
+      [token]: { code: '0x60' },
+      '0x0000000000000000000000000000000000000001': { balance: '0x0' }
+    });
+    const analyzer = new AccessListAnalyzer({ send });
+
+    const list = await analyzer.createAccessList({ from, to, data: '0x' });
+
+    expect(list.source).to.equal('prestateTracer');
+    expect(list.accessList).to.deep.equal([
+      { address: ethers.getAddress(to), storageKeys: [slot] },
+      { address: ethers.getAddress(token), storageKeys: [] }
+    ]);
+    expect(send.withArgs('debug_traceCall').firstCall.args[1][2]).to.deep.equal({ tracer: 'prestateTracer' });
+    expect(analyzer.deriveFromPrestate({ [to]: { code: '0x60' } }, { from, to })).to.deep.equal([]);
+  });
+
+  it('should compare and average the gas with and without the list', function() {
+    const analyzer = new AccessListAnalyzer(null);
+    const list = { source: 'eth_createAccessList', accessList: [{ address: token, storageKeys: [slot, slot] }] };
+
+    const first = analyzer.compare(list, 50000, 49800, 'mined');
+    const second = analyzer.compare(list, 50000, 49600, 'mined');
+
+    expect(first).to.include({ addresses: 1, storageKeys: 2, listCost: 2400 + 2 * 1900, savings: 200, savingsPercent: 0.4 });
+    expect(analyzer.aggregate([first, undefined, second])).to.include({ runs: 2, gasWithout: 50000, gasWith: 49700, savings: 300, worthIt: true });
+    expect(analyzer.aggregate([analyzer.compare(list, 21000, 23400, 'estimate')])).to.include({ savings: -2400, worthIt: false });
+    expect(analyzer.aggregate([null])).to.be.null;
+  });
+
+  it('should re-run each profiled call from its snapshot with the list attached', async function() {
+    const profiler = new SomniaGasProfiler();
+    const iface = new ethers.Interface(['function swap(uint256 amount)']);
+    const send = sandbox.stub();
+    send.withArgs('evm_snapshot').resolves('0x1');
+    send.withArgs('evm_revert').resolves(true);
+    send.withArgs('eth_createAccessList').resolves({ accessList: [{ address: token, storageKeys: [slot] }] });
+    profiler.provider = { send, getFeeData: async () => ({ gasPrice: null }) };
+    profiler.wallet = { address: from };
+    profiler.accessListAnalyzer = new AccessListAnalyzer(profiler.provider);
+
+    const contract = {
+      target: to,
+      interface: iface,
+      swap: sandbox.stub().callsFake(async (amount, overrides) => {
+        const gasUsed = overrides.accessList ? 64800n : 65000n;
+        return { wait: async () => ({ gasUsed, hash: '0xabc', blockNumber: 1 }) };
+      })
+    };
+    const func = { fragment: { name: 'swap' }, fullSignature: 'swap(uint256)' };
+
+    const results = await profiler.profileFunction(contract, func, [5], 2, false, null, null, { accessList: true });
+
+    expect(contract.swap.callCount).to.equal(6);
+    expect(contract.swap.thirdCall.args[1].accessList[0].address).to.equal(ethers.getAddress(token));
+    expect(results.runs[0].gasUsed).to.equal(65000);
+    expect(results.runs[0].accessList).to.include({ gasWithout: 65000, gasWith: 64800, method: 'mined' });
+    expect(results.aggregated.accessList).to.include({ savings: 200, worthIt: true });
+
+    // The cold transaction is traced before the revert that drops it
+    profiler.traceAnalyzer = { profileCallTree: sandbox.stub().resolves({ type: 'CALL', gasUsed: 65000, calls: [] }) };
+    const traced = await profiler.profileFunction(contract, func, [5], 1, false, null, null, { accessList: true, callTree: true });
+    const reverts = send.withArgs('evm_revert').getCalls();
+
+    expect(traced.runs[0].callTree).to.exist;
+    expect(profiler.traceAnalyzer.profileCallTree.firstCall.args[0]).to.deep.equal({ txHash: '0xabc' });
+    expect(profiler.traceAnalyzer.profileCallTree.firstCall.calledBefore(reverts[reverts.length - 2])).to.be.true;
+
+    const reporter = new SomniaGasReporter();
+    reporter.data = { rpc: 'http://localhost:8545', address: to, network: 'anvil', timestamp: new Date().toISOString(), results: { 'swap(uint256)': results } };
+    expect(reporter.generateTableReport()).to.include('swap(uint256): 65,000 → 64,800 gas, saves 200 gas (0.31%) per call');
+    expect(reporter.generateCSVReport().split('\n')[0]).to.include('"access_list_gas_used","access_list_savings"');
+  });
+});
@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+
+const { BytecodeProcessor } = require('../lib/bytecode-processor');
+
+describe('Bytecode Processor', function() {
+  let processor;
+
+  beforeEach(function() {
+    processor = new BytecodeProcessor(null, null);
+  });
+
+  it('should price calldata at 4 gas per zero byte and 16 per non-zero byte', function() {
+    expect(processor.calldataGas('0x')).to.equal(0);
+    expect(processor.calldataGas('0x6080004000')).to.equal(16 + 16 + 4 + 16 + 4);
+  });
+
+  it('should break a call\'s intrinsic gas into base and zero/non-zero calldata bytes', function() {
+    // batch(uint256[]) with [1, 2]: selector, offset, length and two padded elements
+    const data = '0x12345678' + [0x20, 2, 1, 2].map(value => value.toString(16).padStart(64, '0')).join('');
+
+    const intrinsic = BytecodeProcessor.analyzeCalldata(data, 30000);
+
+    expect(intrinsic).to.deep.equal({
+      base: 21000,
+      bytes: 132,
+      zeroBytes: 124,
+      nonZeroBytes: 8,
+      zeroByteGas: 496,
+      nonZeroByteGas: 128,
+      calldataGas: 624,
+      total: 21624,
+      calldataShare: 2.08,
+      intrinsicShare: 72.08
+    });
+    expect(BytecodeProcessor.analyzeCalldata('0x')).to.not.have.property('calldataShare');
+  });
+
+  it('should split deployment gas into intrinsic, constructor and code deposit cost', function() {
+    const deploymentTx = { hash: '0xdeploy', data: '0x' + '60'.repeat(100) + '00'.repeat(28) };
+    const runtimeCode = '0x' + '60'.repeat(50);
+
+    const deployment = processor.analyzeDeployment(deploymentTx, { gasUsed: 90000n, blockNumber: 7 }, runtimeCode);
+
+    // 100 non-zero and 28 zero calldata bytes, 4 initcode words
+    expect(deployment.intrinsic).to.deep.equal({ base: 21000, create: 32000, calldata: 1712, initcodeWords: 8, total: 54720 });
+    expect(deployment.codeDeposit).to.equal(10000);
+    expect(deployment.constructorExecution).to.equal(90000 - 54720 - 10000);
+    expect(deployment).to.include({ gasUsed: 90000, runtimeSize: 50, initcodeSize: 128, txHash: '0xdeploy', blockNumber: 7 });
+    expect(deployment.limits.runtime).to.deep.equal({ size: 50, limit: 24576, eip: 'EIP-170', percent: 0.2, exceeds: false });
+  });
+
+  it('should flag code over the EIP-170 and EIP-3860 size limits', function() {
+    const deployment = processor.analyzeDeployment(
+      { data: '0x' + 'ff'.repeat(49153) },
+      { gasUsed: 30000000n },
+      '0x' + 'ff'.repeat(24577)
+    );
+
+    expect(deployment.limits.runtime.exceeds).to.be.true;
+    expect(deployment.limits.initcode).to.include({ eip: 'EIP-3860', limit: 49152, exceeds: true });
+  });
+});
@@ -0,0 +1,147 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { CompilerMatrix } = require('../lib/compiler-matrix');
+
+describe('Compiler Matrix', function() {
+  let sandbox;
+
+  const abi = [
+    { type: 'function', name: 'transfer', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [] },
+    { type: 'function', name: 'approve', stateMutability: 'nonpayable', inputs: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [] },
+    { type: 'function', name: 'balanceOf', stateMutability: 'view', inputs: [{ name: 'owner', type: 'address' }], outputs: [{ type: 'uint256' }] }
+  ];
+
+  // Higher optimizer runs: bigger, pricier deployment but cheaper calls
+  const compilerFor = () => ({
+    compileSource: sandbox.stub().callsFake(async (source, name, settings) => {
+      if (settings.viaIR && settings.solcVersion === '0.8.4') {
+        throw new Error('viaIR unsupported');
+      }
+      const size = 1000 + settings.optimizationRuns / 10;
+      return {
+        bytecode: '0x' + '60'.repeat(size + 100),
+        deployedBytecode: '0x' + '60'.repeat(size),
+        abi,
+        compiler: 'foundry',
+        runs: settings.optimizationRuns
+      };
+    })
+  });
+
+  const deployer = () => ({
+    detectContractType: sandbox.stub().returns('Custom'),
+    generateArgsForFunction: sandbox.stub().callsFake(fragment => fragment.inputs.map(() => 1)),
+    deployBytecode: sandbox.stub().callsFake(async (bytecode) => ({
+      contract: { bytecode },
+      address: '0x' + '11'.repeat(20),
+      deployment: { gasUsed: 50000 + (bytecode.length - 2) / 2 * 200, codeDeposit: (bytecode.length - 2) / 2 * 200 - 20000 }
+    }))
+  });
+
+  const profiler = () => ({
+    profileFunction: sandbox.stub().callsFake(async (contract, func) => {
+      const runtimeSize = (contract.bytecode.length - 2) / 2 - 100;
+      const base = func.fragment.name === 'transfer' ? 52000 : 46000;
+      const gas = base - (runtimeSize - 1000) * 4;
+      return { aggregated: { avg: gas, min: gas, max: gas } };
+    })
+  });
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should parse settings lists and call mixes', function() {
+    expect(CompilerMatrix.parseList('1, 200,10000', 'number')).to.deep.equal([1, 200, 10000]);
+    expect(CompilerMatrix.parseList('false,TRUE', 'boolean')).to.deep.equal([false, true]);
+    expect(() => CompilerMatrix.parseList('200,lots', 'number')).to.throw('Invalid optimizer runs value');
+
+    expect(CompilerMatrix.parseCallMix('transfer(address,uint256)=70,approve=30')).to.deep.equal({
+      'transfer(address,uint256)': 70, approve: 30
+    });
+    expect(CompilerMatrix.parseCallMix('')).to.be.null;
+    expect(() => CompilerMatrix.parseCallMix('transfer')).to.throw('Invalid call mix entry');
+  });
+
+  it('should build every combination of settings', function() {
+    const grid = new CompilerMatrix().buildGrid({
+      optimizationRuns: [0, 200], viaIR: [false, true], solcVersions: ['0.8.19', '0.8.24']
+    });
+
+    expect(grid).to.have.length(8);
+    expect(grid[0]).to.deep.equal({ label: '0.8.19 runs=0', solcVersion: '0.8.19', optimizationRuns: 0, viaIR: false });
+    expect(grid[3].label).to.equal('0.8.19 runs=200 viaIR');
+  });
+
+  it('should profile state-changing functions with equal weights by default', function() {
+    const functions = new CompilerMatrix().resolveFunctions(abi);
+
+    expect(functions.map(func => func.fullSignature)).to.deep.equal(['transfer(address,uint256)', 'approve(address,uint256)']);
+    expect(functions.every(func => func.weight === 1)).to.be.true;
+    expect(() => new CompilerMatrix({ callMix: { mint: 1 } }).resolveFunctions(abi)).to.throw("'mint' not found");
+  });
+
+  it('should deploy and profile every variant and pick the cheapest for the call mix', async function() {
+    const matrix = new CompilerMatrix({ compiler: compilerFor(), runs: 2, callMix: { transfer: 90, approve: 10 } });
+    const grid = matrix.buildGrid({ optimizationRuns: [1, 200, 10000], viaIR: [false], solcVersions: ['0.8.19'] });
+    const gasProfiler = profiler();
+    const gasDeployer = deployer();
+
+    const result = await matrix.run(gasProfiler, gasDeployer, 'contract Token {}', 'Token', grid);
+
+    expect(gasProfiler.profileFunction.callCount).to.equal(6);
+    expect(gasProfiler.profileFunction.firstCall.args[3]).to.equal(2);
+    expect(gasDeployer.generateArgsForFunction.callCount).to.equal(2);
+
+    const [low, , high] = result.variants;
+    expect(low.bytecodeSize).to.equal(1000);
+    expect(low.initcodeSize).to.equal(1100);
+    expect(low.deploymentGas).to.equal(50000 + 1100 * 200);
+    expect(high.functions['transfer(address,uint256)'].avg).to.equal(52000 - 1000 * 4);
+    expect(high.weightedGas).to.equal(Math.round((48000 * 90 + 42000 * 10) / 100));
+
+    expect(result.callMix).to.deep.equal({ 'transfer(address,uint256)': 90, 'approve(address,uint256)': 10 });
+    expect(result.cheapest).to.equal('0.8.19 runs=10000');
+    expect(result.cheapestDeployment).to.equal('0.8.19 runs=1');
+  });
+
+  it('should record variants that fail to compile and keep going', async function() {
+    const matrix = new CompilerMatrix({ compiler: compilerFor(), runs: 1, settings: { optimizer: false, evmVersion: 'istanbul' } });
+    const grid = matrix.buildGrid({ optimizationRuns: [200], viaIR: [false, true], solcVersions: ['0.8.4'] });
+
+    const result = await matrix.run(profiler(), deployer(), 'contract Token {}', 'Token', grid);
+
+    expect(matrix.compiler.compileSource.secondCall.args[2]).to.deep.equal({
+      optimizer: false, evmVersion: 'istanbul', solcVersion: '0.8.4', optimizationRuns: 200, viaIR: true
+    });
+
+    expect(result.variants[1].error).to.equal('Compilation failed: viaIR unsupported');
+    expect(result.cheapest).to.equal('0.8.4 runs=200');
+
+    const report = matrix.generateReport(result);
+    expect(report).to.include('Compiler Settings Matrix');
+    expect(report).to.include('Cheapest for this call mix: 0.8.4 runs=200');
+    expect(report).to.include('0.8.4 runs=200 viaIR: Compilation failed');
+  });
+
+  it('should not score a variant whose mixed call failed', function() {
+    const matrix = new CompilerMatrix();
+    const functions = [
+      { fullSignature: 'transfer(address,uint256)', weight: 3 },
+      { fullSignature: 'approve(address,uint256)', weight: 1 }
+    ];
+
+    expect(matrix.weightedGas({ functions: {
+      'transfer(address,uint256)': { avg: 40000 }, 'approve(address,uint256)': { error: 'reverted' }
+    } }, functions)).to.be.null;
+    expect(matrix.weightedGas({ functions: {
+      'transfer(address,uint256)': { avg: 40000 }, 'approve(address,uint256)': { avg: 20000 }
+    } }, functions)).to.equal(35000);
+  });
+});
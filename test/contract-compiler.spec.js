@@ -0,0 +1,73 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ContractCompiler } = require('../lib/contract-compiler');
+
+describe('Contract Compiler', function() {
+  let sandbox;
+
+  const sourceFile = '/tmp/Counter.sol';
+  const combinedJson = JSON.stringify({
+    contracts: { [`${sourceFile}:Counter`]: { abi: '[]', bin: '6080', 'bin-runtime': '6081', 'srcmap-runtime': '0:1:0:-:0' } },
+    sourceList: [sourceFile]
+  });
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should only use the solc on the PATH when it is the requested version', async function() {
+    const compiler = new ContractCompiler();
+    compiler.runCommand = sandbox.stub();
+    compiler.runCommand.withArgs('solc', ['--version']).resolves({ code: 0, stdout: 'solc, the solidity compiler commandline interface\nVersion: 0.8.24+commit.e11b9ed9.Linux.g++\n', stderr: '' });
+    compiler.runCommand.resolves({ code: 0, stdout: combinedJson, stderr: '' });
+
+    expect(await compiler.trySolcCompile(sourceFile, 'Counter', { solcVersion: '0.8.20' })).to.be.null;
+    expect(console.log.calledWithMatch('installed version is 0.8.24, 0.8.20 requested')).to.be.true;
+    expect(compiler.runCommand.callCount).to.equal(1);
+
+    const result = await compiler.trySolcCompile(sourceFile, 'Counter', { solcVersion: 'v0.8.24+commit.e11b9ed9' });
+    expect(result).to.include({ compiler: 'solc', solcVersion: '0.8.24', deployedBytecode: '0x6081', sourceId: 0 });
+    expect(await compiler.trySolcCompile(sourceFile, 'Counter', {})).to.include({ solcVersion: '0.8.24' });
+
+    compiler.runCommand.withArgs('solc', ['--version']).resolves({ code: 1, stdout: '', stderr: 'spawn solc ENOENT' });
+    expect(await compiler.trySolcCompile(sourceFile, 'Counter', { solcVersion: '0.8.24' })).to.be.null;
+  });
+
+  it('should pass the optimizer switch and EVM version to every backend', async function() {
+    const compiler = new ContractCompiler();
+    compiler.runCommand = sandbox.stub();
+    compiler.runCommand.withArgs('solc', ['--version']).resolves({ code: 0, stdout: 'Version: 0.8.20+commit.a1b79de6.Linux.g++\n', stderr: '' });
+    compiler.runCommand.resolves({ code: 1, stdout: '', stderr: 'stubbed' });
+    const settings = { solcVersion: '0.8.20', optimizer: false, optimizationRuns: 200, evmVersion: 'shanghai' };
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compiler-'));
+
+    try {
+      await compiler.tryFoundryCompile(projectDir, 'Counter', settings);
+      const foundryConfig = fs.readFileSync(path.join(projectDir, 'foundry.toml'), 'utf8');
+      expect(foundryConfig).to.include('optimizer = false');
+      expect(foundryConfig).to.include('evm_version = "shanghai"');
+
+      await compiler.tryHardhatCompile(projectDir, 'Counter', settings);
+      const hardhatConfig = fs.readFileSync(path.join(projectDir, 'hardhat.config.js'), 'utf8');
+      expect(hardhatConfig).to.match(/enabled: false,/);
+      expect(hardhatConfig).to.include('evmVersion: "shanghai"');
+    } finally {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+
+    await compiler.trySolcCompile(sourceFile, 'Counter', settings);
+    expect(compiler.runCommand.lastCall.args[1]).to.deep.equal(['--combined-json', 'abi,bin,bin-runtime,srcmap-runtime', '--evm-version', 'shanghai', sourceFile]);
+
+    await compiler.trySolcCompile(sourceFile, 'Counter', { optimizationRuns: 0, viaIR: true });
+    expect(compiler.runCommand.lastCall.args[1]).to.deep.equal(['--combined-json', 'abi,bin,bin-runtime,srcmap-runtime', '--optimize', '--optimize-runs', '0', '--via-ir', sourceFile]);
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+
+const { DeveloperAnalyzer } = require('../lib/developer-analyzer');
+
+describe('Developer Analyzer', function() {
+  let sandbox;
+  let analyzer;
+
+  const selector = signature => ethers.id(signature).slice(0, 10);
+  const result = (avg, callCount = 1) => ({ runs: [], aggregated: { min: avg, max: avg, avg, total: avg * callCount, callCount } });
+
+  // mint is the most expensive call, transfer is what users pay for
+  const profilingData = {
+    network: 'Somnia Testnet',
+    results: {
+      'transfer(address,uint256)': result(51000),
+      'mint(address,uint256)': result(1200000),
+      'approve(address,uint256)': result(46000)
+    }
+  };
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+    analyzer = new DeveloperAnalyzer();
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should rank functions by on-chain calls × gas rather than gas per call', function() {
+    const usage = {
+      selectors: {
+        [selector('transfer(address,uint256)')]: { calls: 900, totalGas: 900 * 34000 },
+        [selector('mint(address,uint256)')]: { calls: 2, totalGas: 2 * 1200000 },
+        '0x12345678': { calls: 10, totalGas: 300000 }
+      }
+    };
+
+    const ranking = analyzer.rankByUsage(profilingData, usage);
+
+    expect(ranking.map(row => row.function)).to.deep.equal([
+      'transfer(address,uint256)', 'mint(address,uint256)', 'unprofiled 0x12345678', 'approve(address,uint256)'
+    ]);
+    expect(ranking[0]).to.include({ calls: 900, gasPerCall: 34000, profiledGas: 51000, spend: 30600000, share: 91.9 });
+    expect(ranking[3]).to.include({ calls: 0, spend: 0, share: 0 });
+  });
+
+  it('should put the usage-weighted priority first among recommendations', function() {
+    const usage = { selectors: { [selector('transfer(address,uint256)')]: { calls: 900, totalGas: 900 * 34000 } } };
+
+    const analysis = analyzer.analyzeGasProfile(profilingData, '0x' + '11'.repeat(20), undefined, usage);
+
+    expect(analysis.recommendations[0]).to.include({ title: 'Optimization Priority by On-Chain Spend', priority: 'high' });
+    expect(analysis.recommendations[0].functions).to.deep.equal(['transfer(address,uint256)']);
+    expect(analysis.recommendations[1].title).to.equal('High Gas Functions Detected');
+    expect(analysis.usagePriorities).to.have.length(3);
+    expect(analyzer.displayAnalysis(analysis, true)).to.include('1. transfer(address,uint256) - 900 calls × 34,000 gas = 30,600,000 gas (100%)');
+  });
+
+  it('should keep the gas-per-call ranking without usage data', function() {
+    const analysis = analyzer.analyzeGasProfile(profilingData, '0x' + '11'.repeat(20));
+
+    expect(analysis).to.not.have.property('usagePriorities');
+    expect(analysis.recommendations[0].title).to.equal('High Gas Functions Detected');
+  });
+
+  it('should suggest packing when calldata dominates a function\'s gas', function() {
+    const batch = result(60000);
+    batch.aggregated.intrinsic = { bytes: 3236, zeroBytes: 2900, nonZeroBytes: 336, calldataGas: 16976, calldataShare: 28.29 };
+    const airdrop = result(90000);
+    airdrop.aggregated.intrinsic = { bytes: 6468, zeroBytes: 2600, nonZeroBytes: 3868, calldataGas: 72288, calldataShare: 80.32 };
+    const data = { results: { ...profilingData.results, 'batch(uint256[])': batch, 'airdrop(address[],uint256[])': airdrop } };
+
+    const recommendation = analyzer.generateRecommendations(data).find(rec => rec.title === 'Calldata-Dominated Functions');
+
+    expect(recommendation.functions).to.deep.equal(['airdrop(address[],uint256[])']);
+    expect(recommendation.description).to.include('airdrop(address[],uint256[]) sends 6468 bytes (2600 zero) for 72,288 gas (80.32%)');
+    expect(recommendation.suggestion).to.match(/^ABI encoding pads every array element.*non-zero/);
+    expect(analyzer.suggestCalldataEncoding('set(uint256)', { zeroBytes: 31, nonZeroBytes: 5 })).to.match(/^Most calldata bytes are zero padding/);
+  });
+
+  it('should take usage from replayed results', function() {
+    const replayed = {
+      ...profilingData,
+      results: { ...profilingData.results, 'transfer(address,uint256)': result(34000, 50) },
+      replay: { transactions: 52, replayed: 52, skipped: [] }
+    };
+
+    const usage = analyzer.usageFromResults(replayed);
+
+    expect(usage.source).to.equal('replay');
+    expect(usage.selectors[selector('transfer(address,uint256)')]).to.deep.equal({ calls: 50, totalGas: 1700000 });
+    expect(analyzer.usageFromResults(profilingData)).to.be.null;
+  });
+
+  it('should count selectors and receipt gas of transactions sent to the contract', async function() {
+    const token = '0x' + '11'.repeat(20);
+    const transfer = new ethers.Interface(['function transfer(address,uint256)']).encodeFunctionData('transfer', [token, 1]);
+    const transactions = [
+      { hash: '0x01', to: token, data: transfer, blockNumber: 8 },
+      { hash: '0x02', to: token, data: transfer, blockNumber: 9 },
+      { hash: '0x03', to: token, data: '0x', blockNumber: 9 },
+      { hash: '0x04', to: '0x' + '22'.repeat(20), data: transfer, blockNumber: 9 }
+    ];
+    const gas = { '0x01': 51000n, '0x02': 34000n, '0x03': 21055n };
+    const provider = {
+      getBlockNumber: async () => 9,
+      getBlock: async number => ({ prefetchedTransactions: transactions.filter(tx => tx.blockNumber === number) }),
+      getTransactionReceipt: async hash => ({ gasUsed: gas[hash] })
+    };
+
+    const usage = await analyzer.collectUsage(provider, token, { blocks: 5 });
+
+    expect(usage).to.include({ source: 'transactions', transactions: 3, fromBlock: 8, toBlock: 9 });
+    expect(usage.selectors).to.deep.equal({
+      [selector('transfer(address,uint256)')]: { calls: 2, totalGas: 85000 },
+      '0x': { calls: 1, totalGas: 21055 }
+    });
+    expect(await analyzer.collectCallUsage(provider, token, { blocks: 5 })).to.deep.equal(usage);
+
+    // Nodes that cannot be scanned only drop the call-frequency weighting
+    provider.getBlockNumber = async () => { throw new Error('method not supported'); };
+    expect(await analyzer.collectCallUsage(provider, token, { blocks: 5 })).to.be.null;
+  });
+});
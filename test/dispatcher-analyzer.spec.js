@@ -0,0 +1,88 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { DispatcherAnalyzer } = require('../lib/dispatcher-analyzer');
+const { BytecodeProcessor } = require('../lib/bytecode-processor');
+const { SignatureDatabase } = require('../lib/signature-database');
+const { SomniaGasProfiler } = require('../profiler');
+
+describe('Dispatcher Analyzer', function() {
+  let sandbox;
+
+  // solc 0.8.20, optimizer and via-IR enabled
+  const registry = require('../foundry-contracts/out/AnalysisRegistryV2.sol/AnalysisRegistryV2.json');
+  const runtime = registry.deployedBytecode.object;
+
+  // Vyper-style dispatch (xor, jump away on mismatch) into a function reading
+  // an int16, a bytes4 and a uint256[]; the PUSH4 0xdeadbeef is never compared
+  // against the selector
+  const handAssembled = '0x' + [
+    '600035', '60e01c',                                   // calldataload(0) >> 224
+    '80', '63aabbccdd', '18', '6033', '57',               // jumpi(revert, xor(selector, 0xaabbccdd))
+    '600435', '6001', '0b', '50',                          // signextend(1, calldataload(4))
+    '602435', '7f' + 'ffffffff' + '00'.repeat(28), '16', '50', // and(calldataload(0x24), bytes4 mask)
+    '604435', '6004', '01', '35', '6005', '1b', '50',      // shl(5, calldataload(add(4, calldataload(0x44))))
+    '63deadbeef', '50', '00',
+    '5b', '5f', '80', 'fd'                                 // revert(0, 0)
+  ].join('');
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should recover every function of an optimized contract with its parameter types', function() {
+    const { functions, complete } = new DispatcherAnalyzer().analyze(runtime);
+    const iface = new ethers.Interface(registry.abi);
+    const recovered = new Map(functions.map(fn => [fn.selector, fn]));
+
+    expect(complete).to.be.true;
+    expect(functions).to.have.length(19);
+
+    iface.forEachFunction(fragment => {
+      const fn = recovered.get(fragment.selector);
+      // string and bytes share their encoding and cannot be told apart in bytecode
+      expect(fn.inputs, fragment.name).to.deep.equal(fragment.inputs.map(input => input.type === 'string' ? 'bytes' : input.type));
+      expect(fn.stateMutability, fragment.name).to.equal(fragment.constant ? 'view' : 'nonpayable');
+    });
+  });
+
+  it('should follow xor dispatch and infer signed, fixed-size and array parameters', function() {
+    const { functions } = new DispatcherAnalyzer().analyze(handAssembled);
+
+    expect(functions).to.have.length(1);
+    expect(functions[0]).to.include({ selector: '0xaabbccdd', entry: 16, stateMutability: 'view', complete: true });
+    expect(functions[0].inputs).to.deep.equal(['int16', 'bytes4', 'uint256[]']);
+    expect(new BytecodeProcessor().extractFunctionSelectors(handAssembled)).to.include('deadbeef');
+  });
+
+  it('should name known selectors and call unknown ones by their real selector', async function() {
+    const dataPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'signatures-')), 'signatures.json');
+    const database = new SignatureDatabase({ dataPath, seed: false });
+    database.registerABI(['function getAnalysisCount() view returns (uint256)']);
+
+    const abi = new DispatcherAnalyzer().recoverABI(runtime, database);
+    fs.rmSync(path.dirname(dataPath), { recursive: true, force: true });
+
+    const named = abi.find(entry => entry.name === 'getAnalysisCount');
+    const unnamed = abi.find(entry => entry.selector === new ethers.Interface(registry.abi).getFunction('contractAnalysisCount').selector);
+    expect(named).to.include({ stateMutability: 'view' });
+    expect(unnamed).to.deep.include({ name: `function_${unnamed.selector.slice(2)}`, inputs: [{ name: 'arg0', type: 'address' }] });
+
+    const profiler = new SomniaGasProfiler();
+    profiler.provider = { getCode: async () => runtime };
+    const contract = await profiler.validateContract(ethers.getAddress('0x' + '11'.repeat(20)), JSON.parse(JSON.stringify(abi)));
+    const data = contract.interface.encodeFunctionData(unnamed.name, [ethers.ZeroAddress]);
+
+    expect(data.slice(0, 10)).to.equal(unnamed.selector);
+    expect(contract.interface.encodeFunctionData('getAnalysisCount', [])).to.equal(named.selector);
+  });
+});
@@ -0,0 +1,150 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+
+const { EventHarvester } = require('../lib/event-harvester');
+const { ContractStateAnalyzer } = require('../lib/contract-state-analyzer');
+const { BytecodeProcessor } = require('../lib/bytecode-processor');
+
+describe('Event Harvester', function() {
+  let sandbox;
+
+  const erc20 = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)'
+  ]);
+  const erc721 = new ethers.Interface([
+    'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+    'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)'
+  ]);
+
+  const alice = '0x' + 'a1'.repeat(20);
+  const bob = '0x' + 'b2'.repeat(20);
+  const carol = '0x' + 'c3'.repeat(20);
+  const [ALICE, BOB, CAROL] = [alice, bob, carol].map(addr => ethers.getAddress(addr));
+
+  const log = (iface, name, args, blockNumber) => ({
+    blockNumber,
+    ...iface.encodeEventLog(iface.getEvent(name), args)
+  });
+
+  const providerWith = (logs, head = 2500) => ({
+    getBlockNumber: sandbox.stub().resolves(head),
+    getLogs: sandbox.stub().callsFake(async ({ fromBlock, toBlock }) =>
+      logs.filter(item => item.blockNumber >= fromBlock && item.blockNumber <= toBlock))
+  });
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should collect ERC20 holders, live approvals and typical amounts in chunks', async function() {
+    const logs = [
+      log(erc20, 'Transfer', [ethers.ZeroAddress, alice, 1000n], 100),
+      log(erc20, 'Transfer', [alice, bob, 40n], 1200),
+      log(erc20, 'Transfer', [alice, bob, 60n], 1300),
+      log(erc20, 'Transfer', [bob, carol, 50n], 2400),
+      log(erc20, 'Approval', [alice, carol, 500n], 1400),
+      log(erc20, 'Approval', [bob, carol, 10n], 1500),
+      log(erc20, 'Approval', [bob, carol, 0n], 2000),
+      { blockNumber: 2100, topics: [ethers.id('Unrelated()')], data: '0x' }
+    ];
+    const provider = providerWith(logs);
+    const harvester = new EventHarvester(provider, { blocks: 2500, chunkSize: 1000 });
+
+    const abi = erc20.fragments.map(fragment => fragment.format('json')).map(JSON.parse);
+    const history = await harvester.harvest('0x' + '11'.repeat(20), abi);
+
+    expect(provider.getLogs.callCount).to.equal(3);
+    expect(provider.getLogs.firstCall.args[0]).to.include({ fromBlock: 1501, toBlock: 2500 });
+    expect(history.logs).to.equal(8);
+    expect(history.events).to.deep.equal({ Transfer: 4, Approval: 3 });
+    expect(history.holders).to.deep.equal([BOB, ALICE, CAROL]);
+    expect(history.spenders).to.deep.equal([{ owner: ALICE, spender: CAROL, allowance: '500' }]);
+    expect(history.amounts).to.deep.equal({ samples: 6, median: '60', p25: '40', p75: '500' });
+    expect(history.tokenIds).to.deep.equal([]);
+  });
+
+  it('should track current owners of ERC721 tokens and operators', function() {
+    const harvester = new EventHarvester({});
+    const events = [
+      log(erc721, 'Transfer', [ethers.ZeroAddress, alice, 1n], 1),
+      log(erc721, 'Transfer', [ethers.ZeroAddress, alice, 2n], 2),
+      log(erc721, 'Transfer', [alice, bob, 2n], 3),
+      log(erc721, 'Transfer', [alice, ethers.ZeroAddress, 1n], 4),
+      log(erc721, 'ApprovalForAll', [bob, carol, true], 5)
+    ].map(item => erc721.parseLog(item));
+
+    const history = harvester.summarize(events);
+
+    expect(history.tokenIds).to.deep.equal(['2']);
+    expect(history.tokenOwners).to.deep.equal({ 2: BOB });
+    expect(history.operators).to.deep.equal([{ owner: BOB, operator: CAROL }]);
+    expect(history.amounts).to.be.null;
+  });
+
+  it('should only scan event history when harvesting is requested', async function() {
+    const { HISTORY_BLOCKS, ...env } = process.env;
+    sandbox.stub(process, 'env').value(env);
+    const provider = providerWith([]);
+    const contract = { getAddress: async () => '0x' + '11'.repeat(20) };
+
+    await new ContractStateAnalyzer(provider, null).gatherContractState(contract, [], {});
+    expect(provider.getLogs.called).to.be.false;
+
+    await new BytecodeProcessor(provider, null, { historyBlocks: 1000 }).stateAnalyzer.gatherContractState(contract, [], {});
+    expect(provider.getLogs.calledOnce).to.be.true;
+
+    // A failed scan only costs the harvested arguments
+    provider.getLogs.rejects(new Error('query returned more than 10000 results'));
+    const state = await new ContractStateAnalyzer(provider, null, { historyBlocks: 1000 }).gatherContractState(contract, [], {});
+    expect(state.history).to.be.null;
+  });
+
+  it('should feed harvested values into state-based argument generation', async function() {
+    const analyzer = new ContractStateAnalyzer({}, { address: '0x' + '99'.repeat(20) }, { historyBlocks: 1000 });
+    const contractInfo = { type: 'ERC20', isToken: true, adminFunctions: [], tokenInfo: { decimals: 18 } };
+    const stateInfo = {
+      owner: null,
+      balances: new Map([[ALICE, 300n], [BOB, 900n]]),
+      history: {
+        logs: 5,
+        holders: [BOB, ALICE, CAROL],
+        addresses: [BOB, ALICE, CAROL],
+        spenders: [{ owner: ALICE, spender: CAROL, allowance: '500' }],
+        operators: [],
+        tokenIds: [],
+        tokenOwners: {},
+        amounts: { samples: 5, median: '400', p25: '40', p75: '500' }
+      }
+    };
+
+    const senderOptions = await analyzer.determineSenderOptions(null, [], contractInfo, stateInfo);
+    expect(senderOptions.tokenHolder).to.equal(BOB);
+    expect(senderOptions.alternatives.slice(0, 3)).to.deep.equal([BOB, ALICE, CAROL]);
+    expect(senderOptions.approval.owner).to.equal(ALICE);
+
+    const transfer = { name: 'transfer', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }] };
+    const transferArgs = await analyzer.generateOptimizedArguments(transfer, contractInfo, stateInfo, senderOptions);
+    expect(transferArgs.sender).to.equal(BOB);
+    expect(transferArgs.args).to.deep.equal([ALICE, '400']);
+
+    const transferFrom = { name: 'transferFrom', inputs: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }] };
+    const fromArgs = await analyzer.generateOptimizedArguments(transferFrom, contractInfo, stateInfo, senderOptions);
+    expect(fromArgs.sender).to.equal(CAROL);
+    expect(fromArgs.args.slice(0, 2)).to.deep.equal([ALICE, BOB]);
+
+    // Median above the holder's balance is capped to what they own
+    stateInfo.balances.set(BOB, 250n);
+    const capped = analyzer.generateAmountArgument('amount', transfer, contractInfo, stateInfo, senderOptions);
+    expect(capped.value).to.equal('250');
+
+    const nft = { ...stateInfo, history: { ...stateInfo.history, tokenIds: ['7', '9'], tokenOwners: { 7: ALICE, 9: BOB } } };
+    expect(analyzer.generateIdArgument('tokenId', transfer, { type: 'ERC721' }, nft, { tokenHolder: BOB }).value).to.equal('9');
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createProvider, loadExplorerConfig } = require('../lib/explorer-providers');
+const { SomniaABIFetcher } = require('../lib/somnia-abi-fetcher');
+const { ABIExtractor } = require('../lib/abi-extractor');
+
+describe('Explorer Providers', function() {
+  let sandbox;
+  let server;
+  let requests;
+  let tempDir;
+  let endpoint;
+
+  const token = ethers.Wallet.createRandom().address;
+  const vault = ethers.Wallet.createRandom().address;
+  const counter = ethers.Wallet.createRandom().address;
+  const unknown = ethers.Wallet.createRandom().address;
+  const provider = { getNetwork: async () => ({ chainId: 50312n }) };
+
+  const abiOf = (...signatures) => new ethers.Interface(signatures).fragments.map(fragment => JSON.parse(fragment.format('json')));
+  const tokenABI = abiOf('function totalSupply() view returns (uint256)');
+  const vaultABI = abiOf('function deposit(uint256 assets)');
+  const counterABI = abiOf('function increment()');
+
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  before(async function() {
+    // Blockscout under /blockscout, an Etherscan-compatible API under /etherscan/api and Sourcify under /sourcify
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(`${url.pathname}${url.search}`);
+
+      const blockscout = url.pathname.match(/^\/blockscout\/api\/v2\/smart-contracts\/(0x[0-9a-fA-F]{40})$/);
+      if (blockscout) {
+        return blockscout[1] === token
+          ? json(res, 200, { name: 'Token', compiler_version: 'v0.8.24+commit.e11b9ed9', is_verified: true, abi: tokenABI })
+          : json(res, 200, { is_verified: false });
+      }
+
+      if (url.pathname === '/etherscan/api') {
+        if (url.searchParams.get('apikey') !== 'test-key') {
+          return json(res, 200, { status: '0', message: 'NOTOK', result: 'Missing/Invalid API Key' });
+        }
+        const verified = url.searchParams.get('address') === vault;
+        return json(res, 200, {
+          status: '1',
+          message: 'OK',
+          result: [{ ContractName: verified ? 'Vault' : '', CompilerVersion: verified ? 'v0.8.20+commit.a1b79de6' : '', ABI: verified ? JSON.stringify(vaultABI) : 'Contract source code not verified' }]
+        });
+      }
+
+      if (url.pathname === `/sourcify/files/any/50312/${counter}`) {
+        const metadata = { compiler: { version: '0.8.24+commit.e11b9ed9' }, output: { abi: counterABI }, settings: { compilationTarget: { 'src/Counter.sol': 'Counter' } } };
+        return json(res, 200, { status: 'full', files: [{ name: 'metadata.json', path: '/metadata.json', content: JSON.stringify(metadata) }] });
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async function() {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+    requests = [];
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'explorers-'));
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should query the explorers configured for the chain in order and cache their ABIs', async function() {
+    const configPath = path.join(tempDir, 'explorers.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      50312: [
+        { type: 'blockscout', url: `${endpoint}/blockscout` },
+        { type: 'etherscan', url: `${endpoint}/etherscan/api`, apiKeyEnv: 'TEST_EXPLORER_KEY' }
+      ]
+    }));
+    const cacheDir = path.join(tempDir, 'cache');
+    sandbox.stub(process, 'env').value({ ...process.env, TEST_EXPLORER_KEY: 'test-key' });
+
+    const abi = await new SomniaABIFetcher({ provider, configPath, cacheDir }).fetchABI(vault);
+
+    expect(abi).to.deep.equal(vaultABI);
+    expect(requests).to.deep.equal([
+      `/blockscout/api/v2/smart-contracts/${vault}`,
+      `/etherscan/api?module=contract&action=getsourcecode&address=${vault}&apikey=test-key`
+    ]);
+
+    const cached = JSON.parse(fs.readFileSync(path.join(cacheDir, '50312', `${vault.toLowerCase()}.json`), 'utf8'));
+    expect(cached).to.deep.include({ chainId: 50312, name: 'Vault', explorer: { type: 'etherscan', url: `${endpoint}/etherscan/api` } });
+
+    requests = [];
+    expect(await new SomniaABIFetcher({ provider, configPath, cacheDir }).fetchABI(vault)).to.deep.equal(vaultABI);
+    expect(requests).to.be.empty;
+
+    // ABI auto-detection falls back to the same explorers
+    sandbox.stub(process, 'env').value({ ...process.env, EXPLORERS_CONFIG: configPath, ABI_CACHE_DIR: cacheDir });
+    expect(await new ABIExtractor().fetchFromVerificationService(token, provider)).to.deep.equal(tokenABI);
+    expect(fs.existsSync(path.join(cacheDir, '50312', `${token.toLowerCase()}.json`))).to.be.true;
+  });
+
+  it('should read Sourcify metadata, report explorer errors and not repeat failed lookups', async function() {
+    const cacheDir = path.join(tempDir, 'cache');
+    const explorers = [
+      { type: 'etherscan', url: `${endpoint}/etherscan/api` },
+      { type: 'sourcify', url: `${endpoint}/sourcify` }
+    ];
+
+    const fetcher = new SomniaABIFetcher({ chainId: 50312, explorers, cacheDir });
+    expect(await fetcher.fetchABI(counter)).to.deep.equal(counterABI);
+
+    let failure;
+    try {
+      await fetcher.fetchAndValidateABI(unknown, { allowMinimal: false });
+    } catch (error) {
+      failure = error;
+    }
+    expect(failure.message).to.include('No verified ABI found (etherscan: NOTOK: Missing/Invalid API Key; sourcify: not verified)');
+
+    requests = [];
+    const retry = await fetcher.fetchAndValidateABI(unknown);
+    expect(retry.metadata).to.include({ source: 'minimal', isVerified: false });
+    expect(requests).to.be.empty;
+  });
+
+  it('should validate explorer configuration', function() {
+    const configPath = path.join(tempDir, 'explorers.json');
+
+    expect(loadExplorerConfig(null)[50312]).to.deep.equal([{ type: 'blockscout', url: 'https://shannon-explorer.somnia.network' }]);
+
+    fs.writeFileSync(configPath, JSON.stringify({ 1: [{ type: 'sourcify', url: 'https://sourcify.dev/server' }] }));
+    expect(Object.keys(loadExplorerConfig(configPath))).to.have.members(['1', '50312']);
+
+    fs.writeFileSync(configPath, JSON.stringify({ mainnet: [] }));
+    expect(() => loadExplorerConfig(configPath)).to.throw('is invalid');
+    expect(() => createProvider({ type: 'routescan', url: endpoint })).to.throw('Unknown explorer type "routescan"');
+    expect(() => createProvider({ type: 'etherscan' })).to.throw('needs a url');
+  });
+});
@@ -0,0 +1,155 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ForkManager, DEFAULT_FORK_SENDER } = require('../lib/fork-manager');
+
+describe('Fork Manager', function() {
+  let sandbox;
+  let server;
+  let rpcUrl;
+  let calls;
+
+  beforeEach(function(done) {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+    calls = [];
+
+    // Minimal anvil-like JSON-RPC node
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const requests = [].concat(JSON.parse(body));
+        const responses = requests.map(({ id, method, params }) => {
+          calls.push({ method, params });
+          const results = {
+            eth_chainId: '0xc488',
+            eth_blockNumber: '0x64',
+            web3_clientVersion: 'anvil/v0.2.0',
+            anvil_reset: null,
+            anvil_impersonateAccount: null,
+            anvil_setBalance: null,
+            eth_accounts: [],
+            evm_snapshot: '0x1',
+            evm_revert: true
+          };
+          return { jsonrpc: '2.0', id, result: results[method] };
+        });
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify(Array.isArray(JSON.parse(body)) ? responses : responses[0]));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      rpcUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    sandbox.restore();
+    server.close(done);
+  });
+
+  it('should stay off unless --fork is given', async function() {
+    expect(await ForkManager.fromOptions({ fork: false })).to.be.null;
+  });
+
+  it('should attach to a running node and pin the requested block', async function() {
+    const fork = await ForkManager.fromOptions({ fork: true, forkRpc: rpcUrl, forkBlock: 1234, rpc: 'https://remote.example' });
+
+    try {
+      expect(fork.rpcUrl).to.equal(rpcUrl);
+      expect(fork.backend).to.equal('anvil');
+      const reset = calls.find(call => call.method === 'anvil_reset');
+      expect(reset.params[0].forking).to.deep.equal({ jsonRpcUrl: 'https://remote.example', blockNumber: 1234 });
+      expect(fork.describe()).to.include({ blockNumber: 1234, backend: 'anvil', source: 'https://remote.example' });
+    } finally {
+      await fork.stop();
+    }
+  });
+
+  it('should impersonate and fund the sender', async function() {
+    const fork = new ForkManager({ attachUrl: rpcUrl });
+    await fork.start();
+
+    try {
+      const signer = await fork.getSigner(DEFAULT_FORK_SENDER.toLowerCase());
+
+      expect(signer.address).to.equal(DEFAULT_FORK_SENDER);
+      expect(calls.some(call => call.method === 'anvil_impersonateAccount' && call.params[0] === DEFAULT_FORK_SENDER)).to.be.true;
+      expect(calls.some(call => call.method === 'anvil_setBalance')).to.be.true;
+      expect(calls.some(call => call.method === 'anvil_reset')).to.be.false;
+    } finally {
+      await fork.stop();
+    }
+  });
+
+  it('should report the stderr of a node that exits during startup', async function() {
+    // node rejects anvil's flags on stderr and exits
+    const fork = new ForkManager({ forkUrl: 'http://127.0.0.1:1', blockNumber: 1, port: 1, backend: 'anvil', startupTimeout: 10000 });
+    fork.anvilPath = process.execPath;
+
+    try {
+      await fork.start();
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.match(/anvil exited during startup with code \d+: .*--fork-url/);
+    }
+    expect(fork.process).to.be.null;
+  });
+
+  it('should fall back to the local hardhat binary when anvil exits during startup', async function() {
+    this.timeout(20000);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fork-'));
+    const hardhat = path.join(dir, 'hardhat');
+    // Stand-in for node_modules/.bin/hardhat: answers JSON-RPC on the --port it is given
+    fs.writeFileSync(hardhat, [
+      '#!/usr/bin/env node',
+      "const port = Number(process.argv[process.argv.indexOf('--port') + 1]);",
+      "require('http').createServer((req, res) => {",
+      "  let body = ''; req.on('data', chunk => { body += chunk; });",
+      "  req.on('end', () => { const { id, method } = JSON.parse(body);",
+      "    res.end(JSON.stringify({ jsonrpc: '2.0', id, result: method === 'web3_clientVersion' ? 'HardhatNetwork/2.22.0' : '0x64' })); });",
+      "}).listen(port, '127.0.0.1');"
+    ].join('\n'), { mode: 0o755 });
+    const port = await new Promise(resolve => {
+      const probe = http.createServer().listen(0, '127.0.0.1', () => {
+        const { port: free } = probe.address();
+        probe.close(() => resolve(free));
+      });
+    });
+
+    const fork = new ForkManager({ forkUrl: 'http://127.0.0.1:1', blockNumber: 1, port, startupTimeout: 10000 });
+    fork.anvilPath = process.execPath;
+    fork.hardhatPath = hardhat;
+
+    try {
+      await fork.start();
+      expect(fork.backend).to.equal('hardhat');
+      expect(fork.process.spawnfile).to.equal(hardhat);
+      expect(console.log.calledWithMatch('anvil is not available: anvil exited during startup')).to.be.true;
+
+      const child = fork.process;
+      await fork.stop();
+      expect(child.exitCode !== null || child.signalCode !== null).to.be.true;
+    } finally {
+      await fork.stop();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should fail when the node never answers', async function() {
+    const fork = new ForkManager({ attachUrl: 'http://127.0.0.1:1', startupTimeout: 600 });
+
+    try {
+      await fork.start();
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('Fork startup failed');
+    }
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { GasBudget } = require('../lib/gas-budget');
+
+describe('Gas Budget', function() {
+  let sandbox;
+
+  const result = (avg, max = avg) => ({ runs: [], aggregated: { min: avg, max, avg, total: avg, callCount: 1 } });
+
+  const baseline = {
+    results: {
+      'transfer(address,uint256)': result(51000, 52000),
+      'approve(address,uint256)': result(46000)
+    }
+  };
+
+  const current = {
+    results: {
+      'transfer(address,uint256)': result(54000, 56000),
+      'approve(address,uint256)': result(46100),
+      'mint(address,uint256)': result(60000)
+    }
+  };
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should reject budgets without limits', function() {
+    expect(() => new GasBudget({})).to.throw('default limits or per-function limits');
+    expect(() => new GasBudget({ functions: { 'get()': {} } })).to.throw('needs maxGas, maxIncrease or maxIncreasePercent');
+    expect(() => new GasBudget({ default: { maxGas: 1, metric: 'median' } })).to.throw('Unknown metric');
+  });
+
+  it('should enforce absolute limits on the chosen metric', function() {
+    const budget = new GasBudget({
+      functions: {
+        'transfer(address,uint256)': { maxGas: 55000 },
+        'approve(address,uint256)': { maxGas: 46000, metric: 'max' }
+      }
+    });
+
+    const evaluation = budget.evaluate(current);
+
+    expect(evaluation.passed).to.be.false;
+    expect(evaluation.summary).to.deep.equal({ total: 2, passed: 1, failed: 1, skipped: 0 });
+    expect(evaluation.checks[1]).to.include({ function: 'approve(address,uint256)', metric: 'max', status: 'failed' });
+    expect(evaluation.checks[1].message).to.include('exceeds 46,000 by 100');
+  });
+
+  it('should enforce limits relative to a baseline and skip new functions', function() {
+    const budget = new GasBudget({
+      default: { maxIncreasePercent: 5 },
+      functions: { 'transfer(address,uint256)': { maxIncrease: 2000 } }
+    });
+
+    const evaluation = budget.evaluate(current, baseline);
+    const byFunction = Object.fromEntries(evaluation.checks.map(check => [check.function, check]));
+
+    expect(byFunction['transfer(address,uint256)']).to.include({ limit: 53000, status: 'failed', baseline: 51000 });
+    expect(byFunction['approve(address,uint256)']).to.include({ limit: 48300, status: 'passed' });
+    expect(byFunction['mint(address,uint256)'].status).to.equal('skipped');
+  });
+
+  it('should fail when a budgeted function was not profiled', function() {
+    const budget = new GasBudget({ functions: { 'burn(uint256)': { maxGas: 40000 } } });
+
+    const evaluation = budget.evaluate(current);
+
+    expect(evaluation.passed).to.be.false;
+    expect(evaluation.checks[0].message).to.equal('burn(uint256) was not profiled');
+  });
+
+  it('should require a baseline for relative limits', async function() {
+    const budget = new GasBudget({ default: { maxIncrease: 100 } });
+
+    try {
+      await budget.loadBaseline();
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('need a baseline');
+    }
+  });
+
+  it('should render failures and skips as JUnit XML', function() {
+    const budget = new GasBudget({ default: { maxIncreasePercent: 5 }, functions: { 'transfer(address,uint256)': { maxGas: 53000 } } });
+
+    const xml = budget.generateJUnit(budget.evaluate(current, baseline));
+
+    expect(xml).to.include('<testsuites name="Somnia Gas Budget" tests="3" failures="1" skipped="1">');
+    expect(xml).to.include('<testcase classname="gas-budget" name="approve(address,uint256) [avg maxIncreasePercent]"/>');
+    expect(xml).to.include('<failure message="transfer(address,uint256) avg gas 54,000 exceeds 53,000 by 1,000 (absolute)" type="GasBudgetExceeded">');
+    expect(xml).to.include('<skipped message="mint(address,uint256) has no baseline');
+  });
+
+  it('should load the budget baseline relative to the budget file and throw when exceeded', async function() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'budget-'));
+    const budgetFile = path.join(dir, 'budget.json');
+    const junitFile = path.join(dir, 'reports', 'gas.xml');
+    await fs.writeFile(path.join(dir, 'baseline.json'), JSON.stringify(baseline));
+    await fs.writeFile(budgetFile, JSON.stringify({ baseline: './baseline.json', default: { maxIncrease: 1000 } }));
+
+    try {
+      const budget = await GasBudget.load(budgetFile);
+      await budget.enforce(current, { junit: junitFile });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.equal('Gas budget exceeded: 1 check(s) failed');
+      expect(await fs.readFile(junitFile, 'utf8')).to.include('failures="1"');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should load YAML budgets', async function() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'budget-'));
+    const budgetFile = path.join(dir, 'budget.yml');
+    await fs.writeFile(budgetFile, 'functions:\n  "transfer(address,uint256)":\n    maxGas: 53000\n');
+
+    try {
+      const budget = await GasBudget.load(budgetFile);
+      expect(budget.evaluate(current).summary).to.deep.equal({ total: 1, passed: 0, failed: 1, skipped: 0 });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should check `profile --budget` against the results written to --out', async function() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'budget-'));
+    const out = path.join(dir, 'results.json');
+    const budgetFile = path.join(dir, 'budget.json');
+    const cliPath = require.resolve('../cli/index.js');
+    const cached = require.cache[cliPath];
+
+    // Profiling itself is stubbed; it only writes the results file
+    sandbox.stub(require('../cli/profile'), 'analyze').callsFake(argv => fs.writeFile(argv.out, JSON.stringify(current)));
+    sandbox.stub(console, 'error');
+    // The CLI exits at load time without RPC_URL; profiling is stubbed, so nothing is contacted
+    sandbox.stub(process, 'env').value({ ...process.env, RPC_URL: 'http://127.0.0.1:1', PRIVATE_KEY: '0x' + '01'.repeat(32) });
+
+    const runProfile = (maxGas) => new Promise(async (resolve) => {
+      await fs.writeFile(budgetFile, JSON.stringify({ functions: { 'transfer(address,uint256)': { maxGas } } }));
+      console.log.callsFake(message => {
+        if (String(message).includes('Profiling completed')) resolve('passed');
+      });
+      process.exit.callsFake(code => resolve(`exit ${code}`));
+      sandbox.stub(process, 'argv').value(['node', cliPath, 'profile', '--address', '0x' + '11'.repeat(20), '--out', out, '--budget', budgetFile]);
+
+      delete require.cache[cliPath];
+      require(cliPath);
+    });
+
+    sandbox.stub(process, 'exit');
+    try {
+      expect(await runProfile(55000)).to.equal('passed');
+      expect(await runProfile(50000)).to.equal('exit 1');
+      expect(console.error.lastCall.args[0]).to.include('Gas budget exceeded: 1 check(s) failed');
+    } finally {
+      require.cache[cliPath] = cached;
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,148 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+
+const { GasFuzzer } = require('../lib/gas-fuzzer');
+const { SomniaGasProfiler } = require('../profiler');
+const { fuzz } = require('../cli/fuzz');
+const heavyLoopAbi = require('../examples/HeavyLoop.json');
+
+describe('Gas Fuzzer', function() {
+  let sandbox;
+
+  const functionFor = name => {
+    const fragment = heavyLoopAbi.find(item => item.type === 'function' && item.name === name);
+    return { fragment, fullSignature: `${name}(${fragment.inputs.map(input => input.type).join(',')})` };
+  };
+
+  const route = {
+    type: 'function',
+    name: 'route',
+    stateMutability: 'nonpayable',
+    inputs: [
+      { name: 'hops', type: 'tuple[]', components: [{ name: 'pool', type: 'address' }, { name: 'fee', type: 'uint24' }] },
+      { name: 'minOut', type: 'int128' },
+      { name: 'salt', type: 'bytes32' },
+      { name: 'memo', type: 'string' },
+      { name: 'flags', type: 'bool[2]' }
+    ],
+    outputs: []
+  };
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should generate reproducible, encodable cases with boundaries first', function() {
+    const iface = new ethers.Interface([route]);
+    const cases = new GasFuzzer({ seed: 42, cases: 20, arrayMax: 4 }).generateCases(route);
+    const again = new GasFuzzer({ seed: 42, cases: 20, arrayMax: 4 }).generateCases(route);
+    const other = new GasFuzzer({ seed: 43, cases: 20, arrayMax: 4 }).generateCases(route);
+
+    expect(cases).to.have.length(20);
+    expect(cases).to.deep.equal(again);
+    expect(cases).to.not.deep.equal(other);
+
+    const [min, max] = cases;
+    expect(min).to.deep.equal([[], (-(2n ** 127n)).toString(), '0x' + '00'.repeat(32), '', [false, false]]);
+    expect(max[0]).to.have.length(4);
+    expect(max[0][0]).to.deep.equal({ pool: '0x' + 'ff'.repeat(20), fee: '16777215' });
+    expect(max[3]).to.have.length(4);
+
+    for (const args of cases) {
+      expect(() => iface.encodeFunctionData('route', args)).to.not.throw();
+    }
+  });
+
+  it('should keep random integers inside their range', function() {
+    const fuzzer = new GasFuzzer({ seed: 7 });
+    const values = Array.from({ length: 200 }, () => BigInt(fuzzer.elementary('int8', 'random')));
+
+    expect(values.every(value => value >= -128n && value <= 127n)).to.be.true;
+    expect(values.some(value => value < 0n)).to.be.true;
+  });
+
+  it('should report the worst case, its inputs, reverts and the distribution', async function() {
+    const func = functionFor('unoptimizedLoop');
+    const profiler = {
+      provider: {
+        getNetwork: sandbox.stub().resolves({ chainId: 31337n, name: 'anvil' }),
+        getBlock: sandbox.stub().resolves({ gasLimit: 30000000n })
+      },
+      profileFunction: sandbox.stub().callsFake(async (contract, f, args) => {
+        const iterations = BigInt(args[0]);
+        if (iterations > 1000n) {
+          const revert = { type: 'Error', selector: '0x08c379a0', reason: 'too many iterations', message: 'too many iterations' };
+          return { runs: [{ run: 1, gasUsed: 24100, reverted: true, revert }], aggregated: { avg: 24100, min: 24100, max: 24100, callCount: 0 } };
+        }
+        const gas = 23500 + 27800 * Number(iterations);
+        return { runs: [{ run: 1, gasUsed: gas }], aggregated: { avg: gas, min: gas, max: gas } };
+      })
+    };
+
+    const fuzzer = new GasFuzzer({ seed: 1, cases: 30 });
+    const results = await fuzzer.run(profiler, { target: '0x' + '11'.repeat(20) }, [func]);
+    const summary = results.fuzz.functions[func.fullSignature];
+    const result = results.results[func.fullSignature];
+
+    expect(profiler.profileFunction.callCount).to.equal(30);
+    expect(profiler.profileFunction.firstCall.args[3]).to.equal(1);
+    expect(profiler.profileFunction.firstCall.args[7]).to.include({ continueOnError: true });
+    expect(summary.succeeded + summary.reverted).to.equal(30);
+    expect(summary.reverted).to.be.greaterThan(0);
+    expect(summary.failures[0]).to.include({ error: 'too many iterations', gasUsed: 24100 });
+    expect(summary.failures[0].revert).to.include({ type: 'Error', reason: 'too many iterations' });
+
+    const worstIterations = Math.max(...result.runs.map(run => Number(run.args[0])));
+    expect(summary.worst.gasUsed).to.equal(23500 + 27800 * worstIterations);
+    expect(summary.worst.args).to.deep.equal([String(worstIterations)]);
+    expect(summary.worst.blockLimitPercent).to.equal(Math.round(summary.worst.gasUsed / 30000000 * 10000) / 100);
+    expect(summary.best.gasUsed).to.equal(23500);
+    expect(summary.histogram.reduce((sum, bucket) => sum + bucket.count, 0)).to.equal(summary.succeeded);
+
+    expect(result.aggregated.max).to.equal(summary.worst.gasUsed);
+    expect(result.aggregated).to.have.property('p95');
+    expect(results.fuzz.seed).to.equal(1);
+
+    const report = fuzzer.generateReport(results);
+    expect(report).to.include('Fuzz Gas Report');
+    expect(report).to.include('--seed 1');
+    expect(report).to.include(`Worst case: ${summary.worst.gasUsed.toLocaleString()} gas`);
+    expect(report).to.include('Reverts: too many iterations');
+  });
+
+  it('should bucket gas values into an equal-width histogram', function() {
+    const fuzzer = new GasFuzzer({ buckets: 4 });
+
+    expect(fuzzer.histogram([100, 100])).to.deep.equal([{ from: 100, to: 100, count: 2 }]);
+    expect(fuzzer.histogram([0, 10, 20, 30, 39])).to.deep.equal([
+      { from: 0, to: 9, count: 1 },
+      { from: 10, to: 19, count: 1 },
+      { from: 20, to: 29, count: 1 },
+      { from: 30, to: 39, count: 2 }
+    ]);
+  });
+
+  it('should refuse to send cases to a live network unless --allow-live is passed', async function() {
+    sandbox.stub(SomniaGasProfiler.prototype, 'initialize').resolves();
+    sandbox.stub(SomniaGasProfiler.prototype, 'supportsSnapshots').resolves(false);
+    const loadABI = sandbox.stub(SomniaGasProfiler.prototype, 'loadABI').rejects(new Error('stop'));
+    const options = { address: '0x2222222222222222222222222222222222222222', abi: '[]', cases: 5, rpc: 'http://127.0.0.1:1' };
+
+    const failure = async argv => fuzz(argv).then(() => null, error => error.message);
+
+    expect(await failure(options)).to.include('pass --allow-live to send them anyway');
+    expect(loadABI.called).to.be.false;
+
+    expect(await failure({ ...options, allowLive: true })).to.equal('Fuzz command failed: stop');
+    expect(await failure({ ...options, gasless: true })).to.equal('Fuzz command failed: stop');
+
+    SomniaGasProfiler.prototype.supportsSnapshots.resolves(true);
+    expect(await failure(options)).to.equal('Fuzz command failed: stop');
+  });
+});
@@ -0,0 +1,72 @@
+const { expect } = require('chai');
+
+const { GasStatistics } = require('../lib/gas-statistics');
+
+describe('Gas Statistics', function() {
+  let statistics;
+
+  beforeEach(function() {
+    statistics = new GasStatistics();
+  });
+
+  it('should compute percentiles with linear interpolation', function() {
+    const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+    expect(statistics.percentile(sorted, 50)).to.equal(55);
+    expect(statistics.percentile(sorted, 90)).to.be.closeTo(91, 1e-9);
+    expect(statistics.percentile([42], 99)).to.equal(42);
+  });
+
+  it('should summarize spread and the confidence interval of the mean', function() {
+    const summary = statistics.summarize([100, 102, 98, 101, 99]);
+
+    expect(summary).to.include({ median: 100, stdDev: 1.58, cv: 0.0158 });
+    // t(0.975, 4) = 2.776, standard error = 1.5811 / sqrt(5)
+    expect(summary.ci.lower).to.be.closeTo(98.04, 0.01);
+    expect(summary.ci.upper).to.be.closeTo(101.96, 0.01);
+    expect(summary.outliers).to.deep.equal([]);
+  });
+
+  it('should collapse the interval for a single run', function() {
+    const summary = statistics.summarize([21000]);
+
+    expect(summary).to.include({ median: 21000, p99: 21000, stdDev: 0, cv: 0 });
+    expect(summary.ci).to.deep.equal({ level: 0.95, lower: 21000, upper: 21000, margin: 0 });
+  });
+
+  it('should match Student t critical values', function() {
+    expect(statistics.tCritical(1, 0.95)).to.be.closeTo(12.706, 0.001);
+    expect(statistics.tCritical(9, 0.95)).to.be.closeTo(2.262, 0.001);
+    expect(statistics.tCritical(30, 0.99)).to.be.closeTo(2.750, 0.001);
+  });
+
+  it('should flag outliers outside the Tukey fences and mark their runs', function() {
+    const result = {
+      runs: [43000, 28000, 28000, 28100, 27900, 28050].map((gasUsed, index) => ({ run: index + 1, gasUsed })),
+      aggregated: { min: 27900, max: 43000, avg: 30508, total: 183050, callCount: 6 }
+    };
+
+    statistics.annotate(result);
+
+    expect(result.aggregated.outliers).to.deep.equal([1]);
+    expect(result.runs[0].outlier).to.be.true;
+    expect(result.runs[1]).to.not.have.property('outlier');
+    expect(result.aggregated).to.include.keys('median', 'p90', 'p95', 'p99', 'stdDev', 'cv', 'ci');
+  });
+
+  it('should tell significant changes from noise with Welch\'s t-test', function() {
+    const regression = statistics.welchTest([100, 102, 98, 101], [110, 111, 109, 112]);
+    const noise = statistics.welchTest([100, 102, 98, 101], [100, 103, 99, 100]);
+
+    expect(regression.significant).to.be.true;
+    expect(regression.pValue).to.be.below(0.001);
+    expect(noise.significant).to.be.false;
+    expect(noise.pValue).to.be.closeTo(0.844, 0.001);
+  });
+
+  it('should treat deterministic gas as significant only when it moves', function() {
+    expect(statistics.welchTest([21000, 21000], [21100, 21100])).to.include({ t: null, significant: true, pValue: 0, deterministic: true });
+    expect(statistics.welchTest([21000, 21000], [21000, 21000])).to.include({ t: null, significant: false, pValue: 1, deterministic: true });
+    expect(statistics.welchTest([21000], [21100, 21100])).to.be.null;
+  });
+});
@@ -0,0 +1,101 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+
+const { GasSweep } = require('../lib/gas-sweep');
+const heavyLoopAbi = require('../examples/HeavyLoop.json');
+
+describe('Gas Sweep', function() {
+  let sandbox;
+
+  const functionFor = name => {
+    const fragment = heavyLoopAbi.find(item => item.type === 'function' && item.name === name);
+    return { fragment, fullSignature: `${name}(${fragment.inputs.map(input => input.type).join(',')})` };
+  };
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should parse sweep specs', function() {
+    expect(GasSweep.parseSpec('unoptimizedLoop(uint256)=1..100')).to.deep.equal({
+      function: 'unoptimizedLoop(uint256)', argIndexes: [0], start: 1, end: 100
+    });
+    expect(GasSweep.parseSpec('batchTransfer(address[],uint256[]):0,1=1..50').argIndexes).to.deep.equal([0, 1]);
+    expect(() => GasSweep.parseSpec('unoptimizedLoop(uint256)')).to.throw('Invalid sweep spec');
+    expect(() => GasSweep.parseSpec('unoptimizedLoop(uint256)=10..1')).to.throw('must increase');
+  });
+
+  it('should spread sweep points over the range including both ends', function() {
+    expect(new GasSweep({ points: 5 }).buildPoints(1, 100)).to.deep.equal([1, 26, 51, 75, 100]);
+    expect(new GasSweep({ points: 8 }).buildPoints(1, 4)).to.deep.equal([1, 2, 3, 4]);
+  });
+
+  it('should size uint, array and string arguments', function() {
+    const sweep = new GasSweep();
+
+    expect(sweep.buildArgs(functionFor('unoptimizedLoop').fragment, [], [0], 12)).to.deep.equal([12]);
+    expect(sweep.buildArgs(functionFor('batchProcess').fragment, [[7]], [0], 3)).to.deep.equal([[7, 7, 7]]);
+    expect(sweep.buildArgs(functionFor('hashComputation').fragment, [], [0], 4)[1]).to.match(/^0x0{62}02$/);
+    expect(sweep.sizedValue('string', 3)).to.equal('aaa');
+    expect(() => sweep.sizedValue('address', 3)).to.throw('Cannot sweep argument of type address');
+  });
+
+  it('should fit a linear model to HeavyLoop storage loops', async function() {
+    const func = functionFor('unoptimizedLoop');
+    const profiler = {
+      profileFunction: sandbox.stub().callsFake(async (contract, f, args) => {
+        const gas = 23500 + 27800 * args[0];
+        return { aggregated: { avg: gas, min: gas, max: gas } };
+      })
+    };
+
+    const sweep = new GasSweep({ points: 6, target: 500 });
+    const result = await sweep.run(profiler, {}, func, GasSweep.parseSpec('unoptimizedLoop(uint256)=1..50'), { runs: 2 });
+
+    expect(profiler.profileFunction.callCount).to.equal(6);
+    expect(profiler.profileFunction.firstCall.args[3]).to.equal(2);
+    expect(result.model).to.equal('linear');
+    expect(result.models.linear.r2).to.equal(1);
+    expect(result.marginalCost).to.deep.equal({ at: 500, gasPerUnit: 27800 });
+    expect(result.prediction).to.deep.equal({ size: 500, gas: 23500 + 27800 * 500 });
+  });
+
+  it('should pick a quadratic model when memory expansion dominates', function() {
+    const sweep = new GasSweep({ target: 1000 });
+    const samples = [1, 50, 100, 200, 400, 600].map(size => ({ size, avg: Math.round(22000 + 120 * size + 3 * size * size / 512) }));
+
+    const result = sweep.analyze(samples);
+
+    expect(result.model).to.equal('quadratic');
+    expect(result.models.quadratic.coefficients[2]).to.be.closeTo(3 / 512, 0.001);
+    expect(result.marginalCost.gasPerUnit).to.be.closeTo(120 + 2 * (3 / 512) * 1000, 3);
+    expect(result.prediction.gas).to.be.closeTo(22000 + 120000 + 3 * 1000000 / 512, 100);
+  });
+
+  it('should skip failing sizes and need two good ones', async function() {
+    const func = functionFor('storageHeavyOperation');
+    const profiler = {
+      profileFunction: sandbox.stub().callsFake(async (contract, f, args) => {
+        if (args[0] > 150) throw new Error('out of gas');
+        return { aggregated: { avg: 22000 + 22100 * args[0], min: 0, max: 0 } };
+      })
+    };
+
+    const result = await new GasSweep({ points: 3 }).run(profiler, {}, func, GasSweep.parseSpec('storageHeavyOperation(uint256)=1..200'));
+
+    expect(result.samples.map(sample => sample.size)).to.deep.equal([1, 101]);
+    expect(result.failures).to.deep.equal([{ size: 200, error: 'out of gas' }]);
+
+    try {
+      await new GasSweep({ points: 3 }).run(profiler, {}, func, GasSweep.parseSpec('storageHeavyOperation(uint256)=140..300'));
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('at least two successful sizes');
+    }
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { MetadataResolver } = require('../lib/metadata-resolver');
+const { ABIExtractor } = require('../lib/abi-extractor');
+
+describe('Metadata Resolver', function() {
+  let sandbox;
+  let storePath;
+
+  const artifactPath = path.join(__dirname, '..', 'foundry-contracts', 'out', 'AnalysisRegistryV2.sol', 'AnalysisRegistryV2.json');
+  const artifact = require(artifactPath);
+
+  const source = 'pragma solidity ^0.8.24;\n\ncontract Counter {\n    uint256 public count;\n\n    function increment() external {\n        count++;\n    }\n}\n';
+  const counterMetadata = JSON.stringify({
+    compiler: { version: '0.8.24+commit.e11b9ed9' },
+    language: 'Solidity',
+    output: { abi: new ethers.Interface(['function count() view returns (uint256)', 'function increment()']).fragments.map(fragment => JSON.parse(fragment.format('json'))) },
+    settings: {
+      compilationTarget: { 'src/Counter.sol': 'Counter' },
+      evmVersion: 'cancun',
+      optimizer: { enabled: true, runs: 1000 },
+      viaIR: false
+    },
+    sources: { 'src/Counter.sol': { keccak256: ethers.id(source), urls: [] } },
+    version: 1
+  });
+
+  // { "ipfs": <multihash>, "solc": 0.8.24 } followed by its length
+  const withMetadata = (code, content) => {
+    const multihash = ethers.toBeHex(ethers.decodeBase58(MetadataResolver.ipfsHash(content)), 34).slice(2);
+    return `${code}a264697066735822${multihash}64736f6c63430008180033`;
+  };
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+    storePath = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+    fs.rmSync(storePath, { recursive: true, force: true });
+  });
+
+  it('should decode the CBOR section of creation and runtime bytecode', function() {
+    const runtime = MetadataResolver.decode(artifact.deployedBytecode.object);
+
+    expect(runtime).to.include({ solcVersion: '0.8.20', experimental: false, length: 53 });
+    expect(runtime.ipfs).to.equal(MetadataResolver.ipfsHash(artifact.rawMetadata));
+    expect(MetadataResolver.decode(artifact.bytecode.object).ipfs).to.equal(runtime.ipfs);
+
+    // { "bzzr1": <hash>, "experimental": true, "solc": 0.5.6 }
+    const swarm = MetadataResolver.decode(`0x6080a365627a7a72315820${'ab'.repeat(32)}6c6578706572696d656e74616cf564736f6c63430005060040`);
+    expect(swarm).to.include({ bzzr1: 'ab'.repeat(32), ipfs: null, solcVersion: '0.5.6', experimental: true, hash: 'ab'.repeat(32) });
+
+    expect(MetadataResolver.decode('0x6080604052348015600f57600080fd')).to.be.null;
+    expect(new ABIExtractor(new MetadataResolver({ storePath })).hasMetadata('0x6080604052')).to.be.false;
+  });
+
+  it('should resolve ABI and compiler settings from imported artifacts and reject tampered files', async function() {
+    const resolver = new MetadataResolver({ storePath, endpoint: null, ipfsGateway: null });
+
+    const { hash } = await resolver.importFile(artifactPath);
+    const resolved = await resolver.resolve(artifact.deployedBytecode.object);
+
+    expect(hash).to.equal(MetadataResolver.decode(artifact.deployedBytecode.object).ipfs);
+    expect(resolved).to.include({ origin: 'store', match: 'full' });
+    expect(resolved.abi).to.deep.equal(JSON.parse(artifact.rawMetadata).output.abi);
+    expect(resolved.compiler).to.deep.equal({
+      version: '0.8.20+commit.a1b79de6',
+      solcVersion: '0.8.20',
+      optimizer: true,
+      optimizationRuns: 200,
+      viaIR: true,
+      evmVersion: 'shanghai',
+      contractName: 'AnalysisRegistryV2',
+      sourcePath: 'src/AnalysisRegistryV2.sol'
+    });
+    expect(await new ABIExtractor(resolver).extractFromBytecode(artifact.deployedBytecode.object)).to.deep.equal(resolved.abi);
+
+    const tampered = withMetadata('0x6080', counterMetadata);
+    fs.writeFileSync(path.join(storePath, `${MetadataResolver.decode(tampered).ipfs}.json`), counterMetadata.replace('1000', '1'));
+    const unresolved = await resolver.resolve(tampered);
+
+    expect(unresolved).to.include({ origin: null, abi: null });
+    expect(unresolved.compiler.solcVersion).to.equal('0.8.24');
+  });
+
+  it('should fetch metadata and sources from a Sourcify server and cache full matches', async function() {
+    const address = '0x1111111111111111111111111111111111111111';
+    const partialAddress = '0x2222222222222222222222222222222222222222';
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const match = req.url.match(/^\/files\/any\/50312\/(0x[0-9a-fA-F]{40})$/);
+      if (!match) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      const metadata = match[1] === partialAddress ? counterMetadata.replace('"runs":1000', '"runs":999') : counterMetadata;
+      const base = `/data/repository/contracts/full_match/50312/${match[1]}`;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: 'full',
+        files: [
+          { name: 'metadata.json', path: `${base}/metadata.json`, content: metadata },
+          { name: 'Counter.sol', path: `${base}/sources/src/Counter.sol`, content: source }
+        ]
+      }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const endpoint = `http://127.0.0.1:${server.address().port}`;
+      const provider = { getNetwork: async () => ({ chainId: 50312n }) };
+      const bytecode = withMetadata('0x6080', counterMetadata);
+      const resolver = new MetadataResolver({ storePath, endpoint, ipfsGateway: null });
+
+      const resolved = await resolver.resolve(bytecode, { address, provider });
+      expect(resolved).to.include({ origin: 'sourcify', match: 'full' });
+      expect(resolved.sources).to.deep.equal({ 'src/Counter.sol': source });
+      expect(resolved.compiler).to.include({ solcVersion: '0.8.24', optimizationRuns: 1000, viaIR: false, contractName: 'Counter' });
+
+      // Metadata that does not hash to the embedded CID is a partial match and not cached under it
+      const partial = await resolver.resolve(withMetadata('0x6081', `${counterMetadata} `), { address: partialAddress, chainId: 50312 });
+      expect(partial).to.include({ origin: 'sourcify', match: 'partial' });
+      expect(partial.compiler.optimizationRuns).to.equal(999);
+
+      const offline = await new MetadataResolver({ storePath, endpoint: null, ipfsGateway: null }).resolve(bytecode);
+      expect(offline).to.include({ origin: 'store', match: 'full' });
+      expect(offline.sources).to.deep.equal({ 'src/Counter.sol': source });
+      expect(requests).to.deep.equal([`/files/any/50312/${address}`, `/files/any/50312/${partialAddress}`]);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
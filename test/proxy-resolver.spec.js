@@ -0,0 +1,138 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+
+const { ProxyResolver, IMPLEMENTATION_SLOT, BEACON_SLOT, ADMIN_SLOT } = require('../lib/proxy-resolver');
+const { BytecodeProcessor } = require('../lib/bytecode-processor');
+const { SomniaGasProfiler } = require('../profiler');
+const { SomniaGasReporter } = require('../reporter');
+
+describe('Proxy Resolver', function() {
+  let sandbox;
+
+  const proxyAddress = ethers.getAddress('0x' + '11'.repeat(20));
+  const implementation = ethers.getAddress('0x' + 'aa'.repeat(20));
+  const other = ethers.getAddress('0x' + 'bb'.repeat(20));
+  const word = address => ethers.zeroPadValue(address, 32);
+  const empty = '0x' + '00'.repeat(32);
+
+  const tokenAbi = [
+    { type: 'function', name: 'transfer', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }] },
+    { type: 'function', name: 'mint', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [] },
+    { type: 'event', name: 'Transfer', anonymous: false, inputs: [{ name: 'from', type: 'address', indexed: true }, { name: 'to', type: 'address', indexed: true }, { name: 'value', type: 'uint256', indexed: false }] }
+  ];
+
+  // Storage slots keyed by slot, code keyed by address, eth_call answered by selector
+  const providerFor = ({ slots = {}, code = {}, calls = {} }) => ({
+    getStorage: sandbox.stub().callsFake(async (address, slot) => slots[slot] || empty),
+    getCode: sandbox.stub().callsFake(async address => code[address] || '0x6080'),
+    call: sandbox.stub().callsFake(async tx => {
+      const handler = calls[tx.data.slice(0, 10)];
+      if (!handler) {
+        throw new Error('execution reverted');
+      }
+      return handler(tx);
+    })
+  });
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should recognise EIP-1167 clones from their bytecode alone', async function() {
+    const provider = providerFor({});
+    const code = '0x363d3d373d3d3d363d73' + implementation.slice(2).toLowerCase() + '5af43d82803e903d91602b57fd5bf3';
+
+    const proxy = await new ProxyResolver(provider).detect(proxyAddress, code);
+
+    expect(proxy).to.deep.equal({ type: 'eip1167', address: proxyAddress, implementations: [implementation], estimatedOverhead: 2600 });
+    expect(provider.getStorage.called).to.be.false;
+  });
+
+  it('should tell UUPS from transparent EIP-1967 proxies', async function() {
+    const uups = providerFor({ slots: { [IMPLEMENTATION_SLOT]: word(implementation) }, code: { [implementation]: '0x60806352d1902d14' } });
+    const transparent = providerFor({ slots: { [IMPLEMENTATION_SLOT]: word(implementation), [ADMIN_SLOT]: word(other) } });
+
+    expect(await new ProxyResolver(uups).detect(proxyAddress, '0x6080')).to.include({ type: 'uups', estimatedOverhead: 4700 });
+    expect(await new ProxyResolver(transparent).detect(proxyAddress, '0x6080')).to.deep.include({ type: 'transparent', admin: other, implementations: [implementation] });
+  });
+
+  it('should follow beacons and return null for regular contracts', async function() {
+    const beaconAbi = new ethers.Interface(['function implementation() view returns (address)']);
+    const provider = providerFor({
+      slots: { [BEACON_SLOT]: word(other) },
+      calls: { [beaconAbi.getFunction('implementation').selector]: async () => beaconAbi.encodeFunctionResult('implementation', [implementation]) }
+    });
+
+    expect(await new ProxyResolver(provider).detect(proxyAddress, '0x6080')).to.deep.include({ type: 'beacon', beacon: other, implementations: [implementation] });
+    expect(await new ProxyResolver(providerFor({})).detect(proxyAddress, '0x6080')).to.be.null;
+  });
+
+  it('should list diamond facets and keep only the functions each facet serves', async function() {
+    const token = new ethers.Interface(tokenAbi);
+    const loupe = new ethers.Interface(['function facets() view returns ((address facetAddress, bytes4[] functionSelectors)[])']);
+    const provider = providerFor({
+      calls: {
+        [loupe.getFunction('facets').selector]: async () => loupe.encodeFunctionResult('facets', [[
+          [implementation, [token.getFunction('transfer').selector]],
+          [other, [token.getFunction('mint').selector]]
+        ]])
+      }
+    });
+    const resolver = new ProxyResolver(provider);
+
+    const proxy = await resolver.detect(proxyAddress, '0x6080');
+    const abi = await resolver.resolveABI(proxy, async () => tokenAbi);
+
+    expect(proxy.type).to.equal('diamond');
+    expect(proxy.implementations).to.deep.equal([implementation, other]);
+    expect(abi.map(item => item.name)).to.deep.equal(['transfer', 'Transfer', 'mint']);
+  });
+
+  it('should separate the delegatecall overhead from the implementation gas', async function() {
+    const proxy = { type: 'uups', address: proxyAddress, implementations: [implementation], estimatedOverhead: 4700 };
+    const iface = new ethers.Interface(tokenAbi);
+    const profiler = new SomniaGasProfiler();
+    profiler.wallet = { address: other };
+    profiler.provider = { send: sandbox.stub().rejects(new Error('Method evm_snapshot not found')), getFeeData: async () => ({ gasPrice: null }) };
+    profiler.traceAnalyzer = {
+      profileCallTree: sandbox.stub().resolves({
+        type: 'CALL', to: proxyAddress, gasUsed: 55000,
+        calls: [{ type: 'DELEGATECALL', to: implementation.toLowerCase(), gasUsed: 28500, calls: [] }]
+      })
+    };
+    const contract = {
+      target: proxyAddress,
+      interface: iface,
+      transfer: sandbox.stub().resolves({ wait: async () => ({ gasUsed: 55000n, hash: '0xabc', blockNumber: 1 }) })
+    };
+    const func = { fragment: { name: 'transfer' }, fullSignature: 'transfer(address,uint256)' };
+    const args = [other, 5];
+    // The root frame also carries the intrinsic gas
+    const intrinsic = BytecodeProcessor.analyzeCalldata(iface.encodeFunctionData('transfer', args)).total;
+
+    const results = await profiler.profileFunction(contract, func, args, 2, false, null, null, { proxy });
+
+    expect(results.runs[0].proxyOverhead).to.equal(55000 - 28500 - intrinsic);
+    expect(results.aggregated.proxyOverhead).to.include({ avg: 55000 - 28500 - intrinsic, method: 'trace', implementationAvg: 28500 + intrinsic });
+
+    const reporter = new SomniaGasReporter();
+    reporter.data = { rpc: 'http://localhost:8545', address: proxyAddress, network: 'anvil', timestamp: new Date().toISOString(), proxy, results: { 'transfer(address,uint256)': results } };
+    const report = reporter.generateTableReport();
+    expect(report).to.include(`Proxy (uups)`);
+    expect(report).to.include(`transfer(address,uint256): ${(28500 + intrinsic).toLocaleString('en-US')} implementation + ${(55000 - 28500 - intrinsic).toLocaleString('en-US')} proxy overhead`);
+    expect(ProxyResolver.estimateOverhead('beacon')).to.equal(9400);
+
+    // Simulated calls are traced with debug_traceCall, whose root frame includes it too
+    profiler.gaslessSimulator = { simulate: sandbox.stub().resolves({ gasUsed: 55000, mode: 'estimate', confidence: 90 }) };
+    const simulated = await profiler.profileFunction(contract, func, args, 1, true, null, null, { proxy });
+
+    expect(profiler.traceAnalyzer.profileCallTree.lastCall.args[0]).to.have.property('txData');
+    expect(simulated.runs[0].proxyOverhead).to.equal(55000 - 28500 - intrinsic);
+  });
+});
@@ -138,6 +138,185 @@ describe('Somnia Gas Reporter', function() {
       
       expect(parsedReport).to.deep.equal(mockData);
     });
+
+    it('should generate source heatmap from source-line data', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = {
+        ...mockData,
+        sources: { 0: { path: 'Store.sol', content: 'contract Store {\n  function set(uint256 v) public { value = v; }\n}' } }
+      };
+      reporterInstance.data.results['set(uint256)'].opcodeProfile = {
+        executionGas: 22200,
+        byCategory: { storage: 22100, compute: 100 },
+        byOpcode: { SSTORE: { count: 1, gas: 22100 } },
+        sourceLines: { lines: { 'Store.sol:2': 22150 }, unmapped: 50 }
+      };
+
+      const heatmap = reporterInstance.generateHeatmapReport();
+
+      expect(heatmap).to.include('Store.sol');
+      expect(heatmap).to.include('22,150');
+      expect(heatmap).to.include('set(uint256): ');
+      expect(heatmap).to.include('lines 2 (22,150)');
+    });
+
+    it('should show cold and warm columns for snapshot-isolated runs', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = mockData;
+      mockData.results['set(uint256)'].aggregated.cold = { min: 43000, max: 43000, avg: 43000 };
+      mockData.results['set(uint256)'].aggregated.warm = { min: 26100, max: 26100, avg: 26100 };
+      mockData.results['set(uint256)'].runs[0].warmGasUsed = 26100;
+
+      const tableReport = reporterInstance.generateTableReport();
+      const csvReport = reporterInstance.generateCSVReport();
+
+      expect(tableReport).to.include('Cold Avg');
+      expect(tableReport).to.include('26,100');
+      expect(csvReport).to.include('"warm_gas_used"');
+      expect(csvReport).to.include('"26100"');
+    });
+
+    it('should break down intrinsic calldata gas per function', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = mockData;
+      mockData.results['set(uint256)'].aggregated.intrinsic = {
+        base: 21000, bytes: 36, zeroBytes: 31, nonZeroBytes: 5, zeroByteGas: 124, nonZeroByteGas: 80, calldataGas: 204, total: 21204, calldataShare: 0.62, intrinsicShare: 64.25
+      };
+
+      const report = reporterInstance.generateTableReport();
+
+      expect(report).to.include('Intrinsic Gas (calldata)');
+      expect(report).to.include('set(uint256): 21,000 base + 204 calldata, calldata 0.62% of gas');
+      expect(report).to.include('36 bytes: 31 zero (124 gas), 5 non-zero (80 gas)');
+      expect(report).to.not.include('get(): 21,000 base');
+    });
+
+    it('should show a reverted column and decoded revert reasons', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = {
+        ...mockData,
+        errors: [{ function: 'withdraw(uint256)', error: 'Failed to profile withdraw(uint256): Run 1 failed: no code' }]
+      };
+      const result = mockData.results['set(uint256)'];
+      result.runs.push({
+        run: 4, args: [0], gasUsed: 23800, mode: 'standard', txHash: '', blockNumber: 0,
+        reverted: true, revert: { type: 'CustomError', message: 'ZeroValue()' }
+      });
+      Object.assign(result.aggregated, { reverted: 1, revertReasons: ['ZeroValue()'], revertGas: { min: 23800, max: 23800, avg: 23800 } });
+
+      const tableReport = reporterInstance.generateTableReport();
+      const lines = reporterInstance.generateCSVReport().trim().split('\n');
+
+      expect(tableReport).to.include('Reverted');
+      expect(tableReport).to.include('set(uint256): 1/4 run(s) reverted, 23,800 gas avg until revert');
+      expect(tableReport).to.include('↳ ZeroValue()');
+      expect(tableReport).to.include('withdraw(uint256): Failed to profile');
+      expect(lines[0]).to.include('"reverted","revert_reason"');
+      expect(lines[1]).to.match(/"false",$/);
+      expect(lines[4]).to.match(/"true","ZeroValue\(\)"$/);
+    });
+
+    it('should render call trees for traced runs', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = mockData;
+      mockData.results['set(uint256)'].runs[0].callTree = {
+        type: 'CALL', to: '0xpool', value: '0', selector: '0x60fe47b1', function: 'set(uint256)',
+        gasUsed: 43000, selfGas: 13000,
+        calls: [
+          { type: 'CALL', to: '0xtoken', value: '0', selector: '0xa9059cbb', function: 'transfer(address,uint256)', gasUsed: 30000, selfGas: 30000, calls: [] }
+        ]
+      };
+
+      const report = reporterInstance.generateTableReport();
+
+      expect(report).to.include('Internal Call Trees');
+      expect(report).to.include('[CALL] set(uint256) → 0xpool: 43,000 gas 100.0%, self 13,000');
+      expect(report).to.include('└─ [CALL] transfer(address,uint256) → 0xtoken: 30,000 gas 69.8%');
+    });
+
+    it('should render run statistics for functions profiled several times', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = JSON.parse(JSON.stringify(mockData));
+      reporterInstance.statistics.annotate(reporterInstance.data.results['set(uint256)']);
+
+      const tableReport = reporterInstance.generateTableReport();
+
+      expect(tableReport).to.include('Run Statistics');
+      expect(tableReport).to.include('95% CI (mean)');
+      expect(tableReport).to.include('28,000');
+      expect(tableReport).to.not.match(/Run Statistics[\s\S]*get\(\)/);
+    });
+
+    it('should render the sweep model with marginal cost and prediction', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = {
+        ...mockData,
+        sweep: {
+          function: 'unoptimizedLoop(uint256)',
+          samples: [{ size: 1, avg: 51300 }, { size: 10, avg: 301500 }],
+          failures: [],
+          models: { linear: { coefficients: [23500, 27800], r2: 1, adjustedR2: 1 } },
+          model: 'linear',
+          marginalCost: { at: 500, gasPerUnit: 27800 },
+          prediction: { size: 500, gas: 13923500 }
+        }
+      };
+
+      const tableReport = reporterInstance.generateTableReport();
+
+      expect(tableReport).to.include('Input Size Sweep: unoptimizedLoop(uint256)');
+      expect(tableReport).to.include('gas ≈ 23,500 + 27800.0·n');
+      expect(tableReport).to.include('Marginal cost at n=500: 27,800 gas per element');
+      expect(tableReport).to.include('Predicted gas at n=500: 13,923,500');
+    });
+
+    it('should report deployment cost in the table and CSV', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = {
+        ...mockData,
+        deployment: {
+          txHash: '0xdeploy',
+          blockNumber: 99,
+          gasUsed: 250000,
+          intrinsic: { base: 21000, create: 32000, calldata: 20000, initcodeWords: 100, total: 73100 },
+          constructorExecution: 36900,
+          codeDeposit: 140000,
+          runtimeSize: 700,
+          initcodeSize: 1600,
+          limits: {
+            runtime: { size: 700, limit: 24576, eip: 'EIP-170', percent: 2.85, exceeds: false },
+            initcode: { size: 1600, limit: 49152, eip: 'EIP-3860', percent: 3.26, exceeds: false }
+          }
+        }
+      };
+
+      const tableReport = reporterInstance.generateTableReport();
+      expect(tableReport).to.include('Deployment Cost');
+      expect(tableReport).to.include('Code deposit (200/byte)');
+      expect(tableReport).to.include('140,000');
+      expect(tableReport).to.include('Runtime code: 700 / 24,576 bytes (2.85% of EIP-170 limit)');
+
+      const lines = reporterInstance.generateCSVReport().trim().split('\n');
+      expect(lines[0]).to.include('"constructor_gas","code_deposit_gas","runtime_size","initcode_size"');
+      expect(lines[1]).to.equal('"deployment","1","[]","250000","deployment","0xdeploy","99","https://dream-rpc.somnia.network","36900","140000","700","1600"');
+      expect(lines[2]).to.match(/^"set\(uint256\)".*",,,,$/);
+    });
+
+    it('should reject heatmap without source-line data', function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = mockData;
+
+      expect(() => reporterInstance.generateHeatmapReport()).to.throw(/No source-line data/);
+    });
   });
 
   describe('Comparison Functionality', function() {
@@ -184,6 +363,30 @@ describe('Somnia Gas Reporter', function() {
       expect(parseFloat(comparison.differences['set(uint256)'].avg_gas_percent)).to.be.closeTo(6.06, 0.1);
     });
 
+    it('should report whether a change is statistically significant', async function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      const reporterInstance = new SomniaGasReporter();
+      const withRuns = gas => ({ runs: gas.map((gasUsed, index) => ({ run: index + 1, gasUsed })), aggregated: { min: Math.min(...gas), max: Math.max(...gas), avg: gas.reduce((a, b) => a + b) / gas.length } });
+
+      sandbox.stub(fs, 'readFile')
+        .onFirstCall().resolves(JSON.stringify({ results: { 'set(uint256)': withRuns([43000, 43100, 42900]), 'get()': withRuns([2300, 2350, 2250]), 'burn(uint256)': withRuns([9000]), 'mint()': withRuns([5000, 5000]), 'owner()': withRuns([2400, 2400]) } }))
+        .onSecondCall().resolves(JSON.stringify({ results: { 'set(uint256)': withRuns([45000, 45100, 44900]), 'get()': withRuns([2310, 2240, 2330]), 'burn(uint256)': withRuns([9100]), 'mint()': withRuns([5100, 5100]), 'owner()': withRuns([2400, 2400]) } }));
+
+      const comparison = await reporterInstance.compareResults('before.json', 'after.json');
+
+      expect(comparison.differences['set(uint256)'].significance.significant).to.be.true;
+      expect(comparison.differences['get()'].significance.significant).to.be.false;
+      expect(comparison.differences['burn(uint256)'].significance).to.be.null;
+
+      const report = reporterInstance.generateComparisonReport(comparison);
+      expect(report).to.include('Significant');
+      expect(report).to.include('yes (p=<0.001)');
+      expect(report).to.include('n/a');
+      expect(report).to.include('yes (deterministic)');
+      expect(report).to.include('no (identical)');
+      expect(comparison.differences['mint()'].significance).to.include({ t: null, deterministic: true });
+    });
+
     it('should generate comparison report with proper formatting', function() {
       const { SomniaGasReporter } = require('../reporter/index');
       const reporterInstance = new SomniaGasReporter();
@@ -219,6 +422,93 @@ describe('Somnia Gas Reporter', function() {
     });
   });
 
+  describe('Gas Snapshots', function() {
+    let reporterInstance;
+
+    beforeEach(function() {
+      const { SomniaGasReporter } = require('../reporter/index');
+      reporterInstance = new SomniaGasReporter();
+      reporterInstance.data = mockData;
+      sandbox.stub(console, 'log');
+    });
+
+    it('should export results as a sorted forge gas snapshot', function() {
+      const snapshot = reporterInstance.generateGasSnapshot('SimpleStorage');
+
+      expect(snapshot).to.equal('SimpleStorage:get() (gas: 2300)\nSimpleStorage:set(uint256) (gas: 33000)\n');
+    });
+
+    it('should parse forge gas, fuzz and invariant entries', function() {
+      const entries = reporterInstance.parseGasSnapshot([
+        'CounterTest:test_Increment() (gas: 31303)',
+        'CounterTest:testFuzz_SetNumber(uint256) (runs: 256, μ: 30899, ~: 31288)',
+        'InvariantTest:invariant_total() (runs: 256, calls: 3840, reverts: 12)',
+        ''
+      ].join('\n'));
+
+      expect(entries['CounterTest:test_Increment()']).to.include({ contract: 'CounterTest', test: 'test_Increment()', gas: 31303 });
+      expect(entries['CounterTest:testFuzz_SetNumber(uint256)']).to.include({ gas: 31288, runs: 256, mean: 30899, median: 31288 });
+      expect(entries['InvariantTest:invariant_total()'].gas).to.be.null;
+    });
+
+    it('should diff snapshots like forge snapshot --diff', function() {
+      const previous = reporterInstance.parseGasSnapshot('C:set(uint256) (gas: 30000)\nC:get() (gas: 2300)\nC:old() (gas: 100)\n');
+      const current = reporterInstance.parseGasSnapshot('C:set(uint256) (gas: 33000)\nC:get() (gas: 2300)\nC:new() (gas: 500)\n');
+
+      const diff = reporterInstance.diffGasSnapshots(previous, current);
+
+      expect(diff.changes).to.deep.equal([{ name: 'C:set(uint256)', before: 30000, after: 33000, diff: 3000, percent: 10 }]);
+      expect(diff).to.include({ unchanged: 1, totalBefore: 32300, totalAfter: 35300 });
+      expect(diff.added).to.deep.equal(['C:new()']);
+      expect(diff.removed).to.deep.equal(['C:old()']);
+      expect(reporterInstance.generateSnapshotDiffReport(diff)).to.include('C:set(uint256) (gas: +3000 (+10.000%))');
+    });
+
+    it('should fail --check on changes beyond the tolerance', async function() {
+      sandbox.stub(fs, 'readFile')
+        .withArgs('results.json').resolves(JSON.stringify(mockData))
+        .withArgs('.gas-snapshot').resolves('0x742d35Cc6634C0532925a3b8D6c6C0c1f528d15:get() (gas: 2300)\n0x742d35Cc6634C0532925a3b8D6c6C0c1f528d15:set(uint256) (gas: 32000)\n');
+      const writeFileStub = sandbox.stub(fs, 'writeFile').resolves();
+
+      try {
+        await reporterInstance.snapshot({ in: 'results.json', check: true, tolerance: 1 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('1 entry changed by more than 1%');
+      }
+
+      const diff = await reporterInstance.snapshot({ in: 'results.json', check: true, tolerance: 5 });
+      expect(diff.changes).to.have.length(1);
+      expect(writeFileStub.called).to.be.false;
+    });
+
+    it('should fail --check on new and removed entries', async function() {
+      sandbox.stub(fs, 'readFile')
+        .withArgs('results.json').resolves(JSON.stringify(mockData))
+        .withArgs('.gas-snapshot').resolves('0x742d35Cc6634C0532925a3b8D6c6C0c1f528d15:set(uint256) (gas: 33000)\n0x742d35Cc6634C0532925a3b8D6c6C0c1f528d15:burn() (gas: 5000)\n');
+      sandbox.stub(fs, 'writeFile').resolves();
+
+      try {
+        await reporterInstance.snapshot({ in: 'results.json', check: true, tolerance: 5 });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Gas snapshot failed: Gas snapshot check failed: 1 new, 1 removed');
+      }
+    });
+
+    it('should rewrite the snapshot with --update', async function() {
+      sandbox.stub(fs, 'readFile')
+        .withArgs('results.json').resolves(JSON.stringify(mockData))
+        .withArgs('.gas-snapshot').resolves('0x742d35Cc6634C0532925a3b8D6c6C0c1f528d15:set(uint256) (gas: 32000)\n');
+      const writeFileStub = sandbox.stub(fs, 'writeFile').resolves();
+
+      await reporterInstance.snapshot({ in: 'results.json', check: true, update: true });
+
+      expect(writeFileStub.calledOnce).to.be.true;
+      expect(writeFileStub.firstCall.args[1]).to.include('set(uint256) (gas: 33000)');
+    });
+  });
+
   describe('Error Handling', function() {
     it('should handle missing data gracefully', function() {
       const { SomniaGasReporter } = require('../reporter/index');
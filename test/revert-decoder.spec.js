@@ -0,0 +1,53 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+
+const { RevertDecoder } = require('../lib/revert-decoder');
+
+describe('Revert Decoder', function() {
+  const abi = [
+    'error InsufficientBalance(address account, uint256 balance, uint256 needed)',
+    'error Paused()',
+    'function withdraw(uint256 amount)'
+  ];
+  const iface = new ethers.Interface(abi);
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  const account = '0x' + '12'.repeat(20);
+
+  it('should decode Error(string) reasons and Panic codes', function() {
+    const decoder = new RevertDecoder();
+    const reason = decoder.decode('0x08c379a0' + coder.encode(['string'], ['Ownable: caller is not the owner']).slice(2));
+    const panic = decoder.decode('0x4e487b71' + coder.encode(['uint256'], [0x11]).slice(2));
+
+    expect(reason).to.include({ type: 'Error', reason: 'Ownable: caller is not the owner', message: 'Ownable: caller is not the owner' });
+    expect(panic).to.include({ type: 'Panic', code: '0x11', message: 'Panic(0x11): arithmetic overflow or underflow' });
+  });
+
+  it('should decode custom errors declared in the ABI and fall back to the selector', function() {
+    const data = iface.encodeErrorResult('InsufficientBalance', [account, 5, 10]);
+    const known = new RevertDecoder([abi]).decode(data);
+    const unknown = new RevertDecoder().decode(data);
+
+    expect(known).to.deep.include({
+      type: 'CustomError',
+      name: 'InsufficientBalance',
+      signature: 'InsufficientBalance(address,uint256,uint256)',
+      args: [ethers.getAddress(account), '5', '10']
+    });
+    expect(known.message).to.equal(`InsufficientBalance("${ethers.getAddress(account)}", "5", "10")`);
+    expect(unknown).to.include({ type: 'Unknown', selector: data.slice(0, 10), message: `custom error ${data.slice(0, 10)}` });
+    expect(new RevertDecoder().decode('0x')).to.include({ type: 'Empty', message: 'reverted without a reason' });
+  });
+
+  it('should find revert data nested in ethers and RPC errors', function() {
+    const decoder = new RevertDecoder([abi]);
+    const paused = iface.encodeErrorResult('Paused', []);
+
+    expect(decoder.decodeError({ code: 'CALL_EXCEPTION', data: paused })).to.include({ name: 'Paused', message: 'Paused()' });
+    expect(decoder.decodeError({ code: 'UNKNOWN_ERROR', info: { error: { code: 3, message: 'execution reverted', data: paused } } }))
+      .to.include({ name: 'Paused' });
+    expect(decoder.decodeError({ error: { error: { data: { data: paused } } } })).to.include({ name: 'Paused' });
+    expect(decoder.decodeError({ code: 'CALL_EXCEPTION', data: null, reason: 'require(false)' })).to.include({ type: 'Error', message: 'require(false)' });
+    expect(decoder.decodeError({ code: 'CALL_EXCEPTION', data: null })).to.include({ type: 'Empty' });
+    expect(decoder.decodeError(new Error('connect ECONNREFUSED'))).to.be.null;
+  });
+});
@@ -0,0 +1,190 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { ScenarioRunner } = require('../lib/scenario-runner');
+
+describe('Scenario Runner', function() {
+  let sandbox;
+  let profiler;
+  let runner;
+
+  const SENDER = '0x1111111111111111111111111111111111111111';
+  const TOKEN = '0x2222222222222222222222222222222222222222';
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+
+    profiler = {
+      wallet: { address: SENDER },
+      provider: { send: sandbox.stub() },
+      results: { rpc: 'test', address: '', network: 'test', timestamp: null, results: {} },
+      supportsSnapshots: sandbox.stub().resolves(false)
+    };
+    runner = new ScenarioRunner(profiler);
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('Loading', function() {
+    it('should load a JSON scenario and resolve paths relative to it', async function() {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scenario-'));
+      const file = path.join(dir, 'scenario.json');
+      await fs.writeFile(file, JSON.stringify({
+        name: 'mint-burn',
+        steps: [
+          { id: 'token', deploy: 'ERC20Mock', source: './ERC20Mock.sol', args: [1000] },
+          { id: 'mint', contract: 'token', function: 'mint(address,uint256)', args: ['{{sender}}', 5] }
+        ]
+      }));
+
+      try {
+        const scenario = await runner.loadScenario(file);
+
+        expect(scenario.name).to.equal('mint-burn');
+        expect(scenario.steps).to.have.length(2);
+        expect(runner.resolvePath('./ERC20Mock.sol')).to.equal(path.join(dir, 'ERC20Mock.sol'));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should load a YAML scenario', async function() {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scenario-'));
+      const file = path.join(dir, 'scenario.yaml');
+      await fs.writeFile(file, 'name: mint\nsteps:\n  - id: mint\n    contract: token\n    function: mint(address,uint256)\n    args: ["{{sender}}", 5]\n');
+
+      try {
+        const scenario = await runner.loadScenario(file);
+
+        expect(scenario.steps[0]).to.deep.include({ id: 'mint', args: ['{{sender}}', 5] });
+        expect(scenario.file).to.equal(file);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject malformed scenarios', function() {
+      expect(() => runner.validateScenario({ steps: [] })).to.throw('non-empty steps');
+      expect(() => runner.validateScenario({ steps: [{ function: 'mint()' }] })).to.throw('missing an id');
+      expect(() => runner.validateScenario({
+        steps: [{ id: 'a', contract: 'x', function: 'f()' }, { id: 'a', contract: 'x', function: 'g()' }]
+      })).to.throw('Duplicate step id');
+      expect(() => runner.validateScenario({ steps: [{ id: 'token', deploy: 'Token' }] })).to.throw('source, artifact or bytecode');
+      expect(() => runner.validateScenario({
+        steps: [{ id: 'a', contract: 'x', function: 'f()', expect: { minGas: 10, maxGas: 5 } }]
+      })).to.throw('minGas greater than maxGas');
+    });
+  });
+
+  describe('References', function() {
+    const context = {
+      sender: SENDER,
+      env: { SPENDER: '0x3333333333333333333333333333333333333333' },
+      steps: {
+        token: { address: TOKEN, gasUsed: 500000 },
+        mint: { events: { Transfer: { value: 42n } } }
+      }
+    };
+
+    it('should keep the type of whole-string references', function() {
+      expect(runner.resolveValue('{{steps.token.address}}', context)).to.equal(TOKEN);
+      expect(runner.resolveValue('{{ steps.mint.events.Transfer.value }}', context)).to.equal(42n);
+    });
+
+    it('should interpolate references inside strings, arrays and objects', function() {
+      const resolved = runner.resolveValue(
+        ['{{sender}}', { to: '{{env.SPENDER}}' }, 'gas={{steps.token.gasUsed}}', 7],
+        context
+      );
+
+      expect(resolved).to.deep.equal([SENDER, { to: context.env.SPENDER }, 'gas=500000', 7]);
+    });
+
+    it('should fail on unknown references', function() {
+      expect(() => runner.resolveValue('{{steps.missing.address}}', context)).to.throw('Unresolved reference {{steps.missing.address}}');
+    });
+
+    it('should parse values in wei, gwei and ether', function() {
+      expect(runner.parseValue(undefined)).to.equal(0n);
+      expect(runner.parseValue(1000)).to.equal(1000n);
+      expect(runner.parseValue('2 gwei')).to.equal(2000000000n);
+      expect(runner.parseValue('0.1 ether')).to.equal(100000000000000000n);
+      expect(() => runner.parseValue('lots')).to.throw('Invalid value');
+    });
+  });
+
+  describe('Running', function() {
+    const scenario = {
+      name: 'approve-transfer',
+      steps: [
+        { id: 'approve', contract: 'token', function: 'approve(address,uint256)', expect: { maxGas: 50000 } },
+        { id: 'transferFrom', contract: 'token', function: 'transferFrom(address,address,uint256)', expect: { maxGas: 40000 } }
+      ]
+    };
+
+    beforeEach(function() {
+      const gas = { approve: 46000, transferFrom: 52000 };
+      sandbox.stub(runner, 'executeStep').callsFake(async (step, _, context) => {
+        const outcome = {
+          signature: step.function,
+          args: [SENDER, 10n],
+          from: SENDER,
+          address: TOKEN,
+          gasUsed: gas[step.id],
+          txHash: `0x${step.id}`,
+          blockNumber: 1
+        };
+        context.steps[step.id] = outcome;
+        return outcome;
+      });
+    });
+
+    it('should record per-step results and gas assertions', async function() {
+      const results = await runner.run(scenario, { runs: 2 });
+      const approve = results.results['approve: approve(address,uint256)'];
+
+      expect(results.address).to.equal(TOKEN);
+      expect(results.scenario).to.include({ name: 'approve-transfer', runs: 2 });
+      expect(approve.runs).to.have.length(2);
+      expect(approve.runs[0]).to.include({ mode: 'scenario', gasUsed: 46000, costInSTT: null });
+      expect(approve.runs[0].args).to.deep.equal([SENDER, '10']);
+      expect(approve.aggregated).to.include({ min: 46000, max: 46000, avg: 46000, callCount: 2 });
+
+      expect(results.assertions).to.have.length(4);
+      const failed = results.assertions.filter(assertion => !assertion.passed);
+      expect(failed.map(assertion => assertion.step)).to.deep.equal(['transferFrom', 'transferFrom']);
+      expect(failed[0].message).to.include('above maxGas 40,000');
+    });
+
+    it('should explain a missing sender when the profiler has no wallet', async function() {
+      profiler.wallet = null;
+      runner.executeStep.restore();
+      const step = { id: 'mint', contract: 'token', function: 'mint(address,uint256)', args: [SENDER, 5] };
+
+      try {
+        await runner.run({ name: 'mint', steps: [step] });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Step mint failed: No sender: set PRIVATE_KEY or give the step a "from"');
+      }
+      expect(() => runner.resolveValue('{{sender}}', { sender: null })).to.throw('Unresolved reference {{sender}}');
+    });
+
+    it('should revert state between scenario runs when snapshots are supported', async function() {
+      profiler.supportsSnapshots.resolves(true);
+      profiler.provider.send.withArgs('evm_snapshot').resolves('0x1');
+      profiler.provider.send.withArgs('evm_revert').resolves(true);
+
+      await runner.run(scenario, { runs: 3 });
+
+      expect(profiler.provider.send.withArgs('evm_snapshot').callCount).to.equal(3);
+      expect(profiler.provider.send.withArgs('evm_revert').callCount).to.equal(3);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SignatureDatabase } = require('../lib/signature-database');
+const { TraceAnalyzer } = require('../profiler/trace-analyzer');
+const { RevertDecoder } = require('../lib/revert-decoder');
+const { SomniaGasReporter } = require('../reporter');
+
+describe('Signature Database', function() {
+  let sandbox;
+  let dataPath;
+
+  const vault = new ethers.Interface([
+    'function sweepDust(address token, uint96 minimum)',
+    'event DustSwept(address indexed token, uint256 amount)',
+    'error DustTooSmall(uint256 amount, uint256 minimum)'
+  ]);
+  const selector = vault.getFunction('sweepDust').selector;
+  const topic = vault.getEvent('DustSwept').topicHash;
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+    dataPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'signatures-')), 'signatures.json');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+    fs.rmSync(path.dirname(dataPath), { recursive: true, force: true });
+  });
+
+  it('should resolve common signatures from the bundled seed', function() {
+    const database = new SignatureDatabase({ dataPath });
+
+    expect(database.lookupFunction('0xa9059cbb')).to.equal('transfer(address,uint256)');
+    expect(database.lookupEvent('0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef')).to.equal('Transfer(address,address,uint256)');
+    expect(database.lookupError('0x118cdaa7')).to.equal('OwnableUnauthorizedAccount(address)');
+    expect(database.lookupFunction(selector)).to.be.null;
+  });
+
+  it('should import 4byte, openchain and plain text dumps, keeping only matching hashes', function() {
+    const database = new SignatureDatabase({ dataPath, seed: false });
+
+    const fourByte = database.importDump(JSON.stringify({
+      results: [
+        { text_signature: 'sweepDust(address,uint96)', hex_signature: selector },
+        { text_signature: 'forged(uint256)', hex_signature: selector }
+      ]
+    }));
+    const openchain = database.importDump({ ok: true, result: { function: {}, event: { [topic]: [{ name: 'DustSwept(address,uint256)', filtered: false }] } } });
+    const text = database.importDump('DustTooSmall(uint256,uint256)\nnot a signature\n');
+
+    expect(fourByte).to.deep.equal({ functions: 1, events: 0, errors: 0, skipped: 1 });
+    expect(openchain.events).to.equal(1);
+    expect(text).to.include({ functions: 1, skipped: 1 });
+    expect(database.lookupFunction(selector)).to.equal('sweepDust(address,uint96)');
+    expect(database.lookupEvent(topic)).to.equal('DustSwept(address,uint256)');
+    // Dumps list errors as functions; lookupError falls back to them
+    expect(database.lookupError(vault.getError('DustTooSmall').selector)).to.equal('DustTooSmall(uint256,uint256)');
+    expect(() => database.importDump({ unrelated: true })).to.throw('Unrecognized signature dump format');
+  });
+
+  it('should learn ABIs ahead of imported collisions and persist them', async function() {
+    const database = new SignatureDatabase({ dataPath, seed: false });
+    // Another signature already stored under the same selector
+    database.functions.set(selector, ['sweepDustCollision(uint256)']);
+
+    const added = database.registerABI([
+      ...JSON.parse(vault.formatJson()),
+      { type: 'function', name: 'function_deadbeef', inputs: [], outputs: [], stateMutability: 'nonpayable' }
+    ]);
+
+    expect(added).to.equal(3);
+    expect(database.candidates('functions', selector)).to.deep.equal(['sweepDust(address,uint96)', 'sweepDustCollision(uint256)']);
+    expect(database.lookupFunction('0x' + ethers.id('function_deadbeef()').slice(2, 10))).to.be.null;
+    expect(await database.save()).to.be.true;
+    expect(await database.save()).to.be.false;
+
+    const reloaded = new SignatureDatabase({ dataPath, seed: false });
+    expect(reloaded.stats()).to.deep.equal({ functions: 2, events: 1, errors: 1 });
+    expect(reloaded.lookupEvent(topic)).to.equal('DustSwept(address,uint256)');
+  });
+
+  it('should name bytecode selectors in minimal ABIs', function() {
+    const database = new SignatureDatabase({ dataPath });
+
+    const abi = database.nameSelectors(['a9059cbb', 'deadbeef']);
+
+    expect(abi[0]).to.deep.include({ type: 'function', name: 'transfer', stateMutability: 'nonpayable' });
+    expect(abi[0].inputs.map(input => input.type)).to.deep.equal(['address', 'uint256']);
+    expect(abi[1]).to.deep.include({ name: 'function_deadbeef', inputs: [] });
+    expect(new ethers.Interface(abi).getFunction('transfer').selector).to.equal('0xa9059cbb');
+  });
+
+  it('should decode unknown calls, events and errors in call trees without an ABI', function() {
+    const database = new SignatureDatabase({ dataPath, seed: false });
+    database.registerABI(vault.fragments);
+    const token = '0x000000000000000000000000000000000000dEaD';
+    const analyzer = new TraceAnalyzer({ send: sandbox.stub() }, database);
+
+    const tree = analyzer.buildCallTree({
+      type: 'CALL',
+      to: '0x2222222222222222222222222222222222222222',
+      gasUsed: '0x7530',
+      input: vault.encodeFunctionData('sweepDust', [token, 7]),
+      logs: [{ address: '0x2222222222222222222222222222222222222222', topics: [topic, ethers.zeroPadValue(token, 32)], data: ethers.toBeHex(3, 32) }],
+      error: 'execution reverted',
+      output: vault.encodeErrorResult('DustTooSmall', [3, 7])
+    });
+
+    expect(tree.function).to.equal('sweepDust(address,uint96)');
+    expect(tree.args).to.deep.equal([token, '7']);
+    expect(tree.events).to.deep.equal([{ address: '0x2222222222222222222222222222222222222222', topic, event: 'DustSwept(address,uint256)' }]);
+    expect(tree.revertReason).to.equal('DustTooSmall("3", "7")');
+    expect(new RevertDecoder([], database).decode(vault.encodeErrorResult('DustTooSmall', [1, 2])).signature).to.equal('DustTooSmall(uint256,uint256)');
+
+    const reporter = new SomniaGasReporter();
+    expect(reporter.renderCallTree(tree, tree.gasUsed)).to.include('emit DustSwept(address,uint256)');
+  });
+});
@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+
+const { SourceMapper } = require('../lib/source-mapper');
+
+describe('Source Mapper', function() {
+  const content = 'contract A {\n  uint x;\n  function f() public { x = 1; }\n}\n';
+  // PUSH1 0x01, PUSH1 0x00, SSTORE, PUSH1 0x00, STOP
+  const deployedBytecode = '0x60016000556000' + '00';
+  const sourceMap = '0:60:0;47:5:0;;-1:-1:-1;';
+  let mapper;
+
+  beforeEach(function() {
+    mapper = new SourceMapper({
+      deployedBytecode,
+      sourceMap,
+      sources: { 0: { path: 'A.sol', content } }
+    });
+  });
+
+  it('should skip PUSH immediates when indexing instructions', function() {
+    expect(mapper.pcToInstruction.get(0)).to.equal(0);
+    expect(mapper.pcToInstruction.get(2)).to.equal(1);
+    expect(mapper.pcToInstruction.get(4)).to.equal(2);
+    expect(mapper.pcToInstruction.get(7)).to.equal(4);
+    expect(mapper.pcToInstruction.has(1)).to.be.false;
+  });
+
+  it('should inherit empty source map fields from the previous entry', function() {
+    expect(mapper.entries[2]).to.deep.equal({ start: 47, length: 5, file: 0, jump: '-' });
+    expect(mapper.entries[4]).to.deep.equal({ start: -1, length: -1, file: -1, jump: '-' });
+  });
+
+  it('should resolve program counters to source lines', function() {
+    expect(mapper.resolve(0)).to.deep.equal({ file: 0, path: 'A.sol', line: 1 });
+    expect(mapper.resolve(4)).to.deep.equal({ file: 0, path: 'A.sol', line: 3 });
+    expect(mapper.resolve(5)).to.be.null;
+  });
+
+  it('should attribute top-level step gas to lines', function() {
+    const attribution = mapper.attributeSteps([
+      { pc: 0, op: 'PUSH1', depth: 1, cost: 3 },
+      { pc: 4, op: 'SSTORE', depth: 1, cost: 22100 },
+      { pc: 0, op: 'PUSH1', depth: 2, cost: 3 },
+      { pc: 5, op: 'PUSH1', depth: 1, cost: 3 }
+    ]);
+
+    expect(attribution.lines).to.deep.equal({ 'A.sol:1': 3, 'A.sol:3': 22100 });
+    expect(attribution.unmapped).to.equal(3);
+  });
+
+  it('should require a runtime source map', function() {
+    expect(() => new SourceMapper({ deployedBytecode, sourceMap: null })).to.throw(/source map are required/);
+  });
+});
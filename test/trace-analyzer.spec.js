@@ -0,0 +1,206 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+
+const { TraceAnalyzer } = require('../profiler/trace-analyzer');
+
+describe('Trace Analyzer', function() {
+  let sandbox;
+  let analyzer;
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    analyzer = new TraceAnalyzer({ send: sandbox.stub() });
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('Step Cost Computation', function() {
+    it('should derive step costs from remaining gas', function() {
+      const structLogs = [
+        { pc: 0, op: 'PUSH1', gas: 1000, gasCost: 3, depth: 1 },
+        { pc: 2, op: 'SLOAD', gas: 997, gasCost: 2100, depth: 1 },
+        { pc: 3, op: 'STOP', gas: 0, gasCost: 0, depth: 1 }
+      ];
+
+      const steps = analyzer.computeStepCosts(structLogs);
+
+      expect(steps.map(step => step.cost)).to.deep.equal([3, 997, 0]);
+    });
+
+    it('should exclude child frame gas from CALL steps', function() {
+      const structLogs = [
+        { pc: 0, op: 'CALL', gas: 10000, gasCost: 9000, depth: 1 },
+        { pc: 0, op: 'PUSH1', gas: 7000, gasCost: 3, depth: 2 },
+        { pc: 2, op: 'SSTORE', gas: 6997, gasCost: 5000, depth: 2 },
+        { pc: 3, op: 'STOP', gas: 1997, gasCost: 0, depth: 2 },
+        { pc: 1, op: 'POP', gas: 4400, gasCost: 2, depth: 1 },
+        { pc: 2, op: 'STOP', gas: 4398, gasCost: 0, depth: 1 }
+      ];
+
+      const steps = analyzer.computeStepCosts(structLogs);
+
+      // Child consumed 7000 - 1997 = 5003; the call step used 5600 inclusive
+      expect(steps[0].cost).to.equal(597);
+      expect(steps[2].cost).to.equal(5000);
+      expect(steps[4].cost).to.equal(2);
+    });
+
+    it('should attribute memory expansion from memSize', function() {
+      const structLogs = [
+        { pc: 0, op: 'MSTORE', gas: 1000, gasCost: 12, depth: 1, memSize: 0 },
+        { pc: 1, op: 'STOP', gas: 988, gasCost: 0, depth: 1, memSize: 96 }
+      ];
+
+      const steps = analyzer.computeStepCosts(structLogs);
+
+      expect(steps[0].memoryCost).to.equal(9);
+    });
+
+    it('should estimate memory expansion from stack operands without memory sizes', function() {
+      // Stacks are listed bottom to top, as the struct logger reports them
+      const structLogs = [
+        { pc: 0, op: 'CALLDATACOPY', gas: 100000, gasCost: 33, depth: 1, stack: ['0x44', '0x0', '0x80'] },
+        { pc: 1, op: 'KECCAK256', gas: 99967, gasCost: 36, depth: 1, stack: ['0x20', '0x80'] },
+        { pc: 2, op: 'LOG1', gas: 99931, gasCost: 1271, depth: 1, stack: ['0x1234', '0x40', '0x100'] },
+        { pc: 3, op: 'STATICCALL', gas: 98660, gasCost: 2603, depth: 1, stack: ['0x20', '0x140', '0x0', '0xffffffffffff', '0x11', '0x5000'] },
+        { pc: 0, op: 'MSTORE', gas: 90000, gasCost: 6, depth: 2, stack: ['0x1', '0x0'] },
+        { pc: 1, op: 'STOP', gas: 89994, gasCost: 0, depth: 2, stack: [] },
+        { pc: 4, op: 'POP', gas: 96051, gasCost: 2, depth: 1, stack: ['0x1'] }
+      ];
+
+      const steps = analyzer.computeStepCosts(structLogs);
+
+      // 0x80 + 0x44 rounds up to 7 words; hashing inside them is free
+      expect(steps[0].memoryCost).to.equal(21);
+      expect(steps[1].memoryCost).to.equal(0);
+      // 10 words, then 11 for the return data; the empty argument range is ignored
+      expect(steps[2].memoryCost).to.equal(30 - 21);
+      expect(steps[3].memoryCost).to.equal(33 - 30);
+      // The callee starts with empty memory
+      expect(steps[4].memoryCost).to.equal(3);
+      expect(steps[6].memoryCost).to.equal(0);
+    });
+
+    it('should fall back to static costs when memory size is unavailable', function() {
+      const structLogs = [
+        { pc: 0, op: 'MSTORE', gas: 1000, gasCost: 12, depth: 1 },
+        { pc: 1, op: 'STOP', gas: 988, gasCost: 0, depth: 1 }
+      ];
+
+      const steps = analyzer.computeStepCosts(structLogs);
+
+      expect(steps[0].memoryCost).to.equal(9);
+    });
+  });
+
+  describe('Opcode Profiles', function() {
+    it('should bucket gas into opcode classes', function() {
+      const structLogs = [
+        { pc: 0, op: 'SLOAD', gas: 10000, gasCost: 2100, depth: 1 },
+        { pc: 1, op: 'KECCAK256', gas: 7900, gasCost: 36, depth: 1 },
+        { pc: 2, op: 'LOG1', gas: 7864, gasCost: 750, depth: 1 },
+        { pc: 3, op: 'ADD', gas: 7114, gasCost: 3, depth: 1 },
+        { pc: 4, op: 'STOP', gas: 7111, gasCost: 0, depth: 1 }
+      ];
+
+      const profile = analyzer.analyzeStructLogs(structLogs, 23889);
+
+      expect(profile.gasUsed).to.equal(23889);
+      expect(profile.executionGas).to.equal(2889);
+      expect(profile.byCategory.storage).to.equal(2100);
+      expect(profile.byCategory.keccak).to.equal(36);
+      expect(profile.byCategory.log).to.equal(750);
+      expect(profile.byCategory.compute).to.equal(3);
+      expect(profile.byOpcode.SLOAD).to.deep.equal({ count: 1, gas: 2100 });
+    });
+
+    it('should average profiles across runs', function() {
+      const first = analyzer.analyzeStructLogs([
+        { pc: 0, op: 'SSTORE', gas: 30000, gasCost: 22100, depth: 1 },
+        { pc: 1, op: 'STOP', gas: 7900, gasCost: 0, depth: 1 }
+      ]);
+      const second = analyzer.analyzeStructLogs([
+        { pc: 0, op: 'SSTORE', gas: 30000, gasCost: 2900, depth: 1 },
+        { pc: 1, op: 'STOP', gas: 27100, gasCost: 0, depth: 1 }
+      ]);
+
+      const merged = analyzer.mergeOpcodeProfiles([first, null, second]);
+
+      expect(merged.runs).to.equal(2);
+      expect(merged.byCategory.storage).to.equal(12500);
+      expect(merged.byOpcode.SSTORE.gas).to.equal(12500);
+    });
+
+    it('should return null when the node does not support tracing', async function() {
+      analyzer.provider.send.rejects(new Error('the method debug_traceTransaction does not exist'));
+
+      const profile = await analyzer.profileOpcodes({ txHash: '0xabc' });
+
+      expect(profile).to.be.null;
+    });
+  });
+
+  describe('Call Trees', function() {
+    const erc20 = new ethers.Interface(['function transfer(address to, uint256 amount) returns (bool)']);
+    const recipient = '0x000000000000000000000000000000000000dEaD';
+
+    it('should decode known selectors and compute self gas', function() {
+      analyzer.registerABI(['function swap(uint256 amountIn)']);
+      const swapIface = new ethers.Interface(['function swap(uint256 amountIn)']);
+
+      const tree = analyzer.buildCallTree({
+        type: 'CALL',
+        from: '0x1111111111111111111111111111111111111111',
+        to: '0x2222222222222222222222222222222222222222',
+        value: '0x0',
+        gasUsed: '0x186a0',
+        input: swapIface.encodeFunctionData('swap', [5]),
+        calls: [{
+          type: 'CALL',
+          from: '0x2222222222222222222222222222222222222222',
+          to: '0x3333333333333333333333333333333333333333',
+          gasUsed: '0x7530',
+          input: erc20.encodeFunctionData('transfer', [recipient, 5])
+        }]
+      });
+
+      expect(tree.function).to.equal('swap(uint256)');
+      expect(tree.args).to.deep.equal(['5']);
+      expect(tree.gasUsed).to.equal(100000);
+      expect(tree.selfGas).to.equal(70000);
+      expect(tree.calls[0].function).to.equal('transfer(address,uint256)');
+      expect(tree.calls[0].args).to.deep.equal([recipient, '5']);
+      expect(tree.calls[0].calls).to.deep.equal([]);
+    });
+
+    it('should decode revert reasons of failed subcalls', function() {
+      const output = '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['insufficient balance']).slice(2);
+
+      const tree = analyzer.buildCallTree({
+        type: 'STATICCALL',
+        to: recipient,
+        gasUsed: '0x100',
+        input: '0xdeadbeef',
+        error: 'execution reverted',
+        output
+      });
+
+      expect(tree.function).to.be.null;
+      expect(tree.selector).to.equal('0xdeadbeef');
+      expect(tree.revertReason).to.equal('insufficient balance');
+    });
+
+    it('should trace mined transactions with callTracer', async function() {
+      analyzer.provider.send.resolves({ type: 'CALL', to: recipient, gasUsed: '0x5208', input: '0x' });
+
+      const tree = await analyzer.profileCallTree({ txHash: '0xabc' });
+
+      expect(analyzer.provider.send.calledWith('debug_traceTransaction', ['0xabc', { tracer: 'callTracer', tracerConfig: { withLog: true } }])).to.be.true;
+      expect(tree.gasUsed).to.equal(21000);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { ethers } = require('ethers');
+
+const { TransactionReplayer } = require('../lib/transaction-replayer');
+
+describe('Transaction Replayer', function() {
+  let sandbox;
+
+  const token = '0x' + '11'.repeat(20);
+  const other = '0x' + '22'.repeat(20);
+  const holder = '0x' + '33'.repeat(20);
+  const abi = [
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'function approve(address spender, uint256 amount) returns (bool)'
+  ];
+  const iface = new ethers.Interface(abi);
+
+  const tx = (hash, to, data, blockNumber) => ({ hash, to, from: holder, data, value: 0n, gasPrice: 10n, blockNumber });
+  const transfer = amount => iface.encodeFunctionData('transfer', [other, amount]);
+
+  const providerFor = (blocks, receipts) => ({
+    getNetwork: async () => ({ chainId: 50312n, name: 'somnia' }),
+    getBlockNumber: async () => Math.max(...Object.keys(blocks).map(Number)),
+    getBlock: sandbox.stub().callsFake(async number => (blocks[number] ? { prefetchedTransactions: blocks[number] } : null)),
+    getTransaction: async hash => Object.values(blocks).flat().find(item => item.hash === hash) || null,
+    getTransactionReceipt: async hash => receipts[hash] || null
+  });
+
+  beforeEach(function() {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'log');
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('should collect the most recent calls to an address within the limit', async function() {
+    const blocks = {
+      10: [tx('0xa1', token, transfer(1), 10), tx('0xa2', other, '0x', 10)],
+      11: [tx('0xb1', token, transfer(2), 11)],
+      12: [tx('0xc1', token, transfer(3), 12), tx('0xc2', token, transfer(4), 12)]
+    };
+    const replayer = new TransactionReplayer(providerFor(blocks, {}), { limit: 3 });
+
+    const transactions = await replayer.collect({ address: token, fromBlock: 10 });
+
+    expect(transactions.map(item => item.hash)).to.deep.equal(['0xb1', '0xc1', '0xc2']);
+    expect(replayer.provider.getBlock.callCount).to.equal(2);
+
+    await replayer.collect({ txHashes: ['0xa2'] }).then(found => expect(found[0].to).to.equal(other));
+    try {
+      await replayer.collect({ txHashes: ['0xdead'] });
+      expect.fail('Should have thrown');
+    } catch (error) {
+      expect(error.message).to.include('Transaction 0xdead not found');
+    }
+  });
+
+  it('should group real gas by decoded function in the standard results format', async function() {
+    const transactions = [
+      tx('0x01', token, transfer(100), 5),
+      tx('0x02', token, transfer(250), 6),
+      tx('0x03', token, iface.encodeFunctionData('approve', [other, 7]), 6),
+      tx('0x04', token, '0xdeadbeef', 7),
+      tx('0x05', token, transfer(1), 7),
+      tx('0x06', other, transfer(1), 7)
+    ];
+    const receipts = {
+      '0x01': { gasUsed: 51000n, gasPrice: 10n, blockNumber: 5, status: 1 },
+      '0x02': { gasUsed: 34000n, gasPrice: 10n, blockNumber: 6, status: 1 },
+      '0x03': { gasUsed: 46000n, gasPrice: 10n, blockNumber: 6, status: 1 },
+      '0x05': { gasUsed: 29000n, gasPrice: 10n, blockNumber: 7, status: 0 }
+    };
+    const replayer = new TransactionReplayer(providerFor({ 7: transactions }, receipts));
+
+    const results = await replayer.replay(transactions, abi, { rpc: 'http://node', address: token });
+
+    expect(results).to.include({ rpc: 'http://node', address: token, network: 'Somnia Testnet' });
+    const transfers = results.results['transfer(address,uint256)'];
+    expect(transfers.aggregated).to.include({ min: 34000, max: 51000, avg: 42500, total: 85000, callCount: 2 });
+    expect(transfers.aggregated.median).to.equal(42500);
+    expect(transfers.runs[0]).to.include({ run: 1, gasUsed: 51000, mode: 'replay', txHash: '0x01', blockNumber: 5, from: holder, costInWei: '510000' });
+    expect(transfers.runs[1].args).to.deep.equal([other, '250']);
+    expect(results.results['approve(address,uint256)'].aggregated.callCount).to.equal(1);
+
+    expect(results.replay).to.deep.equal({
+      transactions: 6,
+      replayed: 3,
+      skipped: [
+        { txHash: '0x04', reason: 'unknown selector 0xdeadbeef' },
+        { txHash: '0x05', reason: 'reverted' },
+        { txHash: '0x06', reason: `not sent to ${token}` }
+      ]
+    });
+  });
+
+  it('should summarize reverted transactions apart from the aggregates with --include-reverted', async function() {
+    const transactions = [tx('0x01', token, transfer(100), 5), tx('0x02', token, transfer(1), 5), tx('0x03', token, iface.encodeFunctionData('approve', [other, 7]), 5)];
+    const receipts = {
+      '0x01': { gasUsed: 51000n, gasPrice: 10n, blockNumber: 5, status: 1 },
+      '0x02': { gasUsed: 29000n, gasPrice: 10n, blockNumber: 5, status: 0 },
+      '0x03': { gasUsed: 24000n, gasPrice: 10n, blockNumber: 5, status: 0 }
+    };
+    const replayer = new TransactionReplayer(providerFor({ 5: transactions }, receipts));
+    sandbox.stub(replayer.traceAnalyzer, 'profileCallTree').resolves({ error: 'execution reverted', revertReason: 'insufficient balance' });
+
+    const results = await replayer.replay(transactions, abi, { includeReverted: true });
+
+    const transfers = results.results['transfer(address,uint256)'];
+    expect(transfers.aggregated).to.include({ min: 51000, max: 51000, avg: 51000, total: 51000, callCount: 1, reverted: 1 });
+    expect(transfers.aggregated.revertReasons).to.deep.equal(['insufficient balance']);
+    expect(transfers.aggregated.revertGas).to.deep.equal({ min: 29000, max: 29000, avg: 29000 });
+    expect(transfers.aggregated.avgCost).to.equal(Number(ethers.formatEther(510000n)));
+    expect(transfers.runs[1]).to.deep.include({ reverted: true, revert: { message: 'insufficient balance' } });
+
+    // A function whose every transaction reverted reports the gas until revert
+    expect(results.results['approve(address,uint256)'].aggregated).to.include({ callCount: 0, avg: 24000, min: 24000, max: 24000, reverted: 1 });
+    expect(results.replay.skipped).to.be.empty;
+  });
+
+  it('should re-execute transactions through the tracer when opcodes are requested', async function() {
+    const transactions = [tx('0x01', token, transfer(100), 5), tx('0x02', token, transfer(100), 5)];
+    const receipts = {
+      '0x01': { gasUsed: 51000n, blockNumber: 5, status: 1 },
+      '0x02': { gasUsed: 51000n, blockNumber: 5, status: 1 }
+    };
+    const replayer = new TransactionReplayer(providerFor({ 5: transactions }, receipts));
+    const profile = { totalGas: 51000, classes: { storage: { gas: 20000, count: 1 } }, opcodes: {} };
+    sandbox.stub(replayer.traceAnalyzer, 'profileOpcodes').resolves(profile);
+    sandbox.stub(replayer.traceAnalyzer, 'mergeOpcodeProfiles').returns(profile);
+
+    const results = await replayer.replay(transactions, abi, { opcodes: true });
+
+    expect(replayer.traceAnalyzer.profileOpcodes.firstCall.args[0]).to.deep.equal({ txHash: '0x01' });
+    expect(results.results['transfer(address,uint256)'].opcodeProfile).to.equal(profile);
+    expect(results.address).to.equal(token);
+  });
+});